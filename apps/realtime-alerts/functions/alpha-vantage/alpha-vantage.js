@@ -0,0 +1,150 @@
+/**
+ * Alpha Vantage Netlify Function
+ * POST `{ symbol, interval, indicator, period?, seriesType? }` to
+ * /.netlify/functions/alpha-vantage and get `{ success, data, error, ... }` back, where
+ * `data` is the Alpha Vantage indicator payload ("Meta Data" + "Technical Analysis: X").
+ *
+ * Responses are cached (cache.js) and calls are queued against the free-tier quota
+ * (shared/quota.js). When the quota is used up the function answers 429 with
+ * `error: 'rate_limited'`, `retryAfter` in seconds, and the last good copy in `data`
+ * if it has one, so the client can keep showing cached indicators.
+ */
+
+import { ResponseCache } from './cache.js'
+import { RequestQuota, RateLimitError } from '../shared/quota.js'
+import { buildIndicatorQuery, queryKey, trimSeries, InvalidRequestError } from './indicators.js'
+
+const ALPHA_VANTAGE_URL = 'https://www.alphavantage.co/query'
+const UPSTREAM_TIMEOUT_MS = 4000
+const MAX_SERIES_POINTS = 300
+// "Our standard API rate limit is 25 requests per day", "... call frequency is 5 calls per minute ..."
+const RATE_LIMIT_NOTICE = /rate limit|call frequency|requests per (minute|day)/i
+
+const HEADERS = {
+  'Content-Type': 'application/json',
+  'Cache-Control': 'no-store'
+}
+
+const cache = new ResponseCache()
+const quota = new RequestQuota({
+  service: 'Alpha Vantage',
+  perMinute: parseInt(process.env.ALPHA_VANTAGE_REQUESTS_PER_MINUTE, 10) || 5,
+  perDay: parseInt(process.env.ALPHA_VANTAGE_REQUESTS_PER_DAY, 10) || 25
+})
+const inFlight = new Map()   // identical concurrent requests share one upstream call
+
+// A notice from Alpha Vantage that is not about the rate limit
+class UpstreamNoticeError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'UpstreamNoticeError'
+  }
+}
+
+function respond(statusCode, body, headers = {}) {
+  return {
+    statusCode,
+    headers: { ...HEADERS, ...headers },
+    body: JSON.stringify({ success: statusCode === 200, data: null, error: null, ...body })
+  }
+}
+
+async function fetchIndicator(params, apiKey) {
+  await quota.acquire()
+
+  const url = `${ALPHA_VANTAGE_URL}?${new URLSearchParams({ ...params, apikey: apiKey })}`
+  const response = await fetch(url, { signal: AbortSignal.timeout(UPSTREAM_TIMEOUT_MS) })
+  if (!response.ok) {
+    throw new Error(`Alpha Vantage responded with HTTP ${response.status}`)
+  }
+  const payload = await response.json()
+
+  // Alpha Vantage reports problems with HTTP 200 and a message instead of data. Only the
+  // rate limit wording means "slow down"; other notices (premium endpoint, invalid or
+  // demo key) won't go away by retrying.
+  const notice = payload.Note || payload.Information
+  if (notice && RATE_LIMIT_NOTICE.test(notice)) {
+    const scope = /per day|daily/i.test(notice) ? 'day' : 'minute'
+    throw new RateLimitError(scope, quota.exhaust(scope), 'Alpha Vantage')
+  }
+  if (notice) {
+    throw new UpstreamNoticeError(notice)
+  }
+  if (payload['Error Message']) {
+    throw new InvalidRequestError(payload['Error Message'])
+  }
+
+  return trimSeries(payload, MAX_SERIES_POINTS)
+}
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: { Allow: 'POST, OPTIONS' }, body: '' }
+  }
+  if (event.httpMethod !== 'POST') {
+    return respond(405, { error: 'method_not_allowed', message: 'Use POST' })
+  }
+
+  const apiKey = process.env.ALPHA_VANTAGE_API_KEY
+  if (!apiKey) {
+    return respond(500, { error: 'not_configured', message: 'ALPHA_VANTAGE_API_KEY is not set' })
+  }
+
+  let query
+  try {
+    query = buildIndicatorQuery(JSON.parse(event.body || '{}'))
+  } catch (error) {
+    return respond(400, { error: 'invalid_request', message: error instanceof SyntaxError ? 'Request body must be valid JSON' : error.message })
+  }
+
+  const key = queryKey(query.params)
+  const cached = cache.get(key)
+  if (cached?.fresh) {
+    return respond(200, { data: cached.data, indicator: query.indicator, cached: true, fetchedAt: cached.fetchedAt, quota: quota.getStatus() })
+  }
+
+  try {
+    if (!inFlight.has(key)) {
+      inFlight.set(key, fetchIndicator(query.params, apiKey).finally(() => inFlight.delete(key)))
+    }
+    const data = await inFlight.get(key)
+    cache.set(key, data, query.params.interval)
+    return respond(200, { data, indicator: query.indicator, cached: false, fetchedAt: Date.now(), quota: quota.getStatus() })
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      return respond(429, {
+        error: 'rate_limited',
+        message: error.message,
+        scope: error.scope,
+        retryAfter: error.retryAfter,
+        indicator: query.indicator,
+        data: cached?.data || null,
+        cached: Boolean(cached),
+        fetchedAt: cached?.fetchedAt || null,
+        quota: quota.getStatus()
+      }, { 'Retry-After': String(error.retryAfter) })
+    }
+    if (error instanceof InvalidRequestError) {
+      return respond(400, { error: 'invalid_request', message: error.message })
+    }
+    if (error instanceof UpstreamNoticeError) {
+      console.error(`Alpha Vantage ${query.params.function} refused:`, error.message)
+      return respond(502, {
+        error: 'upstream_error',
+        message: `Alpha Vantage: ${error.message}`,
+        data: cached?.data || null,
+        cached: Boolean(cached),
+        fetchedAt: cached?.fetchedAt || null
+      })
+    }
+
+    console.error(`Alpha Vantage ${query.params.function} failed:`, error)
+    return respond(502, {
+      error: 'upstream_error',
+      message: 'Alpha Vantage request failed',
+      data: cached?.data || null,
+      cached: Boolean(cached),
+      fetchedAt: cached?.fetchedAt || null
+    })
+  }
+}
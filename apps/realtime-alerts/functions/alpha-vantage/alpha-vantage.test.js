@@ -0,0 +1,48 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
+
+// The function's quota reads the clock it was created with, so fake it before the import
+const LATE_EVENING = Date.UTC(2026, 2, 14, 22, 0)
+let handler
+
+beforeAll(async () => {
+  vi.useFakeTimers({ now: LATE_EVENING, toFake: ['Date'] })
+  process.env.ALPHA_VANTAGE_API_KEY = 'test'
+  vi.spyOn(console, 'error').mockImplementation(() => {})
+  ;({ handler } = await import('./alpha-vantage.js'))
+})
+
+afterAll(() => {
+  vi.useRealTimers()
+  vi.unstubAllGlobals()
+  vi.restoreAllMocks()
+})
+
+function answer(payload) {
+  vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, status: 200, json: async () => payload })))
+}
+
+async function request(symbol) {
+  const response = await handler({ httpMethod: 'POST', body: JSON.stringify({ symbol, interval: 'daily', indicator: 'RSI' }) })
+  return { statusCode: response.statusCode, headers: response.headers, body: JSON.parse(response.body) }
+}
+
+describe('alpha-vantage function', () => {
+  it('returns notices other than the rate limit as upstream errors', async () => {
+    answer({ Information: 'Thank you for using Alpha Vantage! This is a premium endpoint. You may subscribe to any of the premium plans to instantly unlock all premium endpoints' })
+    const { statusCode, body } = await request('IBM')
+    expect(statusCode).toBe(502)
+    expect(body.error).toBe('upstream_error')
+    expect(body.message).toMatch(/premium endpoint/)
+  })
+
+  it('answers the daily limit notice with the time left until the quota resets', async () => {
+    answer({ Information: 'Thank you for using Alpha Vantage! Our standard API rate limit is 25 requests per day. Please subscribe to any of the premium plans to instantly remove all daily rate limits.' })
+    const { statusCode, headers, body } = await request('MSFT')
+    expect(statusCode).toBe(429)
+    expect(body.error).toBe('rate_limited')
+    expect(body.scope).toBe('day')
+    expect(body.retryAfter).toBe(2 * 60 * 60)
+    expect(headers['Retry-After']).toBe('7200')
+    expect(body.quota.dayRemaining).toBe(0)
+  })
+})
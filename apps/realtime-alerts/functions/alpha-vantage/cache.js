@@ -0,0 +1,56 @@
+/**
+ * Response cache for the Alpha Vantage function
+ * Entries are fresh for a TTL that depends on the interval (a daily series doesn't
+ * change every minute), then kept as stale copies so a rate-limited request can still
+ * hand back the last good data. Least recently used entries go first when full.
+ */
+
+const MINUTE_MS = 60 * 1000
+
+const FRESH_FOR = {
+  '1min': 1 * MINUTE_MS,
+  '5min': 5 * MINUTE_MS,
+  '15min': 10 * MINUTE_MS,
+  '30min': 15 * MINUTE_MS,
+  '60min': 30 * MINUTE_MS,
+  daily: 60 * MINUTE_MS,
+  weekly: 6 * 60 * MINUTE_MS,
+  monthly: 12 * 60 * MINUTE_MS
+}
+const DEFAULT_FRESH_FOR = 5 * MINUTE_MS
+const KEEP_STALE_FOR = 24 * 60 * MINUTE_MS
+
+export class ResponseCache {
+  constructor({ maxEntries = 200, now = Date.now } = {}) {
+    this.maxEntries = maxEntries
+    this.now = now
+    this.entries = new Map()
+  }
+
+  /**
+   * { data, fetchedAt, fresh } or null
+   */
+  get(key) {
+    const entry = this.entries.get(key)
+    if (!entry) return null
+
+    const age = this.now() - entry.fetchedAt
+    if (age > KEEP_STALE_FOR) {
+      this.entries.delete(key)
+      return null
+    }
+
+    // Re-insert to mark as most recently used
+    this.entries.delete(key)
+    this.entries.set(key, entry)
+    return { data: entry.data, fetchedAt: entry.fetchedAt, fresh: age <= (FRESH_FOR[entry.interval] || DEFAULT_FRESH_FOR) }
+  }
+
+  set(key, data, interval) {
+    this.entries.delete(key)
+    this.entries.set(key, { data, interval, fetchedAt: this.now() })
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value)
+    }
+  }
+}
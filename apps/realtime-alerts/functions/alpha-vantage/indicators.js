@@ -0,0 +1,109 @@
+/**
+ * Indicator request → Alpha Vantage query
+ * TechnicalAnalysisService asks for indicators by its own names (SMA, Stochastic,
+ * WilliamsR, ...); this maps them to Alpha Vantage's `function` and fills in the
+ * period / series_type / interval parameters each endpoint expects.
+ */
+
+export class InvalidRequestError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'InvalidRequestError'
+  }
+}
+
+// `period` overrides time_period; `seriesType` overrides series_type (where the endpoint takes one)
+const INDICATORS = {
+  SMA: { function: 'SMA', params: { time_period: 20, series_type: 'close' } },
+  EMA: { function: 'EMA', params: { time_period: 20, series_type: 'close' } },
+  RSI: { function: 'RSI', params: { time_period: 14, series_type: 'close' } },
+  Stochastic: { function: 'STOCH', params: { fastkperiod: 14, slowkperiod: 3, slowdperiod: 3 } },
+  CCI: { function: 'CCI', params: { time_period: 20 } },
+  ADX: { function: 'ADX', params: { time_period: 14 } },
+  WilliamsR: { function: 'WILLR', params: { time_period: 14 } },
+  MACD: { function: 'MACD', params: { series_type: 'close', fastperiod: 12, slowperiod: 26, signalperiod: 9 } }
+}
+
+// Alpha Vantage function names work too
+const ALIASES = { STOCH: 'Stochastic', WILLR: 'WilliamsR' }
+
+const INTERVALS = ['1min', '5min', '15min', '30min', '60min', 'daily', 'weekly', 'monthly']
+const INTERVAL_ALIASES = {
+  '1m': '1min', '5m': '5min', '15m': '15min', '30m': '30min', '1h': '60min', '60m': '60min',
+  '1d': 'daily', '1w': 'weekly'
+}
+
+const SERIES_TYPES = ['close', 'open', 'high', 'low']
+const SYMBOL_PATTERN = /^[A-Z0-9.:-]{1,20}$/
+
+export const INDICATOR_TYPES = Object.keys(INDICATORS)
+
+/**
+ * Validate `{ symbol, interval, indicator, period?, seriesType? }` and return
+ * `{ indicator, params }` where params are Alpha Vantage query parameters (without apikey)
+ */
+export function buildIndicatorQuery({ symbol, interval = 'daily', indicator, period, seriesType } = {}) {
+  const type = ALIASES[indicator] || indicator
+  const definition = INDICATORS[type]
+  if (!definition) {
+    throw new InvalidRequestError(`Unknown indicator "${indicator}" (expected one of ${INDICATOR_TYPES.join(', ')})`)
+  }
+
+  const normalizedSymbol = typeof symbol === 'string' ? symbol.trim().toUpperCase() : ''
+  if (!SYMBOL_PATTERN.test(normalizedSymbol)) {
+    throw new InvalidRequestError('symbol must be 1-20 letters, digits, ".", ":" or "-"')
+  }
+
+  const normalizedInterval = INTERVAL_ALIASES[interval] || interval
+  if (!INTERVALS.includes(normalizedInterval)) {
+    throw new InvalidRequestError(`interval must be one of ${INTERVALS.join(', ')}`)
+  }
+
+  const params = { function: definition.function, symbol: normalizedSymbol, interval: normalizedInterval, ...definition.params }
+
+  if (period !== undefined && period !== null) {
+    if (!('time_period' in definition.params)) {
+      throw new InvalidRequestError(`${type} does not take a period`)
+    }
+    const value = Number(period)
+    if (!Number.isInteger(value) || value < 2 || value > 500) {
+      throw new InvalidRequestError('period must be an integer between 2 and 500')
+    }
+    params.time_period = value
+  }
+
+  if (seriesType !== undefined && seriesType !== null) {
+    if (!('series_type' in definition.params)) {
+      throw new InvalidRequestError(`${type} does not take a series type`)
+    }
+    if (!SERIES_TYPES.includes(seriesType)) {
+      throw new InvalidRequestError(`seriesType must be one of ${SERIES_TYPES.join(', ')}`)
+    }
+    params.series_type = seriesType
+  }
+
+  return { indicator: type, params }
+}
+
+/**
+ * Stable cache key for a query (parameter order doesn't matter)
+ */
+export function queryKey(params) {
+  return Object.keys(params).sort().map(key => `${key}=${params[key]}`).join('&')
+}
+
+/**
+ * Keep only the newest `maxPoints` entries of the "Technical Analysis: X" series.
+ * Alpha Vantage returns the whole history, far more than the ratings need.
+ */
+export function trimSeries(payload, maxPoints) {
+  const seriesKey = Object.keys(payload).find(key => key.startsWith('Technical Analysis'))
+  if (!seriesKey) return payload
+
+  const dates = Object.keys(payload[seriesKey]).sort((a, b) => (a < b ? 1 : a > b ? -1 : 0))
+  const series = {}
+  dates.slice(0, maxPoints).forEach(date => {
+    series[date] = payload[seriesKey][date]
+  })
+  return { ...payload, [seriesKey]: series }
+}
@@ -0,0 +1,113 @@
+/**
+ * Database connection
+ * PostgreSQL when DATABASE_URL (or the DB_HOST / DB_NAME / DB_USER / DB_PASSWORD set)
+ * is configured, otherwise a local SQLite file for `netlify dev`. Both are wrapped in
+ * the same small adapter so queries are written once, with `?` placeholders and
+ * `RETURNING` clauses that both engines understand.
+ */
+
+import { mkdirSync } from 'node:fs'
+import { dirname, resolve } from 'node:path'
+
+const DEFAULT_SQLITE_PATH = '.netlify/data/realtime-alerts.sqlite'
+
+export function getDatabaseConfig(env = process.env) {
+  const ssl = env.DB_SSL === 'true' ? { rejectUnauthorized: false } : undefined
+
+  if (env.DATABASE_URL) {
+    return { dialect: 'postgres', connectionString: env.DATABASE_URL, ssl }
+  }
+  if (env.DB_HOST) {
+    return {
+      dialect: 'postgres',
+      host: env.DB_HOST,
+      port: parseInt(env.DB_PORT, 10) || 5432,
+      database: env.DB_NAME,
+      user: env.DB_USER,
+      password: env.DB_PASSWORD,
+      ssl
+    }
+  }
+  // A deployed function has no persistent disk, so SQLite only makes sense locally
+  if (env.AWS_LAMBDA_FUNCTION_NAME && !env.NETLIFY_DEV) {
+    throw new Error('Database is not configured: set DATABASE_URL or DB_HOST')
+  }
+  return { dialect: 'sqlite', filename: resolve(env.SQLITE_PATH || DEFAULT_SQLITE_PATH) }
+}
+
+export async function openDatabase(config = getDatabaseConfig()) {
+  return config.dialect === 'postgres' ? openPostgres(config) : openSqlite(config)
+}
+
+async function openSqlite({ filename }) {
+  const { default: Database } = await import('better-sqlite3')
+  mkdirSync(dirname(filename), { recursive: true })
+  const db = new Database(filename)
+  db.pragma('journal_mode = WAL')
+  db.pragma('foreign_keys = ON')
+
+  const query = async (sql, params = []) => {
+    const statement = db.prepare(sql)
+    if (statement.reader) return statement.all(...params)
+    statement.run(...params)
+    return []
+  }
+
+  return {
+    dialect: 'sqlite',
+    query,
+    async transaction(work) {
+      db.exec('BEGIN IMMEDIATE')
+      try {
+        const result = await work({ query })
+        db.exec('COMMIT')
+        return result
+      } catch (error) {
+        db.exec('ROLLBACK')
+        throw error
+      }
+    },
+    async close() {
+      db.close()
+    }
+  }
+}
+
+async function openPostgres({ dialect, ...options }) {
+  const { default: pg } = await import('pg')
+  // Serverless instances each hold their own pool; keep it small
+  const pool = new pg.Pool({ ...options, max: 2, idleTimeoutMillis: 10000 })
+
+  const runOn = (client) => async (sql, params = []) => {
+    const { rows } = await client.query(toPostgresPlaceholders(sql), params)
+    return rows
+  }
+
+  return {
+    dialect: 'postgres',
+    query: runOn(pool),
+    async transaction(work) {
+      const client = await pool.connect()
+      try {
+        await client.query('BEGIN')
+        const result = await work({ query: runOn(client) })
+        await client.query('COMMIT')
+        return result
+      } catch (error) {
+        await client.query('ROLLBACK')
+        throw error
+      } finally {
+        client.release()
+      }
+    },
+    async close() {
+      await pool.end()
+    }
+  }
+}
+
+// `?` → `$1, $2, ...` (none of our statements contain a literal question mark)
+function toPostgresPlaceholders(sql) {
+  let index = 0
+  return sql.replace(/\?/g, () => `$${++index}`)
+}
@@ -0,0 +1,206 @@
+/**
+ * Database Netlify Function
+ * Backs NetlifyClient's database calls: POST `{ action, data }` to
+ * /.netlify/functions/database and get `{ success, data, error }` back.
+ * See connection.js for how SQLite / PostgreSQL is chosen and migrations.js for the schema.
+ */
+
+import { openDatabase } from './connection.js'
+import { migrate, SCHEMA_VERSION } from './migrations.js'
+import { validate, ValidationError, VALIDATORS } from './validation.js'
+
+const MAX_BODY_BYTES = 512 * 1024
+
+const HEADERS = {
+  'Content-Type': 'application/json',
+  'Cache-Control': 'no-store'
+}
+
+// Reused while the function instance stays warm
+let databasePromise = null
+
+function getDatabase() {
+  if (!databasePromise) {
+    databasePromise = openDatabase()
+      .then(async (db) => {
+        await migrate(db)
+        return db
+      })
+      .catch((error) => {
+        databasePromise = null
+        throw error
+      })
+  }
+  return databasePromise
+}
+
+function respond(statusCode, data, error = null) {
+  return {
+    statusCode,
+    headers: HEADERS,
+    body: JSON.stringify({ success: error === null, data, error })
+  }
+}
+
+const toTimestamp = value => (value instanceof Date ? value.toISOString() : value)
+const fromJSON = value => (typeof value === 'string' ? JSON.parse(value) : value)
+const now = () => new Date().toISOString()
+
+async function insert(db, sql, params) {
+  const [row] = await db.query(`${sql} RETURNING id`, params)
+  return { id: Number(row.id) }
+}
+
+async function count(db, table) {
+  const [row] = await db.query(`SELECT COUNT(*) AS total FROM ${table}`)
+  return Number(row.total)
+}
+
+const ACTIONS = {
+  async testConnection(db) {
+    await db.query('SELECT 1 AS ok')
+    return { connected: true, dialect: db.dialect, schemaVersion: SCHEMA_VERSION }
+  },
+
+  async getStats(db) {
+    return {
+      dialect: db.dialect,
+      priceRecords: await count(db, 'price_data'),
+      logRecords: await count(db, 'connection_logs'),
+      indicatorRecords: await count(db, 'technical_indicators'),
+      analysisRecords: await count(db, 'technical_analyses'),
+      sessionRecords: await count(db, 'analysis_sessions')
+    }
+  },
+
+  storePriceData(db, { pairName, price }) {
+    return insert(db,
+      'INSERT INTO price_data (pair_name, price, recorded_at) VALUES (?, ?, ?)',
+      [pairName, price, now()])
+  },
+
+  async getPriceHistory(db, { pairName, limit }) {
+    const rows = await db.query(
+      'SELECT id, pair_name, price, recorded_at FROM price_data WHERE pair_name = ? ORDER BY recorded_at DESC, id DESC LIMIT ?',
+      [pairName, limit])
+    return rows.map(row => ({
+      id: Number(row.id),
+      pair_name: row.pair_name,
+      price: Number(row.price),
+      timestamp: toTimestamp(row.recorded_at)
+    }))
+  },
+
+  storeConnectionLog(db, { eventType, message, status }) {
+    return insert(db,
+      'INSERT INTO connection_logs (event_type, message, status, created_at) VALUES (?, ?, ?, ?)',
+      [eventType, message, status, now()])
+  },
+
+  async getConnectionLogs(db, { limit }) {
+    const rows = await db.query(
+      'SELECT id, event_type, message, status, created_at FROM connection_logs ORDER BY created_at DESC, id DESC LIMIT ?',
+      [limit])
+    return rows.map(row => ({
+      id: Number(row.id),
+      event_type: row.event_type,
+      message: row.message,
+      status: row.status,
+      timestamp: toTimestamp(row.created_at)
+    }))
+  },
+
+  storeTechnicalIndicators(db, { symbol, interval, indicators }) {
+    return insert(db,
+      'INSERT INTO technical_indicators (symbol, timeframe, indicators, created_at) VALUES (?, ?, ?, ?)',
+      [symbol, interval, JSON.stringify(indicators), now()])
+  },
+
+  async getTechnicalIndicators(db, { symbol, interval, limit }) {
+    const rows = await db.query(
+      'SELECT id, symbol, timeframe, indicators, created_at FROM technical_indicators WHERE symbol = ? AND timeframe = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+      [symbol, interval, limit])
+    return rows.map(row => ({
+      id: Number(row.id),
+      symbol: row.symbol,
+      interval: row.timeframe,
+      indicators: fromJSON(row.indicators),
+      timestamp: toTimestamp(row.created_at)
+    }))
+  },
+
+  storeTechnicalAnalysis(db, { analysis, symbol, interval, recommendation, rating, currentPrice }) {
+    return insert(db,
+      'INSERT INTO technical_analyses (symbol, timeframe, recommendation, rating, current_price, analysis, created_at) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      [symbol, interval, recommendation, rating, currentPrice, JSON.stringify(analysis), now()])
+  },
+
+  // Returns the stored analysis objects as TechnicalAnalysisService produced them
+  async getTechnicalAnalysis(db, { limit }) {
+    const rows = await db.query(
+      'SELECT id, analysis, created_at FROM technical_analyses ORDER BY created_at DESC, id DESC LIMIT ?',
+      [limit])
+    return rows.map(row => {
+      const analysis = fromJSON(row.analysis)
+      return { ...analysis, id: Number(row.id), timestamp: analysis.timestamp || toTimestamp(row.created_at) }
+    })
+  },
+
+  storeAnalysisSession(db, { symbol, interval, status, metadata }) {
+    return insert(db,
+      'INSERT INTO analysis_sessions (symbol, timeframe, status, details, created_at) VALUES (?, ?, ?, ?, ?)',
+      [symbol, interval, status, JSON.stringify(metadata), now()])
+  },
+
+  async getAnalysisSessions(db, { limit }) {
+    const rows = await db.query(
+      'SELECT id, symbol, timeframe, status, details, created_at FROM analysis_sessions ORDER BY created_at DESC, id DESC LIMIT ?',
+      [limit])
+    return rows.map(row => ({
+      id: Number(row.id),
+      symbol: row.symbol,
+      interval: row.timeframe,
+      status: row.status,
+      details: fromJSON(row.details),
+      timestamp: toTimestamp(row.created_at)
+    }))
+  }
+}
+
+export const handler = async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 204, headers: { Allow: 'POST, OPTIONS' }, body: '' }
+  }
+  if (event.httpMethod !== 'POST') {
+    return respond(405, null, 'Method not allowed')
+  }
+
+  const body = event.isBase64Encoded ? Buffer.from(event.body || '', 'base64').toString('utf8') : (event.body || '')
+  if (body.length > MAX_BODY_BYTES) {
+    return respond(413, null, 'Request body is too large')
+  }
+
+  let request
+  try {
+    request = JSON.parse(body || '{}')
+  } catch {
+    return respond(400, null, 'Request body must be valid JSON')
+  }
+
+  const { action, data } = request || {}
+  if (typeof action !== 'string' || !Object.hasOwn(VALIDATORS, action)) {
+    return respond(400, null, `Unknown action: ${action}`)
+  }
+
+  try {
+    const input = validate(action, data)
+    const db = await getDatabase()
+    return respond(200, await ACTIONS[action](db, input))
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return respond(400, null, error.message)
+    }
+    console.error(`Database action ${action} failed:`, error)
+    return respond(500, null, 'Database operation failed')
+  }
+}
@@ -0,0 +1,118 @@
+/**
+ * Schema migrations
+ * Each migration gets the column types for the active dialect, so the same list
+ * builds the SQLite file used locally and the PostgreSQL schema in production.
+ * Applied versions are recorded in `schema_migrations`; append new migrations,
+ * never edit one that has shipped.
+ */
+
+const COLUMN_TYPES = {
+  sqlite: {
+    id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+    number: 'REAL',
+    json: 'TEXT',
+    timestamp: 'TEXT'
+  },
+  postgres: {
+    id: 'BIGSERIAL PRIMARY KEY',
+    number: 'DOUBLE PRECISION',
+    json: 'JSONB',
+    timestamp: 'TIMESTAMPTZ'
+  }
+}
+
+// Arbitrary key so concurrent cold starts don't migrate the same PostgreSQL database twice
+const MIGRATION_LOCK_ID = 72_813_001
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    statements: t => [
+      `CREATE TABLE price_data (
+        id ${t.id},
+        pair_name TEXT NOT NULL,
+        price ${t.number} NOT NULL,
+        recorded_at ${t.timestamp} NOT NULL
+      )`,
+      'CREATE INDEX price_data_pair_time ON price_data (pair_name, recorded_at)',
+
+      `CREATE TABLE connection_logs (
+        id ${t.id},
+        event_type TEXT NOT NULL,
+        message TEXT NOT NULL,
+        status TEXT,
+        created_at ${t.timestamp} NOT NULL
+      )`,
+      'CREATE INDEX connection_logs_time ON connection_logs (created_at)',
+
+      `CREATE TABLE technical_indicators (
+        id ${t.id},
+        symbol TEXT NOT NULL,
+        timeframe TEXT NOT NULL,
+        indicators ${t.json} NOT NULL,
+        created_at ${t.timestamp} NOT NULL
+      )`,
+      'CREATE INDEX technical_indicators_symbol_time ON technical_indicators (symbol, timeframe, created_at)',
+
+      `CREATE TABLE technical_analyses (
+        id ${t.id},
+        symbol TEXT,
+        timeframe TEXT,
+        recommendation TEXT NOT NULL,
+        rating ${t.number} NOT NULL,
+        current_price ${t.number},
+        analysis ${t.json} NOT NULL,
+        created_at ${t.timestamp} NOT NULL
+      )`,
+      'CREATE INDEX technical_analyses_time ON technical_analyses (created_at)',
+
+      `CREATE TABLE analysis_sessions (
+        id ${t.id},
+        symbol TEXT NOT NULL,
+        timeframe TEXT NOT NULL,
+        status TEXT NOT NULL,
+        details ${t.json} NOT NULL,
+        created_at ${t.timestamp} NOT NULL
+      )`,
+      'CREATE INDEX analysis_sessions_time ON analysis_sessions (created_at)'
+    ]
+  }
+]
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
+
+/**
+ * Bring the schema up to date. Returns the versions that were applied.
+ */
+export async function migrate(db) {
+  const types = COLUMN_TYPES[db.dialect]
+
+  await db.query(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at ${types.timestamp} NOT NULL
+  )`)
+
+  return db.transaction(async (tx) => {
+    if (db.dialect === 'postgres') {
+      await tx.query('SELECT pg_advisory_xact_lock(?)', [MIGRATION_LOCK_ID])
+    }
+
+    const rows = await tx.query('SELECT version FROM schema_migrations')
+    const applied = new Set(rows.map(row => Number(row.version)))
+    const pending = MIGRATIONS.filter(migration => !applied.has(migration.version))
+
+    for (const migration of pending) {
+      for (const statement of migration.statements(types)) {
+        await tx.query(statement)
+      }
+      await tx.query(
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      )
+    }
+
+    return pending.map(migration => migration.version)
+  })
+}
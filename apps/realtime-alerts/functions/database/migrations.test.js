@@ -0,0 +1,39 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest'
+import { openDatabase } from './connection.js'
+import { migrate, MIGRATIONS, SCHEMA_VERSION } from './migrations.js'
+
+let db
+
+beforeEach(async () => {
+  db = await openDatabase({ dialect: 'sqlite', filename: ':memory:' })
+})
+
+afterEach(async () => {
+  await db.close()
+})
+
+describe('migrate', () => {
+  it('builds the schema once and records each version', async () => {
+    expect(await migrate(db)).toEqual(MIGRATIONS.map(migration => migration.version))
+    expect(await migrate(db)).toEqual([])
+
+    const versions = await db.query('SELECT version FROM schema_migrations')
+    expect(versions.map(row => row.version)).toEqual([SCHEMA_VERSION])
+  })
+
+  it('creates tables the database actions can write to', async () => {
+    await migrate(db)
+    await db.query('INSERT INTO price_data (pair_name, price, recorded_at) VALUES (?, ?, ?)', ['BTC/USD', 64000, new Date().toISOString()])
+    const tables = await db.query("SELECT name FROM sqlite_master WHERE type = 'table' ORDER BY name")
+    expect(tables.map(row => row.name)).toEqual(expect.arrayContaining([
+      'analysis_sessions', 'connection_logs', 'price_data', 'technical_analyses', 'technical_indicators'
+    ]))
+    expect(await db.query('SELECT pair_name, price FROM price_data')).toEqual([{ pair_name: 'BTC/USD', price: 64000 }])
+  })
+
+  it('leaves nothing behind when a migration fails', async () => {
+    await db.query('CREATE TABLE price_data (id INTEGER)')
+    await expect(migrate(db)).rejects.toThrow(/already exists/)
+    expect(await db.query('SELECT version FROM schema_migrations')).toEqual([])
+  })
+})
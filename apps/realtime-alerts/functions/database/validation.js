@@ -0,0 +1,139 @@
+/**
+ * Input validation for database actions
+ * Every action's `data` goes through its validator before touching the database;
+ * validators return the normalized input or throw a ValidationError (HTTP 400).
+ */
+
+export class ValidationError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ValidationError'
+  }
+}
+
+const MAX_LIMIT = 1000
+const MAX_JSON_BYTES = 256 * 1024
+const PAIR_PATTERN = /^[A-Z0-9]{1,12}\/?[A-Z0-9]{1,12}$/i
+const NAME_PATTERN = /^[\w./:-]+$/
+
+function requireString(data, field, { max = 255, pattern } = {}) {
+  const value = data[field]
+  if (typeof value !== 'string' || value.trim() === '') {
+    throw new ValidationError(`${field} must be a non-empty string`)
+  }
+  const trimmed = value.trim()
+  if (trimmed.length > max) {
+    throw new ValidationError(`${field} must be at most ${max} characters`)
+  }
+  if (pattern && !pattern.test(trimmed)) {
+    throw new ValidationError(`${field} has an invalid format`)
+  }
+  return trimmed
+}
+
+function optionalString(data, field, options) {
+  return data[field] === null || data[field] === undefined ? null : requireString(data, field, options)
+}
+
+function requireNumber(value, field, { positive = false } = {}) {
+  const number = typeof value === 'string' ? Number(value) : value
+  if (typeof number !== 'number' || !Number.isFinite(number)) {
+    throw new ValidationError(`${field} must be a finite number`)
+  }
+  if (positive && number <= 0) {
+    throw new ValidationError(`${field} must be greater than zero`)
+  }
+  return number
+}
+
+function requireObject(value, field) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) {
+    throw new ValidationError(`${field} must be an object`)
+  }
+  if (JSON.stringify(value).length > MAX_JSON_BYTES) {
+    throw new ValidationError(`${field} is too large`)
+  }
+  return value
+}
+
+function limitOf(data, fallback) {
+  if (data.limit === undefined || data.limit === null) return fallback
+  const limit = Number(data.limit)
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    throw new ValidationError(`limit must be an integer between 1 and ${MAX_LIMIT}`)
+  }
+  return limit
+}
+
+const symbolAndInterval = data => ({
+  symbol: requireString(data, 'symbol', { max: 32, pattern: NAME_PATTERN }),
+  interval: requireString(data, 'interval', { max: 32, pattern: NAME_PATTERN })
+})
+
+export const VALIDATORS = {
+  testConnection: () => ({}),
+  getStats: () => ({}),
+
+  storePriceData: data => ({
+    pairName: requireString(data, 'pairName', { max: 25, pattern: PAIR_PATTERN }),
+    price: requireNumber(data.price, 'price', { positive: true })
+  }),
+
+  getPriceHistory: data => ({
+    pairName: requireString(data, 'pairName', { max: 25, pattern: PAIR_PATTERN }),
+    limit: limitOf(data, 100)
+  }),
+
+  storeConnectionLog: data => ({
+    eventType: requireString(data, 'eventType', { max: 64, pattern: NAME_PATTERN }),
+    message: requireString(data, 'message', { max: 2000 }),
+    status: optionalString(data, 'status', { max: 32 })
+  }),
+
+  getConnectionLogs: data => ({
+    limit: limitOf(data, 50)
+  }),
+
+  storeTechnicalIndicators: data => ({
+    ...symbolAndInterval(data),
+    indicators: requireObject(data.indicators, 'indicators')
+  }),
+
+  getTechnicalIndicators: data => ({
+    ...symbolAndInterval(data),
+    limit: limitOf(data, 10)
+  }),
+
+  storeTechnicalAnalysis: data => {
+    const analysis = requireObject(data.analysis, 'analysis')
+    const overall = requireObject(analysis.overall, 'analysis.overall')
+    return {
+      analysis,
+      symbol: optionalString(analysis, 'symbol', { max: 32, pattern: NAME_PATTERN }),
+      interval: optionalString(analysis, 'interval', { max: 32, pattern: NAME_PATTERN }),
+      recommendation: requireString(overall, 'recommendation', { max: 32 }),
+      rating: requireNumber(overall.rating, 'analysis.overall.rating'),
+      currentPrice: analysis.currentPrice === null || analysis.currentPrice === undefined
+        ? null
+        : requireNumber(analysis.currentPrice, 'analysis.currentPrice')
+    }
+  },
+
+  getTechnicalAnalysis: data => ({
+    limit: limitOf(data, 10)
+  }),
+
+  storeAnalysisSession: data => ({
+    ...symbolAndInterval(data),
+    status: requireString(data, 'status', { max: 32, pattern: NAME_PATTERN }),
+    metadata: data.metadata === undefined || data.metadata === null ? {} : requireObject(data.metadata, 'metadata')
+  }),
+
+  getAnalysisSessions: data => ({
+    limit: limitOf(data, 20)
+  })
+}
+
+export function validate(action, data) {
+  return VALIDATORS[action](data && typeof data === 'object' ? data : {})
+}
@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest'
+import { validate, ValidationError } from './validation.js'
+
+describe('database validation', () => {
+  it('normalizes valid input', () => {
+    expect(validate('storePriceData', { pairName: ' BTC/USD ', price: '64250.5' })).toEqual({ pairName: 'BTC/USD', price: 64250.5 })
+    expect(validate('getPriceHistory', { pairName: 'ETHUSD' })).toEqual({ pairName: 'ETHUSD', limit: 100 })
+    expect(validate('storeConnectionLog', { eventType: 'open', message: 'Connected' })).toEqual({ eventType: 'open', message: 'Connected', status: null })
+  })
+
+  it('rejects missing, malformed and out-of-range fields', () => {
+    expect(() => validate('storePriceData', { pairName: 'BTC/USD', price: 0 })).toThrow(/greater than zero/)
+    expect(() => validate('storePriceData', { pairName: 'BTC/USD', price: 'NaN' })).toThrow(/finite number/)
+    expect(() => validate('storePriceData', { pairName: 'BTC USD; DROP', price: 1 })).toThrow(/invalid format/)
+    expect(() => validate('getConnectionLogs', { limit: 5000 })).toThrow(/between 1 and 1000/)
+    expect(() => validate('storeTechnicalIndicators', { symbol: 'IBM', interval: 'daily', indicators: [] })).toThrow(ValidationError)
+  })
+
+  it('needs an overall rating to store an analysis', () => {
+    const analysis = { symbol: 'BTC/USD', interval: '1h', currentPrice: 64000, overall: { recommendation: 'BUY', rating: 0.3 } }
+    expect(validate('storeTechnicalAnalysis', { analysis })).toMatchObject({ symbol: 'BTC/USD', recommendation: 'BUY', rating: 0.3, currentPrice: 64000 })
+    expect(() => validate('storeTechnicalAnalysis', { analysis: { ...analysis, overall: null } })).toThrow(/analysis.overall must be an object/)
+  })
+
+  it('treats a missing body as empty input', () => {
+    expect(validate('getStats', null)).toEqual({})
+    expect(() => validate('storePriceData', undefined)).toThrow(/pairName must be a non-empty string/)
+  })
+})
@@ -0,0 +1,238 @@
+/**
+ * Gemini Netlify Function
+ * Holds GEMINI_API_KEY server-side and enforces the RPM / RPD limits from GEMINI_CONFIG.
+ *
+ *   POST { prompt, model?, generationConfig?, stream? }
+ *     stream: false → `{ success, data: { text, usage, model, finishReason, timestamp }, error }`
+ *     stream: true  → text/event-stream with `token` events ({ text }) as Gemini
+ *                     produces them, then one `done` (same shape as data above) or `error`
+ *   GET → whether the key is configured, the allowed models and the remaining quota
+ *
+ * Written against the web Request/Response function API, which can stream.
+ * Quota errors are answered before any stream starts: 429 `{ error: 'rate_limited', retryAfter }`.
+ */
+
+import { GEMINI_CONFIG } from '../../src/gemini/config.js'
+import { readServerSentEvents } from '../../src/api/serverSentEvents.js'
+import { RequestQuota, RateLimitError } from '../shared/quota.js'
+
+const quota = new RequestQuota({
+  service: 'Gemini',
+  perMinute: GEMINI_CONFIG.requestsPerMinute,
+  perDay: GEMINI_CONFIG.requestsPerDay,
+  maxWaitMs: 3000
+})
+
+class InvalidRequestError extends Error {}
+
+class UpstreamError extends Error {
+  constructor(message, status) {
+    super(message)
+    this.status = status
+  }
+}
+
+function json(status, body, headers = {}) {
+  return new Response(JSON.stringify({ success: status === 200, data: null, error: null, ...body }), {
+    status,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers }
+  })
+}
+
+function numberIn(value, name, min, max, { integer = false } = {}) {
+  if (value === undefined || value === null) return undefined
+  const number = Number(value)
+  if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+    throw new InvalidRequestError(`${name} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}`)
+  }
+  return number
+}
+
+function parseRequest(body) {
+  const { prompt, model = GEMINI_CONFIG.model, generationConfig = {}, stream = false } = body || {}
+
+  if (typeof prompt !== 'string' || prompt.trim() === '') {
+    throw new InvalidRequestError('prompt must be a non-empty string')
+  }
+  if (prompt.length > GEMINI_CONFIG.maxPromptLength) {
+    throw new InvalidRequestError(`prompt must be at most ${GEMINI_CONFIG.maxPromptLength} characters`)
+  }
+  if (!GEMINI_CONFIG.allowedModels.includes(model)) {
+    throw new InvalidRequestError(`model must be one of ${GEMINI_CONFIG.allowedModels.join(', ')}`)
+  }
+
+  return {
+    model,
+    stream: stream === true,
+    payload: {
+      contents: [{ parts: [{ text: prompt }] }],
+      generationConfig: {
+        temperature: numberIn(generationConfig.temperature, 'temperature', 0, 2) ?? GEMINI_CONFIG.temperature,
+        topP: numberIn(generationConfig.topP, 'topP', 0, 1) ?? GEMINI_CONFIG.topP,
+        topK: numberIn(generationConfig.topK, 'topK', 1, 100, { integer: true }) ?? GEMINI_CONFIG.topK,
+        maxOutputTokens: numberIn(generationConfig.maxOutputTokens, 'maxOutputTokens', 1, GEMINI_CONFIG.maxTokens, { integer: true }) ?? GEMINI_CONFIG.maxTokens
+      }
+    }
+  }
+}
+
+async function callGemini({ model, stream, payload }, apiKey, signal) {
+  await quota.acquire()
+
+  const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent'
+  const response = await fetch(`${GEMINI_CONFIG.baseUrl}/models/${model}:${method}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+    body: JSON.stringify(payload),
+    signal
+  })
+
+  if (response.status === 429) {
+    quota.exhaust('minute')
+    throw new RateLimitError('minute', 60 * 1000, 'Gemini')
+  }
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}))
+    throw new UpstreamError(errorData.error?.message || response.statusText, response.status)
+  }
+  return response
+}
+
+// Text of one generateContent response or stream chunk
+function extractText(chunk) {
+  return chunk.candidates?.[0]?.content?.parts?.map(part => part.text || '').join('') || ''
+}
+
+function completion(model, text, chunk) {
+  return {
+    text,
+    usage: chunk?.usageMetadata || null,
+    model,
+    finishReason: chunk?.candidates?.[0]?.finishReason || null,
+    timestamp: new Date().toISOString()
+  }
+}
+
+// Aborts when any of the signals does. AbortSignal.any does this but needs Node 20.3,
+// newer than some function runtimes.
+function anySignal(signals) {
+  const controller = new AbortController()
+  for (const signal of signals) {
+    if (signal.aborted) {
+      controller.abort(signal.reason)
+      break
+    }
+    signal.addEventListener('abort', () => controller.abort(signal.reason), { once: true })
+  }
+  return controller.signal
+}
+
+function streamResponse(upstream, model, abort) {
+  const encoder = new TextEncoder()
+  const send = (controller, event, data) => controller.enqueue(encoder.encode(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`))
+
+  const body = new ReadableStream({
+    async start(controller) {
+      let text = ''
+      let last = null
+      try {
+        for await (const { data } of readServerSentEvents(upstream.body)) {
+          const chunk = JSON.parse(data)
+          const piece = extractText(chunk)
+          if (piece) {
+            text += piece
+            send(controller, 'token', { text: piece })
+          }
+          last = { usageMetadata: chunk.usageMetadata || last?.usageMetadata, candidates: chunk.candidates || last?.candidates }
+        }
+        send(controller, 'done', completion(model, text, last))
+      } catch (error) {
+        if (!abort.signal.aborted) {
+          console.error('Gemini stream failed:', error)
+          send(controller, 'error', { error: 'upstream_error', message: 'Gemini stream was interrupted' })
+        }
+      }
+      controller.close()
+    },
+    cancel() {
+      abort.abort()
+    }
+  })
+
+  return new Response(body, {
+    status: 200,
+    headers: {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-store',
+      'X-Accel-Buffering': 'no'
+    }
+  })
+}
+
+export default async (request) => {
+  const apiKey = process.env.GEMINI_API_KEY
+
+  if (request.method === 'OPTIONS') {
+    return new Response(null, { status: 204, headers: { Allow: 'GET, POST, OPTIONS' } })
+  }
+  if (request.method === 'GET') {
+    return json(200, {
+      data: {
+        configured: Boolean(apiKey),
+        model: GEMINI_CONFIG.model,
+        allowedModels: GEMINI_CONFIG.allowedModels,
+        limits: { requestsPerMinute: GEMINI_CONFIG.requestsPerMinute, requestsPerDay: GEMINI_CONFIG.requestsPerDay },
+        quota: quota.getStatus()
+      }
+    })
+  }
+  if (request.method !== 'POST') {
+    return json(405, { error: 'method_not_allowed', message: 'Use GET or POST' })
+  }
+  if (!apiKey) {
+    return json(500, { error: 'not_configured', message: 'GEMINI_API_KEY is not set' })
+  }
+
+  let parsed
+  try {
+    parsed = parseRequest(await request.json())
+  } catch (error) {
+    const message = error instanceof InvalidRequestError ? error.message : 'Request body must be valid JSON'
+    return json(400, { error: 'invalid_request', message })
+  }
+
+  const abort = new AbortController()
+  const signal = anySignal([abort.signal, AbortSignal.timeout(GEMINI_CONFIG.timeout)])
+
+  try {
+    const upstream = await callGemini(parsed, apiKey, signal)
+    if (parsed.stream) {
+      return streamResponse(upstream, parsed.model, abort)
+    }
+
+    const data = await upstream.json()
+    const text = extractText(data)
+    if (!text) {
+      throw new UpstreamError(data.promptFeedback?.blockReason ? `Prompt blocked: ${data.promptFeedback.blockReason}` : 'No text in response', 502)
+    }
+    return json(200, { data: completion(parsed.model, text, data) })
+  } catch (error) {
+    if (error instanceof RateLimitError) {
+      return json(429, {
+        error: 'rate_limited',
+        message: error.message,
+        scope: error.scope,
+        retryAfter: error.retryAfter,
+        quota: quota.getStatus()
+      }, { 'Retry-After': String(error.retryAfter) })
+    }
+    if (error instanceof UpstreamError) {
+      return json(502, { error: 'upstream_error', message: `Gemini: ${error.message}` })
+    }
+    if (error.name === 'TimeoutError' || error.name === 'AbortError') {
+      return json(504, { error: 'timeout', message: 'Gemini did not answer in time' })
+    }
+    console.error('Gemini request failed:', error)
+    return json(502, { error: 'upstream_error', message: 'Gemini request failed' })
+  }
+}
@@ -0,0 +1,108 @@
+/**
+ * Upstream request quota
+ * Free API keys (Alpha Vantage, Gemini) allow a handful of calls per minute and a
+ * daily budget. Calls wait in a FIFO queue for a free slot in the rolling one-minute
+ * window; if that wait would be longer than `maxWaitMs` (functions have a short
+ * timeout), or the daily budget is spent, acquire() rejects with a RateLimitError
+ * telling the caller when to retry.
+ *
+ * State lives in the function instance, so concurrent instances each count on their
+ * own; the upstream's own "rate limit" answers are fed back through exhaust() to catch that.
+ */
+
+const MINUTE_MS = 60 * 1000
+
+export class RateLimitError extends Error {
+  constructor(scope, retryAfterMs, service = 'Upstream') {
+    super(scope === 'day'
+      ? `${service} daily request quota is used up`
+      : `${service} per-minute request quota is used up`)
+    this.name = 'RateLimitError'
+    this.scope = scope
+    this.retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000))  // seconds
+  }
+}
+
+// Daily allowances reset at midnight (UTC for Alpha Vantage, Pacific for Gemini); UTC is close enough
+function msUntilNextUtcDay(now) {
+  const date = new Date(now)
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1) - now
+}
+
+const utcDay = now => new Date(now).toISOString().slice(0, 10)
+
+export class RequestQuota {
+  constructor({ service, perMinute = 5, perDay = 25, maxWaitMs = 5000, now = Date.now } = {}) {
+    this.service = service
+    this.perMinute = perMinute
+    this.perDay = perDay
+    this.maxWaitMs = maxWaitMs
+    this.now = now
+    this.recent = []                          // start times of calls in the last minute
+    this.day = { date: utcDay(now()), count: 0 }
+    this.tail = Promise.resolve()
+  }
+
+  /**
+   * Wait for a slot and claim it. Resolves when the caller may send its request.
+   */
+  acquire() {
+    const enqueuedAt = this.now()
+    const turn = this.tail.then(() => this.waitForSlot(enqueuedAt))
+    this.tail = turn.catch(() => {})
+    return turn
+  }
+
+  async waitForSlot(enqueuedAt) {
+    for (;;) {
+      const now = this.now()
+      this.prune(now)
+
+      if (this.day.count >= this.perDay) {
+        throw new RateLimitError('day', msUntilNextUtcDay(now), this.service)
+      }
+      if (this.recent.length < this.perMinute) {
+        this.recent.push(now)
+        this.day.count++
+        return
+      }
+
+      const wait = this.recent[0] + MINUTE_MS - now
+      if (now + wait - enqueuedAt > this.maxWaitMs) {
+        throw new RateLimitError('minute', wait, this.service)
+      }
+      await new Promise(resolve => setTimeout(resolve, wait))
+    }
+  }
+
+  /**
+   * Alpha Vantage said we're over the limit even though our count disagrees
+   * (another instance used the key); treat the scope as spent.
+   * Returns the milliseconds until the scope's window frees up again.
+   */
+  exhaust(scope) {
+    const now = this.now()
+    this.prune(now)
+    if (scope === 'day') {
+      this.day.count = this.perDay
+      return msUntilNextUtcDay(now)
+    }
+    while (this.recent.length < this.perMinute) this.recent.push(now)
+    return this.recent[0] + MINUTE_MS - now
+  }
+
+  prune(now) {
+    while (this.recent.length > 0 && this.recent[0] <= now - MINUTE_MS) this.recent.shift()
+    const today = utcDay(now)
+    if (this.day.date !== today) this.day = { date: today, count: 0 }
+  }
+
+  getStatus() {
+    const now = this.now()
+    this.prune(now)
+    return {
+      minuteRemaining: Math.max(0, this.perMinute - this.recent.length),
+      dayRemaining: Math.max(0, this.perDay - this.day.count)
+    }
+  }
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest'
+import { RequestQuota, RateLimitError } from './quota.js'
+
+// 2026-03-14 23:30 UTC, half an hour before the daily allowance resets
+const LATE_EVENING = Date.UTC(2026, 2, 14, 23, 30)
+
+function quotaAt(start, options) {
+  const clock = { now: start }
+  const quota = new RequestQuota({ service: 'Test', now: () => clock.now, ...options })
+  return { quota, clock }
+}
+
+describe('RequestQuota', () => {
+  it('counts calls against the minute and the day', async () => {
+    const { quota } = quotaAt(LATE_EVENING, { perMinute: 3, perDay: 10 })
+    await quota.acquire()
+    await quota.acquire()
+    expect(quota.getStatus()).toEqual({ minuteRemaining: 1, dayRemaining: 8 })
+  })
+
+  it('rejects with the time until midnight UTC once the day is spent', async () => {
+    const { quota } = quotaAt(LATE_EVENING, { perMinute: 5, perDay: 1 })
+    await quota.acquire()
+
+    const error = await quota.acquire().catch(e => e)
+    expect(error).toBeInstanceOf(RateLimitError)
+    expect(error.scope).toBe('day')
+    expect(error.retryAfter).toBe(30 * 60)
+  })
+
+  it('starts a new day at midnight UTC', async () => {
+    const { quota, clock } = quotaAt(LATE_EVENING, { perMinute: 5, perDay: 1 })
+    await quota.acquire()
+    await expect(quota.acquire()).rejects.toThrow(RateLimitError)
+
+    clock.now = Date.UTC(2026, 2, 15, 0, 0, 1)
+    await expect(quota.acquire()).resolves.toBeUndefined()
+    expect(quota.getStatus().dayRemaining).toBe(0)
+  })
+
+  it('rejects a per-minute wait longer than maxWaitMs with the time until a slot frees', async () => {
+    const { quota, clock } = quotaAt(LATE_EVENING, { perMinute: 1, perDay: 10, maxWaitMs: 5000 })
+    await quota.acquire()
+    clock.now += 20 * 1000
+
+    const error = await quota.acquire().catch(e => e)
+    expect(error.scope).toBe('minute')
+    expect(error.retryAfter).toBe(40)
+  })
+
+  it('returns the time until the window frees when an upstream limit is reported', () => {
+    const { quota, clock } = quotaAt(LATE_EVENING, { perMinute: 5, perDay: 25 })
+    expect(quota.exhaust('day')).toBe(30 * 60 * 1000)
+    expect(quota.getStatus().dayRemaining).toBe(0)
+
+    clock.now += 1000
+    expect(quota.exhaust('minute')).toBe(60 * 1000)
+    expect(quota.getStatus().minuteRemaining).toBe(0)
+  })
+})
@@ -12,7 +12,7 @@ import {
 
 export default function DatabaseTest() {
   const [dbStatus, setDbStatus] = useState('unknown')
-  const [dbStats, setDbStats] = useState({ priceRecords: 0, logRecords: 0, alertRecords: 0, analysisRecords: 0 })
+  const [dbStats, setDbStats] = useState({ priceRecords: 0, logRecords: 0, sessionRecords: 0, analysisRecords: 0 })
   const [priceHistory, setPriceHistory] = useState([])
   const [connectionLogs, setConnectionLogs] = useState([])
   const [technicalAnalysis, setTechnicalAnalysis] = useState([])
@@ -141,8 +141,8 @@ export default function DatabaseTest() {
             <div className="stat-label">Connection Logs</div>
           </div>
           <div className="stat-item">
-            <div className="stat-value">{dbStats.alertRecords}</div>
-            <div className="stat-label">Alerts</div>
+            <div className="stat-value">{dbStats.sessionRecords}</div>
+            <div className="stat-label">Analysis Sessions</div>
           </div>
           <div className="stat-item">
             <div className="stat-value">{dbStats.analysisRecords}</div>
@@ -1,4 +1,15 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react'
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react'
+import { krakenPairsCache } from './feed/krakenPairsCache.js'
+import { ohlcUrl, parseOHLCResponse, toChronological } from './analysis/ohlc.js'
+import { detectPatterns } from './analysis/candlestickPatterns.js'
+import { findZones } from './analysis/supportResistance.js'
+import { riskMetrics, RISK_WINDOW } from './analysis/risk.js'
+import { alertEngine } from './alerts/AlertEngine.js'
+import { getPriceDecimals } from './feed/pairFormat.js'
+import { TechnicalAnalysisService, ratingLevel } from './api/TechnicalAnalysis.js'
+import { scoringProfiles, RATING_GROUPS } from './analysis/scoringProfiles.js'
+import { useScoringProfiles, useRiskMetrics } from './feed/useKrakenFeed.js'
+import CandlestickChart from './components/CandlestickChart.jsx'
 
 // Kraken REST API endpoints
 const KRAKEN_REST_API = 'https://api.kraken.com/0/public'
@@ -23,8 +34,20 @@ const TIME_INTERVALS = [
 // Cache configuration
 const CACHE_DURATION = 5 * 60 * 1000 // 5 minutes cache
 const RATE_LIMIT_DELAY = 500 // 500ms between requests (2 req/sec max)
+const DEFAULT_PAIR = 'BTC/USD'
+const PATTERN_LIST_MAX = 20 // most recent candlestick patterns listed under the chart
+const ZONE_ALERT_PERCENT = 0.5 // "approaching level" alerts created from a zone fire this close to it
 
-export default function HistoricalData({ onDataUpdate }) {
+const REGIME_HIGHLIGHT = 2 // volatility this many times (or this fraction of) its average is highlighted
+
+const formatPercent = value => value == null ? 'n/a' : `${(value * 100).toFixed(2)}%`
+const formatRatio = value => value == null ? 'n/a' : value.toFixed(2)
+
+// Ratings are computed from the candles on screen, so this service never makes a request
+const technicalAnalysis = new TechnicalAnalysisService({ source: 'local' })
+
+export default function HistoricalData({ pairs = [], onDataUpdate }) {
+  const [selectedPair, setSelectedPair] = useState(DEFAULT_PAIR)
   const [historicalData, setHistoricalData] = useState([])
   const [loading, setLoading] = useState(false)
   const [error, setError] = useState(null)
@@ -32,13 +55,14 @@ export default function HistoricalData({ onDataUpdate }) {
   const [lastFetchTime, setLastFetchTime] = useState(0)
   const [cacheStatus, setCacheStatus] = useState('')
   const [currentRealTimePrice, setCurrentRealTimePrice] = useState(null) // Add real-time price state
+  const [zoneAlertMessage, setZoneAlertMessage] = useState(null)
 
   // Refs for caching and rate limiting
   const dataCache = useRef(new Map())
   const lastRequestTime = useRef(0)
 
   // Generate cache key
-  const getCacheKey = useCallback((interval, count) => `${interval}-${count}`, [])
+  const getCacheKey = useCallback((pair, interval, count) => `${pair}-${interval}-${count}`, [])
 
   // Check if data is fresh in cache
   const isDataFresh = useCallback((cacheKey) => {
@@ -93,21 +117,22 @@ export default function HistoricalData({ onDataUpdate }) {
   // Fetch real-time current price from ticker API
   const fetchRealTimePrice = useCallback(async () => {
     try {
-      const data = await rateLimitedFetch(`${KRAKEN_REST_API}/Ticker?pair=XBTUSD`)
+      const data = await rateLimitedFetch(`${KRAKEN_REST_API}/Ticker?pair=${krakenPairsCache.getRestName(selectedPair)}`)
       if (data.error && data.error.length > 0) {
         console.warn('Failed to fetch real-time price:', data.error)
         return
       }
       
-      const currentPrice = parseFloat(data.result?.XXBTZUSD?.c?.[0] || 0)
+      // Keyed by the canonical REST name (XXBTZUSD), and only the requested pair is in it
+      const currentPrice = parseFloat(Object.values(data.result || {})[0]?.c?.[0] || 0)
       if (currentPrice > 0) {
         setCurrentRealTimePrice(currentPrice)
-        console.log('Real-time BTC price:', currentPrice)
+        console.log(`Real-time ${selectedPair} price:`, currentPrice)
       }
     } catch (err) {
       console.warn('Failed to fetch real-time price:', err.message)
     }
-  }, [rateLimitedFetch])
+  }, [rateLimitedFetch, selectedPair])
 
   // Get the selected interval configuration
   const getSelectedIntervalConfig = useCallback(() => {
@@ -126,7 +151,7 @@ export default function HistoricalData({ onDataUpdate }) {
   const fetchHistoricalData = useCallback(async (forceRefresh = false) => {
     const intervalConfig = getSelectedIntervalConfig()
     const maxPoints = getMaxDataPoints()
-    const cacheKey = getCacheKey(selectedInterval, maxPoints)
+    const cacheKey = getCacheKey(selectedPair, selectedInterval, maxPoints)
     
     // Debug cache key and maxPoints
     console.log('🔍 Cache and Data Points Debug:')
@@ -204,33 +229,14 @@ export default function HistoricalData({ onDataUpdate }) {
       console.log('  - Current time:', Math.floor(Date.now() / 1000))
       console.log('  - Current time (human):', new Date().toLocaleString())
       
-      const data = await rateLimitedFetch(
-        `${KRAKEN_REST_API}/OHLC?pair=XBTUSD&interval=${intervalConfig.interval}&count=${maxPoints}&since=${sinceTimestamp}`
-      )
-      
-      if (data.error && data.error.length > 0) {
-        throw new Error(`Kraken API error: ${data.error.join(', ')}`)
-      }
+      const data = await rateLimitedFetch(ohlcUrl(selectedPair, { interval: intervalConfig.interval, since: sinceTimestamp }))
       
       // Debug: Log the raw API response
       console.log('🔍 Raw Kraken API Response:')
       console.log('  - Result keys:', Object.keys(data.result || {}))
-      console.log('  - XXBTZUSD data length:', data.result?.XXBTZUSD?.length || 0)
-      console.log('  - First few raw entries:', data.result?.XXBTZUSD?.slice(0, 3) || [])
-      console.log('  - Last few raw entries:', data.result?.XXBTZUSD?.slice(-3) || [])
       
-      // Parse the OHLC data
-      const ohlcData = data.result?.XXBTZUSD || []
-      const parsedData = ohlcData.map(([time, open, high, low, close, vwap, volume, count]) => ({
-        time: new Date(time * 1000),
-        open: parseFloat(open),
-        high: parseFloat(high),
-        low: parseFloat(low),
-        close: parseFloat(close),
-        vwap: parseFloat(vwap),
-        volume: parseFloat(volume),
-        count: parseInt(count)
-      }))
+      // Parse the OHLC data (throws on Kraken API errors)
+      const parsedData = parseOHLCResponse(data)
       
       // Debug: Log the parsed data
       console.log('🔍 Parsed Data Debug:')
@@ -253,7 +259,7 @@ export default function HistoricalData({ onDataUpdate }) {
       setLastFetchTime(Date.now())
       setCacheStatus(`Fresh data fetched at ${new Date().toLocaleTimeString()}`)
       
-      console.log(`Fetched ${chronologicalData.length} recent data points for BTC/USD (${selectedInterval} period)`)
+      console.log(`Fetched ${chronologicalData.length} recent data points for ${selectedPair} (${selectedInterval} period)`)
       
       // Debug: Log first and last data points to verify ordering and time coverage
       if (chronologicalData.length > 0) {
@@ -280,18 +286,23 @@ export default function HistoricalData({ onDataUpdate }) {
     } finally {
       setLoading(false)
     }
-  }, [selectedInterval, getCacheKey, isDataFresh, getCachedData, storeInCache, rateLimitedFetch, getSelectedIntervalConfig])
+  }, [selectedPair, selectedInterval, getCacheKey, isDataFresh, getCachedData, storeInCache, rateLimitedFetch, getSelectedIntervalConfig])
+
+  // A price for the previous pair must not be shown against the new one
+  useEffect(() => {
+    setCurrentRealTimePrice(null)
+  }, [selectedPair])
 
   // Fetch data when component mounts or parameters change
   useEffect(() => {
     fetchHistoricalData()
     fetchRealTimePrice() // Also fetch real-time price
-  }, [selectedInterval, fetchHistoricalData, fetchRealTimePrice])
+  }, [selectedPair, selectedInterval, fetchHistoricalData, fetchRealTimePrice])
 
   // Notify parent component when historical data changes
   useEffect(() => {
     if (onDataUpdate && historicalData.length > 0) {
-      onDataUpdate(historicalData)
+      onDataUpdate(historicalData, selectedPair)
     }
   }, [historicalData, onDataUpdate])
 
@@ -494,14 +505,80 @@ export default function HistoricalData({ onDataUpdate }) {
 
   const stats = calculateStats()
   const intervalConfig = getSelectedIntervalConfig()
+  const baseAsset = selectedPair.split('/')[0]
+  const pairOptions = pairs.some(p => p.id === DEFAULT_PAIR) ? pairs : [{ id: DEFAULT_PAIR, displayName: DEFAULT_PAIR }, ...pairs]
+
+  // Candles oldest first for the chart, with the candlestick patterns found in them
+  const chartCandles = useMemo(() => toChronological(historicalData), [historicalData])
+  const patterns = useMemo(() => detectPatterns(chartCandles), [chartCandles])
+
+  // Volatility and risk of the candles on screen; the watched pairs table uses hourly candles
+  const risk = useMemo(() => riskMetrics(chartCandles, { interval: intervalConfig.interval }), [chartCandles, intervalConfig.interval])
+  const watchedRisk = useRiskMetrics()
+
+  // Support / resistance zones around the current price
+  const zones = useMemo(
+    () => findZones(chartCandles, { price: stats?.currentPrice ?? null }),
+    [chartCandles, stats?.currentPrice]
+  )
+
+  // "Approaching level" alert on the zone edge price reaches first
+  const createZoneAlert = useCallback((zone) => {
+    const edge = zone.type === 'support' ? zone.high : zone.low
+    const threshold = Number(edge.toFixed(getPriceDecimals(selectedPair)))
+    try {
+      alertEngine.addRule({
+        pairId: selectedPair,
+        type: 'near_level',
+        threshold,
+        percent: ZONE_ALERT_PERCENT,
+        note: `${zone.type} zone, strength ${zone.strength}`
+      })
+      const watched = pairs.some(p => p.id === selectedPair)
+      setZoneAlertMessage(`Alert added: ${selectedPair} within ${ZONE_ALERT_PERCENT}% of ${threshold}` +
+        (watched ? '' : ` — add ${selectedPair} to the watchlist for it to be checked`))
+    } catch (err) {
+      setZoneAlertMessage(`Could not add alert: ${err.message}`)
+    }
+  }, [selectedPair, pairs])
+
+  // Technical rating from the candles on screen (indicators computed locally, no Alpha Vantage),
+  // scored with the active profile
+  const { profiles: ratingProfiles, active: ratingProfile } = useScoringProfiles()
+  const technicalRating = useMemo(() => {
+    if (historicalData.length === 0) return null
+    technicalAnalysis.setCurrentPrice(stats?.currentPrice ?? null)
+    technicalAnalysis.loadCandles(historicalData, { symbol: selectedPair, interval: intervalConfig.interval })
+    return technicalAnalysis.calculateOverallRating()
+  }, [historicalData, stats?.currentPrice, selectedPair, intervalConfig.interval, ratingProfile])
+
+  // Largest contributions first
+  const ratingBreakdown = useMemo(() => technicalRating
+    ? [...technicalRating.breakdown].sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+    : [], [technicalRating])
 
 
 
   return (
     <div className="historical-data">
       <div className="historical-header">
-        <h3>BTC/USD Recent Data</h3>
+        <h3>{selectedPair} Recent Data</h3>
         <div className="historical-controls">
+          <div className="control-group">
+            <label>Pair:</label>
+            <select 
+              value={selectedPair} 
+              onChange={(e) => setSelectedPair(e.target.value)}
+              disabled={loading}
+            >
+              {pairOptions.map(pair => (
+                <option key={pair.id} value={pair.id}>
+                  {pair.displayName}
+                </option>
+              ))}
+            </select>
+          </div>
+          
           <div className="control-group">
             <label>Time Period:</label>
             <select 
@@ -615,9 +692,237 @@ export default function HistoricalData({ onDataUpdate }) {
           </div>
           <div className="stat-card">
             <div className="stat-label">Total Volume</div>
-            <div className="stat-value">{stats.totalVolume?.toFixed(2)} BTC</div>
-            <div className="stat-time">Avg: {stats.avgVolume?.toFixed(2)} BTC</div>
+            <div className="stat-value">{stats.totalVolume?.toFixed(2)} {baseAsset}</div>
+            <div className="stat-time">Avg: {stats.avgVolume?.toFixed(2)} {baseAsset}</div>
+          </div>
+        </div>
+      )}
+
+      {risk && (
+        <div className="risk-metrics">
+          <h4>
+            Volatility &amp; Risk <span className="small">annualized from {risk.candleCount} {risk.interval}m candles • VaR per candle</span>
+          </h4>
+          <div className="stats-grid">
+            <div className="stat-card">
+              <div className="stat-label">Realized Volatility</div>
+              <div className="stat-value">{formatPercent(risk.volatility.closeToClose)}</div>
+              <div className="stat-time">Parkinson: {formatPercent(risk.volatility.parkinson)}</div>
+              <div className="stat-time">Garman-Klass: {formatPercent(risk.volatility.garmanKlass)}</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-label">ATR (14)</div>
+              <div className="stat-value">
+                {risk.atr == null ? 'n/a' : `$${risk.atr.toLocaleString(undefined, { maximumFractionDigits: getPriceDecimals(selectedPair) })}`}
+              </div>
+              <div className="stat-time">{formatPercent(risk.atrPercent)} of price</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-label">Max Drawdown</div>
+              <div className={`stat-value ${risk.maxDrawdown.drawdown > 0 ? 'negative' : ''}`}>-{formatPercent(risk.maxDrawdown.drawdown)}</div>
+              {risk.maxDrawdown.peakTime && (
+                <div className="stat-time">
+                  {risk.maxDrawdown.peakTime.toLocaleString()} → {risk.maxDrawdown.troughTime.toLocaleString()}
+                </div>
+              )}
+            </div>
+            <div className="stat-card">
+              <div className="stat-label">Sharpe / Sortino</div>
+              <div className="stat-value">{formatRatio(risk.sharpe)} / {formatRatio(risk.sortino)}</div>
+              <div className="stat-time">
+                Last {risk.rollingWindow} candles: {formatRatio(risk.rollingSharpe)} / {formatRatio(risk.rollingSortino)}
+              </div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-label">Value at Risk</div>
+              <div className="stat-value">95%: {formatPercent(risk.var95)}</div>
+              <div className="stat-time">99%: {formatPercent(risk.var99)}</div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-label">Volatility Regime</div>
+              <div className={`stat-value ${risk.regime?.ratio >= REGIME_HIGHLIGHT ? 'negative' : ''}`}>
+                {risk.regime ? `${formatRatio(risk.regime.ratio)}x` : 'n/a'}
+              </div>
+              {risk.regime && (
+                <div className="stat-time">
+                  {formatPercent(risk.regime.current)} vs {formatPercent(risk.regime.average)} average
+                </div>
+              )}
+            </div>
+          </div>
+
+          {pairs.length > 0 && (
+            <table className="risk-table">
+              <thead>
+                <tr>
+                  <th>Watched pair (1h, 30d)</th>
+                  <th>Close-to-close</th>
+                  <th>Parkinson</th>
+                  <th>Garman-Klass</th>
+                  <th>ATR</th>
+                  <th>Max DD</th>
+                  <th>Sharpe ({RISK_WINDOW})</th>
+                  <th>Sortino ({RISK_WINDOW})</th>
+                  <th>VaR 95%</th>
+                  <th>Regime</th>
+                </tr>
+              </thead>
+              <tbody>
+                {pairs.map(pair => {
+                  const metrics = watchedRisk[pair.id]?.metrics
+                  if (!metrics) {
+                    return (
+                      <tr key={pair.id}>
+                        <td>{pair.displayName}</td>
+                        <td colSpan={9} className="small">Loading…</td>
+                      </tr>
+                    )
+                  }
+                  return (
+                    <tr key={pair.id}>
+                      <td>{pair.displayName}</td>
+                      <td>{formatPercent(metrics.volatility.closeToClose)}</td>
+                      <td>{formatPercent(metrics.volatility.parkinson)}</td>
+                      <td>{formatPercent(metrics.volatility.garmanKlass)}</td>
+                      <td>{formatPercent(metrics.atrPercent)}</td>
+                      <td>-{formatPercent(metrics.maxDrawdown.drawdown)}</td>
+                      <td>{formatRatio(metrics.rollingSharpe)}</td>
+                      <td>{formatRatio(metrics.rollingSortino)}</td>
+                      <td>{formatPercent(metrics.var95)}</td>
+                      <td>
+                        <span className={`badge ${metrics.regime?.ratio >= REGIME_HIGHLIGHT ? 'error' : metrics.regime?.ratio <= 1 / REGIME_HIGHLIGHT ? 'warn' : 'ok'}`}>
+                          {metrics.regime ? `${formatRatio(metrics.regime.ratio)}x` : 'n/a'}
+                        </span>
+                      </td>
+                    </tr>
+                  )
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+
+      {chartCandles.length > 0 && (
+        <div className="candlestick-patterns">
+          <h4>
+            Chart <span className="small">{patterns.length} candlestick patterns • ▲ bullish ▼ bearish ◆ doji</span>
+          </h4>
+          <CandlestickChart candles={chartCandles} patterns={patterns} zones={zones} />
+          <div className="zone-list">
+            <div className="label">Support &amp; Resistance</div>
+            {zones.length === 0 && <div className="small">No zones found in this period</div>}
+            {[...zones].sort((a, b) => b.price - a.price).map(zone => (
+              <div key={`${zone.low}-${zone.high}`} className="zone-row small">
+                <span className={`badge ${zone.type === 'support' ? 'ok' : 'error'}`}>
+                  {zone.type === 'support' ? 'Support' : 'Resistance'} {zone.strength}
+                </span>
+                <span>
+                  ${zone.low.toLocaleString(undefined, { maximumFractionDigits: getPriceDecimals(selectedPair) })}
+                  {' – '}${zone.high.toLocaleString(undefined, { maximumFractionDigits: getPriceDecimals(selectedPair) })}
+                </span>
+                <span>{zone.touches} touches • {zone.swings} swings • {zone.distancePercent >= 0 ? '+' : ''}{zone.distancePercent.toFixed(2)}%</span>
+                <button type="button" onClick={() => createZoneAlert(zone)}>Alert when near</button>
+              </div>
+            ))}
+            {zoneAlertMessage && <div className="small">{zoneAlertMessage}</div>}
+          </div>
+          <div className="pattern-list">
+            {patterns.length === 0 && <div className="small">No candlestick patterns in this period</div>}
+            {patterns.slice(-PATTERN_LIST_MAX).reverse().map(pattern => (
+              <div key={`${pattern.id}-${pattern.index}`} className="small">
+                <span className={`badge ${pattern.direction === 'bullish' ? 'ok' : pattern.direction === 'bearish' ? 'error' : 'warn'}`}>
+                  {pattern.name}
+                </span>
+                {' '}{pattern.time.toLocaleString()} • {Math.round(pattern.confidence * 100)}% confidence • close ${pattern.price.toLocaleString()}
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {technicalRating && (
+        <div className="technical-rating">
+          <h4>
+            Technical Rating <span className="small">computed locally from {historicalData.length} {intervalConfig.interval}m candles</span>
+          </h4>
+          <div className="row">
+            <label className="small">Scoring profile:</label>
+            <select value={ratingProfile.id} onChange={(e) => scoringProfiles.setActive(e.target.value)}>
+              {ratingProfiles.map(profile => (
+                <option key={profile.id} value={profile.id}>{profile.name}</option>
+              ))}
+            </select>
+          </div>
+          <div className="row">
+            <span className={`badge ${ratingLevel(technicalRating.rating)}`}>
+              {technicalRating.recommendation} ({technicalRating.rating.toFixed(2)})
+            </span>
+            <span className={`badge ${ratingLevel(technicalRating.movingAverages.rating)}`}>
+              Moving averages: {technicalRating.movingAverages.recommendation} ({technicalRating.movingAverages.indicatorCount})
+            </span>
+            <span className={`badge ${ratingLevel(technicalRating.oscillators.rating)}`}>
+              Oscillators: {technicalRating.oscillators.recommendation} ({technicalRating.oscillators.indicatorCount})
+            </span>
+            {technicalRating.patterns.indicatorCount > 0 && (
+              <span className={`badge ${ratingLevel(technicalRating.patterns.rating)}`}>
+                Patterns: {technicalRating.patterns.recommendation} ({technicalRating.patterns.indicatorCount})
+              </span>
+            )}
+            {technicalRating.divergences.indicatorCount > 0 && (
+              <span className={`badge ${ratingLevel(technicalRating.divergences.rating)}`}>
+                Divergences: {technicalRating.divergences.recommendation} ({technicalRating.divergences.indicatorCount})
+              </span>
+            )}
+          </div>
+          <div className="technical-periods">
+            {Object.entries(technicalRating.movingAverages.periods).map(([period, { SMA, EMA }]) => (
+              <div key={period} className="small">
+                {period}: SMA {SMA ? SMA.signal : 'n/a'} • EMA {EMA ? EMA.signal : 'n/a'}
+              </div>
+            ))}
+          </div>
+          <div className="technical-signals">
+            {Object.values(technicalRating.movingAverages.details)
+              .filter(signal => !/^[SE]MA\(/.test(signal.indicator))
+              .map(signal => (
+                <div key={signal.indicator} className={`small ${signal.enabled === false ? 'muted' : ''}`}>
+                  {signal.indicator}: {signal.signal} — {signal.reason}{signal.enabled === false ? ' (off)' : ''}
+                </div>
+              ))}
+            {[technicalRating.oscillators, technicalRating.patterns, technicalRating.divergences].flatMap(group => Object.values(group.details)).map(signal => (
+              <div key={signal.indicator} className={`small ${signal.enabled === false ? 'muted' : ''}`}>
+                {signal.indicator}: {signal.signal} — {signal.reason}{signal.enabled === false ? ' (off)' : ''}
+              </div>
+            ))}
           </div>
+          <details className="rating-breakdown">
+            <summary className="label">Contributions to {technicalRating.recommendation} ({ratingBreakdown.length} indicators)</summary>
+            <table>
+              <thead>
+                <tr>
+                  <th>Indicator</th>
+                  <th>Group</th>
+                  <th>Signal</th>
+                  <th>Weight</th>
+                  <th>Contribution</th>
+                </tr>
+              </thead>
+              <tbody>
+                {ratingBreakdown.map((entry, i) => (
+                  <tr key={`${entry.group}-${entry.indicator}-${i}`}>
+                    <td>{entry.indicator}</td>
+                    <td>{RATING_GROUPS[entry.group]}</td>
+                    <td>{entry.signal} ({entry.rating.toFixed(2)})</td>
+                    <td>{(entry.weight * 100).toFixed(1)}%</td>
+                    <td className={entry.contribution > 0 ? 'positive' : entry.contribution < 0 ? 'negative' : ''}>
+                      {entry.contribution >= 0 ? '+' : ''}{entry.contribution.toFixed(3)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </details>
         </div>
       )}
 
@@ -1,6 +1,12 @@
 import React, { useState, useEffect } from 'react'
+import { usePrice } from './feed/useKrakenFeed.js'
+import { formatPrice, formatQty, getCostStep, getPriceStep, validateOrder } from './feed/pairFormat.js'
+
+export default function ProfitLossTracker() {
+  // Live prices straight from the shared Kraken feed
+  const currentBtcPrice = usePrice('BTC/USD')
+  const currentBtcUsdcPrice = usePrice('BTC/USDC')
 
-export default function ProfitLossTracker({ currentBtcPrice, currentBtcUsdcPrice }) {
   const [dollarAmount, setDollarAmount] = useState('')
   const [strikePrice, setStrikePrice] = useState('')
   const [btcAmount, setBtcAmount] = useState(0)
@@ -17,6 +23,10 @@ export default function ProfitLossTracker({ currentBtcPrice, currentBtcUsdcPrice
 
   // Get the current BTC price based on selection
   const currentBtcPriceValue = selectedPriceType === 'USD' ? currentBtcPrice : currentBtcUsdcPrice
+  const selectedPairId = selectedPriceType === 'USD' ? 'BTC/USD' : 'BTC/USDC'
+
+  // Kraken's minimum order size / value for the selected pair
+  const orderErrors = btcAmount > 0 ? validateOrder(selectedPairId, { qty: btcAmount, price: parseFloat(strikePrice) }) : []
 
   // Calculate BTC amount and total cost when dollar amount or strike price changes
   useEffect(() => {
@@ -102,10 +112,10 @@ export default function ProfitLossTracker({ currentBtcPrice, currentBtcUsdcPrice
             class="pnl-select"
           >
             <md-select-option value="USD">
-              <div slot="headline">BTC/USD: ${currentBtcPrice ? currentBtcPrice.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '—'}</div>
+              <div slot="headline">BTC/USD: ${currentBtcPrice ? formatPrice(currentBtcPrice, 'BTC/USD') : '—'}</div>
             </md-select-option>
             <md-select-option value="USDC">
-              <div slot="headline">BTC/USDC: ${currentBtcUsdcPrice ? currentBtcUsdcPrice.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '—'}</div>
+              <div slot="headline">BTC/USDC: ${currentBtcUsdcPrice ? formatPrice(currentBtcUsdcPrice, 'BTC/USDC') : '—'}</div>
             </md-select-option>
           </md-outlined-select>
         </div>
@@ -118,7 +128,7 @@ export default function ProfitLossTracker({ currentBtcPrice, currentBtcUsdcPrice
           <div className="pnl-input-wrapper">
             <md-outlined-text-field
               type="number"
-              step="0.01"
+              step={getCostStep(selectedPairId)}
               min="0"
               label="Purchase Amount"
               placeholder="1000.00"
@@ -130,9 +140,12 @@ export default function ProfitLossTracker({ currentBtcPrice, currentBtcUsdcPrice
           <div className="pnl-subtext">Dollars spent</div>
           {btcAmount > 0 && (
             <div className="pnl-btc-amount">
-              = {btcAmount.toFixed(8)} BTC
+              = {formatQty(btcAmount, selectedPairId)} BTC
             </div>
           )}
+          {orderErrors.map(error => (
+            <div key={error} className="pnl-order-warning">{error}</div>
+          ))}
         </div>
 
         {/* Column 2: Strike Price Input */}
@@ -141,7 +154,7 @@ export default function ProfitLossTracker({ currentBtcPrice, currentBtcUsdcPrice
           <div className="pnl-input-wrapper">
             <md-outlined-text-field
               type="number"
-              step="0.01"
+              step={getPriceStep(selectedPairId)}
               min="0"
               label="Strike Price"
               placeholder="40000.00"
@@ -235,13 +248,13 @@ export default function ProfitLossTracker({ currentBtcPrice, currentBtcUsdcPrice
           </div>
           <div className="summary-details">
             <span className="detail-item">Dollars: {formatCurrency(parseFloat(dollarAmount))}</span>
-            <span className="detail-item">BTC: {btcAmount.toFixed(8)}</span>
+            <span className="detail-item">BTC: {formatQty(btcAmount, selectedPairId)}</span>
             <span className="detail-item">Strike: {formatCurrency(parseFloat(strikePrice))}</span>
             <span className="detail-item">Total Cost: {formatCurrency(totalCost)}</span>
             <span className="detail-item">Current Value: {formatCurrency(currentValue)}</span>
             <span className="detail-item">After Fees: {formatCurrency(valueAfterSell)}</span>
             <span className="detail-item">Net P&L: {formatCurrency(valueAfterSell - totalCost)}</span>
-            <span className="detail-item">Price Source: {selectedPriceType} (${currentBtcPriceValue ? currentBtcPriceValue.toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 }) : '—'})</span>
+            <span className="detail-item">Price Source: {selectedPriceType} (${currentBtcPriceValue ? formatPrice(currentBtcPriceValue, selectedPairId) : '—'})</span>
           </div>
         </div>
       )}
@@ -0,0 +1,626 @@
+/**
+ * Alert Engine
+ * Evaluates user-defined rules against the live Kraken ticker and trade streams
+ * Rules and trigger history are persisted in localStorage across reloads
+ *
+ * Every open tab gets the same ticks and evaluates the same rules, so the tabs share one
+ * copy in localStorage: changes made in another tab are picked up from the `storage`
+ * event, rules are re-read before they are written, and a trigger is recorded by the
+ * first tab to see it; the others find it in the stored history and skip it.
+ */
+
+import { CANDLESTICK_PATTERNS } from '../analysis/candlestickPatterns.js'
+import { CORRELATION_WINDOWS, BENCHMARK_PAIR } from '../analysis/correlation.js'
+
+const RULES_KEY = 'alert_rules'
+const HISTORY_KEY = 'alert_history'
+const HISTORY_MAX = 500                 // keep the trigger log light
+const SAMPLE_MAX_AGE = 24 * 60 * 60 * 1000  // never keep more than 24h of ticks per pair
+const DUPLICATE_WINDOW_MS = 1000        // tabs on their own connections see a tick within moments of each other
+
+// Supported rule types
+// - above / below: level rules, fire once when the condition becomes true and re-arm when it clears
+// - cross_up / cross_down: fire only when consecutive ticks straddle the threshold
+// - near_level: level rule firing when price comes within `percent` of the threshold (a support / resistance zone edge)
+// - percent_move: fire when price moves by `percent` within `windowMinutes`
+// - large_trade: fire on any single trade worth at least `threshold` in the quote currency
+// - volume_burst: fire when the last minute's volume reaches `multiplier` x the baseline, re-arm when it clears
+// - confluence_change: fire when the multi-timeframe confluence score moves by `scoreChange` since the last trigger
+// - candle_pattern: fire when a closed live candle completes `pattern` (a pattern id, 'bullish', 'bearish' or 'any')
+//   with at least `minConfidence` percent confidence
+// - volatility_regime: level rule on the watched pair's realized volatility against its 30-day average
+//   (see analysis/RiskMonitor.js): fires at `multiplier` x the average ('up'), 1 / `multiplier` ('down') or either
+// - decoupling: level rule firing when the pair's rolling correlation with BTC over `correlationWindow` falls
+//   `zScore` standard deviations below its usual level (see analysis/CorrelationMonitor.js)
+export const ALERT_TYPES = {
+  above: { label: 'Price above', fields: ['threshold'] },
+  below: { label: 'Price below', fields: ['threshold'] },
+  cross_up: { label: 'Crosses above', fields: ['threshold'] },
+  cross_down: { label: 'Crosses below', fields: ['threshold'] },
+  near_level: { label: 'Approaching level', fields: ['threshold', 'percent'] },
+  percent_move: { label: 'Moves % in window', fields: ['percent', 'windowMinutes', 'direction'] },
+  large_trade: { label: 'Large trade', fields: ['threshold'], source: 'trades' },
+  volume_burst: { label: 'Volume burst', fields: ['multiplier'], source: 'trades' },
+  confluence_change: { label: 'Confluence score change', fields: ['scoreChange', 'direction'], source: 'confluence' },
+  candle_pattern: { label: 'Candlestick pattern', fields: ['pattern', 'minConfidence'], source: 'patterns' },
+  volatility_regime: { label: 'Volatility regime change', fields: ['multiplier', 'direction'], source: 'risk' },
+  decoupling: { label: 'Decouples from BTC', fields: ['zScore', 'correlationWindow'], source: 'correlation' }
+}
+
+// Choices for a candle_pattern rule: any pattern, any in one direction, or one pattern
+export const PATTERN_CHOICES = {
+  any: 'Any pattern',
+  bullish: 'Any bullish pattern',
+  bearish: 'Any bearish pattern',
+  ...Object.fromEntries(Object.entries(CANDLESTICK_PATTERNS).map(([id, pattern]) => [id, pattern.name]))
+}
+
+function generateId(prefix) {
+  return `${prefix}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`
+}
+
+class AlertEngine {
+  constructor() {
+    this.rules = this.loadFromStorage(RULES_KEY, [])
+    this.history = this.loadFromStorage(HISTORY_KEY, [])
+    this.lastPrices = {}  // pairId -> last evaluated price (for crossing detection)
+    this.samples = {}     // pairId -> [{ time, price }] (for percent-move windows)
+    this.armed = {}       // ruleId -> false while a level rule is still in its triggered state
+    this.lastTriggered = {}  // ruleId -> timestamp of the last percent-move trigger
+    this.scoreReference = {} // ruleId -> confluence score a change is measured from
+    this.listeners = new Set()
+    this.listenToStorage()
+  }
+
+  // Pick up rules and history written by other tabs
+  listenToStorage() {
+    if (typeof window === 'undefined') return
+    window.addEventListener('storage', event => {
+      // A null key means the whole storage was cleared
+      if (event.key === RULES_KEY || event.key === null) {
+        const previous = new Map(this.rules.map(rule => [rule.id, JSON.stringify(rule)]))
+        this.rules = this.loadFromStorage(RULES_KEY, [])
+        // Rules edited or removed over there start over, as they would in that tab
+        const current = new Map(this.rules.map(rule => [rule.id, JSON.stringify(rule)]))
+        previous.forEach((rule, id) => {
+          if (current.get(id) !== rule) this.forgetRuleState(id)
+        })
+        this.notify({ type: 'rules' })
+      }
+      if (event.key === HISTORY_KEY || event.key === null) {
+        this.history = this.loadFromStorage(HISTORY_KEY, [])
+        this.notify({ type: 'history' })
+      }
+    })
+  }
+
+  /**
+   * Subscribe to rule, history and trigger changes. Returns an unsubscribe function.
+   */
+  subscribe(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  notify(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event)
+      } catch (error) {
+        console.warn('Alert listener failed:', error)
+      }
+    })
+  }
+
+  getRules() {
+    return this.rules
+  }
+
+  getHistory() {
+    return this.history
+  }
+
+  /**
+   * Validate and normalize a rule definition
+   */
+  normalizeRule(rule) {
+    const type = ALERT_TYPES[rule.type] ? rule.type : null
+    if (!type) throw new Error(`Unknown alert type: ${rule.type}`)
+    if (!rule.pairId) throw new Error('Alert rule needs a trading pair')
+
+    const normalized = {
+      id: rule.id || generateId('rule'),
+      pairId: rule.pairId,
+      type,
+      enabled: rule.enabled !== false,
+      note: rule.note || '',
+      createdAt: rule.createdAt || Date.now(),
+      updatedAt: Date.now()
+    }
+
+    if (ALERT_TYPES[type].fields.includes('threshold')) {
+      const threshold = parseFloat(rule.threshold)
+      if (!Number.isFinite(threshold) || threshold <= 0) throw new Error('Threshold must be a positive number')
+      normalized.threshold = threshold
+    }
+
+    if (type === 'confluence_change') {
+      const scoreChange = parseFloat(rule.scoreChange)
+      if (!Number.isFinite(scoreChange) || scoreChange <= 0 || scoreChange > 2) throw new Error('Score change must be between 0 and 2')
+      normalized.scoreChange = scoreChange
+    }
+
+    if (type === 'candle_pattern') {
+      if (!PATTERN_CHOICES[rule.pattern]) throw new Error(`Unknown candlestick pattern: ${rule.pattern}`)
+      const minConfidence = rule.minConfidence === '' || rule.minConfidence == null ? 0 : parseFloat(rule.minConfidence)
+      if (!Number.isFinite(minConfidence) || minConfidence < 0 || minConfidence > 100) throw new Error('Confidence must be between 0 and 100%')
+      normalized.pattern = rule.pattern
+      normalized.minConfidence = minConfidence
+    }
+
+    if (type === 'decoupling') {
+      if (rule.pairId === BENCHMARK_PAIR) throw new Error(`${BENCHMARK_PAIR} cannot decouple from itself`)
+      const zScore = parseFloat(rule.zScore)
+      if (!Number.isFinite(zScore) || zScore <= 0 || zScore > 10) throw new Error('Z-score must be between 0 and 10')
+      if (!CORRELATION_WINDOWS.some(window => window.id === rule.correlationWindow)) {
+        throw new Error(`Unknown correlation window: ${rule.correlationWindow}`)
+      }
+      normalized.zScore = zScore
+      normalized.correlationWindow = rule.correlationWindow
+    }
+
+    if (type === 'percent_move' || type === 'confluence_change' || type === 'volatility_regime') {
+      normalized.direction = ['up', 'down'].includes(rule.direction) ? rule.direction : 'either'
+    }
+
+    if (type === 'near_level') {
+      const percent = parseFloat(rule.percent)
+      if (!Number.isFinite(percent) || percent <= 0 || percent > 25) throw new Error('Distance must be between 0 and 25%')
+      normalized.percent = percent
+    }
+
+    if (type === 'percent_move') {
+      const percent = parseFloat(rule.percent)
+      const windowMinutes = parseFloat(rule.windowMinutes)
+      if (!Number.isFinite(percent) || percent <= 0) throw new Error('Percent must be a positive number')
+      if (!Number.isFinite(windowMinutes) || windowMinutes <= 0 || windowMinutes * 60000 > SAMPLE_MAX_AGE) {
+        throw new Error('Window must be between 0 and 1440 minutes')
+      }
+      normalized.percent = percent
+      normalized.windowMinutes = windowMinutes
+    }
+
+    if (type === 'volume_burst' || type === 'volatility_regime') {
+      const multiplier = parseFloat(rule.multiplier)
+      if (!Number.isFinite(multiplier) || multiplier <= 1) throw new Error('Multiplier must be greater than 1')
+      normalized.multiplier = multiplier
+    }
+
+    return normalized
+  }
+
+  addRule(rule) {
+    const normalized = this.normalizeRule({ ...rule, id: null, createdAt: null })
+    this.rules = [...this.loadRules(), normalized]
+    this.saveRules()
+    return normalized
+  }
+
+  updateRule(id, changes) {
+    const rules = this.loadRules()
+    const existing = rules.find(r => r.id === id)
+    if (!existing) throw new Error(`Alert rule not found: ${id}`)
+
+    const normalized = this.normalizeRule({ ...existing, ...changes, id })
+    this.rules = rules.map(r => r.id === id ? normalized : r)
+    this.forgetRuleState(id)
+    this.saveRules()
+    return normalized
+  }
+
+  removeRule(id) {
+    this.rules = this.loadRules().filter(r => r.id !== id)
+    this.forgetRuleState(id)
+    this.saveRules()
+  }
+
+  // Trigger state of a rule that changed, so it is evaluated afresh
+  forgetRuleState(id) {
+    delete this.armed[id]
+    delete this.lastTriggered[id]
+    delete this.scoreReference[id]
+  }
+
+  clearHistory() {
+    this.history = []
+    this.saveToStorage(HISTORY_KEY, this.history)
+    this.notify({ type: 'history' })
+  }
+
+  /**
+   * Evaluate rules on every ticker update from a feed. Returns a detach function.
+   */
+  attach(feed) {
+    const offTicker = feed.on('ticker', ticker => this.evaluate(ticker.pair, ticker.last, ticker.timestamp))
+    // A replay or simulation starts from unrelated prices: do not compare them with live ones
+    const offTransport = feed.on('transport', () => this.resetPrices())
+    return () => {
+      offTicker()
+      offTransport()
+    }
+  }
+
+  resetPrices() {
+    this.lastPrices = {}
+    this.samples = {}
+  }
+
+  /**
+   * Evaluate trade-based rules on a trade flow (see feed/TradeFlow.js). Returns a detach function.
+   */
+  attachTradeFlow(flow) {
+    const offTrade = flow.on('trade', trade => this.evaluateTrade(trade))
+    const offFlow = flow.on('flow', stats => this.evaluateFlow(stats))
+    return () => {
+      offTrade()
+      offFlow()
+    }
+  }
+
+  /**
+   * Evaluate confluence rules on a confluence analyzer (see analysis/Confluence.js). Returns a detach function.
+   */
+  attachConfluence(analyzer) {
+    return analyzer.on('confluence', result => this.evaluateConfluence(result))
+  }
+
+  // The first score seen is the reference; after a trigger the new score becomes the reference
+  evaluateConfluence(result) {
+    const fired = []
+    this.rules.forEach(rule => {
+      if (!rule.enabled || rule.type !== 'confluence_change' || rule.pairId !== result.pair) return
+
+      const reference = this.scoreReference[rule.id]
+      if (reference == null) {
+        this.scoreReference[rule.id] = result.score
+        return
+      }
+
+      const change = result.score - reference
+      const matches =
+        (rule.direction === 'up' && change >= rule.scoreChange) ||
+        (rule.direction === 'down' && change <= -rule.scoreChange) ||
+        (rule.direction === 'either' && Math.abs(change) >= rule.scoreChange)
+      if (!matches) return
+
+      this.scoreReference[rule.id] = result.score
+      fired.push(this.recordTrigger(rule, this.lastPrices[rule.pairId] ?? null, result.updatedAt, {
+        score: result.score,
+        referenceScore: reference,
+        recommendation: result.recommendation
+      }))
+    })
+    return fired.filter(Boolean)
+  }
+
+  /**
+   * Evaluate candlestick pattern rules on the live candles (see analysis/LiveIndicators.js). Returns a detach function.
+   */
+  attachPatterns(engine) {
+    return engine.on('pattern', pattern => this.evaluatePattern(pattern))
+  }
+
+  evaluatePattern(pattern) {
+    const fired = []
+    this.rules.forEach(rule => {
+      if (!rule.enabled || rule.type !== 'candle_pattern' || rule.pairId !== pattern.pair) return
+      if (![pattern.id, pattern.direction, 'any'].includes(rule.pattern)) return
+      if (pattern.confidence * 100 < rule.minConfidence) return
+
+      fired.push(this.recordTrigger(rule, pattern.price, Date.now(), {
+        patternName: pattern.name,
+        patternDirection: pattern.direction,
+        confidence: pattern.confidence,
+        interval: pattern.interval,
+        candleTime: pattern.time
+      }))
+    })
+    return fired.filter(Boolean)
+  }
+
+  /**
+   * Evaluate volatility regime rules on a risk monitor (see analysis/RiskMonitor.js). Returns a detach function.
+   */
+  attachRisk(monitor) {
+    return monitor.on('risk', result => this.evaluateRisk(result))
+  }
+
+  evaluateRisk(result) {
+    const regime = result.metrics.regime
+    if (regime?.ratio == null) return []
+
+    const fired = []
+    this.rules.forEach(rule => {
+      if (!rule.enabled || rule.type !== 'volatility_regime' || rule.pairId !== result.pair) return
+      const expanded = regime.ratio >= rule.multiplier
+      const contracted = regime.ratio <= 1 / rule.multiplier
+      const conditionMet =
+        (rule.direction === 'up' && expanded) ||
+        (rule.direction === 'down' && contracted) ||
+        (rule.direction === 'either' && (expanded || contracted))
+      if (this.checkLevel(rule, conditionMet)) {
+        fired.push(this.recordTrigger(rule, this.lastPrices[rule.pairId] ?? null, result.updatedAt, {
+          volatility: regime.current,
+          averageVolatility: regime.average,
+          volatilityRatio: regime.ratio
+        }))
+      }
+    })
+    return fired.filter(Boolean)
+  }
+
+  /**
+   * Evaluate decoupling rules on a correlation monitor (see analysis/CorrelationMonitor.js). Returns a detach function.
+   */
+  attachCorrelation(monitor) {
+    return monitor.on('correlation', result => this.evaluateCorrelation(result))
+  }
+
+  evaluateCorrelation(result) {
+    const fired = []
+    this.rules.forEach(rule => {
+      if (!rule.enabled || rule.type !== 'decoupling') return
+      const analysis = result.windows[rule.correlationWindow]
+      const decoupling = analysis?.decoupling[rule.pairId]
+      if (decoupling?.zScore == null) return
+
+      if (this.checkLevel(rule, decoupling.zScore <= -rule.zScore)) {
+        fired.push(this.recordTrigger(rule, this.lastPrices[rule.pairId] ?? null, result.updatedAt, {
+          correlation: decoupling.correlation,
+          usualCorrelation: decoupling.mean,
+          correlationZ: decoupling.zScore,
+          beta: analysis.betas[rule.pairId]
+        }))
+      }
+    })
+    return fired.filter(Boolean)
+  }
+
+  evaluateTrade(trade) {
+    const fired = []
+    this.rules.forEach(rule => {
+      if (!rule.enabled || rule.type !== 'large_trade' || rule.pairId !== trade.pair) return
+      if (trade.notional >= rule.threshold) {
+        fired.push(this.recordTrigger(rule, trade.price, trade.timestamp, {
+          qty: trade.qty,
+          side: trade.side,
+          notional: trade.notional
+        }))
+      }
+    })
+    return fired.filter(Boolean)
+  }
+
+  evaluateFlow(stats) {
+    if (stats.burstRatio == null) return []
+
+    const fired = []
+    const timestamp = Date.now()
+    this.rules.forEach(rule => {
+      if (!rule.enabled || rule.type !== 'volume_burst' || rule.pairId !== stats.pair) return
+      if (this.checkLevel(rule, stats.burstRatio >= rule.multiplier)) {
+        fired.push(this.recordTrigger(rule, this.lastPrices[rule.pairId] ?? null, timestamp, {
+          ratio: stats.burstRatio,
+          buyRatio: stats.buyRatio
+        }))
+      }
+    })
+    return fired.filter(Boolean)
+  }
+
+  /**
+   * Evaluate all enabled rules for a pair against a new ticker price.
+   * Returns the triggers fired by this tick.
+   */
+  evaluate(pairId, price, timestamp = Date.now()) {
+    if (!Number.isFinite(price)) return []
+
+    const previousPrice = this.lastPrices[pairId]
+    this.lastPrices[pairId] = price
+    this.recordSample(pairId, price, timestamp)
+
+    const fired = []
+    this.rules.forEach(rule => {
+      if (!rule.enabled || rule.pairId !== pairId) return
+
+      const result = this.checkRule(rule, price, previousPrice, timestamp)
+      if (result) {
+        fired.push(this.recordTrigger(rule, price, timestamp, result))
+      }
+    })
+
+    return fired.filter(Boolean)
+  }
+
+  checkRule(rule, price, previousPrice, timestamp) {
+    switch (rule.type) {
+      case 'above':
+        return this.checkLevel(rule, price > rule.threshold)
+      case 'below':
+        return this.checkLevel(rule, price < rule.threshold)
+      case 'cross_up':
+        return previousPrice != null && previousPrice < rule.threshold && price >= rule.threshold
+          ? { previousPrice }
+          : null
+      case 'cross_down':
+        return previousPrice != null && previousPrice > rule.threshold && price <= rule.threshold
+          ? { previousPrice }
+          : null
+      case 'near_level': {
+        const distancePercent = (price - rule.threshold) / rule.threshold * 100
+        return this.checkLevel(rule, Math.abs(distancePercent) <= rule.percent) && { distancePercent }
+      }
+      case 'percent_move':
+        return this.checkPercentMove(rule, price, timestamp)
+      default:
+        return null
+    }
+  }
+
+  // Level rules fire on the transition into the condition and re-arm once it clears
+  checkLevel(rule, conditionMet) {
+    const armed = this.armed[rule.id] !== false
+    if (conditionMet && armed) {
+      this.armed[rule.id] = false
+      return {}
+    }
+    if (!conditionMet) {
+      this.armed[rule.id] = true
+    }
+    return null
+  }
+
+  checkPercentMove(rule, price, timestamp) {
+    const windowMs = rule.windowMinutes * 60000
+
+    // Don't fire again for the same window
+    const lastTriggeredAt = this.lastTriggered[rule.id]
+    if (lastTriggeredAt && timestamp - lastTriggeredAt < windowMs) return null
+
+    const samples = (this.samples[rule.pairId] || []).filter(s => timestamp - s.time <= windowMs)
+    if (samples.length < 2) return null
+
+    const referencePrice = samples[0].price
+    const changePercent = ((price - referencePrice) / referencePrice) * 100
+
+    const matches =
+      (rule.direction === 'up' && changePercent >= rule.percent) ||
+      (rule.direction === 'down' && changePercent <= -rule.percent) ||
+      (rule.direction === 'either' && Math.abs(changePercent) >= rule.percent)
+
+    if (!matches) return null
+
+    this.lastTriggered[rule.id] = timestamp
+    return { referencePrice, referenceTime: samples[0].time, changePercent }
+  }
+
+  // Only keep as many ticks as the longest percent-move window on this pair needs
+  recordSample(pairId, price, timestamp) {
+    const maxAge = this.rules
+      .filter(r => r.enabled && r.pairId === pairId && r.type === 'percent_move')
+      .reduce((max, r) => Math.max(max, r.windowMinutes * 60000), 0)
+
+    const samples = this.samples[pairId] || (this.samples[pairId] = [])
+    samples.push({ time: timestamp, price })
+
+    while (samples.length > 0 && timestamp - samples[0].time > Math.min(maxAge, SAMPLE_MAX_AGE)) {
+      samples.shift()
+    }
+  }
+
+  // Returns null when another tab has already recorded the same trigger (same rule and
+  // price, moments apart); that copy reaches this tab through the storage event
+  recordTrigger(rule, price, timestamp, details) {
+    const history = this.loadFromStorage(HISTORY_KEY, this.history)
+    const recorded = history.some(trigger =>
+      trigger.ruleId === rule.id && trigger.price === price && Math.abs(trigger.timestamp - timestamp) < DUPLICATE_WINDOW_MS)
+    if (recorded) {
+      this.history = history
+      return null
+    }
+
+    const trigger = {
+      id: generateId('trigger'),
+      ruleId: rule.id,
+      pairId: rule.pairId,
+      type: rule.type,
+      threshold: rule.threshold,
+      percent: rule.percent,
+      windowMinutes: rule.windowMinutes,
+      direction: rule.direction,
+      multiplier: rule.multiplier,
+      scoreChange: rule.scoreChange,
+      pattern: rule.pattern,
+      minConfidence: rule.minConfidence,
+      zScore: rule.zScore,
+      correlationWindow: rule.correlationWindow,
+      price,
+      timestamp,
+      ...details
+    }
+
+    this.history = [trigger, ...history].slice(0, HISTORY_MAX)
+    this.saveToStorage(HISTORY_KEY, this.history)
+    this.notify({ type: 'trigger', trigger })
+    return trigger
+  }
+
+  // The stored rules, which another tab may have changed since this one last read them
+  loadRules() {
+    return this.loadFromStorage(RULES_KEY, this.rules)
+  }
+
+  saveRules() {
+    this.saveToStorage(RULES_KEY, this.rules)
+    this.notify({ type: 'rules' })
+  }
+
+  saveToStorage(key, value) {
+    try {
+      localStorage.setItem(key, JSON.stringify(value))
+    } catch (error) {
+      // Ignore storage errors, keep working from memory
+      console.warn(`localStorage failed for ${key}, using memory only:`, error)
+    }
+  }
+
+  loadFromStorage(key, fallback) {
+    try {
+      const stored = JSON.parse(localStorage.getItem(key))
+      return Array.isArray(stored) ? stored : fallback
+    } catch {
+      return fallback
+    }
+  }
+}
+
+// Describe a rule in a single line for the UI and logs
+export function describeRule(rule) {
+  switch (rule.type) {
+    case 'above': return `${rule.pairId} above ${rule.threshold}`
+    case 'below': return `${rule.pairId} below ${rule.threshold}`
+    case 'cross_up': return `${rule.pairId} crosses above ${rule.threshold}`
+    case 'cross_down': return `${rule.pairId} crosses below ${rule.threshold}`
+    case 'near_level': return `${rule.pairId} within ${rule.percent}% of ${rule.threshold}`
+    case 'percent_move': {
+      const dir = rule.direction === 'up' ? '+' : rule.direction === 'down' ? '-' : '±'
+      return `${rule.pairId} moves ${dir}${rule.percent}% within ${rule.windowMinutes}m`
+    }
+    case 'large_trade': return `${rule.pairId} trade worth ${rule.threshold}+`
+    case 'volume_burst': return `${rule.pairId} volume ${rule.multiplier}x baseline`
+    case 'confluence_change': {
+      const dir = rule.direction === 'up' ? '+' : rule.direction === 'down' ? '-' : '±'
+      return `${rule.pairId} confluence score ${dir}${rule.scoreChange}`
+    }
+    case 'candle_pattern': {
+      const name = PATTERN_CHOICES[rule.pattern] || rule.pattern
+      return `${rule.pairId} ${name.charAt(0).toLowerCase()}${name.slice(1)}${rule.minConfidence > 0 ? ` (${rule.minConfidence}%+ confidence)` : ''}`
+    }
+    case 'volatility_regime': {
+      const up = `≥ ${rule.multiplier}x`
+      const down = `≤ 1/${rule.multiplier} of`
+      const bound = rule.direction === 'up' ? up : rule.direction === 'down' ? down : `${up} or ${down}`
+      return `${rule.pairId} volatility ${bound} its 30-day average`
+    }
+    case 'decoupling': {
+      const window = CORRELATION_WINDOWS.find(w => w.id === rule.correlationWindow)
+      return `${rule.pairId} decouples from ${BENCHMARK_PAIR} (${window?.label || rule.correlationWindow} correlation ${rule.zScore}σ below usual)`
+    }
+    default: return `${rule.pairId} ${rule.type}`
+  }
+}
+
+// Global alert engine instance
+export const alertEngine = new AlertEngine()
+
+export default AlertEngine
@@ -0,0 +1,144 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import AlertEngine from './AlertEngine.js'
+
+const T0 = Date.UTC(2026, 0, 5, 12, 0)
+
+function memoryStorage() {
+  const items = new Map()
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: key => items.delete(key),
+    clear: () => items.clear()
+  }
+}
+
+// An engine as one browser tab has it; `storageEvent` delivers what another tab wrote
+function openTab() {
+  const handlers = []
+  vi.stubGlobal('window', { addEventListener: (type, handler) => handlers.push(handler) })
+  const engine = new AlertEngine()
+  return { engine, storageEvent: key => handlers.forEach(handler => handler({ key })) }
+}
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', memoryStorage())
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('AlertEngine rules', () => {
+  it('fires a level rule once and re-arms it when the condition clears', () => {
+    const { engine } = openTab()
+    engine.addRule({ pairId: 'BTC/USD', type: 'above', threshold: 100 })
+
+    expect(engine.evaluate('BTC/USD', 99, T0)).toHaveLength(0)
+    expect(engine.evaluate('BTC/USD', 101, T0 + 1000)).toHaveLength(1)
+    expect(engine.evaluate('BTC/USD', 102, T0 + 2000)).toHaveLength(0)
+    expect(engine.evaluate('BTC/USD', 99, T0 + 3000)).toHaveLength(0)
+    expect(engine.evaluate('BTC/USD', 101, T0 + 4000)).toHaveLength(1)
+    expect(engine.getHistory()).toHaveLength(2)
+  })
+
+  it('fires a crossing only between consecutive ticks on either side', () => {
+    const { engine } = openTab()
+    engine.addRule({ pairId: 'BTC/USD', type: 'cross_up', threshold: 100 })
+
+    expect(engine.evaluate('BTC/USD', 101, T0)).toHaveLength(0)
+    expect(engine.evaluate('BTC/USD', 99, T0 + 1000)).toHaveLength(0)
+    const [trigger] = engine.evaluate('BTC/USD', 100, T0 + 2000)
+    expect(trigger).toMatchObject({ type: 'cross_up', price: 100, previousPrice: 99 })
+  })
+
+  it('fires a percent move once per window', () => {
+    const { engine } = openTab()
+    engine.addRule({ pairId: 'ETH/USD', type: 'percent_move', percent: 5, windowMinutes: 10, direction: 'up' })
+
+    engine.evaluate('ETH/USD', 100, T0)
+    expect(engine.evaluate('ETH/USD', 104, T0 + 60000)).toHaveLength(0)
+    const [trigger] = engine.evaluate('ETH/USD', 105, T0 + 120000)
+    expect(trigger).toMatchObject({ referencePrice: 100, changePercent: 5 })
+    expect(engine.evaluate('ETH/USD', 110, T0 + 180000)).toHaveLength(0)
+  })
+
+  it('rejects rules it cannot evaluate', () => {
+    const { engine } = openTab()
+    expect(() => engine.addRule({ pairId: 'BTC/USD', type: 'sideways' })).toThrow(/Unknown alert type/)
+    expect(() => engine.addRule({ pairId: 'BTC/USD', type: 'above', threshold: -1 })).toThrow(/positive/)
+    expect(engine.getRules()).toHaveLength(0)
+  })
+})
+
+describe('AlertEngine across tabs', () => {
+  it('picks up rules added in another tab', () => {
+    const first = openTab()
+    const second = openTab()
+    const rule = first.engine.addRule({ pairId: 'BTC/USD', type: 'below', threshold: 50 })
+    second.storageEvent('alert_rules')
+
+    expect(second.engine.getRules()).toEqual([rule])
+    expect(second.engine.evaluate('BTC/USD', 49, T0)).toHaveLength(1)
+  })
+
+  it('does not overwrite a rule another tab added since this one last read', () => {
+    const first = openTab()
+    const second = openTab()
+    first.engine.addRule({ pairId: 'BTC/USD', type: 'above', threshold: 100 })
+    second.engine.addRule({ pairId: 'ETH/USD', type: 'above', threshold: 10 })
+
+    expect(JSON.parse(localStorage.getItem('alert_rules')).map(rule => rule.pairId)).toEqual(['BTC/USD', 'ETH/USD'])
+  })
+
+  it('re-arms a rule edited in another tab', () => {
+    const first = openTab()
+    const second = openTab()
+    const rule = first.engine.addRule({ pairId: 'BTC/USD', type: 'above', threshold: 100 })
+    second.storageEvent('alert_rules')
+    second.engine.evaluate('BTC/USD', 101, T0)
+
+    first.engine.updateRule(rule.id, { threshold: 90 })
+    second.storageEvent('alert_rules')
+    expect(second.engine.evaluate('BTC/USD', 101, T0 + 1000)).toHaveLength(1)
+  })
+
+  it('records a trigger once when several tabs see the same tick', () => {
+    const first = openTab()
+    const second = openTab()
+    first.engine.addRule({ pairId: 'BTC/USD', type: 'above', threshold: 100 })
+    second.storageEvent('alert_rules')
+    const triggers = vi.fn()
+    second.engine.subscribe(event => event.type === 'trigger' && triggers(event.trigger))
+
+    expect(first.engine.evaluate('BTC/USD', 101, T0)).toHaveLength(1)
+    expect(second.engine.evaluate('BTC/USD', 101, T0)).toHaveLength(0)
+    expect(triggers).not.toHaveBeenCalled()
+    expect(JSON.parse(localStorage.getItem('alert_history'))).toHaveLength(1)
+    expect(second.engine.getHistory()).toHaveLength(1)
+  })
+
+  it('treats a tick seen moments later on another connection as the same trigger', () => {
+    const first = openTab()
+    const second = openTab()
+    first.engine.addRule({ pairId: 'BTC/USD', type: 'above', threshold: 100 })
+    second.storageEvent('alert_rules')
+
+    second.engine.evaluate('BTC/USD', 101, T0 + 300)
+    expect(first.engine.evaluate('BTC/USD', 101, T0)).toHaveLength(0)
+  })
+
+  it('records whichever tab sees a trigger first, with or without the others', () => {
+    const first = openTab()
+    const second = openTab()
+    first.engine.addRule({ pairId: 'BTC/USD', type: 'above', threshold: 100 })
+    second.storageEvent('alert_rules')
+
+    expect(second.engine.evaluate('BTC/USD', 101, T0)).toHaveLength(1)
+    second.engine.evaluate('BTC/USD', 99, T0 + 5000)
+    expect(second.engine.evaluate('BTC/USD', 102, T0 + 10000)).toHaveLength(1)
+
+    first.storageEvent('alert_history')
+    expect(first.engine.getHistory().map(trigger => trigger.price)).toEqual([102, 101])
+  })
+})
@@ -0,0 +1,268 @@
+import React, { useState, useEffect } from 'react'
+import { alertEngine, ALERT_TYPES, PATTERN_CHOICES, describeRule } from '../AlertEngine.js'
+import { CORRELATION_WINDOWS } from '../../analysis/correlation.js'
+import { usePrice } from '../../feed/useKrakenFeed.js'
+import { getPriceStep } from '../../feed/pairFormat.js'
+
+const EMPTY_FORM = {
+  pairId: '',
+  type: 'above',
+  threshold: '',
+  percent: '',
+  windowMinutes: '15',
+  direction: 'either',
+  multiplier: '3',
+  scoreChange: '0.3',
+  pattern: 'any',
+  minConfidence: '60',
+  zScore: '2',
+  correlationWindow: '7d',
+  note: ''
+}
+
+const HISTORY_VISIBLE = 50
+
+export default function AlertManager({ pairs, formatPrice }) {
+  const [rules, setRules] = useState(alertEngine.getRules())
+  const [history, setHistory] = useState(alertEngine.getHistory())
+  const [form, setForm] = useState({ ...EMPTY_FORM, pairId: pairs[0]?.id || '' })
+  const [editingId, setEditingId] = useState(null)
+  const [formError, setFormError] = useState(null)
+  const currentPrice = usePrice(form.pairId)
+
+  // Keep local state in sync with the engine (triggers arrive from the ticker stream)
+  useEffect(() => {
+    return alertEngine.subscribe(() => {
+      setRules(alertEngine.getRules())
+      setHistory(alertEngine.getHistory())
+    })
+  }, [])
+
+  const updateField = (field, value) => setForm(prev => ({ ...prev, [field]: value }))
+
+  const resetForm = () => {
+    setForm({ ...EMPTY_FORM, pairId: form.pairId })
+    setEditingId(null)
+    setFormError(null)
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    try {
+      if (editingId) {
+        alertEngine.updateRule(editingId, form)
+      } else {
+        alertEngine.addRule(form)
+      }
+      resetForm()
+    } catch (err) {
+      setFormError(err.message)
+    }
+  }
+
+  const startEdit = (rule) => {
+    setEditingId(rule.id)
+    setFormError(null)
+    setForm({
+      pairId: rule.pairId,
+      type: rule.type,
+      threshold: rule.threshold != null ? String(rule.threshold) : '',
+      percent: rule.percent != null ? String(rule.percent) : '',
+      windowMinutes: rule.windowMinutes != null ? String(rule.windowMinutes) : EMPTY_FORM.windowMinutes,
+      direction: rule.direction || 'either',
+      multiplier: rule.multiplier != null ? String(rule.multiplier) : EMPTY_FORM.multiplier,
+      scoreChange: rule.scoreChange != null ? String(rule.scoreChange) : EMPTY_FORM.scoreChange,
+      pattern: rule.pattern || EMPTY_FORM.pattern,
+      minConfidence: rule.minConfidence != null ? String(rule.minConfidence) : EMPTY_FORM.minConfidence,
+      zScore: rule.zScore != null ? String(rule.zScore) : EMPTY_FORM.zScore,
+      correlationWindow: rule.correlationWindow || EMPTY_FORM.correlationWindow,
+      note: rule.note || ''
+    })
+  }
+
+  const fields = ALERT_TYPES[form.type]?.fields || []
+
+  return (
+    <div className="alert-manager card">
+      <div className="alert-header">
+        <h3>Price Alerts</h3>
+        <div className="small">{rules.filter(r => r.enabled).length} active • {history.length} triggers recorded</div>
+      </div>
+
+      <form className="alert-form" onSubmit={handleSubmit}>
+        <select value={form.pairId} onChange={(e) => updateField('pairId', e.target.value)}>
+          {pairs.map(pair => (
+            <option key={pair.id} value={pair.id}>{pair.displayName}</option>
+          ))}
+        </select>
+
+        <select value={form.type} onChange={(e) => updateField('type', e.target.value)}>
+          {Object.entries(ALERT_TYPES).map(([type, def]) => (
+            <option key={type} value={type}>{def.label}</option>
+          ))}
+        </select>
+
+        {fields.includes('threshold') && (
+          <input
+            type="number"
+            step={form.type === 'large_trade' ? 'any' : getPriceStep(form.pairId)}
+            min="0"
+            placeholder={form.type === 'large_trade' ? 'Min trade value' : currentPrice != null ? formatPrice(currentPrice, form.pairId) : 'Price'}
+            value={form.threshold}
+            onChange={(e) => updateField('threshold', e.target.value)}
+          />
+        )}
+
+        {fields.includes('percent') && (
+          <input
+            type="number"
+            step="any"
+            min="0"
+            placeholder={form.type === 'near_level' ? 'Within %' : '% move'}
+            value={form.percent}
+            onChange={(e) => updateField('percent', e.target.value)}
+          />
+        )}
+
+        {fields.includes('windowMinutes') && (
+          <input
+            type="number"
+            step="1"
+            min="1"
+            max="1440"
+            placeholder="Window (min)"
+            value={form.windowMinutes}
+            onChange={(e) => updateField('windowMinutes', e.target.value)}
+          />
+        )}
+
+        {fields.includes('multiplier') && (
+          <input
+            type="number"
+            step="any"
+            min="1"
+            placeholder={form.type === 'volatility_regime' ? 'x 30-day volatility' : 'x baseline volume'}
+            value={form.multiplier}
+            onChange={(e) => updateField('multiplier', e.target.value)}
+          />
+        )}
+
+        {fields.includes('scoreChange') && (
+          <input
+            type="number"
+            step="0.05"
+            min="0"
+            max="2"
+            placeholder="Score change"
+            value={form.scoreChange}
+            onChange={(e) => updateField('scoreChange', e.target.value)}
+          />
+        )}
+
+        {fields.includes('pattern') && (
+          <select value={form.pattern} onChange={(e) => updateField('pattern', e.target.value)}>
+            {Object.entries(PATTERN_CHOICES).map(([pattern, label]) => (
+              <option key={pattern} value={pattern}>{label}</option>
+            ))}
+          </select>
+        )}
+
+        {fields.includes('minConfidence') && (
+          <input
+            type="number"
+            step="5"
+            min="0"
+            max="100"
+            placeholder="Min confidence %"
+            value={form.minConfidence}
+            onChange={(e) => updateField('minConfidence', e.target.value)}
+          />
+        )}
+
+        {fields.includes('zScore') && (
+          <input
+            type="number"
+            step="0.5"
+            min="0"
+            max="10"
+            placeholder="Z-score"
+            value={form.zScore}
+            onChange={(e) => updateField('zScore', e.target.value)}
+          />
+        )}
+
+        {fields.includes('correlationWindow') && (
+          <select value={form.correlationWindow} onChange={(e) => updateField('correlationWindow', e.target.value)}>
+            {CORRELATION_WINDOWS.map(window => (
+              <option key={window.id} value={window.id}>{window.label} correlation</option>
+            ))}
+          </select>
+        )}
+
+        {fields.includes('direction') && (
+          <select value={form.direction} onChange={(e) => updateField('direction', e.target.value)}>
+            <option value="either">Either way</option>
+            <option value="up">Up</option>
+            <option value="down">Down</option>
+          </select>
+        )}
+
+        <input
+          type="text"
+          placeholder="Note (optional)"
+          value={form.note}
+          onChange={(e) => updateField('note', e.target.value)}
+        />
+
+        <button type="submit">{editingId ? 'Save' : 'Add Alert'}</button>
+        {editingId && <button type="button" onClick={resetForm}>Cancel</button>}
+      </form>
+
+      {formError && <div className="error-message">{formError}</div>}
+
+      <div className="alert-rules">
+        {rules.length === 0 && <div className="small">No alerts yet</div>}
+        {rules.map(rule => (
+          <div key={rule.id} className={`alert-rule ${rule.enabled ? '' : 'disabled'}`}>
+            <label className="small">
+              <input
+                type="checkbox"
+                checked={rule.enabled}
+                onChange={() => alertEngine.updateRule(rule.id, { enabled: !rule.enabled })}
+              />
+              {' '}{describeRule(rule)}{rule.note ? ` — ${rule.note}` : ''}
+            </label>
+            <div className="alert-rule-actions">
+              <button type="button" onClick={() => startEdit(rule)}>Edit</button>
+              <button type="button" onClick={() => alertEngine.removeRule(rule.id)}>Delete</button>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <div className="alert-history">
+        <div className="row">
+          <div className="label">Trigger History</div>
+          {history.length > 0 && (
+            <button type="button" onClick={() => alertEngine.clearHistory()}>Clear</button>
+          )}
+        </div>
+        <div className="logs">
+          {history.slice(0, HISTORY_VISIBLE).map(trigger => (
+            <div key={trigger.id}>
+              [{new Date(trigger.timestamp).toLocaleString()}] 🔔 {describeRule(trigger)}{trigger.price != null && <> @ ${formatPrice(trigger.price, trigger.pairId)}</>}
+              {trigger.changePercent != null && ` (${trigger.changePercent >= 0 ? '+' : ''}${trigger.changePercent.toFixed(2)}% from $${formatPrice(trigger.referencePrice, trigger.pairId)})`}
+              {trigger.distancePercent != null && ` (${trigger.distancePercent >= 0 ? '+' : ''}${trigger.distancePercent.toFixed(2)}% from ${trigger.threshold})`}
+              {trigger.notional != null && ` (${trigger.side} ${trigger.qty} = $${trigger.notional.toLocaleString('en-US', { maximumFractionDigits: 0 })})`}
+              {trigger.ratio != null && ` (${trigger.ratio.toFixed(1)}x baseline)`}
+              {trigger.score != null && ` (score ${trigger.referenceScore.toFixed(2)} → ${trigger.score.toFixed(2)}, ${trigger.recommendation})`}
+              {trigger.volatilityRatio != null && ` (volatility ${(trigger.volatility * 100).toFixed(0)}% vs ${(trigger.averageVolatility * 100).toFixed(0)}% average, ${trigger.volatilityRatio.toFixed(2)}x)`}
+              {trigger.correlationZ != null && ` (correlation ${trigger.correlation.toFixed(2)} vs usual ${trigger.usualCorrelation.toFixed(2)}, z ${trigger.correlationZ.toFixed(2)})`}
+              {trigger.patternName != null && ` (${trigger.patternName} on ${trigger.interval}m candle, ${Math.round(trigger.confidence * 100)}% confidence)`}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  )
+}
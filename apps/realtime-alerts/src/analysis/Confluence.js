@@ -0,0 +1,179 @@
+/**
+ * Multi-timeframe confluence
+ * Runs the moving average and oscillator ratings on 5m, 15m, 1h, 4h and 1d Kraken OHLC
+ * for every watched pair and combines them into one weighted confluence score
+ * (-1..1, same bands as the single-interval rating). Longer timeframes weigh more.
+ *
+ * Candles are cached per pair and timeframe and only re-fetched once they are older
+ * than the timeframe's refresh period, with requests spaced to stay inside Kraken's
+ * public REST limit. With several tabs open only the primary one runs the analyzer; the
+ * others get its results through receive() (see feed/shared/primaryTab.js).
+ *
+ * Events:
+ * - 'confluence'  { pair, timeframes, score, previousScore, recommendation, agreement, updatedAt }
+ * - 'error'       { pair, timeframe, error }
+ */
+
+import EventEmitter from '../feed/EventEmitter.js'
+import { fetchOHLC, toChronological } from './ohlc.js'
+import { TechnicalAnalysisService } from '../api/TechnicalAnalysis.js'
+
+export const CONFLUENCE_TIMEFRAMES = [
+  { id: '5m', interval: 5, weight: 1, refreshMs: 60 * 1000 },
+  { id: '15m', interval: 15, weight: 1.5, refreshMs: 3 * 60 * 1000 },
+  { id: '1h', interval: 60, weight: 2, refreshMs: 5 * 60 * 1000 },
+  { id: '4h', interval: 240, weight: 2.5, refreshMs: 15 * 60 * 1000 },
+  { id: '1d', interval: 1440, weight: 3, refreshMs: 30 * 60 * 1000 }
+]
+
+export const REFRESH_MS = 60 * 1000   // how often every pair is re-analysed
+const REQUEST_SPACING_MS = 1000       // Kraken public REST allows about one request a second
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms))
+
+export class ConfluenceAnalyzer extends EventEmitter {
+  constructor({ timeframes = CONFLUENCE_TIMEFRAMES, loadHistory = fetchOHLC, refreshMs = REFRESH_MS } = {}) {
+    super()
+    this.timeframes = timeframes
+    this.loadHistory = loadHistory
+    this.refreshMs = refreshMs
+    this.rater = new TechnicalAnalysisService({ source: 'local' })
+    this.candles = new Map()  // `${pair}|${timeframe}` -> { candles, fetchedAt }
+    this.pending = new Map()  // `${pair}|${timeframe}` -> candle request in flight
+    this.results = {}         // pair id -> latest confluence
+    this.lastRequestAt = 0
+    this.timer = null
+    this.run = null  // identifies the running refresh loop
+  }
+
+  getResult(pairId) {
+    return this.results[pairId] || null
+  }
+
+  getResults() {
+    return this.results
+  }
+
+  /**
+   * Analyse immediately and then every refreshMs until stopped.
+   * `getPairIds` is read on each pass so watchlist changes are picked up.
+   */
+  start(getPairIds) {
+    if (this.run) return
+    const run = this.run = {}
+
+    // A pass still awaiting a request after stop() must not carry on next to a new run
+    const pass = async () => {
+      for (const pairId of getPairIds()) {
+        if (this.run !== run) return
+        await this.analyze(pairId)
+      }
+      if (this.run === run) this.timer = setTimeout(pass, this.refreshMs)
+    }
+    pass()
+  }
+
+  stop() {
+    this.run = null
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  // A result computed by the primary tab, emitted as if analysed here
+  receive(result) {
+    this.results[result.pair] = result
+    this.emit('confluence', result)
+  }
+
+  async getCandles(pairId, timeframe) {
+    const key = `${pairId}|${timeframe.id}`
+    const cached = this.candles.get(key)
+    if (cached && Date.now() - cached.fetchedAt < timeframe.refreshMs) return cached.candles
+
+    // The risk and correlation monitors load hourly candles through here too; callers
+    // asking for a key that is already being fetched share that request
+    if (!this.pending.has(key)) {
+      this.pending.set(key, this.fetchCandles(pairId, timeframe, key).finally(() => this.pending.delete(key)))
+    }
+    return this.pending.get(key)
+  }
+
+  async fetchCandles(pairId, timeframe, key) {
+    // Reserve the next request slot before waiting, so concurrent requests stay spaced
+    const at = Math.max(Date.now(), this.lastRequestAt + REQUEST_SPACING_MS)
+    this.lastRequestAt = at
+    if (at > Date.now()) await sleep(at - Date.now())
+
+    const candles = await this.loadHistory(pairId, { interval: timeframe.interval })
+    this.candles.set(key, { candles, fetchedAt: Date.now() })
+    return candles
+  }
+
+  // Moving averages, oscillators and their combined rating for one timeframe's candles.
+  // Candlestick patterns and divergences are left out, so `overall` is the MA + oscillator
+  // rating, weighted by the profile's weights for those two groups.
+  rate(candles, timeframe, price) {
+    const chronological = toChronological(candles)
+    this.rater.setCurrentPrice(price ?? chronological[chronological.length - 1].close)
+    this.rater.loadCandles(chronological, { interval: timeframe.interval })
+    const movingAverages = this.rater.calculateMovingAveragesRating()
+    const oscillators = this.rater.calculateOscillatorsRating()
+    const weights = this.rater.getProfile().groups
+    const totalWeight = weights.movingAverages + weights.oscillators
+    const rating = totalWeight > 0
+      ? (movingAverages.rating * weights.movingAverages + oscillators.rating * weights.oscillators) / totalWeight
+      : 0
+    const recommendation = this.rater.getRatingRecommendation(rating)
+    const summary = group => ({ rating: group.rating, recommendation: group.recommendation, indicatorCount: group.indicatorCount })
+    return {
+      movingAverages: summary(movingAverages),
+      oscillators: summary(oscillators),
+      overall: { rating, recommendation },
+      candleCount: chronological.length
+    }
+  }
+
+  /**
+   * Rate every timeframe for a pair and emit the combined confluence. A timeframe
+   * that fails to load is left out of the score instead of failing the pair.
+   * `price` (the live price) is used for every timeframe when given.
+   */
+  async analyze(pairId, { price = null } = {}) {
+    const timeframes = {}
+    for (const timeframe of this.timeframes) {
+      try {
+        const candles = await this.getCandles(pairId, timeframe)
+        timeframes[timeframe.id] = candles.length > 0 ? this.rate(candles, timeframe, price) : null
+      } catch (error) {
+        timeframes[timeframe.id] = null
+        this.emit('error', { pair: pairId, timeframe: timeframe.id, error })
+      }
+    }
+
+    const rated = this.timeframes.filter(timeframe => timeframes[timeframe.id])
+    const totalWeight = rated.reduce((sum, timeframe) => sum + timeframe.weight, 0)
+    const score = totalWeight > 0
+      ? rated.reduce((sum, timeframe) => sum + timeframes[timeframe.id].overall.rating * timeframe.weight, 0) / totalWeight
+      : 0
+    const direction = Math.sign(score)
+    const agreeing = rated.filter(timeframe => Math.sign(timeframes[timeframe.id].overall.rating) === direction).length
+
+    const result = {
+      pair: pairId,
+      timeframes,
+      score,
+      previousScore: this.results[pairId]?.score ?? null,
+      recommendation: this.rater.getRatingRecommendation(score),
+      agreement: rated.length > 0 ? agreeing / rated.length : null,  // share of timeframes on the score's side
+      updatedAt: Date.now()
+    }
+    this.results[pairId] = result
+    this.emit('confluence', result)
+    return result
+  }
+}
+
+// Shared analyzer, started for the watchlist by the app
+export const confluenceAnalyzer = new ConfluenceAnalyzer()
+
+export default ConfluenceAnalyzer
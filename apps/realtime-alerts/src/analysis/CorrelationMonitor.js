@@ -0,0 +1,106 @@
+/**
+ * Correlation monitor
+ * Loads hourly Kraken OHLC (about 30 days) for every watched pair plus the BTC benchmark,
+ * synchronizes the series and analyses them over each window in CORRELATION_WINDOWS (see
+ * analysis/correlation.js), for the correlation heatmap and decoupling alerts.
+ *
+ * Like the risk monitor, the shared instance loads candles through the confluence
+ * analyzer's hourly cache and request spacing, and runs in the primary tab only: the
+ * others receive() its analysis.
+ *
+ * Events:
+ * - 'correlation'  { pairs, benchmark, windows: { id: analysis }, candleCount, updatedAt }
+ * - 'error'        { pair, error }
+ */
+
+import EventEmitter from '../feed/EventEmitter.js'
+import { fetchOHLC, toChronological } from './ohlc.js'
+import { synchronize, analyzeCorrelation, BENCHMARK_PAIR, CORRELATION_WINDOWS } from './correlation.js'
+import { confluenceAnalyzer, CONFLUENCE_TIMEFRAMES } from './Confluence.js'
+
+export const CORRELATION_INTERVAL = 60  // candle width in minutes
+
+export const REFRESH_MS = 5 * 60 * 1000
+
+export class CorrelationMonitor extends EventEmitter {
+  constructor({
+    loadHistory = pairId => fetchOHLC(pairId, { interval: CORRELATION_INTERVAL }),
+    refreshMs = REFRESH_MS,
+    benchmark = BENCHMARK_PAIR
+  } = {}) {
+    super()
+    this.loadHistory = loadHistory
+    this.refreshMs = refreshMs
+    this.benchmark = benchmark
+    this.result = null
+    this.timer = null
+    this.run = null  // identifies the running refresh loop
+  }
+
+  getResult() {
+    return this.result
+  }
+
+  /**
+   * Analyse immediately and then every refreshMs until stopped.
+   * `getPairIds` is read on each pass so watchlist changes are picked up.
+   */
+  start(getPairIds) {
+    if (this.run) return
+    const run = this.run = {}
+
+    const pass = async () => {
+      await this.analyze(getPairIds())
+      if (this.run === run) this.timer = setTimeout(pass, this.refreshMs)
+    }
+    pass()
+  }
+
+  stop() {
+    this.run = null
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  // An analysis made by the primary tab, emitted as if made here
+  receive(result) {
+    this.result = result
+    this.emit('correlation', result)
+  }
+
+  /**
+   * Correlations of the given pairs and the benchmark over every window. A pair that fails
+   * to load is left out; without the benchmark there are no betas or decoupling scores.
+   */
+  async analyze(pairIds) {
+    const candlesByPair = {}
+    for (const pairId of [this.benchmark, ...pairIds.filter(id => id !== this.benchmark)]) {
+      try {
+        candlesByPair[pairId] = toChronological(await this.loadHistory(pairId))
+      } catch (error) {
+        this.emit('error', { pair: pairId, error })
+      }
+    }
+
+    const series = synchronize(candlesByPair)
+    if (series.times.length < 3) return null
+
+    this.result = {
+      pairs: Object.keys(series.closes),
+      benchmark: this.benchmark,
+      windows: Object.fromEntries(CORRELATION_WINDOWS.map(window =>
+        [window.id, analyzeCorrelation(series, { window: window.returns, benchmark: this.benchmark })])),
+      candleCount: series.times.length,
+      updatedAt: Date.now()
+    }
+    this.emit('correlation', this.result)
+    return this.result
+  }
+}
+
+const HOURLY = CONFLUENCE_TIMEFRAMES.find(timeframe => timeframe.interval === CORRELATION_INTERVAL)
+
+// Shared monitor, started for the watchlist by the app
+export const correlationMonitor = new CorrelationMonitor({ loadHistory: pairId => confluenceAnalyzer.getCandles(pairId, HOURLY) })
+
+export default CorrelationMonitor
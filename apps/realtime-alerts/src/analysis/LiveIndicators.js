@@ -0,0 +1,316 @@
+/**
+ * Live Indicators
+ * Builds candles per pair from the Kraken trade and ticker streams and keeps EMA / SMA,
+ * RSI, MACD, ATR and Bollinger Bands up to date incrementally (incremental.js). The
+ * candle that is still forming is re-evaluated on every tick without being committed,
+ * and a rating is recomputed from the live values with TechnicalAnalysisService's signal
+ * rules. It is a partial rating: only SMA / EMA, RSI, MACD and the candlestick patterns
+ * are streamed, so Stochastic, CCI, ADX, Williams %R, Hull MA, VWMA, Ichimoku and the
+ * divergences of the full analysis are left out and the two can disagree.
+ *
+ * Each pair is seeded once from Kraken OHLC (live data only) so values are meaningful
+ * straight away; after that nothing is fetched again.
+ *
+ * Events:
+ * - 'update'  { pair, interval, candle, values, previous, rating, closedCandles } on every tick
+ * - 'candle'  { pair, interval, candle, values }                                  when a candle closes
+ * - 'pattern' { pair, interval, id, name, direction, time, price, confidence }    a closed candle completes a pattern
+ * - 'reset'   {}                                                                  all pairs cleared
+ */
+
+import EventEmitter from '../feed/EventEmitter.js'
+import { IncrementalEMA, IncrementalRSI, IncrementalMACD, IncrementalATR, IncrementalBollinger, RollingWindow } from './incremental.js'
+import { MA_PERIODS } from './indicatorSeries.js'
+import { fetchOHLC } from './ohlc.js'
+import { detectPatternsAt } from './candlestickPatterns.js'
+import { TechnicalAnalysisService, PATTERN_LOOKBACK } from '../api/TechnicalAnalysis.js'
+
+export const LIVE_INTERVALS = [1, 5, 15, 60]  // candle widths in minutes
+const SETTINGS_KEY = 'live_indicator_settings'
+const MAX_GAP_CANDLES = 240  // a longer silence (sleep, lost connection) starts the pair over
+const RECENT_CANDLES = 20    // closed candles kept for pattern detection
+const OFFLINE_MODES = new Set(['replay', 'simulated'])
+
+function loadInterval() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY))?.interval
+    return LIVE_INTERVALS.includes(stored) ? stored : LIVE_INTERVALS[0]
+  } catch {
+    return LIVE_INTERVALS[0]
+  }
+}
+
+function createIndicators() {
+  return {
+    ema: Object.fromEntries(MA_PERIODS.map(period => [period, new IncrementalEMA(period)])),
+    sma: Object.fromEntries(MA_PERIODS.map(period => [period, new RollingWindow(period)])),
+    rsi: new IncrementalRSI(14),
+    macd: new IncrementalMACD(),
+    atr: new IncrementalATR(14),
+    bollinger: new IncrementalBollinger({ period: 20, multiplier: 2 })
+  }
+}
+
+function emptyState() {
+  return {
+    candle: null,         // the forming candle { time, open, high, low, close, volume }
+    indicators: createIndicators(),
+    previous: null,       // values at the last closed candle
+    previousTime: null,
+    closedCandles: 0,
+    recent: [],           // last RECENT_CANDLES closed candles
+    patterns: [],         // patterns completed within PATTERN_LOOKBACK candles, index = closed candle number
+    hasTrades: false,     // once trades arrive, only they open candles (a ticker's time is when it was received)
+    seeding: false
+  }
+}
+
+// Apply `method` ('update' or 'peek') of every indicator to one candle
+function evaluate(indicators, candle, method) {
+  const values = { ema: {}, sma: {} }
+  MA_PERIODS.forEach(period => {
+    values.ema[period] = indicators.ema[period][method](candle.close)
+    values.sma[period] = indicators.sma[period][method](candle.close)
+  })
+  values.rsi = indicators.rsi[method](candle.close)
+  values.macd = indicators.macd[method](candle.close)
+  values.atr = indicators.atr[method](candle)
+  values.bollinger = indicators.bollinger[method](candle.close)
+  return values
+}
+
+// Two-point Alpha Vantage-shaped series (previous closed candle and the forming one)
+function series(name, previousTime, time, previousFields, fields) {
+  const data = {}
+  if (previousFields && Object.values(previousFields).every(value => value !== null)) {
+    data[new Date(previousTime).toISOString()] = previousFields
+  }
+  if (Object.values(fields).every(value => value !== null)) {
+    data[new Date(time).toISOString()] = fields
+  }
+  return { [`Technical Analysis: ${name}`]: data }
+}
+
+export class LiveIndicators extends EventEmitter {
+  constructor({ interval = loadInterval(), loadHistory = fetchOHLC } = {}) {
+    super()
+    this.interval = interval
+    this.loadHistory = loadHistory
+    this.pairs = {}  // pair id -> state
+    this.feed = null
+    this.rater = new TechnicalAnalysisService({ source: 'local' })
+  }
+
+  /**
+   * Consume 'trades' and 'ticker' events from a feed. Returns a detach function.
+   */
+  attach(feed) {
+    this.feed = feed
+    const offTrades = feed.on('trades', ({ pair, snapshot, trades }) => {
+      if (snapshot) return
+      trades.forEach(trade => this.addTick(pair, trade.price, trade.qty, trade.timestamp || Date.now()))
+    })
+    const offTicker = feed.on('ticker', ({ pair, last, timestamp }) => {
+      const state = this.pairs[pair]
+      if (!Number.isFinite(last)) return
+      // With trades flowing the ticker only moves the forming candle's close. Otherwise it is
+      // bucketed by the feed's clock, which runs ahead of Date.now() when replaying or simulating
+      const tickerTime = timestamp ?? Date.now()
+      const time = state?.hasTrades ? state.candle?.time : tickerTime
+      this.addTick(pair, last, 0, time ?? tickerTime, { fromTicker: true })
+    })
+    const offTransport = feed.on('transport', () => this.resetAll())
+    return () => {
+      offTrades()
+      offTicker()
+      offTransport()
+      if (this.feed === feed) this.feed = null
+    }
+  }
+
+  getState(pairId) {
+    return this.pairs[pairId]?.latest || null
+  }
+
+  setCandleInterval(interval) {
+    if (!LIVE_INTERVALS.includes(interval) || interval === this.interval) return
+    this.interval = interval
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify({ interval }))
+    } catch (error) {
+      console.warn('Failed to save live indicator settings:', error)
+    }
+    this.resetAll()
+  }
+
+  resetAll() {
+    this.pairs = {}
+    this.emit('reset', {})
+  }
+
+  /**
+   * Fold one price into the pair's forming candle, closing candles as time moves on
+   */
+  addTick(pairId, price, qty, timestamp, { fromTicker = false } = {}) {
+    let state = this.pairs[pairId]
+    if (!state) {
+      state = this.pairs[pairId] = emptyState()
+      this.seed(pairId, state)
+    }
+    if (!fromTicker) state.hasTrades = true
+
+    const intervalMs = this.interval * 60000
+    const bucket = Math.floor(timestamp / intervalMs) * intervalMs
+
+    if (!state.candle) {
+      state.candle = { time: bucket, open: price, high: price, low: price, close: price, volume: 0 }
+    } else if (bucket > state.candle.time) {
+      const gap = (bucket - state.candle.time) / intervalMs
+      if (gap > MAX_GAP_CANDLES) {
+        state = this.pairs[pairId] = { ...emptyState(), hasTrades: state.hasTrades }
+        this.seed(pairId, state)
+      } else {
+        this.close(pairId, state)
+        // Intervals without any trade are flat candles at the last close
+        for (let i = 1; i < gap; i++) {
+          const close = state.candle.close
+          state.candle = { time: state.candle.time + intervalMs, open: close, high: close, low: close, close, volume: 0 }
+          this.close(pairId, state)
+        }
+      }
+      state.candle = { time: bucket, open: price, high: price, low: price, close: price, volume: 0 }
+    }
+
+    const candle = state.candle
+    candle.high = Math.max(candle.high, price)
+    candle.low = Math.min(candle.low, price)
+    candle.close = price
+    candle.volume += qty
+
+    this.publish(pairId, state)
+  }
+
+  // Commit the forming candle to every indicator (history replayed by seed() is not announced)
+  close(pairId, state, { silent = false } = {}) {
+    const candle = state.candle
+    state.previous = evaluate(state.indicators, candle, 'update')
+    state.previousTime = candle.time
+    state.closedCandles++
+    const patterns = this.detect(state, candle)
+    if (silent) return
+
+    this.emit('candle', { pair: pairId, interval: this.interval, candle: { ...candle }, values: state.previous })
+    patterns.forEach(pattern => this.emit('pattern', { pair: pairId, interval: this.interval, ...pattern }))
+  }
+
+  // Patterns completed by the candle just closed, numbered by closed candle like state.patterns
+  detect(state, candle) {
+    state.recent.push({ ...candle })
+    if (state.recent.length > RECENT_CANDLES) state.recent.shift()
+
+    const number = state.closedCandles - 1
+    const offset = number - (state.recent.length - 1)
+    const patterns = detectPatternsAt(state.recent, state.recent.length - 1)
+      .map(pattern => ({ ...pattern, index: number, startIndex: pattern.startIndex + offset }))
+    state.patterns = [...state.patterns.filter(pattern => number - pattern.index < PATTERN_LOOKBACK), ...patterns]
+    return patterns
+  }
+
+  publish(pairId, state) {
+    const values = evaluate(state.indicators, state.candle, 'peek')
+    state.latest = {
+      pair: pairId,
+      interval: this.interval,
+      candle: { ...state.candle },
+      values,
+      previous: state.previous,
+      rating: this.rate(state, values),
+      closedCandles: state.closedCandles,
+      seeding: state.seeding
+    }
+    this.emit('update', state.latest)
+  }
+
+  // Partial MA / RSI / MACD (+ patterns) rating from the live values, with the same rules
+  // as the full analysis
+  rate(state, values) {
+    const { previous, previousTime, candle } = state
+    const indicators = {}
+    MA_PERIODS.forEach(period => {
+      indicators[`EMA(${period})`] = series('EMA', previousTime, candle.time, previous && { EMA: previous.ema[period] }, { EMA: values.ema[period] })
+      indicators[`SMA(${period})`] = series('SMA', previousTime, candle.time, previous && { SMA: previous.sma[period] }, { SMA: values.sma[period] })
+    })
+    indicators.RSI = series('RSI', previousTime, candle.time, previous && { RSI: previous.rsi }, { RSI: values.rsi })
+    indicators.MACD = series('MACD', previousTime, candle.time,
+      previous && { MACD: previous.macd.macd, MACD_Signal: previous.macd.signal, MACD_Hist: previous.macd.histogram },
+      { MACD: values.macd.macd, MACD_Signal: values.macd.signal, MACD_Hist: values.macd.histogram })
+
+    this.rater.indicators = indicators
+    this.rater.patterns = state.patterns
+    this.rater.candleCount = state.closedCandles + 1  // the forming candle is the latest
+    this.rater.setCurrentPrice(candle.close)
+    return this.rater.calculateOverallRating()
+  }
+
+  /**
+   * Warm the indicators up from Kraken OHLC once per pair. The last OHLC candle is still
+   * forming, so it is merged with whatever the stream has built meanwhile.
+   */
+  async seed(pairId, state) {
+    if (!this.loadHistory || OFFLINE_MODES.has(this.feed?.getState?.().mode)) return
+
+    const interval = this.interval
+    state.seeding = true
+    try {
+      const history = await this.loadHistory(pairId, { interval })
+      if (this.pairs[pairId] !== state || this.interval !== interval || history.length < 2) return
+
+      const live = state.candle
+      const forming = history[history.length - 1]
+      const seeded = { ...emptyState(), hasTrades: state.hasTrades }
+      const intervalMs = interval * 60000
+      // Kraken leaves out intervals without trades; like addTick, fill them with flat
+      // candles at the last close
+      const fillGap = time => {
+        for (let at = seeded.candle ? seeded.candle.time + intervalMs : time; at < time; at += intervalMs) {
+          const close = seeded.candle.close
+          seeded.candle = { time: at, open: close, high: close, low: close, close, volume: 0 }
+          this.close(pairId, seeded, { silent: true })
+        }
+      }
+      history.slice(0, -1).forEach(({ time, open, high, low, close, volume }) => {
+        fillGap(time.getTime())
+        seeded.candle = { time: time.getTime(), open, high, low, close, volume }
+        this.close(pairId, seeded, { silent: true })
+      })
+
+      const formingTime = forming.time.getTime()
+      fillGap(formingTime)
+      if (!live || live.time <= formingTime) {
+        seeded.candle = { time: formingTime, open: forming.open, high: forming.high, low: forming.low, close: forming.close, volume: forming.volume }
+        if (live && live.time === formingTime) {
+          seeded.candle.high = Math.max(seeded.candle.high, live.high)
+          seeded.candle.low = Math.min(seeded.candle.low, live.low)
+          seeded.candle.close = live.close
+        }
+      } else {
+        seeded.candle = { time: formingTime, open: forming.open, high: forming.high, low: forming.low, close: forming.close, volume: forming.volume }
+        this.close(pairId, seeded, { silent: true })
+        fillGap(live.time)
+        seeded.candle = live
+      }
+
+      this.pairs[pairId] = seeded
+      this.publish(pairId, seeded)
+    } catch (error) {
+      console.warn(`Failed to load ${pairId} history for live indicators:`, error.message)
+    } finally {
+      state.seeding = false
+    }
+  }
+}
+
+// Shared live indicator engine, attached to the shared feed by the app
+export const liveIndicators = new LiveIndicators()
+
+export default LiveIndicators
@@ -0,0 +1,47 @@
+import { describe, it, expect } from 'vitest'
+import { LiveIndicators } from './LiveIndicators.js'
+import EventEmitter from '../feed/EventEmitter.js'
+
+const MINUTE = 60000
+const START = Date.UTC(2026, 0, 5, 12, 0)
+
+const candle = (minute, close) => ({ time: new Date(START + minute * MINUTE), open: close, high: close, low: close, close, volume: 1 })
+
+function liveFeed() {
+  const feed = new EventEmitter()
+  feed.getState = () => ({ mode: 'live' })
+  return feed
+}
+
+describe('LiveIndicators', () => {
+  it('buckets tickers by the feed time, not the wall clock', () => {
+    const live = new LiveIndicators({ interval: 1, loadHistory: null })
+    const feed = liveFeed()
+    live.attach(feed)
+
+    feed.emit('ticker', { pair: 'BTC/USD', last: 100, timestamp: START })
+    feed.emit('ticker', { pair: 'BTC/USD', last: 101, timestamp: START + 3 * MINUTE })
+
+    const state = live.getState('BTC/USD')
+    expect(state.candle.time).toBe(START + 3 * MINUTE)
+    expect(state.closedCandles).toBe(3)  // the first minute and two flat ones
+  })
+
+  it('fills intervals missing from the seeding history with flat candles', async () => {
+    const history = [candle(0, 100), candle(1, 101), candle(4, 104), candle(5, 105)]
+    const live = new LiveIndicators({ interval: 1, loadHistory: async () => history })
+    const closed = []
+    live.attach(liveFeed())
+    live.close = function (pairId, state, options) {
+      closed.push({ ...state.candle })
+      return LiveIndicators.prototype.close.call(this, pairId, state, options)
+    }
+
+    live.addTick('BTC/USD', 105, 0, START + 5 * MINUTE + 1000, { fromTicker: true })
+    await new Promise(resolve => setTimeout(resolve, 0))
+
+    expect(closed.map(c => (c.time - START) / MINUTE)).toEqual([0, 1, 2, 3, 4])
+    expect(closed.slice(2, 4).map(c => [c.open, c.close, c.volume])).toEqual([[101, 101, 0], [101, 101, 0]])
+    expect(live.getState('BTC/USD').candle.time).toBe(START + 5 * MINUTE)
+  })
+})
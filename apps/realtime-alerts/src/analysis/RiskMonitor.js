@@ -0,0 +1,94 @@
+/**
+ * Risk monitor
+ * Computes the risk metrics of analysis/risk.js from hourly Kraken OHLC (720 candles,
+ * about 30 days) for every watched pair, so the risk table and volatility regime alerts
+ * follow the whole watchlist rather than the pair open in Historical Data.
+ *
+ * The shared monitor loads its candles through the confluence analyzer, which already
+ * caches hourly candles per pair and spaces its requests. Like the analyzer it only runs
+ * in the primary tab, and other tabs receive() its results.
+ *
+ * Events:
+ * - 'risk'   { pair, metrics, updatedAt }
+ * - 'error'  { pair, error }
+ */
+
+import EventEmitter from '../feed/EventEmitter.js'
+import { fetchOHLC, toChronological } from './ohlc.js'
+import { riskMetrics } from './risk.js'
+import { confluenceAnalyzer, CONFLUENCE_TIMEFRAMES } from './Confluence.js'
+
+export const RISK_INTERVAL = 60             // candle width in minutes
+export const REFRESH_MS = 5 * 60 * 1000     // how often every pair is re-measured
+
+export class RiskMonitor extends EventEmitter {
+  constructor({ loadHistory = pairId => fetchOHLC(pairId, { interval: RISK_INTERVAL }), refreshMs = REFRESH_MS } = {}) {
+    super()
+    this.loadHistory = loadHistory
+    this.refreshMs = refreshMs
+    this.results = {}  // pair id -> latest { pair, metrics, updatedAt }
+    this.timer = null
+    this.run = null    // identifies the running refresh loop
+  }
+
+  getResult(pairId) {
+    return this.results[pairId] || null
+  }
+
+  getResults() {
+    return this.results
+  }
+
+  /**
+   * Measure immediately and then every refreshMs until stopped.
+   * `getPairIds` is read on each pass so watchlist changes are picked up.
+   */
+  start(getPairIds) {
+    if (this.run) return
+    const run = this.run = {}
+
+    const pass = async () => {
+      for (const pairId of getPairIds()) {
+        if (this.run !== run) return
+        await this.analyze(pairId)
+      }
+      if (this.run === run) this.timer = setTimeout(pass, this.refreshMs)
+    }
+    pass()
+  }
+
+  stop() {
+    this.run = null
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  // Metrics measured by the primary tab, emitted as if measured here
+  receive(result) {
+    this.results[result.pair] = result
+    this.emit('risk', result)
+  }
+
+  async analyze(pairId) {
+    try {
+      const candles = toChronological(await this.loadHistory(pairId))
+      const metrics = riskMetrics(candles, { interval: RISK_INTERVAL })
+      if (!metrics) return null
+
+      const result = { pair: pairId, metrics, updatedAt: Date.now() }
+      this.results[pairId] = result
+      this.emit('risk', result)
+      return result
+    } catch (error) {
+      this.emit('error', { pair: pairId, error })
+      return null
+    }
+  }
+}
+
+const HOURLY = CONFLUENCE_TIMEFRAMES.find(timeframe => timeframe.interval === RISK_INTERVAL)
+
+// Shared monitor, started for the watchlist by the app
+export const riskMonitor = new RiskMonitor({ loadHistory: pairId => confluenceAnalyzer.getCandles(pairId, HOURLY) })
+
+export default RiskMonitor
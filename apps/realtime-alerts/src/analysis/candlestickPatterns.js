@@ -0,0 +1,192 @@
+/**
+ * Candlestick pattern recognition
+ * Pure functions over candles ({ time, open, high, low, close, volume }), oldest first,
+ * like indicators.js. A detection is reported on the candle that completes the pattern.
+ *
+ * Confidence (0..1) combines how cleanly the candles match the textbook shape with the
+ * context they appear in: reversal patterns count for more after the trend they reverse,
+ * and above-average volume on the completing candle adds to it.
+ */
+
+export const CANDLESTICK_PATTERNS = {
+  doji: { name: 'Doji', direction: 'neutral', candles: 1 },
+  hammer: { name: 'Hammer', direction: 'bullish', candles: 1 },
+  shooting_star: { name: 'Shooting Star', direction: 'bearish', candles: 1 },
+  bullish_engulfing: { name: 'Bullish Engulfing', direction: 'bullish', candles: 2 },
+  bearish_engulfing: { name: 'Bearish Engulfing', direction: 'bearish', candles: 2 },
+  morning_star: { name: 'Morning Star', direction: 'bullish', candles: 3 },
+  evening_star: { name: 'Evening Star', direction: 'bearish', candles: 3 },
+  three_white_soldiers: { name: 'Three White Soldiers', direction: 'bullish', candles: 3 },
+  three_black_crows: { name: 'Three Black Crows', direction: 'bearish', candles: 3 }
+}
+
+const CONTEXT_CANDLES = 10  // candles before a pattern used for trend, average body and volume
+const MIN_CONTEXT = 3
+const DOJI_BODY = 0.1       // body at most this share of the range
+
+const clamp = value => Math.max(0, Math.min(1, value))
+
+function shape(candle) {
+  const body = Math.abs(candle.close - candle.open)
+  const top = Math.max(candle.open, candle.close)
+  const bottom = Math.min(candle.open, candle.close)
+  return {
+    ...candle,
+    body,
+    range: candle.high - candle.low,
+    upper: candle.high - top,
+    lower: bottom - candle.low,
+    bullish: candle.close > candle.open,
+    bearish: candle.close < candle.open
+  }
+}
+
+// Trend, average body / range and volume of the candles before `start`
+function context(candles, start) {
+  const from = Math.max(0, start - CONTEXT_CANDLES)
+  const window = candles.slice(from, start)
+  if (window.length < MIN_CONTEXT) return null
+
+  const average = values => values.reduce((sum, value) => sum + value, 0) / values.length
+  const meanClose = average(window.map(c => c.close))
+  const first = window[0].close
+  const last = window[window.length - 1].close
+  let trend = null
+  if (last > meanClose && last > first) trend = 'up'
+  else if (last < meanClose && last < first) trend = 'down'
+
+  return {
+    trend,
+    averageBody: average(window.map(c => Math.abs(c.close - c.open))),
+    averageRange: average(window.map(c => c.high - c.low)),
+    averageVolume: average(window.map(c => c.volume || 0))
+  }
+}
+
+// Shape scores (0 = no match) for the pattern completed by the last of `c`
+const DETECTORS = {
+  doji([c], ctx) {
+    if (c.range === 0 || c.range < 0.5 * ctx.averageRange || c.body > DOJI_BODY * c.range) return 0
+    return 0.5 + 0.5 * (1 - c.body / (DOJI_BODY * c.range))
+  },
+
+  hammer([c], ctx) {
+    if (ctx.trend !== 'down' || c.body <= DOJI_BODY * c.range) return 0
+    if (c.lower < 2 * c.body || c.upper > 0.25 * c.body + 0.05 * c.range) return 0
+    return (clamp(c.lower / c.body / 4) + clamp(1 - c.upper / c.range * 5)) / 2
+  },
+
+  shooting_star([c], ctx) {
+    if (ctx.trend !== 'up' || c.body <= DOJI_BODY * c.range) return 0
+    if (c.upper < 2 * c.body || c.lower > 0.25 * c.body + 0.05 * c.range) return 0
+    return (clamp(c.upper / c.body / 4) + clamp(1 - c.lower / c.range * 5)) / 2
+  },
+
+  // A long candle whose body covers the previous, opposite body (tiny bodies do not count)
+  bullish_engulfing([a, b], ctx) {
+    if (!a.bearish || !b.bullish || b.open > a.close || b.close < a.open || b.body <= a.body) return 0
+    if (a.body < 0.3 * ctx.averageBody || b.body < ctx.averageBody) return 0
+    return clamp(0.5 * b.body / a.body)
+  },
+
+  bearish_engulfing([a, b], ctx) {
+    if (!a.bullish || !b.bearish || b.open < a.close || b.close > a.open || b.body <= a.body) return 0
+    if (a.body < 0.3 * ctx.averageBody || b.body < ctx.averageBody) return 0
+    return clamp(0.5 * b.body / a.body)
+  },
+
+  // Long bearish candle, a small body below its midpoint, then a bullish close into its body
+  morning_star([a, b, c], ctx) {
+    if (!a.bearish || a.body < ctx.averageBody || b.body > 0.3 * a.body || !c.bullish) return 0
+    const midpoint = (a.open + a.close) / 2
+    if ((b.open + b.close) / 2 >= midpoint || c.close < midpoint) return 0
+    return (clamp((c.close - a.close) / a.body) + clamp(1 - b.body / (0.3 * a.body))) / 2
+  },
+
+  evening_star([a, b, c], ctx) {
+    if (!a.bullish || a.body < ctx.averageBody || b.body > 0.3 * a.body || !c.bearish) return 0
+    const midpoint = (a.open + a.close) / 2
+    if ((b.open + b.close) / 2 <= midpoint || c.close > midpoint) return 0
+    return (clamp((a.close - c.close) / a.body) + clamp(1 - b.body / (0.3 * a.body))) / 2
+  },
+
+  // Three long bullish candles, each opening inside the previous body and closing near its high
+  three_white_soldiers(candles, ctx) {
+    const valid = candles.every((c, i) => {
+      if (!c.bullish || c.body < 0.5 * ctx.averageBody || c.upper > 0.5 * c.body) return false
+      const previous = candles[i - 1]
+      return !previous || (c.open >= previous.open && c.open <= previous.close && c.close > previous.close)
+    })
+    if (!valid) return 0
+    return candles.reduce((sum, c) => sum + clamp(c.body / ctx.averageBody / 2) * (1 - c.upper / c.range), 0) / candles.length
+  },
+
+  three_black_crows(candles, ctx) {
+    const valid = candles.every((c, i) => {
+      if (!c.bearish || c.body < 0.5 * ctx.averageBody || c.lower > 0.5 * c.body) return false
+      const previous = candles[i - 1]
+      return !previous || (c.open <= previous.open && c.open >= previous.close && c.close < previous.close)
+    })
+    if (!valid) return 0
+    return candles.reduce((sum, c) => sum + clamp(c.body / ctx.averageBody / 2) * (1 - c.lower / c.range), 0) / candles.length
+  }
+}
+
+// Trend a pattern reverses: bullish patterns follow a downtrend, bearish ones an uptrend.
+// A doji matters after any trend.
+function trendAligned(direction, trend) {
+  if (direction === 'bullish') return trend === 'down'
+  if (direction === 'bearish') return trend === 'up'
+  return trend !== null
+}
+
+// Patterns completed by candle i, with shapes and contexts looked up through the accessors
+function detect(candles, i, shapeAt, contextAt) {
+  const detections = []
+  Object.entries(CANDLESTICK_PATTERNS).forEach(([id, pattern]) => {
+    const start = i - pattern.candles + 1
+    if (start < 0) return
+    const ctx = contextAt(start)
+    if (!ctx) return
+
+    const shapes = []
+    for (let j = start; j <= i; j++) shapes.push(shapeAt(j))
+    const score = DETECTORS[id](shapes, ctx)
+    if (!(score > 0)) return
+
+    const last = candles[i]
+    const aligned = trendAligned(pattern.direction, ctx.trend)
+    const volumeScore = ctx.averageVolume > 0 ? clamp((last.volume || 0) / ctx.averageVolume - 1) : 0
+    const confidence = 0.6 * clamp(score) + 0.25 * (aligned ? 1 : 0) + 0.15 * volumeScore
+
+    detections.push({
+      id,
+      name: pattern.name,
+      direction: pattern.direction,
+      index: i,
+      startIndex: start,
+      time: last.time,
+      price: last.close,
+      confidence: Math.round(confidence * 100) / 100,
+      trend: ctx.trend
+    })
+  })
+  return detections
+}
+
+/**
+ * Patterns completed by candle i:
+ * [{ id, name, direction, index, startIndex, time, price, confidence, trend }]
+ */
+export function detectPatternsAt(candles, i) {
+  return detect(candles, i, j => shape(candles[j]), start => context(candles, start))
+}
+
+/**
+ * Every pattern in a candle series, in candle order
+ */
+export function detectPatterns(candles) {
+  const shapes = candles.map(shape)
+  const contexts = candles.map((_, start) => context(candles, start))
+  return candles.flatMap((_, i) => detect(candles, i, j => shapes[j], start => contexts[start]))
+}
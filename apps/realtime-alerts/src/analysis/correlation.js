@@ -0,0 +1,117 @@
+/**
+ * Cross-pair correlation
+ * Pure functions over candle series ({ time, close }, oldest first like indicators.js) of
+ * several pairs. The series are first synchronized on the candle times they all share, so
+ * every return compares the same period across pairs.
+ *
+ * - correlation: Pearson correlation of log returns over the last `window` returns
+ * - beta: how far a pair moves per move of the benchmark (BTC), cov / var over the window
+ * - decoupling: the latest rolling correlation with the benchmark as a z-score against the
+ *   earlier rolling correlations; a strongly negative z means the pair stopped following BTC
+ */
+
+export const BENCHMARK_PAIR = 'BTC/USD'
+
+// Return windows to choose from, in hourly returns (the monitor loads hourly candles)
+export const CORRELATION_WINDOWS = [
+  { id: '24h', label: '24 hours', returns: 24 },
+  { id: '3d', label: '3 days', returns: 72 },
+  { id: '7d', label: '7 days', returns: 168 },
+  { id: '14d', label: '14 days', returns: 336 }
+]
+const MIN_HISTORY = 20  // rolling correlations needed before a z-score means anything
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length
+
+/**
+ * Closes of every pair on the candle times all of them have:
+ * { times: [ms], closes: { pairId: [close] } }
+ */
+export function synchronize(candlesByPair) {
+  const entries = Object.entries(candlesByPair).filter(([, candles]) => candles.length > 0)
+  if (entries.length === 0) return { times: [], closes: {} }
+
+  const maps = entries.map(([pairId, candles]) => [pairId, new Map(candles.map(c => [+c.time, c.close]))])
+  const times = [...maps[0][1].keys()]
+    .filter(time => maps.every(([, closes]) => closes.has(time)))
+    .sort((a, b) => a - b)
+  return {
+    times,
+    closes: Object.fromEntries(maps.map(([pairId, closes]) => [pairId, times.map(time => closes.get(time))]))
+  }
+}
+
+export function logReturns(closes) {
+  return closes.slice(1).map((close, i) => Math.log(close / closes[i]))
+}
+
+function covariance(a, b) {
+  const meanA = mean(a)
+  const meanB = mean(b)
+  return a.reduce((sum, value, i) => sum + (value - meanA) * (b[i] - meanB), 0) / (a.length - 1)
+}
+
+export function correlation(a, b) {
+  if (a.length < 3) return null
+  const deviation = Math.sqrt(covariance(a, a) * covariance(b, b))
+  return deviation > 0 ? covariance(a, b) / deviation : null
+}
+
+export function beta(asset, benchmark) {
+  if (asset.length < 3) return null
+  const variance = covariance(benchmark, benchmark)
+  return variance > 0 ? covariance(asset, benchmark) / variance : null
+}
+
+/**
+ * Correlation over every `window` returns ending at each return, oldest first
+ */
+export function rollingCorrelation(a, b, window) {
+  const result = []
+  for (let end = window; end <= a.length; end++) {
+    result.push(correlation(a.slice(end - window, end), b.slice(end - window, end)))
+  }
+  return result.filter(value => value !== null)
+}
+
+/**
+ * Latest rolling correlation against the ones before it: { correlation, mean, std, zScore }
+ * (zScore null without MIN_HISTORY earlier values)
+ */
+export function decoupling(asset, benchmark, window) {
+  const rolling = rollingCorrelation(asset, benchmark, window)
+  if (rolling.length === 0) return null
+
+  const latest = rolling[rolling.length - 1]
+  const history = rolling.slice(0, -1)
+  if (history.length < MIN_HISTORY) return { correlation: latest, mean: null, std: null, zScore: null }
+
+  const average = mean(history)
+  const std = Math.sqrt(history.reduce((sum, value) => sum + (value - average) ** 2, 0) / (history.length - 1))
+  return { correlation: latest, mean: average, std, zScore: std > 0 ? (latest - average) / std : null }
+}
+
+/**
+ * Correlation matrix, betas and decoupling versus the benchmark over the last `window`
+ * returns of synchronized series:
+ * { pairs, matrix: { a: { b: r } }, betas: { pairId: beta }, decoupling: { pairId: {...} }, returnCount }
+ */
+export function analyzeCorrelation({ closes }, { window, benchmark = BENCHMARK_PAIR } = {}) {
+  const pairs = Object.keys(closes)
+  const returns = Object.fromEntries(pairs.map(pairId => [pairId, logReturns(closes[pairId])]))
+  const recent = Object.fromEntries(pairs.map(pairId => [pairId, returns[pairId].slice(-window)]))
+
+  const matrix = Object.fromEntries(pairs.map(a => [a, Object.fromEntries(pairs.map(b =>
+    [b, a === b ? 1 : correlation(recent[a], recent[b])]))]))
+
+  const betas = {}
+  const decouplings = {}
+  if (returns[benchmark]) {
+    pairs.filter(pairId => pairId !== benchmark).forEach(pairId => {
+      betas[pairId] = beta(recent[pairId], recent[benchmark])
+      decouplings[pairId] = decoupling(returns[pairId], returns[benchmark], window)
+    })
+  }
+
+  return { pairs, matrix, betas, decoupling: decouplings, returnCount: recent[pairs[0]]?.length ?? 0 }
+}
@@ -0,0 +1,135 @@
+/**
+ * Divergence detection
+ * Compares price pivots with oscillator pivots (RSI, MACD histogram, Stochastic %K) over a
+ * lookback window, on candles oldest first like indicators.js:
+ * - regular bullish: price makes a lower low, the oscillator a higher low (reversal up)
+ * - hidden bullish:  price makes a higher low, the oscillator a lower low (uptrend continues)
+ * - regular bearish: price makes a higher high, the oscillator a lower high (reversal down)
+ * - hidden bearish:  price makes a lower high, the oscillator a higher high (downtrend continues)
+ *
+ * A pivot is only confirmed once PIVOT_WINDOW candles have closed after it, so the most
+ * recent divergence is always at least that many candles old.
+ */
+
+import { rsi, macd, stochastic } from './indicators.js'
+
+export const DIVERGENCE_TYPES = {
+  regular_bullish: { name: 'Regular bullish', direction: 'bullish', hidden: false },
+  hidden_bullish: { name: 'Hidden bullish', direction: 'bullish', hidden: true },
+  regular_bearish: { name: 'Regular bearish', direction: 'bearish', hidden: false },
+  hidden_bearish: { name: 'Hidden bearish', direction: 'bearish', hidden: true }
+}
+
+export const PIVOT_WINDOW = 3   // candles either side a pivot must stand out from
+export const LOOKBACK = 60      // candles searched for the two pivots
+const MIN_SPAN = 5              // candles between the two pivots
+const MATCH_WINDOW = 2          // oscillator pivot may sit this many candles from the price pivot
+
+// Oscillators compared with price; `scale` is the move that counts as a full-strength divergence
+const OSCILLATORS = {
+  RSI: { values: candles => rsi(candles.map(c => c.close)), scale: () => 20 },
+  MACD: {
+    values: candles => macd(candles.map(c => c.close)).histogram,
+    // The histogram has no fixed range: measure it against its largest swing in the window
+    scale: values => Math.max(...values.filter(v => v !== null).map(Math.abs), 0)
+  },
+  Stochastic: { values: candles => stochastic(candles).k, scale: () => 30 }
+}
+
+export const DIVERGENCE_OSCILLATORS = Object.keys(OSCILLATORS)
+
+const clamp = value => Math.max(0, Math.min(1, value))
+
+/**
+ * Indices of confirmed pivot lows ('low') or highs ('high') in `values`
+ */
+export function pivots(values, kind, window = PIVOT_WINDOW) {
+  const result = []
+  for (let i = window; i < values.length - window; i++) {
+    if (values[i] === null) continue
+    let pivot = true
+    for (let j = i - window; j <= i + window && pivot; j++) {
+      if (j === i || values[j] === null) continue
+      // Of equal extremes only the first is a pivot
+      const beats = kind === 'low' ? values[j] < values[i] : values[j] > values[i]
+      pivot = j < i ? !beats && values[j] !== values[i] : !beats
+    }
+    if (pivot) result.push(i)
+  }
+  return result
+}
+
+// Oscillator extreme within MATCH_WINDOW candles of a price pivot
+function oscillatorAt(values, index, kind) {
+  let best = null
+  for (let j = index - MATCH_WINDOW; j <= index + MATCH_WINDOW; j++) {
+    const value = values[j]
+    if (value == null) continue
+    if (best === null || (kind === 'low' ? value < best : value > best)) best = value
+  }
+  return best
+}
+
+function classify(kind, priceDelta, oscillatorDelta) {
+  if (kind === 'low') {
+    if (priceDelta < 0 && oscillatorDelta > 0) return 'regular_bullish'
+    if (priceDelta > 0 && oscillatorDelta < 0) return 'hidden_bullish'
+  } else {
+    if (priceDelta > 0 && oscillatorDelta < 0) return 'regular_bearish'
+    if (priceDelta < 0 && oscillatorDelta > 0) return 'hidden_bearish'
+  }
+  return null
+}
+
+/**
+ * Divergences between price and one oscillator series (aligned with `candles`), oldest first:
+ * [{ type, name, direction, hidden, from, to, time, prices, values, strength }]
+ * `from` / `to` are the candle indices of the two pivots; strength (0..1) grows with the
+ * oscillator's move against price.
+ */
+export function findDivergences(candles, values, { lookback = LOOKBACK, scale = 1 } = {}) {
+  const start = Math.max(0, candles.length - lookback)
+  const divergences = []
+
+  for (const kind of ['low', 'high']) {
+    const prices = candles.map(c => kind === 'low' ? c.low : c.high)
+    const found = pivots(prices, kind).filter(i => i >= start)
+
+    for (let p = 1; p < found.length; p++) {
+      const from = found[p - 1]
+      const to = found[p]
+      if (to - from < MIN_SPAN) continue
+
+      const first = oscillatorAt(values, from, kind)
+      const second = oscillatorAt(values, to, kind)
+      if (first === null || second === null) continue
+
+      const type = classify(kind, prices[to] - prices[from], second - first)
+      if (!type) continue
+
+      divergences.push({
+        type,
+        ...DIVERGENCE_TYPES[type],
+        from,
+        to,
+        time: candles[to].time,
+        prices: [prices[from], prices[to]],
+        values: [first, second],
+        strength: scale > 0 ? Math.round(clamp(Math.abs(second - first) / scale) * 100) / 100 : 0
+      })
+    }
+  }
+
+  return divergences.sort((a, b) => a.to - b.to)
+}
+
+/**
+ * Divergences of every oscillator: { RSI: [...], MACD: [...], Stochastic: [...] }
+ */
+export function detectDivergences(candles, { lookback = LOOKBACK } = {}) {
+  return Object.fromEntries(Object.entries(OSCILLATORS).map(([name, oscillator]) => {
+    const values = oscillator.values(candles)
+    const scale = oscillator.scale(values.slice(-lookback))
+    return [name, findDivergences(candles, values, { lookback, scale })]
+  }))
+}
@@ -0,0 +1,197 @@
+/**
+ * Incremental indicators
+ * Streaming counterparts of indicators.js that keep a constant amount of state, so a
+ * new candle costs O(1) however long the history is. They produce the same values as
+ * the batch functions fed the same closed candles.
+ *
+ * Every indicator has:
+ * - update(input) commits a closed candle (or close) and returns the new value
+ * - peek(input)   value if `input` were the next candle, without changing any state;
+ *                 used to re-evaluate the candle that is still forming on every tick
+ * Values are null until there is enough history, like the batch functions.
+ */
+
+// Shared update/peek: subclasses implement next(input) -> new state (including `value`)
+class Incremental {
+  update(input) {
+    Object.assign(this.state, this.next(input))
+    return this.state.value
+  }
+
+  peek(input) {
+    return this.next(input).value
+  }
+
+  get value() {
+    return this.state.value
+  }
+}
+
+export class IncrementalEMA extends Incremental {
+  constructor(period) {
+    super()
+    this.period = period
+    this.k = 2 / (period + 1)
+    this.state = { count: 0, seed: 0, value: null }
+  }
+
+  // Seeded with the SMA of the first `period` values, like ema()
+  next(value) {
+    const { count, seed, value: previous } = this.state
+    if (count + 1 < this.period) return { count: count + 1, seed: seed + value, value: null }
+    if (count + 1 === this.period) return { count: count + 1, seed: 0, value: (seed + value) / this.period }
+    return { count: count + 1, value: value * this.k + previous * (1 - this.k) }
+  }
+}
+
+/**
+ * Fixed-size window with a running sum and sum of squares (SMA / standard deviation)
+ */
+export class RollingWindow extends Incremental {
+  constructor(period) {
+    super()
+    this.period = period
+    this.values = new Array(period)
+    this.state = { index: 0, count: 0, sum: 0, sumOfSquares: 0, value: null }
+  }
+
+  update(value) {
+    const next = this.next(value)
+    this.values[this.state.index] = value
+    Object.assign(this.state, next, { index: (this.state.index + 1) % this.period })
+    return this.state.value
+  }
+
+  next(value) {
+    const { index, count, sum, sumOfSquares } = this.state
+    const full = count === this.period
+    const dropped = full ? this.values[index] : 0
+    const nextSum = sum + value - dropped
+    const nextSquares = sumOfSquares + value * value - dropped * dropped
+    const nextCount = full ? count : count + 1
+    return { count: nextCount, sum: nextSum, sumOfSquares: nextSquares, value: nextCount === this.period ? nextSum / this.period : null }
+  }
+
+  // Population standard deviation of the window `next` describes
+  static deviation({ sum, sumOfSquares, count }) {
+    const mean = sum / count
+    return Math.sqrt(Math.max(0, sumOfSquares / count - mean * mean))
+  }
+}
+
+export class IncrementalRSI extends Incremental {
+  constructor(period = 14) {
+    super()
+    this.period = period
+    this.state = { previousClose: null, count: 0, averageGain: 0, averageLoss: 0, value: null }
+  }
+
+  // Wilder's smoothing, first average a plain mean of `period` changes, like rsi()
+  next(close) {
+    const { previousClose, count, averageGain, averageLoss } = this.state
+    if (previousClose === null) return { previousClose: close, value: null }
+
+    const gain = Math.max(close - previousClose, 0)
+    const loss = Math.max(previousClose - close, 0)
+    const n = count + 1
+    let nextGain, nextLoss
+    if (n <= this.period) {
+      nextGain = averageGain + gain / this.period
+      nextLoss = averageLoss + loss / this.period
+    } else {
+      nextGain = (averageGain * (this.period - 1) + gain) / this.period
+      nextLoss = (averageLoss * (this.period - 1) + loss) / this.period
+    }
+
+    let value = null
+    if (n >= this.period) {
+      if (nextLoss === 0) value = nextGain === 0 ? 50 : 100
+      else value = 100 - 100 / (1 + nextGain / nextLoss)
+    }
+    return { previousClose: close, count: n, averageGain: nextGain, averageLoss: nextLoss, value }
+  }
+}
+
+export class IncrementalMACD {
+  constructor({ fastPeriod = 12, slowPeriod = 26, signalPeriod = 9 } = {}) {
+    this.fast = new IncrementalEMA(fastPeriod)
+    this.slow = new IncrementalEMA(slowPeriod)
+    this.signal = new IncrementalEMA(signalPeriod)
+    this.value = null
+  }
+
+  // { macd, signal, histogram }, any of them null during warm-up
+  static combine(fast, slow, signal) {
+    const macd = slow === null ? null : fast - slow
+    return { macd, signal, histogram: signal === null ? null : macd - signal }
+  }
+
+  update(close) {
+    const fast = this.fast.update(close)
+    const slow = this.slow.update(close)
+    const signal = slow === null ? null : this.signal.update(fast - slow)
+    this.value = IncrementalMACD.combine(fast, slow, signal)
+    return this.value
+  }
+
+  peek(close) {
+    const fast = this.fast.peek(close)
+    const slow = this.slow.peek(close)
+    const signal = slow === null ? null : this.signal.peek(fast - slow)
+    return IncrementalMACD.combine(fast, slow, signal)
+  }
+}
+
+export class IncrementalATR extends Incremental {
+  constructor(period = 14) {
+    super()
+    this.period = period
+    this.state = { previousClose: null, count: 0, average: 0, value: null }
+  }
+
+  // Wilder's average of true ranges from the second candle on, like atr()
+  next({ high, low, close }) {
+    const { previousClose, count, average } = this.state
+    if (previousClose === null) return { previousClose: close, value: null }
+
+    const trueRange = Math.max(high - low, Math.abs(high - previousClose), Math.abs(low - previousClose))
+    const n = count + 1
+    const nextAverage = n <= this.period
+      ? average + trueRange / this.period
+      : (average * (this.period - 1) + trueRange) / this.period
+    return { previousClose: close, count: n, average: nextAverage, value: n >= this.period ? nextAverage : null }
+  }
+}
+
+export class IncrementalBollinger {
+  constructor({ period = 20, multiplier = 2 } = {}) {
+    this.window = new RollingWindow(period)
+    this.multiplier = multiplier
+    this.value = null
+  }
+
+  // { upper, middle, lower, bandwidth, percentB } or null during warm-up
+  bands(window, close) {
+    if (window.value === null) return null
+    const deviation = RollingWindow.deviation(window)
+    const upper = window.value + this.multiplier * deviation
+    const lower = window.value - this.multiplier * deviation
+    return {
+      upper,
+      middle: window.value,
+      lower,
+      bandwidth: window.value === 0 ? 0 : (upper - lower) / window.value,
+      percentB: upper === lower ? 0.5 : (close - lower) / (upper - lower)
+    }
+  }
+
+  update(close) {
+    this.window.update(close)
+    this.value = this.bands(this.window.state, close)
+    return this.value
+  }
+
+  peek(close) {
+    return this.bands(this.window.next(close), close)
+  }
+}
@@ -0,0 +1,134 @@
+/**
+ * Local indicator series
+ * Computes the indicators TechnicalAnalysisService rates from OHLC candles and returns
+ * them in the Alpha Vantage payload shape ("Meta Data" + "Technical Analysis: X",
+ * keyed by timestamp, values as strings), so the same signal code reads either source.
+ * Nothing here touches the network.
+ */
+
+import { sma, ema, hma, vwma, ichimokuBaseLine, rsi, stochastic, cci, adx, williamsR, macd } from './indicators.js'
+import { toChronological } from './ohlc.js'
+
+// SMA / EMA lengths rated in the moving averages group
+export const MA_PERIODS = [10, 20, 30, 50, 100, 200]
+
+// Moving averages are computed once per period, so their results are keyed by period too
+const PER_PERIOD_TYPES = new Set(['SMA', 'EMA'])
+
+// Everything calculateOverallRating() reads, with the periods the brief specifies
+export const LOCAL_INDICATORS = [
+  ...MA_PERIODS.flatMap(period => [{ type: 'SMA', period }, { type: 'EMA', period }]),
+  { type: 'HullMA', period: 9 },
+  { type: 'VWMA', period: 20 },
+  { type: 'Ichimoku', period: 26 },
+  { type: 'RSI', period: 14 },
+  { type: 'Stochastic' },
+  { type: 'CCI', period: 20 },
+  { type: 'ADX', period: 14 },
+  { type: 'WilliamsR', period: 14 },
+  { type: 'MACD' }
+]
+
+// indicator type -> Alpha Vantage function name and { field: values } for each candle
+const CALCULATORS = {
+  SMA: { name: 'SMA', compute: (candles, { period = 20 }) => ({ SMA: sma(closesOf(candles), period) }) },
+  EMA: { name: 'EMA', compute: (candles, { period = 20 }) => ({ EMA: ema(closesOf(candles), period) }) },
+  HullMA: { name: 'HMA', compute: (candles, { period = 9 }) => ({ HMA: hma(closesOf(candles), period) }) },
+  VWMA: { name: 'VWMA', compute: (candles, { period = 20 }) => ({ VWMA: vwma(candles, period) }) },
+  Ichimoku: { name: 'ICHIMOKU', compute: (candles, { period = 26 }) => ({ BaseLine: ichimokuBaseLine(candles, period) }) },
+  RSI: { name: 'RSI', compute: (candles, { period = 14 }) => ({ RSI: rsi(closesOf(candles), period) }) },
+  Stochastic: {
+    name: 'STOCH',
+    compute: (candles, options) => {
+      const { k, d } = stochastic(candles, options)
+      return { SlowK: k, SlowD: d }
+    }
+  },
+  CCI: { name: 'CCI', compute: (candles, { period = 20 }) => ({ CCI: cci(candles, period) }) },
+  ADX: {
+    name: 'ADX',
+    compute: (candles, { period = 14 }) => {
+      const lines = adx(candles, period)
+      return { ADX: lines.adx, '+DI': lines.plusDI, '-DI': lines.minusDI }
+    }
+  },
+  WilliamsR: { name: 'WILLR', compute: (candles, { period = 14 }) => ({ WILLR: williamsR(candles, period) }) },
+  MACD: {
+    name: 'MACD',
+    compute: (candles, options) => {
+      const lines = macd(closesOf(candles), options)
+      return { MACD: lines.macd, MACD_Signal: lines.signal, MACD_Hist: lines.histogram }
+    }
+  }
+}
+
+function closesOf(candles) {
+  return candles.map(candle => candle.close)
+}
+
+// 'SMA(50)' for moving averages, the plain type for everything else
+export function indicatorKey({ type, period }) {
+  return PER_PERIOD_TYPES.has(type) ? `${type}(${period})` : type
+}
+
+const timestampOf = candle => new Date(candle.time).toISOString()
+
+// { [timestamp]: { field: 'value' } } for every candle where all fields have a value
+function toSeries(candles, fields) {
+  const series = {}
+  candles.forEach((candle, i) => {
+    const values = Object.entries(fields)
+    if (values.some(([, line]) => line[i] === null)) return
+    series[timestampOf(candle)] = Object.fromEntries(values.map(([field, line]) => [field, String(line[i])]))
+  })
+  return series
+}
+
+/**
+ * { [indicatorKey(indicator)]: Alpha Vantage-shaped payload } for `candles` in either order.
+ * An indicator without enough candles gets an empty series rather than an error.
+ */
+export function computeIndicatorSeries(candles, { symbol = null, interval = null, indicators = LOCAL_INDICATORS } = {}) {
+  const chronological = toChronological(candles)
+  const lastRefreshed = chronological.length > 0 ? timestampOf(chronological[chronological.length - 1]) : null
+  const results = {}
+
+  indicators.forEach(indicator => {
+    const calculator = CALCULATORS[indicator.type]
+    if (!calculator) {
+      results[indicatorKey(indicator)] = { error: `Unknown indicator: ${indicator.type}` }
+      return
+    }
+
+    results[indicatorKey(indicator)] = {
+      'Meta Data': {
+        '1: Symbol': symbol,
+        '2: Indicator': calculator.name,
+        '3: Last Refreshed': lastRefreshed,
+        '4: Interval': interval,
+        '5: Time Period': indicator.period ?? null,
+        '6: Time Zone': 'UTC',
+        '7: Source': 'local'
+      },
+      [`Technical Analysis: ${calculator.name}`]: toSeries(chronological, calculator.compute(chronological, indicator))
+    }
+  })
+
+  return results
+}
+
+/**
+ * The same payloads with each series cut to its `count` latest rows, for storing an
+ * analysis: the signals only read the latest value and the one before it, and full series
+ * of every indicator would exceed the database's size limit.
+ */
+export function latestIndicatorRows(indicators, count = 2) {
+  return Object.fromEntries(Object.entries(indicators).map(([key, payload]) => {
+    if (!payload || typeof payload !== 'object' || payload.error) return [key, payload]
+    return [key, Object.fromEntries(Object.entries(payload).map(([field, value]) => {
+      if (!field.startsWith('Technical Analysis:')) return [field, value]
+      const dates = Object.keys(value).sort((a, b) => new Date(b) - new Date(a)).slice(0, count)
+      return [field, Object.fromEntries(dates.map(date => [date, value[date]]))]
+    }))]
+  }))
+}
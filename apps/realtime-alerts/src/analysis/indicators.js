@@ -0,0 +1,293 @@
+/**
+ * Technical indicator library
+ * Pure functions over candles ({ open, high, low, close, volume }) or plain number
+ * arrays, oldest first. Every function returns arrays the same length as its input,
+ * with `null` until the indicator has enough history, so index i always lines up with
+ * candle i.
+ *
+ * Definitions follow the usual references (Wilder for RSI / ADX, Lambert for CCI),
+ * which is also what Alpha Vantage computes.
+ */
+
+// Highest high and lowest low of the `period` candles ending at i
+function range(candles, i, period) {
+  let high = -Infinity
+  let low = Infinity
+  for (let j = i - period + 1; j <= i; j++) {
+    high = Math.max(high, candles[j].high)
+    low = Math.min(low, candles[j].low)
+  }
+  return { high, low }
+}
+
+/**
+ * Simple moving average. Leading nulls in `values` are skipped, so it can smooth the
+ * output of another indicator.
+ */
+export function sma(values, period) {
+  const result = new Array(values.length).fill(null)
+  let sum = 0
+  let count = 0
+
+  values.forEach((value, i) => {
+    if (value === null) return
+    sum += value
+    count++
+    if (count > period) sum -= values[i - period]
+    if (count >= period) result[i] = sum / period
+  })
+  return result
+}
+
+/**
+ * Exponential moving average, seeded with the SMA of its first `period` values.
+ * Leading nulls are skipped like in sma().
+ */
+export function ema(values, period) {
+  const result = new Array(values.length).fill(null)
+  const k = 2 / (period + 1)
+  let previous = null
+  let seed = 0
+  let count = 0
+
+  values.forEach((value, i) => {
+    if (value === null) return
+    count++
+    if (count < period) {
+      seed += value
+    } else if (count === period) {
+      previous = (seed + value) / period
+      result[i] = previous
+    } else {
+      previous = value * k + previous * (1 - k)
+      result[i] = previous
+    }
+  })
+  return result
+}
+
+/**
+ * Linearly weighted moving average (the newest value weighs `period`, the oldest 1).
+ * Leading nulls are skipped like in sma().
+ */
+export function wma(values, period) {
+  const result = new Array(values.length).fill(null)
+  const divisor = (period * (period + 1)) / 2
+  const first = values.findIndex(value => value !== null)
+  if (first === -1) return result
+
+  for (let i = first + period - 1; i < values.length; i++) {
+    let sum = 0
+    for (let j = 0; j < period; j++) sum += values[i - j] * (period - j)
+    result[i] = sum / divisor
+  }
+  return result
+}
+
+/**
+ * Hull moving average: WMA(2 * WMA(n / 2) - WMA(n), sqrt(n))
+ */
+export function hma(values, period = 9) {
+  const half = wma(values, Math.floor(period / 2))
+  const full = wma(values, period)
+  const raw = values.map((_, i) => full[i] === null ? null : 2 * half[i] - full[i])
+  return wma(raw, Math.floor(Math.sqrt(period)))
+}
+
+/**
+ * Volume-weighted moving average of closes. A window without volume falls back to the
+ * plain average rather than dividing by zero.
+ */
+export function vwma(candles, period = 20) {
+  return candles.map((_, i) => {
+    if (i < period - 1) return null
+    let weighted = 0
+    let volume = 0
+    let sum = 0
+    for (let j = i - period + 1; j <= i; j++) {
+      weighted += candles[j].close * candles[j].volume
+      volume += candles[j].volume
+      sum += candles[j].close
+    }
+    return volume > 0 ? weighted / volume : sum / period
+  })
+}
+
+/**
+ * Ichimoku base line (kijun-sen): midpoint of the highest high and lowest low
+ */
+export function ichimokuBaseLine(candles, period = 26) {
+  return candles.map((_, i) => {
+    if (i < period - 1) return null
+    const { high, low } = range(candles, i, period)
+    return (high + low) / 2
+  })
+}
+
+// Wilder's running average: the first value is a plain mean, then avg = (prev * (n - 1) + x) / n
+function wilder(values, period, start) {
+  const result = new Array(values.length).fill(null)
+  if (values.length < start + period) return result
+
+  let average = 0
+  for (let i = start; i < start + period; i++) average += values[i]
+  average /= period
+  result[start + period - 1] = average
+
+  for (let i = start + period; i < values.length; i++) {
+    average = (average * (period - 1) + values[i]) / period
+    result[i] = average
+  }
+  return result
+}
+
+/**
+ * Relative Strength Index (Wilder), 0..100
+ */
+export function rsi(closes, period = 14) {
+  const gains = closes.map((close, i) => i === 0 ? 0 : Math.max(close - closes[i - 1], 0))
+  const losses = closes.map((close, i) => i === 0 ? 0 : Math.max(closes[i - 1] - close, 0))
+  const averageGain = wilder(gains, period, 1)
+  const averageLoss = wilder(losses, period, 1)
+
+  return closes.map((_, i) => {
+    if (averageGain[i] === null) return null
+    if (averageLoss[i] === 0) return averageGain[i] === 0 ? 50 : 100
+    return 100 - 100 / (1 + averageGain[i] / averageLoss[i])
+  })
+}
+
+/**
+ * Slow stochastic oscillator: %K smoothed over `kSmoothing` candles, %D its SMA.
+ * A candle range of zero counts as the middle of the range (50).
+ */
+export function stochastic(candles, { kPeriod = 14, kSmoothing = 3, dPeriod = 3 } = {}) {
+  const fastK = candles.map((candle, i) => {
+    if (i < kPeriod - 1) return null
+    const { high, low } = range(candles, i, kPeriod)
+    return high === low ? 50 : ((candle.close - low) / (high - low)) * 100
+  })
+  const k = sma(fastK, kSmoothing)
+  return { k, d: sma(k, dPeriod) }
+}
+
+/**
+ * Commodity Channel Index on the typical price, with Lambert's 0.015 constant
+ */
+export function cci(candles, period = 20) {
+  const typical = candles.map(candle => (candle.high + candle.low + candle.close) / 3)
+  const average = sma(typical, period)
+
+  return typical.map((price, i) => {
+    if (average[i] === null) return null
+    let deviation = 0
+    for (let j = i - period + 1; j <= i; j++) deviation += Math.abs(typical[j] - average[i])
+    deviation /= period
+    return deviation === 0 ? 0 : (price - average[i]) / (0.015 * deviation)
+  })
+}
+
+/**
+ * Williams %R, -100..0
+ */
+export function williamsR(candles, period = 14) {
+  return candles.map((candle, i) => {
+    if (i < period - 1) return null
+    const { high, low } = range(candles, i, period)
+    return high === low ? -50 : ((high - candle.close) / (high - low)) * -100
+  })
+}
+
+/**
+ * Average Directional Index with the +DI / -DI lines (Wilder)
+ */
+export function adx(candles, period = 14) {
+  const length = candles.length
+  const plusDI = new Array(length).fill(null)
+  const minusDI = new Array(length).fill(null)
+  if (length <= period) return { adx: new Array(length).fill(null), plusDI, minusDI }
+
+  const trueRange = [0]
+  const plusDM = [0]
+  const minusDM = [0]
+  for (let i = 1; i < length; i++) {
+    const { high, low } = candles[i]
+    const previous = candles[i - 1]
+    const up = high - previous.high
+    const down = previous.low - low
+    trueRange.push(Math.max(high - low, Math.abs(high - previous.close), Math.abs(low - previous.close)))
+    plusDM.push(up > down && up > 0 ? up : 0)
+    minusDM.push(down > up && down > 0 ? down : 0)
+  }
+
+  // Wilder's smoothed sums: the first is a plain sum, then sum - sum / n + x
+  let smoothedTR = 0
+  let smoothedPlus = 0
+  let smoothedMinus = 0
+  const dx = new Array(length).fill(null)
+
+  for (let i = 1; i < length; i++) {
+    if (i <= period) {
+      smoothedTR += trueRange[i]
+      smoothedPlus += plusDM[i]
+      smoothedMinus += minusDM[i]
+      if (i < period) continue
+    } else {
+      smoothedTR += trueRange[i] - smoothedTR / period
+      smoothedPlus += plusDM[i] - smoothedPlus / period
+      smoothedMinus += minusDM[i] - smoothedMinus / period
+    }
+
+    plusDI[i] = smoothedTR === 0 ? 0 : (smoothedPlus / smoothedTR) * 100
+    minusDI[i] = smoothedTR === 0 ? 0 : (smoothedMinus / smoothedTR) * 100
+    const total = plusDI[i] + minusDI[i]
+    dx[i] = total === 0 ? 0 : (Math.abs(plusDI[i] - minusDI[i]) / total) * 100
+  }
+
+  // ADX is Wilder's average of DX, which starts at index `period`
+  return { adx: wilder(dx.map(value => value ?? 0), period, period), plusDI, minusDI }
+}
+
+/**
+ * Average True Range (Wilder). The first candle has no previous close, so true ranges
+ * start at the second candle, as in adx().
+ */
+export function atr(candles, period = 14) {
+  const trueRange = candles.map((candle, i) => {
+    if (i === 0) return 0
+    const previousClose = candles[i - 1].close
+    return Math.max(candle.high - candle.low, Math.abs(candle.high - previousClose), Math.abs(candle.low - previousClose))
+  })
+  return wilder(trueRange, period, 1)
+}
+
+/**
+ * Bollinger Bands: SMA of closes +/- `multiplier` population standard deviations
+ */
+export function bollinger(closes, { period = 20, multiplier = 2 } = {}) {
+  const middle = sma(closes, period)
+  const upper = new Array(closes.length).fill(null)
+  const lower = new Array(closes.length).fill(null)
+
+  middle.forEach((average, i) => {
+    if (average === null) return
+    let variance = 0
+    for (let j = i - period + 1; j <= i; j++) variance += (closes[j] - average) ** 2
+    const deviation = Math.sqrt(variance / period)
+    upper[i] = average + multiplier * deviation
+    lower[i] = average - multiplier * deviation
+  })
+  return { upper, middle, lower }
+}
+
+/**
+ * MACD line (fast EMA - slow EMA), its signal EMA and the histogram
+ */
+export function macd(closes, { fastPeriod = 12, slowPeriod = 26, signalPeriod = 9 } = {}) {
+  const fast = ema(closes, fastPeriod)
+  const slow = ema(closes, slowPeriod)
+  const line = closes.map((_, i) => slow[i] === null ? null : fast[i] - slow[i])
+  const signal = ema(line, signalPeriod)
+  const histogram = line.map((value, i) => signal[i] === null ? null : value - signal[i])
+  return { macd: line, signal, histogram }
+}
@@ -0,0 +1,146 @@
+import { describe, it, expect } from 'vitest'
+import { sma, ema, rsi, stochastic, cci, williamsR, adx, macd } from './indicators.js'
+import reference from './__fixtures__/ta-lib-daily-ref.json'
+
+/**
+ * Reference values from TA-Lib's regression tests (src/tools/ta_regtest), computed on the
+ * 252 daily bars in __fixtures__/ta-lib-daily-ref.json. TA-Lib states most of them to two
+ * or four decimals, hence the 0.01 tolerance. Bar numbers below are positions in the
+ * series (TA-Lib's output index plus its lookback).
+ */
+
+const candles = reference.close.map((close, i) => ({
+  time: i,
+  open: reference.open[i],
+  high: reference.high[i],
+  low: reference.low[i],
+  close,
+  volume: reference.volume[i]
+}))
+const closes = reference.close
+
+const firstValue = series => series.findIndex(value => value !== null)
+
+function expectValues(series, expected) {
+  Object.entries(expected).forEach(([bar, value]) => {
+    expect(Math.abs(series[bar] - value), `bar ${bar}: ${series[bar]} vs ${value}`).toBeLessThanOrEqual(0.01)
+  })
+}
+
+describe('sma', () => {
+  it('matches TA-Lib SMA(2) and SMA(30)', () => {
+    expectValues(sma(closes, 2), { 1: 93.15, 2: 94.59, 3: 94.73, 251: 108.31 })
+
+    const sma30 = sma(closes, 30)
+    expect(firstValue(sma30)).toBe(29)
+    expectValues(sma30, { 29: 90.42, 30: 90.21, 31: 89.96, 58: 87.12, 250: 107.95, 251: 108.42 })
+  })
+})
+
+describe('ema', () => {
+  it('matches TA-Lib EMA(2) and EMA(10), seeded with the SMA', () => {
+    expectValues(ema(closes, 2), { 1: 93.15, 2: 93.96, 251: 108.21 })
+
+    const ema10 = ema(closes, 10)
+    expect(firstValue(ema10)).toBe(9)
+    expectValues(ema10, { 9: 93.22, 10: 93.75, 29: 86.46, 251: 108.97 })
+  })
+})
+
+describe('rsi', () => {
+  it('matches TA-Lib RSI(14) with Wilder smoothing', () => {
+    const values = rsi(closes, 14)
+    expect(firstValue(values)).toBe(14)
+    expectValues(values, { 14: 49.14, 15: 52.32, 16: 46.07, 251: 49.63 })
+  })
+})
+
+describe('stochastic', () => {
+  it('matches TA-Lib slow Stochastic(5, 3, 3)', () => {
+    const { k, d } = stochastic(candles, { kPeriod: 5, kSmoothing: 3, dPeriod: 3 })
+    expect(firstValue(d)).toBe(8)
+    expectValues(k, { 8: 24.0128, 251: 30.194 })
+    expectValues(d, { 8: 36.254, 251: 43.69 })
+  })
+
+  it('matches TA-Lib slow Stochastic(5, 3, 4)', () => {
+    const { k, d } = stochastic(candles, { kPeriod: 5, kSmoothing: 3, dPeriod: 4 })
+    expect(firstValue(d)).toBe(9)
+    expectValues(k, { 9: 38.139 })
+    expectValues(d, { 9: 36.725, 251: 46.641 })
+  })
+})
+
+describe('cci', () => {
+  it('matches TA-Lib CCI(2), CCI(5) and CCI(11)', () => {
+    expectValues(cci(candles, 2), { 1: 66.666 })
+    expectValues(cci(candles, 5), { 4: 18.857 })
+
+    const cci11 = cci(candles, 11)
+    expect(firstValue(cci11)).toBe(10)
+    expectValues(cci11, {
+      10: 87.927,
+      11: 180.005,
+      12: 143.5190963,
+      13: -113.8669783,
+      14: -111.064497,
+      15: -26.77393309,
+      16: -70.77933765,
+      22: -157.698269
+    })
+  })
+})
+
+describe('williamsR', () => {
+  it('matches TA-Lib Williams %R(14)', () => {
+    const values = williamsR(candles, 14)
+    expect(firstValue(values)).toBe(13)
+    expectValues(values, { 13: -90.1943, 14: -66.9903, 24: -89.2857, 25: -97.2602, 26: -71.5482, 125: 0, 251: -59.1515 })
+  })
+})
+
+describe('adx', () => {
+  it('starts +DI / -DI at bar 14 and ADX at bar 27 like TA-Lib', () => {
+    const lines = adx(candles, 14)
+    expect(firstValue(lines.plusDI)).toBe(14)
+    expect(firstValue(lines.minusDI)).toBe(14)
+    expect(firstValue(lines.adx)).toBe(27)
+  })
+
+  // TA-Lib's first smoothed sums cover 13 bars where Wilder (and StockCharts) use 14, so
+  // only the values after the difference has smoothed out are compared
+  it('matches TA-Lib ADX(14), +DI and -DI once the smoothing has settled', () => {
+    const lines = adx(candles, 14)
+    expectValues(lines.plusDI, { 251: 21.0 })
+    expectValues(lines.minusDI, { 251: 21.1988 })
+    expectValues(lines.adx, { 250: 16.684, 251: 15.526 })
+  })
+})
+
+describe('macd', () => {
+  it('is the 12 / 26 EMA difference with a 9-period signal, from bar 33 like TA-Lib', () => {
+    const lines = macd(closes)
+    const fast = ema(closes, 12)
+    const slow = ema(closes, 26)
+
+    expect(firstValue(lines.macd)).toBe(25)
+    expect(firstValue(lines.signal)).toBe(33)
+    expect(lines.macd[100]).toBeCloseTo(fast[100] - slow[100], 10)
+    expect(lines.histogram[100]).toBeCloseTo(lines.macd[100] - lines.signal[100], 10)
+  })
+
+  // TA-Lib starts the fast EMA on the bar the slow one starts (bar 14 for 12 / 26), so its
+  // first MACD differs until that seed has decayed; rebuilt that way, the EMAs give its value
+  it('matches TA-Lib MACD(12, 26, 9)', () => {
+    const fast = [...new Array(14).fill(null), ...ema(closes.slice(14), 12)]
+    const slow = ema(closes, 26)
+    const line = closes.map((_, i) => slow[i] === null ? null : fast[i] - slow[i])
+    const signal = ema(line, 9)
+    expectValues(line, { 33: -1.9738 })
+    expectValues(signal, { 33: -2.7071 })
+
+    const lines = macd(closes)
+    expect(lines.macd[251]).toBeCloseTo(line[251], 6)
+    expect(lines.signal[251]).toBeCloseTo(signal[251], 6)
+  })
+})
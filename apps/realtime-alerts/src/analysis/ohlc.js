@@ -0,0 +1,87 @@
+/**
+ * Kraken OHLC candles
+ * Fetches and parses the public OHLC endpoint for any pair. Candles use the shape
+ * HistoricalData has always shown ({ time: Date, open, high, low, close, vwap, volume,
+ * count }) and are returned oldest first, which is what the indicator library expects.
+ * MarketSimulator.generateOHLC() returns the same rows, so simulated history parses
+ * the same way.
+ */
+
+import { krakenPairsCache } from '../feed/krakenPairsCache.js'
+
+const KRAKEN_OHLC_URL = 'https://api.kraken.com/0/public/OHLC'
+
+// Candle widths the endpoint accepts, in minutes
+export const OHLC_INTERVALS = [1, 5, 15, 30, 60, 240, 1440, 10080, 21600]
+
+// Alpha Vantage interval names (and the short forms used in the UI) -> minutes
+const INTERVAL_ALIASES = {
+  '1min': 1, '1m': 1,
+  '5min': 5, '5m': 5,
+  '15min': 15, '15m': 15,
+  '30min': 30, '30m': 30,
+  '60min': 60, '1h': 60,
+  '4h': 240,
+  daily: 1440, '1d': 1440,
+  weekly: 10080, '1w': 10080
+}
+
+export function toOHLCInterval(interval) {
+  const minutes = typeof interval === 'number' ? interval : INTERVAL_ALIASES[interval] ?? parseInt(interval, 10)
+  if (!OHLC_INTERVALS.includes(minutes)) {
+    throw new Error(`Unsupported OHLC interval: ${interval}`)
+  }
+  return minutes
+}
+
+export function parseOHLCRow([time, open, high, low, close, vwap, volume, count]) {
+  return {
+    time: new Date(time * 1000),
+    open: parseFloat(open),
+    high: parseFloat(high),
+    low: parseFloat(low),
+    close: parseFloat(close),
+    vwap: parseFloat(vwap),
+    volume: parseFloat(volume),
+    count: parseInt(count)
+  }
+}
+
+/**
+ * Oldest-first copy of candles in either order, or of raw OHLC rows
+ */
+export function toChronological(candles) {
+  return candles
+    .map(candle => Array.isArray(candle) ? parseOHLCRow(candle) : candle)
+    .sort((a, b) => a.time - b.time)
+}
+
+export function ohlcUrl(pairId, { interval = 60, since } = {}) {
+  const params = new URLSearchParams({ pair: krakenPairsCache.getRestName(pairId), interval: toOHLCInterval(interval) })
+  if (since) params.set('since', since)
+  return `${KRAKEN_OHLC_URL}?${params}`
+}
+
+/**
+ * Candles from an OHLC response body. The result is keyed by Kraken's canonical pair
+ * name (XXBTZUSD), not the name that was asked for, next to a `last` cursor.
+ */
+export function parseOHLCResponse(data) {
+  if (data.error?.length) {
+    throw new Error(`Kraken API error: ${data.error.join(', ')}`)
+  }
+  const key = Object.keys(data.result || {}).find(name => name !== 'last')
+  return toChronological(key ? data.result[key] : [])
+}
+
+/**
+ * Up to 720 of the most recent candles (Kraken's limit), or those after `since`
+ * (seconds). The newest candle is still forming.
+ */
+export async function fetchOHLC(pairId, options = {}) {
+  const response = await fetch(ohlcUrl(pairId, options))
+  if (!response.ok) {
+    throw new Error(`HTTP error! status: ${response.status}`)
+  }
+  return parseOHLCResponse(await response.json())
+}
@@ -0,0 +1,167 @@
+/**
+ * Volatility and risk metrics
+ * Pure functions over candles ({ time, open, high, low, close }), oldest first like
+ * indicators.js. Volatilities and Sharpe / Sortino ratios are annualized over a 365-day
+ * year (crypto trades around the clock) from the candle width; value-at-risk and drawdown
+ * are fractions of price (0.05 = 5%).
+ *
+ * Realized volatility estimators:
+ * - close-to-close: standard deviation of log returns
+ * - Parkinson: from each candle's high / low range, which also sees intra-candle moves
+ * - Garman-Klass: from open, high, low and close
+ */
+
+import { atr } from './indicators.js'
+
+export const RISK_WINDOW = 30    // candles in the rolling Sharpe / Sortino
+export const REGIME_WINDOW = 24  // candles of realized volatility compared with its average
+const MINUTES_PER_YEAR = 365 * 24 * 60
+
+const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length
+
+function standardDeviation(values) {
+  if (values.length < 2) return null
+  const average = mean(values)
+  return Math.sqrt(values.reduce((sum, value) => sum + (value - average) ** 2, 0) / (values.length - 1))
+}
+
+/**
+ * Candle width in minutes, from the median spacing of the candle times
+ */
+export function intervalMinutes(candles) {
+  const gaps = candles.slice(1).map((candle, i) => (candle.time - candles[i].time) / 60000).sort((a, b) => a - b)
+  return gaps.length > 0 ? gaps[Math.floor(gaps.length / 2)] : null
+}
+
+export function logReturns(candles) {
+  return candles.slice(1).map((candle, i) => Math.log(candle.close / candles[i].close))
+}
+
+export function simpleReturns(candles) {
+  return candles.slice(1).map((candle, i) => candle.close / candles[i].close - 1)
+}
+
+export function closeToCloseVolatility(candles, periodsPerYear) {
+  const deviation = standardDeviation(logReturns(candles))
+  return deviation === null ? null : deviation * Math.sqrt(periodsPerYear)
+}
+
+export function parkinsonVolatility(candles, periodsPerYear) {
+  if (candles.length === 0) return null
+  const variance = mean(candles.map(c => Math.log(c.high / c.low) ** 2)) / (4 * Math.LN2)
+  return Math.sqrt(variance * periodsPerYear)
+}
+
+export function garmanKlassVolatility(candles, periodsPerYear) {
+  if (candles.length === 0) return null
+  const variance = mean(candles.map(c =>
+    0.5 * Math.log(c.high / c.low) ** 2 - (2 * Math.LN2 - 1) * Math.log(c.close / c.open) ** 2))
+  return Math.sqrt(Math.max(0, variance) * periodsPerYear)
+}
+
+/**
+ * Largest peak-to-trough fall of the close: { drawdown, peak, trough, peakTime, troughTime }
+ */
+export function maxDrawdown(candles) {
+  let peak = null
+  let worst = { drawdown: 0, peak: null, trough: null, peakTime: null, troughTime: null }
+  candles.forEach(candle => {
+    if (!peak || candle.close > peak.close) peak = candle
+    const drawdown = 1 - candle.close / peak.close
+    if (drawdown > worst.drawdown) {
+      worst = { drawdown, peak: peak.close, trough: candle.close, peakTime: peak.time, troughTime: candle.time }
+    }
+  })
+  return worst
+}
+
+// Mean return over its standard deviation, annualized; no risk-free rate
+export function sharpeRatio(returns, periodsPerYear) {
+  const deviation = standardDeviation(returns)
+  return deviation ? mean(returns) / deviation * Math.sqrt(periodsPerYear) : null
+}
+
+// Like Sharpe, but only losses count as risk (downside deviation below 0)
+export function sortinoRatio(returns, periodsPerYear) {
+  if (returns.length < 2) return null
+  const downside = Math.sqrt(mean(returns.map(r => Math.min(0, r) ** 2)))
+  return downside ? mean(returns) / downside * Math.sqrt(periodsPerYear) : null
+}
+
+/**
+ * Sharpe and Sortino over the `window` returns ending at each return (null before that)
+ */
+export function rollingRatios(returns, window, periodsPerYear) {
+  const sharpe = []
+  const sortino = []
+  returns.forEach((_, i) => {
+    const slice = i + 1 >= window ? returns.slice(i + 1 - window, i + 1) : null
+    sharpe.push(slice && sharpeRatio(slice, periodsPerYear))
+    sortino.push(slice && sortinoRatio(slice, periodsPerYear))
+  })
+  return { sharpe, sortino }
+}
+
+/**
+ * Historical value-at-risk: the one-candle loss not exceeded with `confidence` (0.95 -> 5% tail)
+ */
+export function valueAtRisk(returns, confidence = 0.95) {
+  if (returns.length === 0) return null
+  const sorted = [...returns].sort((a, b) => a - b)
+  const index = Math.min(sorted.length - 1, Math.floor((1 - confidence) * sorted.length))
+  return Math.max(0, -sorted[index])
+}
+
+/**
+ * Realized close-to-close volatility of the last `window` candles against its average over
+ * every window in the series: { current, average, ratio }. On 720 hourly candles the
+ * average covers 30 days, so a ratio of 2 means volatility has doubled against its
+ * 30-day average.
+ */
+export function volatilityRegime(candles, { window = REGIME_WINDOW, periodsPerYear } = {}) {
+  const returns = logReturns(candles)
+  if (returns.length < window) return null
+
+  const rolling = []
+  for (let i = window; i <= returns.length; i++) {
+    rolling.push(standardDeviation(returns.slice(i - window, i)) * Math.sqrt(periodsPerYear))
+  }
+  const current = rolling[rolling.length - 1]
+  const average = mean(rolling)
+  return { current, average, ratio: average > 0 ? current / average : null }
+}
+
+/**
+ * Every metric for a candle series, or null with fewer than three candles. `interval`
+ * (minutes) defaults to the candle spacing.
+ */
+export function riskMetrics(candles, { interval = intervalMinutes(candles), window = RISK_WINDOW } = {}) {
+  if (candles.length < 3 || !interval) return null
+
+  const periodsPerYear = MINUTES_PER_YEAR / interval
+  const returns = simpleReturns(candles)
+  const rolling = rollingRatios(returns, window, periodsPerYear)
+  const atrValue = atr(candles).filter(value => value !== null).pop() ?? null
+  const close = candles[candles.length - 1].close
+
+  return {
+    interval,
+    candleCount: candles.length,
+    volatility: {
+      closeToClose: closeToCloseVolatility(candles, periodsPerYear),
+      parkinson: parkinsonVolatility(candles, periodsPerYear),
+      garmanKlass: garmanKlassVolatility(candles, periodsPerYear)
+    },
+    atr: atrValue,
+    atrPercent: atrValue === null ? null : atrValue / close,
+    maxDrawdown: maxDrawdown(candles),
+    sharpe: sharpeRatio(returns, periodsPerYear),
+    sortino: sortinoRatio(returns, periodsPerYear),
+    rollingWindow: window,
+    rollingSharpe: rolling.sharpe[rolling.sharpe.length - 1] ?? null,
+    rollingSortino: rolling.sortino[rolling.sortino.length - 1] ?? null,
+    var95: valueAtRisk(returns, 0.95),
+    var99: valueAtRisk(returns, 0.99),
+    regime: volatilityRegime(candles, { periodsPerYear })
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Scoring profiles
+ * How TechnicalAnalysisService turns signals into a rating: the weight of each group in
+ * the overall rating, per-indicator weights and on/off toggles, the oscillator thresholds
+ * and the bands that map a rating to a recommendation. The built-in default reproduces the
+ * original rating; user profiles are persisted in localStorage and one of them is active.
+ *
+ * Events:
+ * - 'change' { profiles, active }
+ */
+
+import EventEmitter from '../feed/EventEmitter.js'
+
+const PROFILES_KEY = 'scoring_profiles'
+
+export const RATING_GROUPS = {
+  movingAverages: 'Moving averages',
+  oscillators: 'Oscillators',
+  patterns: 'Candlestick patterns',
+  divergences: 'Divergences'
+}
+
+export const DEFAULT_PROFILE = {
+  id: 'default',
+  name: 'Default',
+  builtIn: true,
+  groups: { movingAverages: 1, oscillators: 1, patterns: 0.5, divergences: 0.75 },
+  indicators: {},  // indicator name -> { enabled, weight }; unlisted indicators count with weight 1
+  thresholds: {
+    RSI: { buy: 30, sell: 70 },
+    Stochastic: { buy: 20, sell: 80 },
+    CCI: { buy: -100, sell: 100 },
+    WilliamsR: { buy: -80, sell: -20 },
+    ADX: { trend: 20 }
+  },
+  // Lower edges of the recommendation bands; -1..strongSell is STRONG SELL
+  bands: { strongSell: -0.5, sell: -0.1, buy: 0.1, strongBuy: 0.5 }
+}
+
+// Valid range of each oscillator threshold
+const THRESHOLD_RANGES = {
+  RSI: [0, 100],
+  Stochastic: [0, 100],
+  CCI: [-500, 500],
+  WilliamsR: [-100, 0]
+}
+
+function generateId() {
+  return `profile_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`
+}
+
+const number = value => typeof value === 'number' ? value : parseFloat(value)
+
+/**
+ * Validate a profile and fill anything missing from the default. Throws on invalid values.
+ */
+export function normalizeProfile(profile) {
+  const name = (profile.name || '').trim()
+  if (!name) throw new Error('Profile needs a name')
+
+  const groups = {}
+  Object.keys(RATING_GROUPS).forEach(group => {
+    const weight = number(profile.groups?.[group] ?? DEFAULT_PROFILE.groups[group])
+    if (!Number.isFinite(weight) || weight < 0) throw new Error(`${RATING_GROUPS[group]} weight must be 0 or more`)
+    groups[group] = weight
+  })
+  if (!Object.values(groups).some(weight => weight > 0)) throw new Error('At least one group needs a weight above 0')
+
+  const indicators = {}
+  Object.entries(profile.indicators || {}).forEach(([indicator, setting]) => {
+    const weight = number(setting.weight ?? 1)
+    if (!Number.isFinite(weight) || weight < 0) throw new Error(`${indicator} weight must be 0 or more`)
+    indicators[indicator] = { enabled: setting.enabled !== false, weight }
+  })
+
+  const thresholds = {}
+  Object.entries(THRESHOLD_RANGES).forEach(([indicator, [min, max]]) => {
+    const buy = number(profile.thresholds?.[indicator]?.buy ?? DEFAULT_PROFILE.thresholds[indicator].buy)
+    const sell = number(profile.thresholds?.[indicator]?.sell ?? DEFAULT_PROFILE.thresholds[indicator].sell)
+    if (!(buy >= min && sell <= max && buy < sell)) {
+      throw new Error(`${indicator} thresholds must lie within ${min}..${max}, buy below sell`)
+    }
+    thresholds[indicator] = { buy, sell }
+  })
+  const trend = number(profile.thresholds?.ADX?.trend ?? DEFAULT_PROFILE.thresholds.ADX.trend)
+  if (!(trend >= 0 && trend <= 100)) throw new Error('ADX trend threshold must lie within 0..100')
+  thresholds.ADX = { trend }
+
+  const bands = {}
+  Object.keys(DEFAULT_PROFILE.bands).forEach(band => {
+    bands[band] = number(profile.bands?.[band] ?? DEFAULT_PROFILE.bands[band])
+  })
+  const edges = [-1, bands.strongSell, bands.sell, bands.buy, bands.strongBuy, 1]
+  if (!edges.every((edge, i) => Number.isFinite(edge) && (i === 0 || edge >= edges[i - 1]))) {
+    throw new Error('Rating bands must rise from strong sell to strong buy within -1..1')
+  }
+
+  return { id: profile.id || generateId(), name, builtIn: false, groups, indicators, thresholds, bands }
+}
+
+// RATING_THRESHOLDS ({ STRONG_SELL: { min, max }, ... }) for a profile's bands
+export function ratingThresholds({ strongSell, sell, buy, strongBuy }) {
+  return {
+    STRONG_SELL: { min: -1.0, max: strongSell },
+    SELL: { min: strongSell, max: sell },
+    NEUTRAL: { min: sell, max: buy },
+    BUY: { min: buy, max: strongBuy },
+    STRONG_BUY: { min: strongBuy, max: 1.0 }
+  }
+}
+
+export class ScoringProfiles extends EventEmitter {
+  constructor() {
+    super()
+    const { profiles, activeId } = this.loadFromStorage()
+    this.profiles = profiles
+    this.activeId = activeId
+  }
+
+  getProfiles() {
+    return [DEFAULT_PROFILE, ...this.profiles]
+  }
+
+  getProfile(id) {
+    return this.getProfiles().find(profile => profile.id === id) || null
+  }
+
+  getActive() {
+    return this.getProfile(this.activeId) || DEFAULT_PROFILE
+  }
+
+  setActive(id) {
+    if (!this.getProfile(id)) throw new Error(`Scoring profile not found: ${id}`)
+    this.activeId = id
+    this.save()
+  }
+
+  /**
+   * Create or update a profile. Saving the built-in profile stores a new copy instead.
+   * Returns the stored profile.
+   */
+  saveProfile(profile) {
+    const isNew = !profile.id || profile.builtIn || !this.profiles.some(p => p.id === profile.id)
+    const normalized = normalizeProfile({ ...profile, id: isNew ? null : profile.id })
+    this.profiles = isNew
+      ? [...this.profiles, normalized]
+      : this.profiles.map(p => p.id === normalized.id ? normalized : p)
+    this.save()
+    return normalized
+  }
+
+  deleteProfile(id) {
+    this.profiles = this.profiles.filter(p => p.id !== id)
+    if (this.activeId === id) this.activeId = DEFAULT_PROFILE.id
+    this.save()
+  }
+
+  save() {
+    try {
+      localStorage.setItem(PROFILES_KEY, JSON.stringify({ profiles: this.profiles, activeId: this.activeId }))
+    } catch (error) {
+      console.warn('localStorage failed, scoring profiles not persisted:', error)
+    }
+    this.emit('change', { profiles: this.getProfiles(), active: this.getActive() })
+  }
+
+  // Stored profiles that no longer validate are dropped
+  loadFromStorage() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(PROFILES_KEY)) || {}
+      const profiles = (stored.profiles || []).flatMap(profile => {
+        try {
+          return [normalizeProfile(profile)]
+        } catch {
+          return []
+        }
+      })
+      return { profiles, activeId: stored.activeId || DEFAULT_PROFILE.id }
+    } catch {
+      return { profiles: [], activeId: DEFAULT_PROFILE.id }
+    }
+  }
+}
+
+// Shared profiles; every TechnicalAnalysisService rates with the active one unless given its own
+export const scoringProfiles = new ScoringProfiles()
+
+export default ScoringProfiles
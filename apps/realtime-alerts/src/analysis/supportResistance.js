@@ -0,0 +1,173 @@
+/**
+ * Support and resistance zones
+ * Finds price zones from candles (oldest first, like indicators.js) where the market
+ * turned or traded heavily:
+ * - swing highs / lows (a high or low unmatched by SWING_WINDOW candles either side),
+ *   clustered when they lie within an ATR of each other
+ * - high-volume nodes of the volume-by-price profile
+ * Each zone is then scored by its swings, how many separate times price came back to it
+ * (touches), the volume traded inside it and how recently it was touched.
+ *
+ * Zones below the current price are support, zones above it resistance.
+ */
+
+import { atr } from './indicators.js'
+
+const SWING_WINDOW = 3        // candles either side a swing must stand out from
+const ZONE_ATR = 0.5          // zone half-width as a share of the ATR
+const PROFILE_BINS = 50       // volume-by-price buckets
+const VOLUME_NODE = 1.5       // a bucket this many times the average is a high-volume node
+const MAX_ZONES = 8
+
+// Strength points (out of 100) and the counts that earn all of them
+const STRENGTH = {
+  swings: { points: 35, full: 4 },
+  touches: { points: 30, full: 6 },
+  volume: { points: 25 },
+  recency: { points: 10 }
+}
+
+function swingPoints(candles) {
+  const swings = []
+  for (let i = SWING_WINDOW; i < candles.length - SWING_WINDOW; i++) {
+    const neighbours = [...candles.slice(i - SWING_WINDOW, i), ...candles.slice(i + 1, i + SWING_WINDOW + 1)]
+    if (neighbours.every(c => c.high < candles[i].high)) swings.push({ price: candles[i].high, index: i, kind: 'high' })
+    if (neighbours.every(c => c.low > candles[i].low)) swings.push({ price: candles[i].low, index: i, kind: 'low' })
+  }
+  return swings
+}
+
+// Volume spread evenly over each candle's range, in PROFILE_BINS buckets from low to high
+function volumeProfile(candles, low, high) {
+  const size = (high - low) / PROFILE_BINS || 1
+  const bins = new Array(PROFILE_BINS).fill(0)
+  candles.forEach(candle => {
+    const first = Math.min(PROFILE_BINS - 1, Math.floor((candle.low - low) / size))
+    const last = Math.min(PROFILE_BINS - 1, Math.floor((candle.high - low) / size))
+    const share = (candle.volume || 0) / (last - first + 1)
+    for (let b = first; b <= last; b++) bins[b] += share
+  })
+  return { bins, size }
+}
+
+// High-volume nodes: buckets well above the average that are local peaks
+function volumeNodes({ bins, size }, low) {
+  const average = bins.reduce((sum, volume) => sum + volume, 0) / bins.length
+  return bins
+    .map((volume, b) => ({ volume, price: low + (b + 0.5) * size, b }))
+    .filter(({ volume, b }) => volume >= VOLUME_NODE * average && volume >= (bins[b - 1] ?? 0) && volume >= (bins[b + 1] ?? 0))
+}
+
+// Group prices into clusters spanning at most `tolerance`, so a slow drift cannot chain
+// every swing into one wide zone
+function cluster(points, tolerance) {
+  const clusters = []
+  const sorted = [...points].sort((a, b) => a.price - b.price)
+  sorted.forEach(point => {
+    const current = clusters[clusters.length - 1]
+    if (current && point.price - current[0].price <= tolerance) current.push(point)
+    else clusters.push([point])
+  })
+  return clusters
+}
+
+// Strongest first; a zone overlapping a stronger one is dropped
+function withoutOverlaps(zones) {
+  const kept = []
+  zones.forEach(zone => {
+    if (!kept.some(other => zone.low <= other.high && zone.high >= other.low)) kept.push(zone)
+  })
+  return kept
+}
+
+// Separate visits: consecutive candles inside the zone count once
+function countTouches(candles, low, high) {
+  let touches = 0
+  let lastTouch = null
+  let inside = false
+  candles.forEach((candle, i) => {
+    const hit = candle.high >= low && candle.low <= high
+    if (hit && !inside) touches++
+    if (hit) lastTouch = i
+    inside = hit
+  })
+  return { touches, lastTouch }
+}
+
+/**
+ * Support / resistance zones, strongest first:
+ * [{ type, low, high, price, strength (0..100), swings, touches, volume, lastTouch, distancePercent }]
+ * `price` defaults to the last close.
+ */
+export function findZones(candles, { price = null, maxZones = MAX_ZONES } = {}) {
+  if (candles.length < 2 * SWING_WINDOW + 1) return []
+
+  const current = price ?? candles[candles.length - 1].close
+  const low = Math.min(...candles.map(c => c.low))
+  const high = Math.max(...candles.map(c => c.high))
+  const atrValue = atr(candles).filter(value => value !== null).pop()
+    ?? candles.reduce((sum, c) => sum + c.high - c.low, 0) / candles.length
+  const halfWidth = Math.max(atrValue * ZONE_ATR, current * 0.0005)
+
+  const profile = volumeProfile(candles, low, high)
+  const nodes = volumeNodes(profile, low)
+  const swings = swingPoints(candles)
+
+  // Swing clusters first; a volume node only makes a zone of its own where no swing zone is
+  let zones = cluster(swings, 2 * halfWidth).map(points => {
+    const prices = points.map(p => p.price)
+    return { low: Math.min(...prices) - halfWidth, high: Math.max(...prices) + halfWidth, swings: points.length }
+  })
+  nodes.forEach(node => {
+    if (!zones.some(zone => node.price >= zone.low && node.price <= zone.high)) {
+      zones.push({ low: node.price - halfWidth, high: node.price + halfWidth, swings: 0 })
+    }
+  })
+
+  // Volume traded inside each zone, from the profile buckets it covers
+  const zoneVolume = zone => profile.bins.reduce((sum, volume, b) => {
+    const bucket = low + (b + 0.5) * profile.size
+    return bucket >= zone.low && bucket <= zone.high ? sum + volume : sum
+  }, 0)
+
+  zones = zones.map(zone => ({ ...zone, volume: zoneVolume(zone), ...countTouches(candles, zone.low, zone.high) }))
+  const maxVolume = Math.max(...zones.map(zone => zone.volume), 0)
+
+  const scored = zones
+    .map(zone => {
+      const recency = zone.lastTouch === null ? 0 : zone.lastTouch / (candles.length - 1)
+      const strength =
+        STRENGTH.swings.points * Math.min(1, zone.swings / STRENGTH.swings.full) +
+        STRENGTH.touches.points * Math.min(1, zone.touches / STRENGTH.touches.full) +
+        STRENGTH.volume.points * (maxVolume > 0 ? zone.volume / maxVolume : 0) +
+        STRENGTH.recency.points * recency
+      const center = (zone.low + zone.high) / 2
+      return {
+        type: center < current ? 'support' : 'resistance',
+        low: zone.low,
+        high: zone.high,
+        price: center,
+        strength: Math.round(strength),
+        swings: zone.swings,
+        touches: zone.touches,
+        volume: zone.volume,
+        lastTouch: zone.lastTouch === null ? null : candles[zone.lastTouch].time,
+        distancePercent: (center - current) / current * 100
+      }
+    })
+    .sort((a, b) => b.strength - a.strength)
+  return withoutOverlaps(scored).slice(0, maxZones)
+}
+
+/**
+ * Zones as prompt lines, nearest first: "Support 64,100–64,350 (strength 72, 5 touches, -1.2%)"
+ */
+export function describeZones(zones, formatPrice = value => value.toLocaleString('en-US', { maximumSignificantDigits: 6 })) {
+  return [...zones]
+    .sort((a, b) => Math.abs(a.distancePercent) - Math.abs(b.distancePercent))
+    .map(zone => {
+      const kind = zone.type === 'support' ? 'Support' : 'Resistance'
+      const distance = `${zone.distancePercent >= 0 ? '+' : ''}${zone.distancePercent.toFixed(2)}%`
+      return `${kind} ${formatPrice(zone.low)}–${formatPrice(zone.high)} (strength ${zone.strength}, ${zone.touches} touches, ${distance})`
+    })
+}
@@ -4,9 +4,17 @@
  * Keeps API keys secure on the server side
  */
 
+import { API_CONFIG } from './config.js';
+import { readServerSentEvents } from './serverSentEvents.js';
+import { GEMINI_CONFIG } from '../gemini/config.js';
+import { indicatorKey } from '../analysis/indicatorSeries.js';
+
+// Last good Alpha Vantage payload per request, shared by all clients in this tab
+const indicatorCache = new Map();
+
 class NetlifyClient {
   constructor() {
-    this.baseUrl = '/.netlify/functions';
+    this.baseUrl = API_CONFIG.functionsBaseUrl;
   }
 
   // Generic function to call Netlify Functions
@@ -21,8 +29,7 @@ class NetlifyClient {
       });
 
       if (!response.ok) {
-        const errorData = await response.json();
-        throw new Error(errorData.error || `HTTP error! status: ${response.status}`);
+        throw await this.toError(response);
       }
 
       const result = await response.json();
@@ -33,30 +40,100 @@ class NetlifyClient {
     }
   }
 
+  // Function error body ({ error, message, retryAfter, data }) → Error with those fields
+  async toError(response) {
+    const errorData = await response.json().catch(() => ({}));
+    const error = new Error(errorData.message || errorData.error || `HTTP error! status: ${response.status}`);
+    error.status = response.status;
+    error.code = errorData.error;
+    error.retryAfter = errorData.retryAfter;
+    error.data = errorData.data;
+    return error;
+  }
+
   // Alpha Vantage API calls
+  // The function queues requests against the free-tier quota; when it answers
+  // rate_limited (or fails) we fall back to the last good copy: the function's,
+  // this tab's, or the snapshot saved in the database.
+  // Results are keyed like local indicators: 'SMA(50)' for moving averages, so several periods can be fetched
   async getTechnicalIndicators(symbol, interval, indicators) {
     const results = {};
-    
+    let storedSnapshot;
+
     for (const indicator of indicators) {
+      const key = indicatorKey(indicator);
+      const request = { symbol, interval, indicator: indicator.type, period: indicator.period, seriesType: indicator.seriesType };
+      const cacheKey = JSON.stringify(request);
+
       try {
-        const data = await this.callFunction('alpha-vantage', {
-          symbol,
-          interval,
-          indicator: indicator.type
-        });
-        results[indicator.type] = data;
+        const response = await this.callFunction('alpha-vantage', request);
+        indicatorCache.set(cacheKey, response.data);
+        results[key] = response.data;
       } catch (error) {
-        console.error(`Failed to fetch ${indicator.type}:`, error);
-        results[indicator.type] = { error: error.message };
+        let fallback = error.data || indicatorCache.get(cacheKey);
+        if (!fallback) {
+          storedSnapshot ??= await this.getStoredIndicators(symbol, interval, 1)
+            .then(response => response.data?.[0]?.indicators || {})
+            .catch(() => ({}));
+          const stored = storedSnapshot[key];
+          fallback = stored && !stored.error ? stored : null;
+        }
+
+        if (fallback) {
+          console.warn(`Using cached ${indicator.type} data (${error.code || error.message})`);
+          results[key] = fallback;
+        } else {
+          console.error(`Failed to fetch ${indicator.type}:`, error);
+          results[key] = { error: error.message, code: error.code, retryAfter: error.retryAfter };
+        }
       }
     }
-    
+
     return results;
   }
 
   // Gemini API calls
-  async generateContent(prompt, model = 'gemini-1.5-flash') {
-    return await this.callFunction('gemini', { prompt, model });
+  async generateContent(prompt, model = GEMINI_CONFIG.model, generationConfig = {}) {
+    return await this.callFunction('gemini', { prompt, model, generationConfig });
+  }
+
+  // Streams the answer: onToken(text) for each piece, resolves with the complete response
+  async streamContent(prompt, { model = GEMINI_CONFIG.model, generationConfig = {}, onToken, signal } = {}) {
+    const response = await fetch(`${this.baseUrl}/gemini`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ prompt, model, generationConfig, stream: true }),
+      signal
+    });
+
+    if (!response.ok) {
+      throw await this.toError(response);
+    }
+
+    for await (const { event, data } of readServerSentEvents(response.body)) {
+      const payload = JSON.parse(data);
+      if (event === 'token') {
+        onToken?.(payload.text);
+      } else if (event === 'done') {
+        return payload;
+      } else if (event === 'error') {
+        const error = new Error(payload.message);
+        error.code = payload.error;
+        throw error;
+      }
+    }
+
+    throw new Error('Gemini stream ended before the response was complete');
+  }
+
+  async getGeminiStatus() {
+    const response = await fetch(`${this.baseUrl}/gemini`);
+    if (!response.ok) {
+      throw await this.toError(response);
+    }
+    return await response.json();
   }
 
   // Database operations
@@ -109,7 +186,8 @@ class NetlifyClient {
     });
   }
 
-  async getTechnicalIndicators(symbol, interval, limit = 10) {
+  // Previously stored indicator snapshots (getTechnicalIndicators fetches fresh ones)
+  async getStoredIndicators(symbol, interval, limit = 10) {
     return await this.callFunction('database', {
       action: 'getTechnicalIndicators',
       data: { symbol, interval, limit }
@@ -123,6 +201,21 @@ class NetlifyClient {
     });
   }
 
+  async getAnalysisSessions(limit = 20) {
+    return await this.callFunction('database', {
+      action: 'getAnalysisSessions',
+      data: { limit }
+    });
+  }
+
+  async testDatabaseConnection() {
+    return await this.callFunction('database', { action: 'testConnection' });
+  }
+
+  async getDatabaseStats() {
+    return await this.callFunction('database', { action: 'getStats' });
+  }
+
   // Health check
   async healthCheck() {
     try {
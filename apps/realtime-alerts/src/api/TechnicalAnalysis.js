@@ -2,17 +2,69 @@
  * Technical Analysis Service
  * Implements the exact rating system from the user's brief
  * Calculates buy/sell signals for moving averages, oscillators, and other indicators
+ *
+ * Indicators come from Alpha Vantage (`source: 'alpha-vantage'`, BTCUSD only) or are
+ * computed locally from Kraken OHLC for any pair (`source: 'local'`). After
+ * loadCandles() the ratings need no network at all.
+ *
+ * Group and indicator weights, oscillator thresholds and the recommendation bands come from
+ * a scoring profile (see analysis/scoringProfiles.js): the shared active profile, unless
+ * setProfile() gives the service its own.
  */
 
 import NetlifyClient from './NetlifyClient.js'
 import { ALPHA_VANTAGE_CONFIG } from './config.js'
+import { computeIndicatorSeries, latestIndicatorRows, MA_PERIODS } from '../analysis/indicatorSeries.js'
+import { fetchOHLC, toChronological } from '../analysis/ohlc.js'
+import { detectPatterns, CANDLESTICK_PATTERNS } from '../analysis/candlestickPatterns.js'
+import { detectDivergences, PIVOT_WINDOW, DIVERGENCE_OSCILLATORS } from '../analysis/divergence.js'
+import { scoringProfiles, ratingThresholds, RATING_GROUPS } from '../analysis/scoringProfiles.js'
+
+// Moving averages rated next to the per-period SMA / EMA, as in the TradingView-style rating
+const OTHER_MOVING_AVERAGES = [
+  { type: 'Ichimoku', period: 26, name: 'Ichimoku Base Line(26)' },
+  { type: 'VWMA', period: 20, name: 'VWMA(20)' },
+  { type: 'HullMA', period: 9, name: 'Hull MA(9)' }
+]
+
+// Candlestick patterns count towards the rating for this many candles, fading with age
+export const PATTERN_LOOKBACK = 3
+
+// A divergence counts towards the rating until its second pivot is this many candles old
+export const DIVERGENCE_RECENT = 10
+
+const OSCILLATORS = ['RSI', 'Stochastic', 'CCI', 'ADX', 'WilliamsR', 'MACD']
+
+// Every indicator a profile can weigh or switch off, by group, named as in the rating details
+export const RATED_INDICATORS = {
+  movingAverages: [
+    ...MA_PERIODS.flatMap(period => [`SMA(${period})`, `EMA(${period})`]),
+    ...OTHER_MOVING_AVERAGES.map(({ name }) => name)
+  ],
+  oscillators: OSCILLATORS,
+  patterns: Object.values(CANDLESTICK_PATTERNS).map(({ name }) => name),
+  divergences: DIVERGENCE_OSCILLATORS.map(oscillator => `${oscillator} divergence`)
+}
+
+// Badge class for a rating: ok (buy side), error (sell side), warn (neutral band)
+export function ratingLevel(rating, bands = scoringProfiles.getActive().bands) {
+  if (rating >= bands.buy) return 'ok'
+  if (rating <= bands.sell) return 'error'
+  return 'warn'
+}
 
 export class TechnicalAnalysisService {
-  constructor() {
+  constructor({ source = 'alpha-vantage', pairId = 'BTC/USD', profile = null } = {}) {
     this.client = new NetlifyClient()
-    this.symbol = 'BTCUSD' // Alpha Vantage format for Bitcoin
+    this.source = source
+    this.pairId = pairId // Kraken pair for local indicators
+    this.symbol = source === 'local' ? pairId : 'BTCUSD' // Alpha Vantage format for Bitcoin
     this.currentPrice = null
     this.indicators = {}
+    this.patterns = []    // candlestick patterns found by loadCandles() (see analysis/candlestickPatterns.js)
+    this.divergences = {}  // oscillator -> divergences found by loadCandles() (see analysis/divergence.js)
+    this.candleCount = 0
+    this.profile = profile  // null follows the active scoring profile
     this.ratings = {}
     
     // Rating values as defined in the brief
@@ -23,15 +75,20 @@ export class TechnicalAnalysisService {
       BUY: 0.5,
       STRONG_BUY: 1.0
     }
-    
-    // Rating thresholds as defined in the brief
-    this.RATING_THRESHOLDS = {
-      STRONG_SELL: { min: -1.0, max: -0.5 },
-      SELL: { min: -0.5, max: -0.1 },
-      NEUTRAL: { min: -0.1, max: 0.1 },
-      BUY: { min: 0.1, max: 0.5 },
-      STRONG_BUY: { min: 0.5, max: 1.0 }
-    }
+  }
+
+  // Rating thresholds from the profile's bands; the default profile keeps the ones in the brief
+  get RATING_THRESHOLDS() {
+    return ratingThresholds(this.getProfile().bands)
+  }
+
+  getProfile() {
+    return this.profile || scoringProfiles.getActive()
+  }
+
+  // Rate with this profile instead of the active one (null to follow the active one again)
+  setProfile(profile) {
+    this.profile = profile
   }
 
   // Set current price (from Kraken real-time data)
@@ -55,6 +112,9 @@ export class TechnicalAnalysisService {
       await this.client.storeAnalysisSession(this.symbol, interval, 'started', { indicators: indicators.map(i => i.type) })
       
       this.indicators = await this.client.getTechnicalIndicators(this.symbol, interval, indicators)
+      this.patterns = []  // Alpha Vantage has no candles to look for patterns or divergences in
+      this.divergences = {}
+      this.candleCount = 0
       console.log('🔧 Fetched indicators:', this.indicators)
       
       // Store technical indicators data
@@ -80,55 +140,75 @@ export class TechnicalAnalysisService {
     }
   }
 
-  // Calculate ratings for Moving Averages group as defined in the brief
+  // Compute every indicator from OHLC candles (either order, or raw Kraken rows) without any request.
+  // Without a live price the latest close stands in for it.
+  loadCandles(candles, { symbol = this.pairId, interval = null } = {}) {
+    const chronological = toChronological(candles)
+    this.symbol = symbol
+    this.indicators = computeIndicatorSeries(chronological, { symbol, interval })
+    this.patterns = detectPatterns(chronological)
+    this.divergences = detectDivergences(chronological)
+    this.candleCount = chronological.length
+    if (this.currentPrice === null && chronological.length > 0) {
+      this.currentPrice = chronological[chronological.length - 1].close
+    }
+    return this.indicators
+  }
+
+  // Fetch Kraken OHLC for this.pairId and compute the indicators from it
+  async fetchLocalIndicators(interval = 'daily') {
+    const candles = await fetchOHLC(this.pairId, { interval })
+    return this.loadCandles(candles, { symbol: this.pairId, interval })
+  }
+
+  // Latest value of one moving average. Local results are keyed per period ('SMA(50)');
+  // an Alpha Vantage result is keyed by type and only counts for the period it was fetched with.
+  getMovingAverageValue(type, period) {
+    const payload = this.indicators[`${type}(${period})`] ||
+      (Number(this.indicators[type]?.['Meta Data']?.['5: Time Period']) === period ? this.indicators[type] : null)
+    const series = payload && Object.entries(payload).find(([key]) => key.startsWith('Technical Analysis:'))?.[1]
+    const value = series ? this.getLatestValue(series) : null
+    return Number.isFinite(value) ? value : null
+  }
+
+  // Calculate ratings for Moving Averages group as defined in the brief:
+  // SMA and EMA for every period, plus Ichimoku base line, VWMA and Hull MA.
+  // `periods` reports each length separately; a null entry had no data (too few candles,
+  // or not fetched from Alpha Vantage) and is left out of the average.
   calculateMovingAveragesRating() {
-    if (!this.currentPrice) return { rating: 0, signals: [], details: {} }
+    if (!this.currentPrice) return { rating: 0, signals: [], details: {}, periods: {} }
     
     const signals = []
-    let totalRating = 0
-    let indicatorCount = 0
     const details = {}
+    const periods = {}
     
-    // Moving Averages (SMA and EMA with different lengths)
-    const maPeriods = [10, 20, 30, 50, 100, 200]
-    
-    maPeriods.forEach(period => {
-      // Check SMA
-      if (this.indicators.SMA && this.indicators.SMA[`Technical Analysis: SMA`]) {
-        const smaData = this.indicators.SMA[`Technical Analysis: SMA`]
-        const latestSMA = this.getLatestValue(smaData)
-        
-        if (latestSMA !== null) {
-          const signal = this.calculateMASignal(latestSMA, this.currentPrice, `SMA(${period})`)
-          signals.push(signal)
-          totalRating += signal.rating
-          indicatorCount++
-          details[`SMA(${period})`] = signal
-        }
-      }
-      
-      // Check EMA
-      if (this.indicators.EMA && this.indicators.EMA[`Technical Analysis: EMA`]) {
-        const emaData = this.indicators.EMA[`Technical Analysis: EMA`]
-        const latestEMA = this.getLatestValue(emaData)
-        
-        if (latestEMA !== null) {
-          const signal = this.calculateMASignal(latestEMA, this.currentPrice, `EMA(${period})`)
-          signals.push(signal)
-          totalRating += signal.rating
-          indicatorCount++
-          details[`EMA(${period})`] = signal
-        }
+    const rate = (name, value) => {
+      if (value === null) return null
+      const signal = this.calculateMASignal(value, this.currentPrice, name)
+      signals.push(signal)
+      details[name] = signal
+      return signal
+    }
+    
+    MA_PERIODS.forEach(period => {
+      periods[period] = {
+        SMA: rate(`SMA(${period})`, this.getMovingAverageValue('SMA', period)),
+        EMA: rate(`EMA(${period})`, this.getMovingAverageValue('EMA', period))
       }
     })
     
-    const averageRating = indicatorCount > 0 ? totalRating / indicatorCount : 0
+    OTHER_MOVING_AVERAGES.forEach(({ type, period, name }) => {
+      rate(name, this.getMovingAverageValue(type, period))
+    })
+    
+    const { rating: averageRating, counted } = this.weighSignals(signals)
     
     return {
       rating: averageRating,
-      signals,
+      signals: counted,
       details,
-      indicatorCount,
+      periods,
+      indicatorCount: counted.length,
       recommendation: this.getRatingRecommendation(averageRating)
     }
   }
@@ -138,17 +218,13 @@ export class TechnicalAnalysisService {
     if (!this.currentPrice) return { rating: 0, signals: [], details: {} }
     
     const signals = []
-    let totalRating = 0
-    let indicatorCount = 0
     const details = {}
     
-    // RSI (14) - Buy: < 30 and rising, Sell: > 70 and falling
+    // RSI (14) - Buy: < 30 and rising, Sell: > 70 and falling (thresholds from the profile)
     if (this.indicators.RSI && this.indicators.RSI[`Technical Analysis: RSI`]) {
       const rsiData = this.indicators.RSI[`Technical Analysis: RSI`]
       const signal = this.calculateRSISignal(rsiData)
       signals.push(signal)
-      totalRating += signal.rating
-      indicatorCount++
       details.RSI = signal
     }
     
@@ -157,8 +233,6 @@ export class TechnicalAnalysisService {
       const stochData = this.indicators.Stochastic[`Technical Analysis: STOCH`]
       const signal = this.calculateStochasticSignal(stochData)
       signals.push(signal)
-      totalRating += signal.rating
-      indicatorCount++
       details.Stochastic = signal
     }
     
@@ -167,8 +241,6 @@ export class TechnicalAnalysisService {
       const cciData = this.indicators.CCI[`Technical Analysis: CCI`]
       const signal = this.calculateCCISignal(cciData)
       signals.push(signal)
-      totalRating += signal.rating
-      indicatorCount++
       details.CCI = signal
     }
     
@@ -177,8 +249,6 @@ export class TechnicalAnalysisService {
       const adxData = this.indicators.ADX[`Technical Analysis: ADX`]
       const signal = this.calculateADXSignal(adxData)
       signals.push(signal)
-      totalRating += signal.rating
-      indicatorCount++
       details.ADX = signal
     }
     
@@ -187,8 +257,6 @@ export class TechnicalAnalysisService {
       const willrData = this.indicators.WilliamsR[`Technical Analysis: WILLR`]
       const signal = this.calculateWilliamsRSignal(willrData)
       signals.push(signal)
-      totalRating += signal.rating
-      indicatorCount++
       details.WilliamsR = signal
     }
     
@@ -197,33 +265,162 @@ export class TechnicalAnalysisService {
       const macdData = this.indicators.MACD[`Technical Analysis: MACD`]
       const signal = this.calculateMACDSignal(macdData)
       signals.push(signal)
-      totalRating += signal.rating
-      indicatorCount++
       details.MACD = signal
     }
     
-    const averageRating = indicatorCount > 0 ? totalRating / indicatorCount : 0
+    const { rating: averageRating, counted } = this.weighSignals(signals)
     
     return {
       rating: averageRating,
-      signals,
+      signals: counted,
+      details,
+      indicatorCount: counted.length,
+      recommendation: this.getRatingRecommendation(averageRating)
+    }
+  }
+
+  // Rate the candlestick patterns completed within the last PATTERN_LOOKBACK candles:
+  // bullish ones buy and bearish ones sell by their confidence, fading as newer candles form.
+  // A doji only signals indecision and counts as neutral.
+  calculatePatternsRating() {
+    const latest = this.candleCount - 1
+    const recent = this.patterns.filter(pattern => latest - pattern.index < PATTERN_LOOKBACK)
+
+    const signals = []
+    const details = {}
+
+    recent.forEach(pattern => {
+      const age = latest - pattern.index
+      const direction = pattern.direction === 'bullish' ? 1 : pattern.direction === 'bearish' ? -1 : 0
+      const rating = direction * pattern.confidence * (1 - age / PATTERN_LOOKBACK)
+      const signal = direction > 0 ? 'BUY' : direction < 0 ? 'SELL' : 'NEUTRAL'
+      const when = age === 0 ? 'on the last candle' : `${age} candle${age > 1 ? 's' : ''} ago`
+
+      details[pattern.name] = {
+        indicator: pattern.name,
+        rating,
+        signal,
+        reason: `${pattern.direction} pattern ${when}, confidence ${Math.round(pattern.confidence * 100)}%`,
+        pattern
+      }
+      signals.push(details[pattern.name])
+    })
+
+    const { rating: averageRating, counted } = this.weighSignals(signals)
+
+    return {
+      rating: averageRating,
+      signals: counted,
       details,
-      indicatorCount,
+      indicatorCount: counted.length,
       recommendation: this.getRatingRecommendation(averageRating)
     }
   }
 
-  // Calculate overall rating (average of both groups)
+  // Rate the latest divergence of each oscillator (RSI, MACD histogram, Stochastic) whose second
+  // pivot is at most DIVERGENCE_RECENT candles old: bullish ones buy and bearish ones sell by
+  // their strength, fading from the candle the pivot is confirmed on
+  calculateDivergenceRating() {
+    const latest = this.candleCount - 1
+    const signals = []
+    const details = {}
+
+    Object.entries(this.divergences).forEach(([oscillator, divergences]) => {
+      const divergence = divergences[divergences.length - 1]
+      if (!divergence || latest - divergence.to > DIVERGENCE_RECENT) return
+
+      const age = latest - divergence.to
+      const fade = 1 - Math.max(0, age - PIVOT_WINDOW) / (DIVERGENCE_RECENT - PIVOT_WINDOW + 1)
+      const rating = (divergence.direction === 'bullish' ? 1 : -1) * divergence.strength * fade
+      const signal = rating > 0 ? 'BUY' : rating < 0 ? 'SELL' : 'NEUTRAL'
+      const [firstPrice, secondPrice] = divergence.prices
+      const [firstValue, secondValue] = divergence.values
+
+      details[oscillator] = {
+        indicator: `${oscillator} divergence`,
+        rating,
+        signal,
+        reason: `${divergence.name}: price ${firstPrice.toFixed(2)} → ${secondPrice.toFixed(2)}, ` +
+          `${oscillator} ${firstValue.toFixed(2)} → ${secondValue.toFixed(2)} (${age} candles ago)`,
+        divergence
+      }
+      signals.push(details[oscillator])
+    })
+
+    const { rating: averageRating, counted } = this.weighSignals(signals)
+
+    return {
+      rating: averageRating,
+      signals: counted,
+      details,
+      indicatorCount: counted.length,
+      recommendation: this.getRatingRecommendation(averageRating)
+    }
+  }
+
+  // Weighted average of a group's signals with the profile's indicator weights (1 when unset).
+  // Every signal is tagged with its `enabled` flag and `weight`; switched-off indicators and
+  // zero weights are left out of the rating.
+  weighSignals(signals) {
+    const { indicators } = this.getProfile()
+    const counted = []
+    let totalRating = 0
+    let totalWeight = 0
+
+    signals.forEach(signal => {
+      const setting = indicators[signal.indicator]
+      signal.enabled = setting?.enabled !== false
+      signal.weight = signal.enabled ? setting?.weight ?? 1 : 0
+      if (!(signal.weight > 0)) return
+      counted.push(signal)
+      totalRating += signal.rating * signal.weight
+      totalWeight += signal.weight
+    })
+
+    return { rating: totalWeight > 0 ? totalRating / totalWeight : 0, counted }
+  }
+
+  // Calculate overall rating: the average of the groups weighted by the profile. Patterns and
+  // divergences only count when there are recent ones.
+  // `breakdown` lists every counted indicator with its share of the overall weight and its
+  // contribution (share × rating); the contributions add up to the overall rating.
   calculateOverallRating() {
-    const maRating = this.calculateMovingAveragesRating()
-    const oscillatorRating = this.calculateOscillatorsRating()
-    
-    const overallRating = (maRating.rating + oscillatorRating.rating) / 2
+    const weights = this.getProfile().groups
+    const ratings = {
+      movingAverages: this.calculateMovingAveragesRating(),
+      oscillators: this.calculateOscillatorsRating(),
+      patterns: this.calculatePatternsRating(),
+      divergences: this.calculateDivergenceRating()
+    }
+
+    const optional = ['patterns', 'divergences']
+    const counted = Object.keys(RATING_GROUPS).filter(group =>
+      weights[group] > 0 && (!optional.includes(group) || ratings[group].indicatorCount > 0))
+    const totalWeight = counted.reduce((sum, group) => sum + weights[group], 0)
+    const overallRating = totalWeight > 0
+      ? counted.reduce((sum, group) => sum + ratings[group].rating * weights[group], 0) / totalWeight
+      : 0
+
+    const breakdown = counted.flatMap(group => {
+      const { signals } = ratings[group]
+      const groupWeight = signals.reduce((sum, signal) => sum + signal.weight, 0)
+      return signals.map(signal => {
+        const weight = weights[group] / totalWeight * signal.weight / groupWeight
+        return {
+          group,
+          indicator: signal.indicator,
+          signal: signal.signal,
+          rating: signal.rating,
+          weight,
+          contribution: weight * signal.rating
+        }
+      })
+    })
     
     return {
       rating: overallRating,
-      movingAverages: maRating,
-      oscillators: oscillatorRating,
+      ...ratings,
+      breakdown,
       recommendation: this.getRatingRecommendation(overallRating)
     }
   }
@@ -269,6 +466,7 @@ export class TechnicalAnalysisService {
   }
 
   // Calculate RSI signal as defined in the brief: Buy — < 30 and rising, Sell — > 70 and falling
+  // (30 / 70 are the default profile's thresholds)
   calculateRSISignal(rsiData) {
     const dates = Object.keys(rsiData).sort((a, b) => new Date(b) - new Date(a))
     if (dates.length < 2) {
@@ -280,17 +478,18 @@ export class TechnicalAnalysisService {
     const latestRSI = parseFloat(rsiData[latestDate].RSI)
     const previousRSI = parseFloat(rsiData[previousDate].RSI)
     const isRising = latestRSI > previousRSI
+    const { buy, sell } = this.getProfile().thresholds.RSI
     
     let rating, signal, reason
     
-    if (latestRSI < 30 && isRising) {
+    if (latestRSI < buy && isRising) {
       rating = 1 // Buy
       signal = 'BUY'
-      reason = `RSI < 30 and rising (${latestRSI.toFixed(2)} < 30, ${isRising ? 'rising' : 'falling'})`
-    } else if (latestRSI > 70 && !isRising) {
+      reason = `RSI < ${buy} and rising (${latestRSI.toFixed(2)} < ${buy}, ${isRising ? 'rising' : 'falling'})`
+    } else if (latestRSI > sell && !isRising) {
       rating = -1 // Sell
       signal = 'SELL'
-      reason = `RSI > 70 and falling (${latestRSI.toFixed(2)} > 70, ${isRising ? 'rising' : 'falling'})`
+      reason = `RSI > ${sell} and falling (${latestRSI.toFixed(2)} > ${sell}, ${isRising ? 'rising' : 'falling'})`
     } else {
       rating = 0 // Neutral
       signal = 'NEUTRAL'
@@ -311,17 +510,18 @@ export class TechnicalAnalysisService {
     const latestData = stochData[latestDate]
     const kValue = parseFloat(latestData.SlowK)
     const dValue = parseFloat(latestData.SlowD)
+    const { buy, sell } = this.getProfile().thresholds.Stochastic
     
     let rating, signal, reason
     
-    if (kValue < 20 && dValue < 20 && kValue > dValue) {
+    if (kValue < buy && dValue < buy && kValue > dValue) {
       rating = 1 // Buy
       signal = 'BUY'
-      reason = `K and D < 20 and K > D (K: ${kValue.toFixed(2)}, D: ${dValue.toFixed(2)})`
-    } else if (kValue > 80 && dValue > 80 && kValue < dValue) {
+      reason = `K and D < ${buy} and K > D (K: ${kValue.toFixed(2)}, D: ${dValue.toFixed(2)})`
+    } else if (kValue > sell && dValue > sell && kValue < dValue) {
       rating = -1 // Sell
       signal = 'SELL'
-      reason = `K and D > 80 and K < D (K: ${kValue.toFixed(2)}, D: ${dValue.toFixed(2)})`
+      reason = `K and D > ${sell} and K < D (K: ${kValue.toFixed(2)}, D: ${dValue.toFixed(2)})`
     } else {
       rating = 0 // Neutral
       signal = 'NEUTRAL'
@@ -343,17 +543,18 @@ export class TechnicalAnalysisService {
     const latestCCI = parseFloat(cciData[latestDate].CCI)
     const previousCCI = parseFloat(cciData[previousDate].CCI)
     const isRising = latestCCI > previousCCI
+    const { buy, sell } = this.getProfile().thresholds.CCI
     
     let rating, signal, reason
     
-    if (latestCCI < -100 && isRising) {
+    if (latestCCI < buy && isRising) {
       rating = 1 // Buy
       signal = 'BUY'
-      reason = `CCI < -100 and rising (${latestCCI.toFixed(2)} < -100, ${isRising ? 'rising' : 'falling'})`
-    } else if (latestCCI > 100 && !isRising) {
+      reason = `CCI < ${buy} and rising (${latestCCI.toFixed(2)} < ${buy}, ${isRising ? 'rising' : 'falling'})`
+    } else if (latestCCI > sell && !isRising) {
       rating = -1 // Sell
       signal = 'SELL'
-      reason = `CCI > 100 and falling (${latestCCI.toFixed(2)} > 100, ${isRising ? 'rising' : 'falling'})`
+      reason = `CCI > ${sell} and falling (${latestCCI.toFixed(2)} > ${sell}, ${isRising ? 'rising' : 'falling'})`
     } else {
       rating = 0 // Neutral
       signal = 'NEUTRAL'
@@ -380,17 +581,18 @@ export class TechnicalAnalysisService {
     const latestMinusDI = parseFloat(latestData['-DI'])
     const previousADX = parseFloat(previousData.ADX)
     const isRising = latestADX > previousADX
+    const { trend } = this.getProfile().thresholds.ADX
     
     let rating, signal, reason
     
-    if (latestPlusDI > latestMinusDI && latestADX > 20 && isRising) {
+    if (latestPlusDI > latestMinusDI && latestADX > trend && isRising) {
       rating = 1 // Buy
       signal = 'BUY'
-      reason = `+DI > -DI and ADX > 20 and rising (+DI: ${latestPlusDI.toFixed(2)}, -DI: ${latestMinusDI.toFixed(2)}, ADX: ${latestADX.toFixed(2)})`
-    } else if (latestPlusDI < latestMinusDI && latestADX > 20 && isRising) {
+      reason = `+DI > -DI and ADX > ${trend} and rising (+DI: ${latestPlusDI.toFixed(2)}, -DI: ${latestMinusDI.toFixed(2)}, ADX: ${latestADX.toFixed(2)})`
+    } else if (latestPlusDI < latestMinusDI && latestADX > trend && isRising) {
       rating = -1 // Sell
       signal = 'SELL'
-      reason = `+DI < -DI and ADX > 20 and rising (+DI: ${latestPlusDI.toFixed(2)}, -DI: ${latestMinusDI.toFixed(2)}, ADX: ${latestADX.toFixed(2)})`
+      reason = `+DI < -DI and ADX > ${trend} and rising (+DI: ${latestPlusDI.toFixed(2)}, -DI: ${latestMinusDI.toFixed(2)}, ADX: ${latestADX.toFixed(2)})`
     } else {
       rating = 0 // Neutral
       signal = 'NEUTRAL'
@@ -412,17 +614,18 @@ export class TechnicalAnalysisService {
     const latestWillR = parseFloat(willrData[latestDate].WILLR)
     const previousWillR = parseFloat(willrData[previousDate].WILLR)
     const isRising = latestWillR > previousWillR
+    const { buy, sell } = this.getProfile().thresholds.WilliamsR
     
     let rating, signal, reason
     
-    if (latestWillR < -80 && isRising) {
+    if (latestWillR < buy && isRising) {
       rating = 1 // Buy
       signal = 'BUY'
-      reason = `Williams %R < -80 and rising (${latestWillR.toFixed(2)} < -80, ${isRising ? 'rising' : 'falling'})`
-    } else if (latestWillR > -20 && !isRising) {
+      reason = `Williams %R < ${buy} and rising (${latestWillR.toFixed(2)} < ${buy}, ${isRising ? 'rising' : 'falling'})`
+    } else if (latestWillR > sell && !isRising) {
       rating = -1 // Sell
       signal = 'SELL'
-      reason = `Williams %R > -20 and falling (${latestWillR.toFixed(2)} > -20, ${isRising ? 'rising' : 'falling'})`
+      reason = `Williams %R > ${sell} and falling (${latestWillR.toFixed(2)} > ${sell}, ${isRising ? 'rising' : 'falling'})`
     } else {
       rating = 0 // Neutral
       signal = 'NEUTRAL'
@@ -441,7 +644,7 @@ export class TechnicalAnalysisService {
     
     const latestDate = dates[0]
     const latestData = macdData[latestDate]
-    const mainLine = parseFloat(latestData.MACD_Hist)
+    const mainLine = parseFloat(latestData.MACD)
     const signalLine = parseFloat(latestData.MACD_Signal)
     
     let rating, signal, reason
@@ -479,26 +682,44 @@ export class TechnicalAnalysisService {
   }
 
   // Get all ratings and analysis
-  async getFullAnalysis(interval = 'daily') {
+  // Pass `candles` to analyse history already in hand instead of fetching it
+  async getFullAnalysis(interval = 'daily', { candles } = {}) {
     try {
-      await this.fetchIndicators(interval)
+      if (candles) {
+        this.loadCandles(candles, { symbol: this.symbol, interval })
+      } else if (this.source === 'local') {
+        await this.fetchLocalIndicators(interval)
+      } else {
+        await this.fetchIndicators(interval)
+      }
       
       const movingAveragesRating = this.calculateMovingAveragesRating()
       const oscillatorsRating = this.calculateOscillatorsRating()
+      const patternsRating = this.calculatePatternsRating()
+      const divergencesRating = this.calculateDivergenceRating()
       const overallRating = this.calculateOverallRating()
       
       const analysis = {
         timestamp: new Date().toISOString(),
+        symbol: this.symbol,
         currentPrice: this.currentPrice,
         interval,
         movingAverages: movingAveragesRating,
         oscillators: oscillatorsRating,
+        patterns: patternsRating,
+        divergences: divergencesRating,
         overall: overallRating,
         indicators: this.indicators
       }
       
-      // Store the complete analysis in database
-      await this.client.storeTechnicalAnalysis(analysis)
+      // Store the analysis with the latest indicator rows only (the full series are returned,
+      // not stored); a local analysis is still returned when offline
+      const stored = { ...analysis, indicators: latestIndicatorRows(this.indicators) }
+      if (candles || this.source === 'local') {
+        await this.client.storeTechnicalAnalysis(stored).catch(error => console.warn('Failed to store technical analysis:', error.message))
+      } else {
+        await this.client.storeTechnicalAnalysis(stored)
+      }
       
       return analysis
     } catch (error) {
@@ -0,0 +1,65 @@
+/**
+ * API Configuration
+ * Client-side settings for the APIs the app talks to. No API keys live here:
+ * Alpha Vantage and Gemini are only reached through the Netlify Functions,
+ * which read their keys from server environment variables.
+ */
+
+import { KRAKEN_WS_V1 } from '../feed/protocols/KrakenV1Protocol.js'
+import { KRAKEN_WS_V2 } from '../feed/protocols/KrakenV2Protocol.js'
+
+export const API_CONFIG = {
+  functionsBaseUrl: '/.netlify/functions',
+  requestTimeout: 15000
+}
+
+export const ALPHA_VANTAGE_CONFIG = {
+  functionName: 'alpha-vantage',
+  defaultSymbol: 'BTCUSD',
+  defaultInterval: 'daily',
+  // Free tier quota, enforced by the function; kept here so the UI can explain delays
+  requestsPerMinute: 5,
+  requestsPerDay: 25,
+  // One request each, so a full analysis fits in the per-minute quota
+  defaultIndicators: [
+    { type: 'SMA', period: 20 },
+    { type: 'EMA', period: 20 },
+    { type: 'RSI', period: 14 },
+    { type: 'Stochastic' },
+    { type: 'MACD' }
+  ]
+}
+
+export const KRAKEN_CONFIG = {
+  wsV1Url: KRAKEN_WS_V1,
+  wsV2Url: KRAKEN_WS_V2,
+  restUrl: 'https://api.kraken.com/0/public'
+}
+
+export const isDevelopment = () => import.meta.env.DEV
+export const isProduction = () => import.meta.env.PROD
+
+/**
+ * Sanity-check the static configuration. Returns { valid, errors }.
+ */
+export function validateConfig() {
+  const errors = []
+
+  if (ALPHA_VANTAGE_CONFIG.defaultIndicators.length > ALPHA_VANTAGE_CONFIG.requestsPerMinute) {
+    errors.push('More default indicators than Alpha Vantage requests per minute; some will be rate limited')
+  }
+  ALPHA_VANTAGE_CONFIG.defaultIndicators.forEach(indicator => {
+    if (!indicator.type) errors.push('Every default indicator needs a type')
+  })
+
+  return { valid: errors.length === 0, errors }
+}
+
+export default {
+  API_CONFIG,
+  ALPHA_VANTAGE_CONFIG,
+  KRAKEN_CONFIG,
+  validateConfig,
+  isDevelopment,
+  isProduction
+}
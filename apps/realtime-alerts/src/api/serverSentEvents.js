@@ -0,0 +1,42 @@
+/**
+ * Server-sent events reader
+ * Yields `{ event, data }` for each event in a `text/event-stream` body (a web
+ * ReadableStream). Used by NetlifyClient to read the gemini function's stream, and
+ * by the function itself to read Gemini's `alt=sse` responses.
+ */
+
+export async function* readServerSentEvents(body) {
+  const reader = body.getReader()
+  const decoder = new TextDecoder()
+  let buffer = ''
+
+  try {
+    for (;;) {
+      const { value, done } = await reader.read()
+      buffer += decoder.decode(value, { stream: !done })
+
+      const blocks = buffer.split(/\r?\n\r?\n/)
+      buffer = done ? '' : blocks.pop()
+
+      for (const block of blocks) {
+        const parsed = parseEvent(block)
+        if (parsed) yield parsed
+      }
+      if (done) return
+    }
+  } finally {
+    reader.releaseLock()
+  }
+}
+
+function parseEvent(block) {
+  let event = 'message'
+  const data = []
+
+  block.split(/\r?\n/).forEach(line => {
+    if (line.startsWith('event:')) event = line.slice(6).trim()
+    else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''))
+  })
+
+  return data.length > 0 ? { event, data: data.join('\n') } : null
+}
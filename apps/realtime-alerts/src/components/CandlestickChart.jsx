@@ -0,0 +1,73 @@
+import React from 'react'
+
+/**
+ * Candlestick Chart
+ * SVG candles, oldest on the left, with a marker on every candle that completes a
+ * candlestick pattern: ▲ under the low for bullish patterns, ▼ over the high for bearish
+ * ones and ◆ over the high for a doji. Hover a marker for the pattern and its confidence.
+ * Support / resistance zones are shaded behind the candles, more opaque the stronger they are.
+ */
+
+const CHART_WIDTH = 720
+const CHART_HEIGHT = 260
+const MARKER_SPACE = 16  // room above and below the candles for markers
+const MARKERS = { bullish: '▲', bearish: '▼', neutral: '◆' }
+
+export default function CandlestickChart({ candles, patterns = [], zones = [] }) {
+  if (candles.length === 0) return null
+
+  const high = Math.max(...candles.map(c => c.high))
+  const low = Math.min(...candles.map(c => c.low))
+  const step = CHART_WIDTH / candles.length
+  const x = i => (i + 0.5) * step
+  const y = price => MARKER_SPACE + (1 - (price - low) / (high - low || 1)) * (CHART_HEIGHT - 2 * MARKER_SPACE)
+  const bodyWidth = Math.max(1, step * 0.6)
+
+  // Several patterns can end on the same candle: stack their markers
+  const stacked = {}
+  const markers = patterns.map(pattern => {
+    const below = pattern.direction === 'bullish'
+    const key = `${pattern.index}-${below}`
+    const slot = stacked[key] = (stacked[key] ?? -1) + 1
+    const candle = candles[pattern.index]
+    return {
+      pattern,
+      x: x(pattern.index),
+      y: below ? y(candle.low) + 10 + slot * 10 : y(candle.high) - 4 - slot * 10
+    }
+  })
+
+  return (
+    <svg className="candlestick-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`}>
+      {zones.map(zone => (
+        <rect
+          key={`${zone.low}-${zone.high}`}
+          className={`zone ${zone.type}`}
+          x={0}
+          y={y(zone.high)}
+          width={CHART_WIDTH}
+          height={Math.max(1, y(zone.low) - y(zone.high))}
+          fillOpacity={0.08 + 0.22 * zone.strength / 100}
+        >
+          <title>{`${zone.type === 'support' ? 'Support' : 'Resistance'} • strength ${zone.strength} • ${zone.touches} touches`}</title>
+        </rect>
+      ))}
+      {candles.map((candle, i) => {
+        const direction = candle.close >= candle.open ? 'up' : 'down'
+        const top = y(Math.max(candle.open, candle.close))
+        return (
+          <g key={i} className={`candle ${direction}`}>
+            <line x1={x(i)} x2={x(i)} y1={y(candle.high)} y2={y(candle.low)} />
+            <rect x={x(i) - bodyWidth / 2} y={top} width={bodyWidth} height={Math.max(1, y(Math.min(candle.open, candle.close)) - top)} />
+          </g>
+        )
+      })}
+      {markers.map(({ pattern, x: markerX, y: markerY }) => (
+        <text key={`${pattern.id}-${pattern.index}`} className={`pattern-marker ${pattern.direction}`} x={markerX} y={markerY} textAnchor="middle">
+          {MARKERS[pattern.direction]}
+          <title>{`${pattern.name} • ${Math.round(pattern.confidence * 100)}% confidence • ${new Date(pattern.time).toLocaleString()}`}</title>
+        </text>
+      ))}
+    </svg>
+  )
+}
@@ -0,0 +1,72 @@
+import React from 'react'
+import { useConfluence } from '../feed/useKrakenFeed.js'
+import { CONFLUENCE_TIMEFRAMES } from '../analysis/Confluence.js'
+import { ratingLevel } from '../api/TechnicalAnalysis.js'
+
+/**
+ * Confluence Panel
+ * Recommendation matrix (watched pairs x timeframes) with the weighted confluence
+ * score per pair. Each cell is the combined moving average + oscillator rating of that
+ * timeframe (candlestick patterns and divergences are not part of it); the two group
+ * ratings behind it are shown underneath.
+ */
+
+function Cell({ rating }) {
+  if (!rating) return <td className="small">—</td>
+
+  const { overall, movingAverages, oscillators, candleCount } = rating
+  return (
+    <td title={`${candleCount} candles • MA + oscillators ${overall.rating.toFixed(2)}`}>
+      <span className={`badge ${ratingLevel(overall.rating)}`}>{overall.recommendation}</span>
+      <div className="small">MA {movingAverages.recommendation} • Osc {oscillators.recommendation}</div>
+    </td>
+  )
+}
+
+export default function ConfluencePanel({ pairs }) {
+  const results = useConfluence()
+
+  return (
+    <div className="card confluence-panel">
+      <div className="label">Multi-Timeframe Confluence</div>
+      <div className="small">
+        Weights: {CONFLUENCE_TIMEFRAMES.map(tf => `${tf.id} ×${tf.weight}`).join(' • ')} • computed from Kraken OHLC
+      </div>
+
+      <table className="confluence-matrix">
+        <thead>
+          <tr>
+            <th>Pair</th>
+            {CONFLUENCE_TIMEFRAMES.map(tf => <th key={tf.id}>{tf.id}</th>)}
+            <th>Confluence</th>
+          </tr>
+        </thead>
+        <tbody>
+          {pairs.map(pair => {
+            const result = results[pair.id]
+            return (
+              <tr key={pair.id}>
+                <td>{pair.displayName}</td>
+                {CONFLUENCE_TIMEFRAMES.map(tf => <Cell key={tf.id} rating={result?.timeframes[tf.id]} />)}
+                <td>
+                  {result ? (
+                    <>
+                      <span className={`badge ${ratingLevel(result.score)}`}>
+                        {result.recommendation} ({result.score >= 0 ? '+' : ''}{result.score.toFixed(2)})
+                      </span>
+                      {result.agreement != null && (
+                        <div className="small">{Math.round(result.agreement * 100)}% of timeframes agree</div>
+                      )}
+                    </>
+                  ) : (
+                    <span className="small">Analysing...</span>
+                  )}
+                </td>
+              </tr>
+            )
+          })}
+        </tbody>
+      </table>
+    </div>
+  )
+}
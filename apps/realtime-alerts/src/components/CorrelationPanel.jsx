@@ -0,0 +1,122 @@
+import React, { useState } from 'react'
+import { useCorrelation } from '../feed/useKrakenFeed.js'
+import { CORRELATION_WINDOWS } from '../analysis/correlation.js'
+
+/**
+ * Correlation Panel
+ * Heatmap of hourly return correlations between the watched pairs (and BTC, the benchmark)
+ * over a selectable window, with each pair's beta to BTC and how far its correlation with
+ * BTC sits from its usual level (z-score).
+ */
+
+const WINDOW_KEY = 'correlation_window'
+const DEFAULT_WINDOW = '7d'
+
+function loadWindow() {
+  try {
+    const stored = localStorage.getItem(WINDOW_KEY)
+    return CORRELATION_WINDOWS.some(window => window.id === stored) ? stored : DEFAULT_WINDOW
+  } catch {
+    return DEFAULT_WINDOW
+  }
+}
+
+// Green for positive, red for negative correlation, stronger the closer it is to ±1
+function heat(value) {
+  if (value == null) return undefined
+  const color = value >= 0 ? '16, 185, 129' : '239, 68, 68'
+  return { background: `rgba(${color}, ${(Math.abs(value) * 0.6).toFixed(2)})` }
+}
+
+export default function CorrelationPanel() {
+  const result = useCorrelation()
+  const [windowId, setWindowId] = useState(loadWindow)
+
+  const changeWindow = (id) => {
+    setWindowId(id)
+    try {
+      localStorage.setItem(WINDOW_KEY, id)
+    } catch (error) {
+      console.warn('localStorage failed, correlation window not persisted:', error)
+    }
+  }
+
+  const analysis = result?.windows[windowId]
+  const format = value => value == null ? '—' : value.toFixed(2)
+
+  return (
+    <div className="card correlation-panel">
+      <div className="order-book-header">
+        <div className="label">Correlation vs {result?.benchmark || 'BTC'}</div>
+        <select value={windowId} onChange={(e) => changeWindow(e.target.value)}>
+          {CORRELATION_WINDOWS.map(window => (
+            <option key={window.id} value={window.id}>{window.label}</option>
+          ))}
+        </select>
+      </div>
+
+      {!analysis && <div className="small">Loading hourly candles…</div>}
+
+      {analysis && (
+        <>
+          <div className="small">
+            {analysis.returnCount} hourly returns on {result.candleCount} synchronized candles • updated {new Date(result.updatedAt).toLocaleTimeString()}
+          </div>
+
+          <table className="correlation-heatmap">
+            <thead>
+              <tr>
+                <th />
+                {analysis.pairs.map(pair => <th key={pair}>{pair}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {analysis.pairs.map(a => (
+                <tr key={a}>
+                  <th>{a}</th>
+                  {analysis.pairs.map(b => (
+                    <td key={b} style={heat(analysis.matrix[a][b])} title={`${a} / ${b}: ${format(analysis.matrix[a][b])}`}>
+                      {format(analysis.matrix[a][b])}
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <table className="correlation-betas">
+            <thead>
+              <tr>
+                <th>Pair</th>
+                <th>Beta</th>
+                <th>Correlation</th>
+                <th>Usual</th>
+                <th>Z-score</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(analysis.betas).map(([pair, beta]) => {
+                const decoupling = analysis.decoupling[pair]
+                return (
+                  <tr key={pair}>
+                    <td>{pair}</td>
+                    <td>{format(beta)}</td>
+                    <td>{format(decoupling?.correlation)}</td>
+                    <td>{format(decoupling?.mean)}</td>
+                    <td>
+                      {decoupling?.zScore == null ? '—' : (
+                        <span className={`badge ${decoupling.zScore <= -2 ? 'error' : decoupling.zScore <= -1 ? 'warn' : 'ok'}`}>
+                          {decoupling.zScore.toFixed(2)}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,38 @@
+import React from 'react'
+import { useLiveIndicators } from '../feed/useKrakenFeed.js'
+import { ratingLevel } from '../api/TechnicalAnalysis.js'
+
+/**
+ * Live Indicator Strip
+ * Indicator values and the partial MA / RSI / MACD rating for one pair, updated on every
+ * tick from the candle that is still forming (see analysis/LiveIndicators.js). Shown under
+ * a price card.
+ */
+
+const PARTIAL_RATING_NOTE = 'Partial rating from SMA / EMA, RSI, MACD and candlestick patterns only; ' +
+  'the full analysis also rates Stochastic, CCI, ADX, Williams %R, Hull MA, VWMA, Ichimoku and divergences'
+
+const format = (value, digits = 1) => value == null ? '—' : value.toFixed(digits)
+
+export default function LiveIndicatorStrip({ pairId, formatPrice }) {
+  const live = useLiveIndicators(pairId)
+
+  if (!live) return <div className="live-indicators small">Indicators: waiting for ticks...</div>
+
+  const { values, rating, interval, closedCandles, seeding } = live
+  const histogram = values.macd.histogram
+  const warmingUp = values.rsi == null || histogram == null
+
+  return (
+    <div className="live-indicators small" title={`${interval}m candles, ${closedCandles} closed`}>
+      <span className={`badge ${ratingLevel(rating.rating)}`} title={PARTIAL_RATING_NOTE}>MA/RSI/MACD {rating.recommendation}</span>
+      <span>RSI {format(values.rsi)}</span>
+      <span className={histogram == null ? '' : histogram >= 0 ? 'positive' : 'negative'}>
+        MACD {histogram == null ? '—' : histogram >= 0 ? '▲' : '▼'}
+      </span>
+      <span>ATR {values.atr == null ? '—' : formatPrice(values.atr, pairId)}</span>
+      <span>%B {format(values.bollinger?.percentB, 2)}</span>
+      {warmingUp && <span>{seeding ? 'loading history...' : `warming up (${closedCandles} candles)`}</span>}
+    </div>
+  )
+}
@@ -0,0 +1,164 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { krakenFeed } from '../feed/sharedFeed.js'
+import { useOrderBook } from '../feed/useKrakenFeed.js'
+
+/**
+ * Order Book Panel
+ * Live Level-2 ladder and depth chart for one pair from the Kraken `book` channel.
+ * Only the selected pair is subscribed; updates are checksum-verified by the feed once the
+ * pair's precision is known (until then the book shows as unverified).
+ */
+
+export const BOOK_DEPTHS = [10, 25, 100, 500]
+
+const SETTINGS_KEY = 'order_book_settings'
+const LADDER_ROWS = 15
+const CHART_WIDTH = 360
+const CHART_HEIGHT = 140
+
+function loadSettings(pairs) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {}
+    return {
+      pairId: pairs.some(p => p.id === stored.pairId) ? stored.pairId : pairs[0]?.id,
+      depth: BOOK_DEPTHS.includes(stored.depth) ? stored.depth : BOOK_DEPTHS[0]
+    }
+  } catch {
+    return { pairId: pairs[0]?.id, depth: BOOK_DEPTHS[0] }
+  }
+}
+
+// Running total of quantity from the top of the book outwards
+function withCumulative(levels) {
+  let total = 0
+  return levels.map(level => {
+    total += level.qty
+    return { ...level, total }
+  })
+}
+
+function DepthChart({ bids, asks }) {
+  if (bids.length === 0 || asks.length === 0) return null
+
+  const minPrice = bids[bids.length - 1].price
+  const maxPrice = asks[asks.length - 1].price
+  const maxTotal = Math.max(bids[bids.length - 1].total, asks[asks.length - 1].total)
+  const x = price => ((price - minPrice) / (maxPrice - minPrice || 1)) * CHART_WIDTH
+  const y = total => CHART_HEIGHT - (total / maxTotal) * CHART_HEIGHT
+
+  // Step outlines from the mid price outwards, closed down to the baseline
+  const area = (levels) => {
+    const points = [`${x(levels[0].price)},${CHART_HEIGHT}`]
+    levels.forEach((level, i) => {
+      const prevTotal = i === 0 ? 0 : levels[i - 1].total
+      points.push(`${x(level.price)},${y(prevTotal)}`, `${x(level.price)},${y(level.total)}`)
+    })
+    points.push(`${x(levels[levels.length - 1].price)},${CHART_HEIGHT}`)
+    return points.join(' ')
+  }
+
+  return (
+    <svg className="depth-chart" viewBox={`0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`} preserveAspectRatio="none">
+      <polygon className="depth-bids" points={area(bids)} />
+      <polygon className="depth-asks" points={area(asks)} />
+    </svg>
+  )
+}
+
+export default function OrderBookPanel({ pairs, formatPrice }) {
+  const [settings, setSettings] = useState(() => loadSettings(pairs))
+  const [mismatches, setMismatches] = useState(0)
+  const { depth } = settings
+  // Fall back to the first pair if the saved one was removed from the watchlist
+  const pairId = pairs.some(p => p.id === settings.pairId) ? settings.pairId : pairs[0]?.id
+  const book = useOrderBook(pairId)
+
+  // Subscribe only the pair on screen, at the chosen depth
+  useEffect(() => {
+    if (!pairId) return
+    krakenFeed.subscribe([pairId], 'book', { depth })
+    return () => krakenFeed.unsubscribe([pairId], 'book')
+  }, [pairId, depth])
+
+  useEffect(() => {
+    setMismatches(0)
+    return krakenFeed.on('bookChecksumMismatch', ({ pair }) => {
+      if (pair === pairId) setMismatches(n => n + 1)
+    })
+  }, [pairId])
+
+  const updateSetting = (field, value) => {
+    setSettings(prev => {
+      const next = { ...prev, [field]: value }
+      try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(next))
+      } catch (error) {
+        console.warn('localStorage failed, order book settings not persisted:', error)
+      }
+      return next
+    })
+  }
+
+  const { bids, asks, ladderBids, ladderAsks, maxTotal } = useMemo(() => {
+    const bids = withCumulative(book?.bids || [])
+    const asks = withCumulative(book?.asks || [])
+    const ladderBids = bids.slice(0, LADDER_ROWS)
+    const ladderAsks = asks.slice(0, LADDER_ROWS)
+    const maxTotal = Math.max(ladderBids[ladderBids.length - 1]?.total || 0, ladderAsks[ladderAsks.length - 1]?.total || 0)
+    return { bids, asks, ladderBids, ladderAsks, maxTotal }
+  }, [book])
+
+  const renderRow = (level, side) => (
+    <div key={`${side}-${level.price}`} className={`book-row book-${side}`}>
+      <div className="book-bar" style={{ width: `${maxTotal ? (level.total / maxTotal) * 100 : 0}%` }} />
+      <span>{formatPrice(level.price, pairId)}</span>
+      <span>{level.qty.toFixed(4)}</span>
+      <span>{level.total.toFixed(4)}</span>
+    </div>
+  )
+
+  const spread = book?.spread
+
+  return (
+    <div className="card order-book">
+      <div className="order-book-header">
+        <div className="label">Order Book (L2)</div>
+        <div className="order-book-controls">
+          <select value={pairId} onChange={(e) => updateSetting('pairId', e.target.value)}>
+            {pairs.map(pair => (
+              <option key={pair.id} value={pair.id}>{pair.displayName}</option>
+            ))}
+          </select>
+          <select value={depth} onChange={(e) => updateSetting('depth', Number(e.target.value))}>
+            {BOOK_DEPTHS.map(d => (
+              <option key={d} value={d}>Depth {d}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <div className="small">
+        {spread
+          ? <>Spread: {formatPrice(spread.spread, pairId)} ({((spread.spread / spread.mid) * 100).toFixed(3)}%) • Mid: {formatPrice(spread.mid, pairId)}</>
+          : 'Waiting for snapshot...'}
+        {' • '}
+        <span className={`badge ${book?.verified ? 'ok' : 'warn'}`}>{book?.verified ? 'checksum ok' : 'unverified'}</span>
+        {mismatches > 0 && <> • Resyncs: {mismatches}</>}
+      </div>
+
+      {book && (
+        <div className="order-book-body">
+          <div className="book-ladder">
+            <div className="book-row book-head">
+              <span>Price</span><span>Qty</span><span>Total</span>
+            </div>
+            {ladderAsks.slice().reverse().map(level => renderRow(level, 'ask'))}
+            <div className="book-mid small">{spread ? formatPrice(spread.mid, pairId) : '—'}</div>
+            {ladderBids.map(level => renderRow(level, 'bid'))}
+          </div>
+          <DepthChart bids={bids} asks={asks} />
+        </div>
+      )}
+    </div>
+  )
+}
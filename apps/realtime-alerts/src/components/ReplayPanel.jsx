@@ -0,0 +1,224 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import { krakenFeed, startReplay, returnToLive } from '../feed/sharedFeed.js'
+import { REPLAY_SPEEDS } from '../feed/replay/ReplaySocket.js'
+import { SessionRecorder, toNDJSON, fromNDJSON, recordingFileName } from '../feed/replay/SessionRecorder.js'
+import { saveRecording, listRecordings, loadRecording, deleteRecording } from '../feed/replay/recordingStore.js'
+
+/**
+ * Record & Replay
+ * Record raw Kraken frames to IndexedDB or an NDJSON download, and replay a
+ * session in this tab through the normal feed pipeline (tickers, book, trades,
+ * alerts) at 1x / 5x / 50x or one frame at a time.
+ */
+
+const recorder = new SessionRecorder()
+
+function formatDuration(ms) {
+  const total = Math.round(ms / 1000)
+  const minutes = Math.floor(total / 60)
+  return `${minutes}:${String(total % 60).padStart(2, '0')}`
+}
+
+function recordingPairs(recording) {
+  return Array.from(new Set(Object.values(recording.subscriptions || {}).flat())).join(', ') || 'unknown pairs'
+}
+
+function downloadRecording(recording) {
+  const blob = new Blob([toNDJSON(recording)], { type: 'application/x-ndjson' })
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement('a')
+  link.href = url
+  link.download = recordingFileName(recording)
+  link.click()
+  setTimeout(() => URL.revokeObjectURL(url), 0)
+}
+
+export default function ReplayPanel() {
+  const [recordings, setRecordings] = useState([])
+  const [unsaved, setUnsaved] = useState(null)  // last recording, kept in memory if IndexedDB failed
+  const [recordingProgress, setRecordingProgress] = useState(recorder.isRecording() ? recorder.getProgress() : null)
+  const [replay, setReplay] = useState(null)    // { controller, recording, progress }
+  const [speed, setSpeed] = useState(REPLAY_SPEEDS[0])
+  const [error, setError] = useState(null)
+
+  const refresh = useCallback(() => {
+    listRecordings().then(setRecordings).catch(err => setError(`Saved recordings unavailable: ${err.message}`))
+  }, [])
+
+  useEffect(() => {
+    refresh()
+  }, [refresh])
+
+  const finishRecording = useCallback(async () => {
+    const recording = recorder.stop()
+    krakenFeed.setFrameCapture(false)
+    setRecordingProgress(null)
+    if (!recording) return
+
+    try {
+      await saveRecording(recording)
+      setUnsaved(null)
+      refresh()
+    } catch (err) {
+      setUnsaved(recording)
+      setError(`Could not save recording (${err.message}); download it instead`)
+    }
+  }, [refresh])
+
+  useEffect(() => {
+    const offProgress = recorder.on('progress', progress => {
+      if (recorder.isRecording()) setRecordingProgress(progress)
+    })
+    const offLimit = recorder.on('limit', ({ frameCount }) => {
+      setError(`Recording stopped at the ${frameCount} frame limit`)
+      finishRecording()
+    })
+    return () => {
+      offProgress()
+      offLimit()
+    }
+  }, [finishRecording])
+
+  // Another data source (simulator, back to live) took over this tab
+  useEffect(() => {
+    if (!replay) return
+    return krakenFeed.on('transport', ({ mode }) => {
+      if (mode !== 'replay') setReplay(null)
+    })
+  }, [replay?.controller])
+
+  // Leaving the panel ends the replay and puts the tab back on live data
+  useEffect(() => () => returnToLive(), [])
+
+  const startRecording = () => {
+    setError(null)
+    krakenFeed.setFrameCapture(true)
+    recorder.start(krakenFeed)
+    setRecordingProgress(recorder.getProgress())
+  }
+
+  const beginReplay = async (source) => {
+    setError(null)
+    try {
+      const recording = source.frames ? source : await loadRecording(source.id)
+      const controller = startReplay(recording, { speed })
+      controller.on('progress', progress => setReplay(current => current && { ...current, progress }))
+      setReplay({ controller, recording, progress: controller.getProgress() })
+    } catch (err) {
+      setError(`Replay failed: ${err.message}`)
+    }
+  }
+
+  const endReplay = () => {
+    returnToLive()
+    setReplay(null)
+  }
+
+  const changeSpeed = (value) => {
+    setSpeed(value)
+    replay?.controller.setSpeed(value)
+  }
+
+  const download = async (entry) => {
+    try {
+      downloadRecording(entry.frames ? entry : await loadRecording(entry.id))
+    } catch (err) {
+      setError(`Download failed: ${err.message}`)
+    }
+  }
+
+  const remove = async (entry) => {
+    try {
+      await deleteRecording(entry.id)
+      refresh()
+    } catch (err) {
+      setError(`Delete failed: ${err.message}`)
+    }
+  }
+
+  const importFile = async (event) => {
+    const file = event.target.files?.[0]
+    event.target.value = ''
+    if (!file) return
+
+    try {
+      const recording = fromNDJSON(await file.text())
+      try {
+        await saveRecording(recording)
+        refresh()
+      } catch {
+        setUnsaved(recording)
+      }
+      setError(null)
+    } catch (err) {
+      setError(`Could not read ${file.name}: ${err.message}`)
+    }
+  }
+
+  const progress = replay?.progress
+  const entries = unsaved ? [unsaved, ...recordings.filter(r => r.id !== unsaved.id)] : recordings
+
+  return (
+    <div className="card replay-panel">
+      <div className="order-book-header">
+        <div className="label">Record &amp; Replay</div>
+        <div className="row">
+          {recordingProgress ? (
+            <button type="button" onClick={finishRecording}>
+              ⏹ Stop recording ({recordingProgress.frameCount} frames, {formatDuration(recordingProgress.duration)})
+            </button>
+          ) : (
+            <button type="button" onClick={startRecording} disabled={!!replay}>⏺ Record</button>
+          )}
+          <label className="replay-import">
+            Load NDJSON
+            <input type="file" accept=".ndjson,.jsonl,application/x-ndjson" onChange={importFile} />
+          </label>
+        </div>
+      </div>
+
+      {replay && (
+        <div className="replay-controls">
+          <span className="badge warn">replay</span>
+          <span className="small">{replay.recording.name}</span>
+          <div className="row">
+            {REPLAY_SPEEDS.map(value => (
+              <button key={value} type="button" className={speed === value ? 'active' : ''} onClick={() => changeSpeed(value)}>
+                {value}x
+              </button>
+            ))}
+            {progress.paused
+              ? <button type="button" onClick={() => replay.controller.play(speed)} disabled={progress.finished}>▶ Play</button>
+              : <button type="button" onClick={() => replay.controller.pause()}>⏸ Pause</button>}
+            <button type="button" onClick={() => replay.controller.step()} disabled={progress.finished}>Step</button>
+            <button type="button" onClick={endReplay}>Back to live</button>
+          </div>
+          <div className="replay-progress">
+            <div style={{ width: `${progress.total ? (progress.index / progress.total) * 100 : 0}%` }} />
+          </div>
+          <div className="small">
+            Frame {progress.index}/{progress.total} • {formatDuration(progress.time)} / {formatDuration(progress.duration)}
+            {progress.finished ? ' • finished' : ''}
+          </div>
+        </div>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      {entries.length === 0 && <div className="small">No recordings yet</div>}
+      {entries.map(entry => (
+        <div key={entry.id} className="alert-rule">
+          <span className="small">
+            {entry.name}{entry === unsaved ? ' (not saved)' : ''}
+            <span className="label"> {entry.protocol} • {entry.frameCount} frames • {formatDuration((entry.endedAt || entry.startedAt) - entry.startedAt)} • {recordingPairs(entry)}</span>
+          </span>
+          <div className="row">
+            <button type="button" onClick={() => beginReplay(entry)} disabled={!!recordingProgress}>Replay</button>
+            <button type="button" onClick={() => download(entry)}>Download</button>
+            {entry !== unsaved && <button type="button" onClick={() => remove(entry)}>Delete</button>}
+          </div>
+        </div>
+      ))}
+    </div>
+  )
+}
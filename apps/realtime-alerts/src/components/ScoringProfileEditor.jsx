@@ -0,0 +1,149 @@
+import React, { useState, useEffect } from 'react'
+import { useScoringProfiles } from '../feed/useKrakenFeed.js'
+import { scoringProfiles, RATING_GROUPS } from '../analysis/scoringProfiles.js'
+import { RATED_INDICATORS } from '../api/TechnicalAnalysis.js'
+
+/**
+ * Scoring Profile Editor
+ * Pick the scoring profile every technical rating uses and edit it: group weights,
+ * recommendation bands, oscillator thresholds and per-indicator weights / on-off toggles.
+ * The built-in default cannot be changed; saving it stores a new profile.
+ */
+
+const BANDS = [
+  ['strongSell', 'Strong sell ≤'],
+  ['sell', 'Sell ≤'],
+  ['buy', 'Buy ≥'],
+  ['strongBuy', 'Strong buy ≥']
+]
+
+const THRESHOLDS = [
+  ['RSI', 'RSI'],
+  ['Stochastic', 'Stochastic'],
+  ['CCI', 'CCI'],
+  ['WilliamsR', 'Williams %R']
+]
+
+function NumberField({ label, value, onChange, step = 'any' }) {
+  return (
+    <label className="small">
+      {label}{' '}
+      <input type="number" step={step} value={value} onChange={(e) => onChange(e.target.value)} />
+    </label>
+  )
+}
+
+export default function ScoringProfileEditor() {
+  const { profiles, active } = useScoringProfiles()
+  const [draft, setDraft] = useState(active)
+  const [message, setMessage] = useState(null)
+
+  // Start over from the stored profile whenever another one becomes active
+  useEffect(() => {
+    setDraft(active)
+  }, [active])
+
+  const update = (section, key, value) => setDraft(prev => ({ ...prev, [section]: { ...prev[section], [key]: value } }))
+  const updateThreshold = (indicator, key, value) =>
+    update('thresholds', indicator, { ...draft.thresholds[indicator], [key]: value })
+  const updateIndicator = (indicator, change) =>
+    update('indicators', indicator, { enabled: true, weight: 1, ...draft.indicators[indicator], ...change })
+
+  const run = (action, success) => {
+    try {
+      action()
+      setMessage(success)
+    } catch (err) {
+      setMessage(err.message)
+    }
+  }
+
+  const save = (asNew) => run(() => {
+    const name = asNew && draft.name === active.name ? `${draft.name} copy` : draft.name
+    const saved = scoringProfiles.saveProfile({ ...draft, name, id: asNew ? null : draft.id })
+    scoringProfiles.setActive(saved.id)
+  }, 'Profile saved')
+
+  return (
+    <div className="card scoring-profiles">
+      <div className="order-book-header">
+        <div className="label">Scoring Profile</div>
+        <select value={active.id} onChange={(e) => run(() => scoringProfiles.setActive(e.target.value), null)}>
+          {profiles.map(profile => (
+            <option key={profile.id} value={profile.id}>{profile.name}{profile.builtIn ? ' (built-in)' : ''}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="alert-form">
+        <input type="text" placeholder="Profile name" value={draft.name} onChange={(e) => setDraft(prev => ({ ...prev, name: e.target.value }))} />
+        {!active.builtIn && <button type="button" onClick={() => save(false)}>Save</button>}
+        <button type="button" onClick={() => save(true)}>Save as new</button>
+        {!active.builtIn && (
+          <button type="button" onClick={() => run(() => scoringProfiles.deleteProfile(active.id), 'Profile deleted')}>Delete</button>
+        )}
+        <button type="button" onClick={() => { setDraft(active); setMessage(null) }}>Reset</button>
+      </div>
+
+      {message && <div className="small">{message}</div>}
+
+      <div className="scoring-section">
+        <div className="label">Group weights</div>
+        <div className="alert-form">
+          {Object.entries(RATING_GROUPS).map(([group, label]) => (
+            <NumberField key={group} label={label} value={draft.groups[group]} step="0.25" onChange={(value) => update('groups', group, value)} />
+          ))}
+        </div>
+      </div>
+
+      <div className="scoring-section">
+        <div className="label">Recommendation bands (rating −1..1)</div>
+        <div className="alert-form">
+          {BANDS.map(([band, label]) => (
+            <NumberField key={band} label={label} value={draft.bands[band]} step="0.05" onChange={(value) => update('bands', band, value)} />
+          ))}
+        </div>
+      </div>
+
+      <div className="scoring-section">
+        <div className="label">Oscillator thresholds (buy below / sell above)</div>
+        <div className="alert-form">
+          {THRESHOLDS.map(([indicator, label]) => (
+            <span key={indicator} className="scoring-threshold">
+              <NumberField label={`${label} buy`} value={draft.thresholds[indicator].buy} onChange={(value) => updateThreshold(indicator, 'buy', value)} />
+              <NumberField label="sell" value={draft.thresholds[indicator].sell} onChange={(value) => updateThreshold(indicator, 'sell', value)} />
+            </span>
+          ))}
+          <NumberField label="ADX trend" value={draft.thresholds.ADX.trend} onChange={(value) => updateThreshold('ADX', 'trend', value)} />
+        </div>
+      </div>
+
+      {Object.entries(RATED_INDICATORS).map(([group, indicators]) => (
+        <details key={group} className="scoring-section">
+          <summary className="label">{RATING_GROUPS[group]} — indicator weights</summary>
+          <div className="scoring-indicators">
+            {indicators.map(indicator => {
+              const setting = draft.indicators[indicator] || { enabled: true, weight: 1 }
+              return (
+                <div key={indicator} className={`scoring-indicator ${setting.enabled ? '' : 'disabled'}`}>
+                  <label className="small">
+                    <input type="checkbox" checked={setting.enabled} onChange={(e) => updateIndicator(indicator, { enabled: e.target.checked })} />
+                    {' '}{indicator}
+                  </label>
+                  <input
+                    type="number"
+                    step="0.25"
+                    min="0"
+                    value={setting.weight}
+                    disabled={!setting.enabled}
+                    onChange={(e) => updateIndicator(indicator, { weight: e.target.value })}
+                  />
+                </div>
+              )
+            })}
+          </div>
+        </details>
+      ))}
+    </div>
+  )
+}
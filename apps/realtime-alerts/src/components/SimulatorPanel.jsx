@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react'
+import { krakenFeed, startSimulation, returnToLive } from '../feed/sharedFeed.js'
+import { SIMULATOR_SPEEDS } from '../feed/simulator/MarketSimulator.js'
+import { PRICE_MODELS, SCENARIOS, parseScenario } from '../feed/simulator/models.js'
+
+/**
+ * Market Simulator Panel
+ * Switch this tab to a seeded synthetic market (GBM or jump-diffusion, optionally
+ * scripted) that speaks the Kraken protocol, to exercise alerts, P&L and analysis
+ * deterministically without a network connection.
+ */
+
+const SETTINGS_KEY = 'simulator_settings'
+const CUSTOM_SCENARIO = 'custom'
+
+const DEFAULT_SETTINGS = {
+  seed: '42',
+  model: 'gbm',
+  volatility: 60,           // annualized, percent
+  scenario: 'flash-crash',
+  script: 'hold 1m, -15% in 2m vol 4, +5% in 10m',
+  speed: SIMULATOR_SPEEDS[0],
+  fromLivePrices: true
+}
+
+function loadSettings() {
+  try {
+    return { ...DEFAULT_SETTINGS, ...JSON.parse(localStorage.getItem(SETTINGS_KEY)) }
+  } catch {
+    return DEFAULT_SETTINGS
+  }
+}
+
+function formatElapsed(seconds) {
+  const total = Math.floor(seconds)
+  const hours = Math.floor(total / 3600)
+  const minutes = Math.floor((total % 3600) / 60)
+  return `${hours > 0 ? `${hours}h ` : ''}${minutes}m ${String(total % 60).padStart(2, '0')}s`
+}
+
+export default function SimulatorPanel() {
+  const [settings, setSettings] = useState(loadSettings)
+  const [simulator, setSimulator] = useState(null)
+  const [status, setStatus] = useState(null)
+  const [error, setError] = useState(null)
+
+  useEffect(() => {
+    try {
+      localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings))
+    } catch {}
+  }, [settings])
+
+  useEffect(() => {
+    if (!simulator) return
+    const offTick = simulator.on('tick', () => setStatus(simulator.getStatus()))
+    // Another data source (replay, back to live) took over this tab
+    const offTransport = krakenFeed.on('transport', ({ mode }) => {
+      if (mode !== 'simulated') setSimulator(null)
+    })
+    return () => {
+      offTick()
+      offTransport()
+    }
+  }, [simulator])
+
+  const update = (changes) => setSettings(current => ({ ...current, ...changes }))
+
+  const start = () => {
+    try {
+      const segments = settings.scenario === CUSTOM_SCENARIO
+        ? parseScenario(settings.script)
+        : SCENARIOS[settings.scenario].segments
+      const initialPrices = settings.fromLivePrices
+        ? Object.fromEntries(Object.values(krakenFeed.getTickers()).map(ticker => [ticker.pair, ticker.last]))
+        : {}
+
+      const next = startSimulation({
+        seed: settings.seed,
+        model: settings.model,
+        modelParams: { volatility: settings.volatility / 100 },
+        scenario: segments,
+        speed: settings.speed,
+        initialPrices
+      })
+      setSimulator(next)
+      setStatus(next.getStatus())
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  const stop = () => {
+    returnToLive()
+    setSimulator(null)
+  }
+
+  const changeSpeed = (speed) => {
+    update({ speed })
+    simulator?.setSpeed(speed)
+  }
+
+  return (
+    <div className="card simulator-panel">
+      <div className="order-book-header">
+        <div className="label">Market Simulator</div>
+        <div className="row">
+          {simulator
+            ? <button type="button" onClick={stop}>Back to live</button>
+            : <button type="button" onClick={start}>▶ Simulate</button>}
+        </div>
+      </div>
+
+      <div className="simulator-settings">
+        <label className="small">
+          Seed
+          <input type="text" value={settings.seed} disabled={!!simulator} onChange={(e) => update({ seed: e.target.value })} />
+        </label>
+        <label className="small">
+          Model
+          <select value={settings.model} disabled={!!simulator} onChange={(e) => update({ model: e.target.value })}>
+            {Object.entries(PRICE_MODELS).map(([name, model]) => <option key={name} value={name}>{model.label}</option>)}
+          </select>
+        </label>
+        <label className="small">
+          Volatility (annual %)
+          <input type="number" min="1" step="1" value={settings.volatility} disabled={!!simulator}
+            onChange={(e) => update({ volatility: Math.max(1, parseFloat(e.target.value) || DEFAULT_SETTINGS.volatility) })} />
+        </label>
+        <label className="small">
+          Scenario
+          <select value={settings.scenario} disabled={!!simulator} onChange={(e) => update({ scenario: e.target.value })}>
+            {Object.entries(SCENARIOS).map(([name, scenario]) => <option key={name} value={name}>{scenario.label}</option>)}
+            <option value={CUSTOM_SCENARIO}>Custom script…</option>
+          </select>
+        </label>
+        <label className="small">
+          Speed
+          <select value={settings.speed} onChange={(e) => changeSpeed(Number(e.target.value))}>
+            {SIMULATOR_SPEEDS.map(speed => <option key={speed} value={speed}>{speed}x</option>)}
+          </select>
+        </label>
+        <label className="small">
+          <input type="checkbox" checked={settings.fromLivePrices} disabled={!!simulator}
+            onChange={(e) => update({ fromLivePrices: e.target.checked })} />
+          Start from live prices
+        </label>
+      </div>
+
+      {settings.scenario === CUSTOM_SCENARIO && (
+        <input
+          className="watchlist-search"
+          type="text"
+          value={settings.script}
+          disabled={!!simulator}
+          placeholder='e.g. "hold 1m, -15% in 2m vol 4, +5% in 10m"'
+          onChange={(e) => update({ script: e.target.value })}
+        />
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+
+      {simulator && status && (
+        <div className="small">
+          <span className="badge warn">simulated</span>{' '}
+          Seed {status.seed} • {PRICE_MODELS[status.model].label} • {status.speed}x • Sim time {formatElapsed(status.elapsed)}
+          {status.phase ? ` • Phase: ${status.phase}` : ''}
+        </div>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,71 @@
+import React, { useState } from 'react'
+import { useTradeFlow } from '../feed/useKrakenFeed.js'
+
+/**
+ * Trade Tape
+ * Time-and-sales for one pair from the Kraken `trade` channel, with rolling
+ * buy/sell volume and cumulative volume delta (CVD) since the page loaded.
+ */
+
+const TAPE_VISIBLE = 40
+
+function formatQty(qty) {
+  return qty.toLocaleString('en-US', { maximumFractionDigits: qty >= 1000 ? 0 : 4 })
+}
+
+export default function TradeTape({ pairs, formatPrice }) {
+  const [selectedPairId, setPairId] = useState(pairs[0]?.id)
+  const pairId = pairs.some(p => p.id === selectedPairId) ? selectedPairId : pairs[0]?.id
+  const flow = useTradeFlow(pairId)
+
+  const totalVolume = flow ? flow.buyVolume + flow.sellVolume : 0
+  const buyShare = flow?.buyRatio != null ? flow.buyRatio * 100 : 50
+
+  return (
+    <div className="card trade-tape">
+      <div className="order-book-header">
+        <div className="label">Time &amp; Sales</div>
+        <div className="order-book-controls">
+          <select value={pairId} onChange={(e) => setPairId(e.target.value)}>
+            {pairs.map(pair => (
+              <option key={pair.id} value={pair.id}>{pair.displayName}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      {!flow && <div className="small">Waiting for trades...</div>}
+
+      {flow && (
+        <>
+          <div className="small">
+            {Math.round(flow.windowMs / 60000)}m volume: {formatQty(totalVolume)} ({flow.tradeCount} trades) •
+            Buy {formatQty(flow.buyVolume)} / Sell {formatQty(flow.sellVolume)} •
+            Delta <span className={flow.delta >= 0 ? 'positive' : 'negative'}>{flow.delta >= 0 ? '+' : ''}{formatQty(flow.delta)}</span> •
+            CVD <span className={flow.cvd >= 0 ? 'positive' : 'negative'}>{flow.cvd >= 0 ? '+' : ''}{formatQty(flow.cvd)}</span>
+            {flow.burstRatio != null && <> • Last minute {flow.burstRatio.toFixed(1)}x baseline</>}
+            {flow.bursting && <> <span className="badge warn">burst</span></>}
+          </div>
+
+          <div className="volume-split" title={`${buyShare.toFixed(0)}% buys`}>
+            <div className="volume-split-buy" style={{ width: `${buyShare}%` }} />
+          </div>
+
+          <div className="book-ladder tape-list">
+            <div className="book-row book-head tape-row">
+              <span>Time</span><span>Price</span><span>Qty</span><span>Value</span>
+            </div>
+            {flow.tape.slice(0, TAPE_VISIBLE).map((trade, i) => (
+              <div key={trade.tradeId ?? `${trade.timestamp}-${i}`} className={`book-row tape-row book-${trade.side === 'buy' ? 'bid' : 'ask'} tape-${trade.sizeClass}`}>
+                <span>{new Date(trade.timestamp).toLocaleTimeString('en-US', { hour12: false })}</span>
+                <span>{formatPrice(trade.price, pairId)}</span>
+                <span>{formatQty(trade.qty)}</span>
+                <span>${trade.notional.toLocaleString('en-US', { maximumFractionDigits: 0 })}</span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
@@ -0,0 +1,87 @@
+import React, { useState, useEffect, useMemo } from 'react'
+import { watchlist, WATCHLIST_MAX } from '../feed/watchlist.js'
+import { krakenPairsCache } from '../feed/krakenPairsCache.js'
+
+/**
+ * Watchlist Picker
+ * Search the full Kraken AssetPairs catalogue by base, quote or altname and
+ * add / remove pairs at runtime. Subscriptions follow the watchlist live.
+ */
+
+export default function WatchlistPicker({ pairs }) {
+  const [query, setQuery] = useState('')
+  const [catalogueSize, setCatalogueSize] = useState(krakenPairsCache.data ? Object.keys(krakenPairsCache.data).length : 0)
+  const [error, setError] = useState(null)
+
+  // The catalogue loads in the background on boot; re-run searches once it is here
+  useEffect(() => {
+    let cancelled = false
+    krakenPairsCache.getPairs().then(data => {
+      if (!cancelled) setCatalogueSize(Object.keys(data || {}).length)
+    })
+    return () => { cancelled = true }
+  }, [])
+
+  const results = useMemo(() => krakenPairsCache.search(query), [query, catalogueSize])
+
+  const run = (action) => {
+    try {
+      action()
+      setError(null)
+    } catch (err) {
+      setError(err.message)
+    }
+  }
+
+  return (
+    <div className="card watchlist">
+      <div className="order-book-header">
+        <div className="label">Watchlist ({pairs.length}/{WATCHLIST_MAX})</div>
+        <div className="small">{catalogueSize ? `${catalogueSize} pairs available` : 'Loading catalogue...'}</div>
+      </div>
+
+      <div className="watchlist-chips">
+        {pairs.map(pair => (
+          <span key={pair.id} className="badge watchlist-chip">
+            {pair.displayName}
+            <button type="button" title={`Remove ${pair.displayName}`} onClick={() => run(() => watchlist.remove(pair.id))}>×</button>
+          </span>
+        ))}
+      </div>
+
+      <input
+        className="watchlist-search"
+        type="search"
+        placeholder="Search pairs (e.g. ETH, EUR, XBTUSD)"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+      />
+
+      {error && <div className="error-message">{error}</div>}
+
+      {results.length > 0 && (
+        <div className="watchlist-results">
+          {results.map(pair => {
+            const watched = watchlist.has(pair.id)
+            return (
+              <div key={pair.id} className="alert-rule">
+                <span className="small">
+                  {pair.displayName} <span className="label">{pair.altname}{pair.status !== 'online' ? ` • ${pair.status}` : ''}</span>
+                </span>
+                <button
+                  type="button"
+                  disabled={watched || pair.status !== 'online'}
+                  onClick={() => run(() => watchlist.add(pair))}
+                >
+                  {watched ? 'Watching' : 'Add'}
+                </button>
+              </div>
+            )
+          })}
+        </div>
+      )}
+
+      {query.trim() && results.length === 0 && <div className="small">No pairs match "{query}"</div>}
+    </div>
+  )
+}
@@ -104,10 +104,10 @@ export async function testDatabaseConnection() {
       return false
     }
 
-    // Test Netlify Functions connection
-    const isHealthy = await netlifyClient.healthCheck()
-    console.log('Netlify Functions connection test:', isHealthy ? 'successful' : 'failed')
-    return isHealthy
+    // Ask the database function to run a query
+    const result = await netlifyClient.testDatabaseConnection()
+    console.log(`Database connection test successful (${result.data.dialect})`)
+    return result.success
   } catch (error) {
     console.error('Database connection test failed:', error)
     return false
@@ -119,18 +119,18 @@ export async function getDatabaseStats() {
   try {
     if (!isBrowser) {
       console.warn('Database functions not available in server environment')
-      return { priceRecords: 0, logRecords: 0, alertRecords: 0, analysisRecords: 0 }
+      return { priceRecords: 0, logRecords: 0, sessionRecords: 0, analysisRecords: 0 }
     }
 
-    // Get stats from Netlify Functions
-    const clientStats = netlifyClient.getStats()
+    // Get record counts from the database function
+    const result = await netlifyClient.getDatabaseStats()
     return {
-      ...clientStats,
+      ...result.data,
       type: 'Netlify Functions'
     }
   } catch (error) {
     console.error('Failed to get database stats:', error)
-    return { priceRecords: 0, logRecords: 0, alertRecords: 0, analysisRecords: 0 }
+    return { priceRecords: 0, logRecords: 0, sessionRecords: 0, analysisRecords: 0 }
   }
 }
 
@@ -0,0 +1,65 @@
+/**
+ * Minimal event emitter
+ * Works in the browser main thread and in workers (no DOM dependencies)
+ */
+
+class EventEmitter {
+  constructor() {
+    this.handlers = new Map()
+  }
+
+  /**
+   * Register a handler. Returns a function that removes it again.
+   */
+  on(event, handler) {
+    if (!this.handlers.has(event)) {
+      this.handlers.set(event, new Set())
+    }
+    this.handlers.get(event).add(handler)
+    return () => this.off(event, handler)
+  }
+
+  /**
+   * Register a handler that is removed after its first call
+   */
+  once(event, handler) {
+    const off = this.on(event, (payload) => {
+      off()
+      handler(payload)
+    })
+    return off
+  }
+
+  off(event, handler) {
+    const set = this.handlers.get(event)
+    if (!set) return
+    set.delete(handler)
+    if (set.size === 0) {
+      this.handlers.delete(event)
+    }
+  }
+
+  emit(event, payload) {
+    const set = this.handlers.get(event)
+    if (!set) return
+
+    // Copy so handlers can unsubscribe while we iterate
+    Array.from(set).forEach(handler => {
+      try {
+        handler(payload)
+      } catch (error) {
+        console.warn(`Event handler for "${event}" failed:`, error)
+      }
+    })
+  }
+
+  listenerCount(event) {
+    return this.handlers.get(event)?.size || 0
+  }
+
+  removeAllListeners() {
+    this.handlers.clear()
+  }
+}
+
+export default EventEmitter
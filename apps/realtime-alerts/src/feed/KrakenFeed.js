@@ -0,0 +1,734 @@
+/**
+ * Kraken WebSocket Feed
+ * Framework-independent connection manager for the Kraken public WebSocket API.
+ * Owns backoff, heartbeats, resubscription and channel routing, and exposes
+ * everything as events so React components (or anything else) can consume it.
+ * Wire formats are handled by protocol adapters (v2 by default, v1 legacy on request).
+ * The app runs a single instance inside a FeedHub shared by all tabs (see shared/);
+ * components use the tab-side client from sharedFeed.js.
+ *
+ * Events:
+ * - 'status'  { status, previous, reason }    connection state changes
+ * - 'systemStatus' { status, previous, version } Kraken exchange state (online, maintenance, cancel_only, ...)
+ * - 'subscriptionStatus' { pair, channel, status: 'failed' | 'subscribed', error } a pair failed / recovered
+ * - 'quality' { quality, latency }            ping/pong latency updates
+ * - 'ticker'  { pair, last, bid, ask, ... }   normalized ticker updates
+ * - 'book'    { pair, depth, bids, asks, ... } order book after a verified snapshot/update
+ * - 'bookChecksumMismatch' { pair, expected, actual } local book diverged, resubscribing
+ * - 'trades'  { pair, snapshot, trades }      executed trades from the trade channel
+ * - 'open' / 'close' { code, reason, manual } socket lifecycle
+ * - 'log'     { message, level, timestamp }   human-readable connection log
+ * - 'polling' { polling }                     REST fallback started / stopped
+ * - 'frame'   { direction, data, timestamp }  raw socket traffic, for recording sessions
+ *
+ * Options: { protocol, url, socketFactory(url) -> WebSocket-like, monitor, now }.
+ * A socketFactory lets recorded or simulated sessions stand in for Kraken;
+ * `monitor: false` turns off pings and stale detection, which make no sense for a replay,
+ * and `now` supplies a virtual clock for ticker timestamps (simulations run faster than real time).
+ */
+
+import EventEmitter from './EventEmitter.js'
+import { findPair } from './pairs.js'
+import { OrderBook } from './OrderBook.js'
+import { krakenPairsCache } from './krakenPairsCache.js'
+import { RestTickerPoller } from './RestTickerPoller.js'
+import { fetchSystemStatus } from './systemStatus.js'
+import { createProtocol, DEFAULT_PROTOCOL } from './protocols/index.js'
+
+// ---- Config ----
+
+// Kraken WebSocket API Limits & Best Practices
+// - Rate limit: 20 requests per 10 seconds (2 req/sec)
+// - Connection limit: 1 connection per IP
+// - Heartbeat: Server sends heartbeat every 30 seconds
+// - Reconnection: Use exponential backoff, respect rate limits
+// - Historical data: REST API rate limited to 2 req/sec with 5min caching
+const STALE_MS = 60000              // consider stale if no WS activity for 60s (respectful of server heartbeat)
+const PING_MS  = 30000              // send ping every 30s (matches server heartbeat, reduces load)
+const BACKOFF_MIN = 5000            // 5s minimum backoff (respectful of rate limits)
+const BACKOFF_MAX = 60000           // 60s maximum backoff (prevents aggressive reconnection)
+export const MAX_RECONNECT_ATTEMPTS = 8  // max consecutive reconnection attempts (reduced to be respectful)
+const CONNECTION_TIMEOUT = 15000    // connection timeout in ms (increased to be more patient)
+const HEALTH_CHECK_MS = 45000       // health check every 45s (offset from the ping interval)
+const STALE_CHECK_MS = 1000         // how often we look for a stale connection
+const REQUEST_TTL_MS = 60000        // forget unanswered req_ids after a minute
+const PROBE_MS = 120000             // while on REST polling, try the socket again every 2 minutes
+const MAINTENANCE_CHECK_MS = 60000  // during maintenance, ask the REST SystemStatus endpoint once a minute
+
+const OPEN = 1
+const CONNECTING = 0
+
+export class KrakenFeed extends EventEmitter {
+  constructor(options = {}) {
+    super()
+    this.protocol = createProtocol(options.protocol || DEFAULT_PROTOCOL)
+    this.url = options.url || this.protocol.url
+    this.customUrl = !!options.url
+    this.socketFactory = options.socketFactory || ((url) => new WebSocket(url))
+    this.monitor = options.monitor !== false
+    this.now = options.now || Date.now
+
+    this.ws = null
+    this.status = 'disconnected'
+    this.connecting = false
+    this.manualClose = false
+
+    // Connection health
+    this.quality = 'unknown'
+    this.latency = null
+    this.lastActivity = 0
+    this.lastPingTime = 0
+    this.lastPongTime = 0
+    this.hasValidPong = false  // Track if we've received at least one valid pong
+
+    // Reconnection
+    this.reconnectAttempts = 0
+    this.backoff = BACKOFF_MIN
+
+    // Exchange state from the system status messages
+    this.systemStatus = null
+    this.systemVersion = null
+
+    // Degraded mode: REST Ticker polling while the socket is down
+    this.poller = new RestTickerPoller()
+    this.polling = false
+
+    // Counters
+    this.errorCount = 0
+    this.messageCount = 0
+
+    // Subscriptions and routing
+    this.subscriptions = new Map()  // channel name -> Set of pair ids we want
+    this.channelOptions = new Map() // channel name -> extra subscription params (e.g. book depth)
+    this.tickers = {}               // pair id -> last normalized ticker
+    this.books = new Map()          // pair id -> OrderBook
+    this.requests = new Map()       // req_id -> { method, pairIds, channel, sentAt }
+    this.subscriptionErrors = new Map() // `${channel}:${pair}` -> { pair, channel, error, timestamp }
+    this.nextReqId = 1
+
+    this.timers = {}
+  }
+
+  // ---- Public API ----
+
+  connect() {
+    // Check if WebSocket is already open and healthy
+    if (this.ws?.readyState === OPEN) {
+      this.log('WebSocket already open and healthy, skipping connection', 'info')
+      return
+    }
+
+    // Prevent multiple simultaneous connection attempts
+    if (this.connecting) {
+      this.log('Connection already in progress, skipping duplicate', 'info')
+      return
+    }
+
+    this.manualClose = false
+    this.connecting = true
+    this.setStatus('connecting')
+    this.log(`Connecting to ${this.url}...`, 'info')
+
+    try {
+      const ws = this.socketFactory(this.url)
+      this.ws = ws
+
+      // Set connection timeout
+      this.timers.connectionTimeout = setTimeout(() => {
+        if (ws.readyState === CONNECTING) {
+          this.log('Connection timeout, closing stale connection', 'warn')
+          this.safeClose(ws, 1000, 'timeout')
+          this.ws = null
+          this.connecting = false
+          this.setStatus('disconnected')
+          this.scheduleReconnect()
+        }
+      }, CONNECTION_TIMEOUT)
+
+      ws.onopen = () => this.handleOpen(ws)
+      ws.onmessage = (event) => this.handleMessage(ws, event)
+      ws.onclose = (event) => this.handleClose(ws, event)
+      ws.onerror = (error) => this.handleError(ws, error)
+    } catch (error) {
+      this.log(`Connection setup error: ${error.message}`, 'error')
+      this.connecting = false
+      this.scheduleReconnect()
+    }
+  }
+
+  disconnect(reason = 'user disconnect') {
+    this.log('Disconnecting...', 'info')
+    this.manualClose = true
+    this.clearTimers()
+    this.stopPolling()
+    const ws = this.ws
+    this.ws = null
+    this.safeClose(ws, 1000, reason)
+    this.connecting = false
+    this.setStatus('disconnected', reason)
+    this.emit('close', { code: 1000, reason, manual: true })
+  }
+
+  /**
+   * Manual reconnect: start again from the minimum backoff
+   */
+  reconnect() {
+    this.backoff = BACKOFF_MIN
+    this.reconnectAttempts = 0
+    this.connect()
+  }
+
+  /**
+   * Switch between protocol adapters ('v2' / 'v1'), reconnecting if we are live
+   */
+  setProtocol(name) {
+    if (name === this.protocol.name) return
+
+    const wasActive = !!this.ws || this.connecting
+    this.protocol = createProtocol(name)
+    if (!this.customUrl) this.url = this.protocol.url
+    this.log(`Switched to Kraken ${this.protocol.name} protocol`, 'info')
+
+    if (wasActive) {
+      this.disconnect('protocol change')
+      this.reconnect()
+    }
+  }
+
+  /**
+   * Called when the page becomes visible again: if we have no socket, try again quickly
+   */
+  resume() {
+    if (this.ws || this.manualClose || this.connecting) return
+    this.log('Page became visible, attempting reconnection', 'info')
+    this.backoff = BACKOFF_MIN
+    this.reconnectAttempts = 0
+    this.scheduleReconnect()
+  }
+
+  /**
+   * Subscribe pairs to a channel. Options (e.g. { depth: 25 } for 'book') apply to the
+   * whole channel; changing them resubscribes the pairs already on it.
+   */
+  subscribe(pairIds, channel = 'ticker', options = null) {
+    const wanted = this.subscriptions.get(channel) || new Set()
+
+    if (options && !sameOptions(options, this.channelOptions.get(channel))) {
+      const existing = Array.from(wanted)
+      if (existing.length > 0 && this.ws?.readyState === OPEN) {
+        this.sendSubscription('unsubscribe', existing, channel)
+      }
+      this.channelOptions.set(channel, options)
+      if (channel === 'book') this.books.clear()
+      if (existing.length > 0 && this.ws?.readyState === OPEN) {
+        this.sendSubscription('subscribe', existing, channel)
+      }
+    }
+
+    const added = pairIds.filter(id => !wanted.has(id))
+    added.forEach(id => wanted.add(id))
+    this.subscriptions.set(channel, wanted)
+
+    if (added.length > 0 && this.ws?.readyState === OPEN) {
+      this.sendSubscription('subscribe', added, channel)
+    }
+  }
+
+  unsubscribe(pairIds, channel = 'ticker') {
+    const wanted = this.subscriptions.get(channel)
+    if (!wanted) return
+
+    const removed = pairIds.filter(id => wanted.has(id))
+    removed.forEach(id => {
+      wanted.delete(id)
+      this.subscriptionErrors.delete(`${channel}:${id}`)
+      if (channel === 'ticker') delete this.tickers[id]
+      if (channel === 'book') this.books.delete(id)
+    })
+    if (wanted.size === 0) this.subscriptions.delete(channel)
+
+    if (removed.length > 0 && this.ws?.readyState === OPEN) {
+      this.sendSubscription('unsubscribe', removed, channel)
+    }
+  }
+
+  getTickers() {
+    return this.tickers
+  }
+
+  getBook(pairId) {
+    return this.books.get(pairId)?.toJSON() || null
+  }
+
+  getState() {
+    return {
+      status: this.status,
+      systemStatus: this.systemStatus,
+      protocol: this.protocol.name,
+      connecting: this.connecting,
+      polling: this.polling,
+      quality: this.quality,
+      latency: this.latency,
+      reconnectAttempts: this.reconnectAttempts,
+      maxReconnectAttempts: MAX_RECONNECT_ATTEMPTS,
+      backoff: this.backoff,
+      errorCount: this.errorCount,
+      messageCount: this.messageCount,
+      lastActivity: this.lastActivity,
+      subscriptions: Object.fromEntries(
+        Array.from(this.subscriptions.entries()).map(([channel, pairs]) => [channel, Array.from(pairs)])
+      ),
+      subscriptionErrors: Array.from(this.subscriptionErrors.values())
+    }
+  }
+
+  destroy() {
+    this.disconnect('destroy')
+    this.removeAllListeners()
+  }
+
+  // ---- Internals ----
+
+  log(message, level = 'info') {
+    this.emit('log', { message, level, timestamp: Date.now() })
+  }
+
+  setStatus(status, reason = null) {
+    if (status === this.status) return
+    const previous = this.status
+    this.status = status
+    this.emit('status', { status, previous, reason })
+  }
+
+  setSystemStatus(status, version = null) {
+    if (version) this.systemVersion = version
+    if (!status || status === this.systemStatus) return
+
+    const previous = this.systemStatus
+    this.systemStatus = status
+    const level = status === 'online' ? 'success' : status === 'maintenance' ? 'error' : 'warn'
+    this.log(`Kraken system status: ${status}${this.systemVersion ? ` (API ${this.systemVersion})` : ''}`, level)
+    this.emit('systemStatus', { status, previous, version: this.systemVersion })
+  }
+
+  setSubscriptionError(pairId, channel, error) {
+    const key = `${channel}:${pairId}`
+    const known = this.subscriptionErrors.get(key)
+    this.subscriptionErrors.set(key, { pair: pairId, channel, error, timestamp: known?.timestamp || Date.now() })
+    // Failed pairs are retried on every reconnect; only report a change
+    if (known?.error !== error) this.emit('subscriptionStatus', { ...this.subscriptionErrors.get(key), status: 'failed' })
+  }
+
+  clearSubscriptionError(pairId, channel) {
+    if (!this.subscriptionErrors.delete(`${channel}:${pairId}`)) return
+    this.emit('subscriptionStatus', { pair: pairId, channel, status: 'subscribed', error: null, timestamp: Date.now() })
+  }
+
+  bump() {
+    this.lastActivity = Date.now()
+  }
+
+  safeClose(ws, code = 1000, reason = '') {
+    try { ws?.close(code, reason) } catch {}
+  }
+
+  clearTimers() {
+    clearInterval(this.timers.stale)
+    clearInterval(this.timers.ping)
+    clearInterval(this.timers.healthCheck)
+    clearTimeout(this.timers.reconnect)
+    clearTimeout(this.timers.connectionTimeout)
+    this.timers = {}
+  }
+
+  scheduleReconnect() {
+    // Prevent multiple reconnection attempts
+    if (this.timers.reconnect) {
+      this.log('Reconnection already scheduled, skipping duplicate', 'info')
+      return
+    }
+
+    // Kraken is down on purpose: do not burn reconnect attempts, wait for it to come back
+    if (this.systemStatus === 'maintenance') {
+      this.scheduleMaintenanceCheck()
+      return
+    }
+
+    if (this.reconnectAttempts >= MAX_RECONNECT_ATTEMPTS) {
+      if (!this.polling) {
+        this.log(`Max reconnection attempts (${MAX_RECONNECT_ATTEMPTS}) reached, falling back to REST polling`, 'error')
+      }
+      this.setStatus('failed', 'max reconnect attempts reached')
+      this.startPolling()
+
+      // Keep probing the socket slowly so we switch back once it recovers
+      this.timers.reconnect = setTimeout(() => {
+        this.timers.reconnect = null
+        this.log('Probing WebSocket while on REST polling...', 'info')
+        this.connect()
+      }, PROBE_MS)
+      return
+    }
+
+    // Exponential backoff with jitter - only increase after failed attempts
+    if (this.reconnectAttempts > 0) {
+      this.backoff = Math.min(this.backoff * 1.5 + Math.random() * 1000, BACKOFF_MAX)
+    }
+
+    this.reconnectAttempts++
+    this.log(`Scheduling reconnect attempt ${this.reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS} in ${(this.backoff / 1000).toFixed(1)}s`, 'info')
+    this.timers.reconnect = setTimeout(() => {
+      this.timers.reconnect = null // Clear the ref before attempting connection
+      this.connect()
+    }, this.backoff)
+  }
+
+  scheduleMaintenanceCheck() {
+    this.log(`Kraken is in maintenance, checking again in ${MAINTENANCE_CHECK_MS / 1000}s`, 'warn')
+    this.setStatus('maintenance')
+
+    this.timers.reconnect = setTimeout(async () => {
+      const status = await fetchSystemStatus()
+      this.timers.reconnect = null
+      if (this.manualClose || this.ws || this.connecting) return
+
+      if (status) this.setSystemStatus(status)
+      if (this.systemStatus === 'maintenance') {
+        this.scheduleMaintenanceCheck()
+      } else {
+        this.log('Kraken maintenance is over, reconnecting', 'success')
+        this.reconnectAttempts = 0
+        this.backoff = BACKOFF_MIN
+        this.connect()
+      }
+    }, MAINTENANCE_CHECK_MS)
+  }
+
+  startPolling() {
+    if (this.polling) return
+    this.polling = true
+    this.log(`Polling Kraken REST Ticker every ${this.poller.intervalMs / 1000}s until the WebSocket recovers`, 'warn')
+    this.emit('polling', { polling: true })
+
+    this.poller.start(
+      () => Array.from(this.subscriptions.get('ticker') || []),
+      ticker => this.handleTicker(ticker),
+      error => {
+        this.errorCount++
+        this.log(`REST polling failed: ${error.message}`, 'warn')
+      }
+    )
+  }
+
+  stopPolling() {
+    if (!this.polling) return
+    this.poller.stop()
+    this.polling = false
+    this.emit('polling', { polling: false })
+  }
+
+  // Track a request so its response (pong, subscription status) can be matched by req_id
+  trackRequest(method, details = {}) {
+    const reqId = this.nextReqId++
+    const now = Date.now()
+    this.requests.set(reqId, { method, sentAt: now, ...details })
+
+    this.requests.forEach((request, id) => {
+      if (now - request.sentAt > REQUEST_TTL_MS) this.requests.delete(id)
+    })
+    return reqId
+  }
+
+  send(ws, msg) {
+    const data = JSON.stringify(msg)
+    ws.send(data)
+    this.emitFrame('out', data)
+  }
+
+  // Raw frames are only materialized while someone (a recorder) is listening
+  emitFrame(direction, data) {
+    if (this.listenerCount('frame') > 0) this.emit('frame', { direction, data, timestamp: Date.now() })
+  }
+
+  sendSubscription(method, pairIds, channel) {
+    const reqId = this.trackRequest(method, { pairIds, channel })
+    const options = this.channelOptions.get(channel) || {}
+    const msg = method === 'subscribe'
+      ? this.protocol.buildSubscribe(pairIds, channel, reqId, options)
+      : this.protocol.buildUnsubscribe(pairIds, channel, reqId, options)
+
+    this.send(this.ws, msg)
+    this.log(`${method === 'subscribe' ? 'Subscribing to' : 'Unsubscribing from'} ${channel} for ${pairIds.length} trading pairs (req ${reqId})`, 'info')
+  }
+
+  sendPing(ws) {
+    const reqId = this.trackRequest('ping')
+    this.lastPingTime = Date.now()
+    this.send(ws, this.protocol.buildPing(reqId))
+    this.log('Ping sent', 'info')
+  }
+
+  handleOpen(ws) {
+    if (ws !== this.ws) return
+
+    clearTimeout(this.timers.connectionTimeout)
+    this.log('WebSocket connected successfully', 'success')
+    if (this.polling) {
+      this.log('WebSocket recovered, stopping REST polling', 'success')
+      this.stopPolling()
+    }
+    this.connecting = false
+    this.reconnectAttempts = 0
+    this.backoff = BACKOFF_MIN  // Reset backoff to minimum on successful connection
+    this.hasValidPong = false   // Reset pong flag on new connection
+    this.protocol.reset()
+    this.requests.clear()
+    this.books.clear()  // Fresh snapshots follow the resubscribe
+    this.bump()
+    this.setStatus('open')
+    this.emit('open', {})
+
+    // Resubscribe everything we want
+    this.subscriptions.forEach((pairs, channel) => {
+      if (pairs.size > 0) {
+        this.sendSubscription('subscribe', Array.from(pairs), channel)
+      }
+    })
+
+    // Start monitoring timers
+    if (!this.monitor) return
+    this.timers.stale = setInterval(() => this.checkStale(), STALE_CHECK_MS)
+    this.timers.ping = setInterval(() => {
+      if (ws.readyState === OPEN) {
+        this.sendPing(ws)
+      }
+    }, PING_MS)
+
+    // Start health check timer - only update quality if we have valid data
+    this.timers.healthCheck = setInterval(() => {
+      if (ws.readyState === OPEN && this.hasValidPong) {
+        // Only run health check if we haven't sent a ping in the last 5 seconds
+        const timeSinceLastPing = Date.now() - this.lastPingTime
+        if (timeSinceLastPing > 5000) {
+          this.updateConnectionQuality()
+        }
+      }
+    }, HEALTH_CHECK_MS)
+  }
+
+  handleClose(ws, event) {
+    if (ws !== this.ws) return
+
+    this.log(`WebSocket closed: ${event.code} ${event.reason}`, 'warn')
+    this.ws = null
+    this.connecting = false
+    this.clearTimers()
+    this.setStatus('disconnected', `${event.code} ${event.reason || ''}`.trim())
+    this.emit('close', { code: event.code, reason: event.reason, manual: false })
+
+    // Schedule reconnection if not a clean close
+    if (event.code !== 1000 && !this.manualClose) {
+      this.scheduleReconnect()
+    }
+  }
+
+  handleError(ws, error) {
+    if (ws !== this.ws) return
+
+    this.errorCount++
+    this.log(`WebSocket error: ${error.message || 'Unknown error'}`, 'error')
+    this.connecting = false
+  }
+
+  checkStale() {
+    const ago = Date.now() - this.lastActivity
+
+    // Only if not already reconnecting and WebSocket is open
+    if (ago > STALE_MS && !this.connecting && this.ws?.readyState === OPEN) {
+      this.log(`Connection stale (${Math.round(ago / 1000)}s), reconnecting`, 'warn')
+      // Close with a non-clean code so the close handler schedules the reconnect
+      this.safeClose(this.ws, 4000, 'stale')
+    }
+  }
+
+  updateConnectionQuality() {
+    // Only calculate quality if we have valid ping/pong timestamps AND have received at least one pong
+    if (this.lastPingTime > 0 && this.lastPongTime > 0 && this.hasValidPong) {
+      const pingLatency = this.lastPongTime - this.lastPingTime
+
+      let quality = 'unknown'
+      if (pingLatency > 0 && pingLatency < 100) quality = 'excellent'
+      else if (pingLatency >= 100 && pingLatency < 300) quality = 'good'
+      else if (pingLatency >= 300 && pingLatency < 1000) quality = 'fair'
+      else if (pingLatency >= 1000) quality = 'poor'
+
+      this.quality = quality
+      this.latency = pingLatency
+      this.emit('quality', { quality, latency: pingLatency })
+      this.log(`Connection quality updated: ${quality} (${pingLatency}ms)`, 'info')
+    } else if (!this.hasValidPong) {
+      this.log('Connection quality: waiting for first pong response...', 'info')
+    } else {
+      this.log('Connection quality: waiting for valid ping/pong data...', 'info')
+    }
+  }
+
+  handleMessage(ws, event) {
+    if (ws !== this.ws) return
+    this.emitFrame('in', event.data)
+
+    try {
+      const data = JSON.parse(event.data)
+      this.bump() // Update activity timestamp
+
+      this.protocol.parse(data).forEach(message => this.handleFeedEvent(message))
+    } catch (error) {
+      this.errorCount++
+      this.log(`Message parsing error: ${error.message}`, 'error')
+    }
+  }
+
+  // Normalized events from the protocol adapter
+  handleFeedEvent(message) {
+    switch (message.type) {
+      case 'ticker':
+        this.handleTicker(message)
+        break
+      case 'book':
+        this.handleBook(message)
+        break
+      case 'trades':
+        this.handleTrades(message)
+        break
+      case 'pong':
+        this.handlePong(message)
+        break
+      case 'heartbeat':
+        // Kraken heartbeat messages keep the connection alive
+        this.log('Heartbeat received from Kraken', 'info')
+        break
+      case 'status':
+        this.setSystemStatus(message.status, message.version)
+        break
+      case 'subscribed':
+        this.log(`Subscribed to ${message.pair} ${message.channel}${message.channelId != null ? ` (Channel ${message.channelId})` : ''}`, 'success')
+        this.clearSubscriptionError(message.pair, message.channel)
+        break
+      case 'unsubscribed':
+        this.log(`Unsubscribed from ${message.pair} ${message.channel}`, 'info')
+        break
+      case 'subscriptionError':
+        this.handleSubscriptionError(message)
+        break
+      default:
+        // Log any other message types we receive with more detail
+        this.log(`Unhandled message: ${JSON.stringify(message.raw).substring(0, 150)}`, 'info')
+    }
+  }
+
+  // Record the failure per pair so the UI can show which pairs are missing and why
+  handleSubscriptionError(message) {
+    const request = this.requests.get(message.reqId)
+    const channel = message.channel || request?.channel || null
+    const pairIds = message.pair ? [message.pair] : (request?.pairIds || [])
+
+    this.log(`Subscription error for ${pairIds.join(', ') || 'unknown pair'} ${channel || ''}: ${message.error}`, 'error')
+    if (request?.method === 'unsubscribe') return
+    pairIds.forEach(pairId => this.setSubscriptionError(pairId, channel, message.error))
+  }
+
+  handlePong(message) {
+    const request = this.requests.get(message.reqId)
+    if (request) {
+      this.requests.delete(message.reqId)
+      this.lastPingTime = request.sentAt
+    }
+
+    this.lastPongTime = Date.now()
+    const latency = this.lastPongTime - this.lastPingTime
+    if (latency >= 0 && this.lastPingTime > 0) {
+      this.hasValidPong = true  // Mark that we've received a valid pong
+      this.log(`Pong received, latency: ${latency}ms`, 'info')
+      // Update connection quality immediately after valid pong
+      this.updateConnectionQuality()
+    } else {
+      this.log('Pong received, but no valid ping timestamp available', 'warn')
+    }
+  }
+
+  handleTicker(message) {
+    const { type, ...fields } = message
+    const pairId = fields.pair
+    const displayName = findPair(pairId)?.displayName || pairId
+
+    if (!Number.isFinite(fields.last)) {
+      this.log(`Invalid price data for ${displayName}: ${fields.last}`, 'warn')
+      return
+    }
+
+    this.messageCount++
+    const ticker = { ...fields, timestamp: this.now() }
+
+    this.tickers[pairId] = ticker
+    this.emit('ticker', ticker)
+  }
+
+  handleTrades(message) {
+    const { type, ...fields } = message
+    const trades = fields.trades.filter(t => Number.isFinite(t.price) && Number.isFinite(t.qty))
+    if (trades.length === 0) return
+
+    this.messageCount++
+    this.emit('trades', { ...fields, trades })
+  }
+
+  handleBook(message) {
+    const pairId = message.pair
+    if (!this.subscriptions.get('book')?.has(pairId)) return
+
+    let book = this.books.get(pairId)
+    if (message.snapshot) {
+      const depth = this.channelOptions.get('book')?.depth || 10
+      const precision = krakenPairsCache.getPrecision(pairId)
+      book = new OrderBook({ pair: pairId, depth, ...precision })
+      book.applySnapshot(message.bids, message.asks)
+      this.books.set(pairId, book)
+    } else if (book) {
+      book.applyUpdate(message.bids, message.asks)
+    } else {
+      // Updates before the snapshot arrives cannot be applied
+      return
+    }
+
+    // Guessing the precision from v2 numbers would give wrong checksums and resubscribe in
+    // a loop, so the book stays unverified until the pair catalogue has the pair
+    book.setPrecision(krakenPairsCache.getPrecision(pairId) || {})
+    const checkable = message.checksum != null && book.canChecksum()
+    if (checkable && !book.verify(message.checksum)) {
+      this.handleChecksumMismatch(pairId, message.checksum, book.lastChecksum)
+      return
+    }
+
+    this.emit('book', { ...book.toJSON(), checksum: message.checksum, verified: checkable, timestamp: message.timestamp || Date.now() })
+  }
+
+  // The local book no longer matches Kraken's: drop it and fetch a fresh snapshot
+  handleChecksumMismatch(pairId, expected, actual) {
+    const displayName = findPair(pairId)?.displayName || pairId
+    this.log(`Order book checksum mismatch for ${displayName} (expected ${expected}, got ${actual}), resubscribing`, 'warn')
+    this.books.delete(pairId)
+    this.emit('bookChecksumMismatch', { pair: pairId, expected, actual })
+
+    if (this.ws?.readyState === OPEN) {
+      this.sendSubscription('unsubscribe', [pairId], 'book')
+      this.sendSubscription('subscribe', [pairId], 'book')
+    }
+  }
+}
+
+function sameOptions(a, b = {}) {
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)])
+  return Array.from(keys).every(key => a[key] === b[key])
+}
+
+export default KrakenFeed
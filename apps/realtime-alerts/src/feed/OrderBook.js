@@ -0,0 +1,131 @@
+/**
+ * Local Level-2 order book for one pair
+ * Applies Kraken book snapshots and incremental updates, keeps both sides sorted
+ * and truncated to the subscribed depth, and verifies Kraken's CRC32 checksum.
+ *
+ * Checksums need each price and quantity at the pair's precision. v1 levels carry their
+ * original strings; v2 sends JSON numbers, which drop trailing zeros, so those books are
+ * only verified once the precision is known from the pair catalogue.
+ */
+
+import { crc32 } from './crc32.js'
+
+const CHECKSUM_LEVELS = 10  // Kraken checksums cover the top 10 levels of each side
+
+// Checksum token: remove the decimal point and leading zeros
+export function checksumToken(value, decimals, text) {
+  const formatted = text != null ? String(text) : value.toFixed(decimals)
+  return formatted.replace('.', '').replace(/^0+/, '')
+}
+
+export class OrderBook {
+  constructor({ pair, depth = 10, priceDecimals = null, qtyDecimals = null }) {
+    this.pair = pair
+    this.depth = depth
+    this.priceDecimals = priceDecimals
+    this.qtyDecimals = qtyDecimals
+    this.bids = new Map()  // price -> level
+    this.asks = new Map()
+    this.lastChecksum = null
+    this.updatedAt = 0
+  }
+
+  // Precision that arrived after the book was created (the pair catalogue loads asynchronously)
+  setPrecision({ priceDecimals, qtyDecimals } = {}) {
+    if (this.priceDecimals == null) this.priceDecimals = priceDecimals ?? null
+    if (this.qtyDecimals == null) this.qtyDecimals = qtyDecimals ?? null
+  }
+
+  /**
+   * Replace the book with a snapshot
+   */
+  applySnapshot(bids, asks) {
+    this.bids.clear()
+    this.asks.clear()
+    this.applyLevels(this.bids, bids)
+    this.applyLevels(this.asks, asks)
+    this.truncate()
+  }
+
+  /**
+   * Apply an incremental update (a quantity of zero removes the level)
+   */
+  applyUpdate(bids = [], asks = []) {
+    this.applyLevels(this.bids, bids)
+    this.applyLevels(this.asks, asks)
+    this.truncate()
+  }
+
+  applyLevels(side, levels) {
+    levels.forEach(level => {
+      if (level.qty === 0) {
+        side.delete(level.price)
+      } else {
+        side.set(level.price, level)
+      }
+    })
+    this.updatedAt = Date.now()
+  }
+
+  // Levels outside the subscribed depth must be dropped for checksums to match
+  truncate() {
+    const trim = (side, sorted) => {
+      sorted.slice(this.depth).forEach(level => side.delete(level.price))
+    }
+    trim(this.bids, this.getBids())
+    trim(this.asks, this.getAsks())
+  }
+
+  // Highest bid first
+  getBids(limit = this.depth) {
+    return Array.from(this.bids.values()).sort((a, b) => b.price - a.price).slice(0, limit)
+  }
+
+  // Lowest ask first
+  getAsks(limit = this.depth) {
+    return Array.from(this.asks.values()).sort((a, b) => a.price - b.price).slice(0, limit)
+  }
+
+  getSpread() {
+    const bestBid = this.getBids(1)[0]
+    const bestAsk = this.getAsks(1)[0]
+    if (!bestBid || !bestAsk) return null
+    return { bid: bestBid.price, ask: bestAsk.price, spread: bestAsk.price - bestBid.price, mid: (bestAsk.price + bestBid.price) / 2 }
+  }
+
+  // Whether every level the checksum covers can be written at Kraken's precision
+  canChecksum() {
+    return [...this.getAsks(CHECKSUM_LEVELS), ...this.getBids(CHECKSUM_LEVELS)].every(level =>
+      (level.priceText != null || this.priceDecimals != null) && (level.qtyText != null || this.qtyDecimals != null))
+  }
+
+  /**
+   * Kraken checksum: top 10 asks (ascending) then top 10 bids (descending),
+   * each level as price then quantity with the decimal point and leading zeros removed
+   */
+  checksum() {
+    const tokens = [...this.getAsks(CHECKSUM_LEVELS), ...this.getBids(CHECKSUM_LEVELS)].map(level =>
+      checksumToken(level.price, this.priceDecimals, level.priceText) +
+      checksumToken(level.qty, this.qtyDecimals, level.qtyText)
+    )
+    return crc32(tokens.join(''))
+  }
+
+  verify(expected) {
+    this.lastChecksum = this.checksum()
+    return this.lastChecksum === Number(expected)
+  }
+
+  toJSON() {
+    return {
+      pair: this.pair,
+      depth: this.depth,
+      bids: this.getBids().map(({ price, qty }) => ({ price, qty })),
+      asks: this.getAsks().map(({ price, qty }) => ({ price, qty })),
+      spread: this.getSpread(),
+      updatedAt: this.updatedAt
+    }
+  }
+}
+
+export default OrderBook
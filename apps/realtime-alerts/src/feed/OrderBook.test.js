@@ -0,0 +1,72 @@
+import { describe, it, expect } from 'vitest'
+import { OrderBook, checksumToken } from './OrderBook.js'
+import { crc32 } from './crc32.js'
+
+/**
+ * The book snapshot from Kraken's WebSocket v2 checksum guide (BTC/USD, price precision 1,
+ * quantity precision 8), whose documented checksum is 3310070434. Quantities are JSON
+ * numbers as v2 sends them, trailing zeros dropped.
+ */
+const level = (price, qty) => ({ price, qty })
+const SNAPSHOT = {
+  bids: [
+    level(45283.5, 0.1), level(45283.4, 1.54582015), level(45282.1, 0.1), level(45281.0, 0.1),
+    level(45280.3, 1.54592586), level(45279.0, 0.0799), level(45277.6, 0.03310103), level(45277.5, 0.3),
+    level(45277.3, 1.54602737), level(45276.6, 0.15445238)
+  ],
+  asks: [
+    level(45285.2, 0.001), level(45286.4, 1.54571953), level(45286.6, 1.54571109), level(45289.6, 1.54560911),
+    level(45290.2, 0.1589066), level(45291.8, 1.54553491), level(45294.7, 0.04454749), level(45296.1, 0.3538),
+    level(45297.5, 0.09945542), level(45299.5, 0.18772827)
+  ],
+  checksum: 3310070434
+}
+
+describe('crc32', () => {
+  it('gives the standard CRC-32 check value', () => {
+    expect(crc32('123456789')).toBe(0xcbf43926)
+  })
+})
+
+describe('checksumToken', () => {
+  it('drops the decimal point and leading zeros at the given precision', () => {
+    expect(checksumToken(45285.2, 1)).toBe('452852')
+    expect(checksumToken(0.001, 8)).toBe('100000')
+    expect(checksumToken(0.1, 8)).toBe('10000000')
+  })
+
+  it('uses the original string when there is one (v1)', () => {
+    expect(checksumToken(0.001, null, '0.00100000')).toBe('100000')
+    expect(checksumToken(45285.2, null, '45285.20000')).toBe('4528520000')
+  })
+})
+
+describe('OrderBook checksum', () => {
+  it('matches the documented checksum with the pair precision', () => {
+    const book = new OrderBook({ pair: 'BTC/USD', depth: 10, priceDecimals: 1, qtyDecimals: 8 })
+    book.applySnapshot(SNAPSHOT.bids, SNAPSHOT.asks)
+    expect(book.canChecksum()).toBe(true)
+    expect(book.checksum()).toBe(SNAPSHOT.checksum)
+    expect(book.verify(String(SNAPSHOT.checksum))).toBe(true)
+  })
+
+  it('cannot be checked until the precision is known', () => {
+    const book = new OrderBook({ pair: 'BTC/USD', depth: 10 })
+    book.applySnapshot(SNAPSHOT.bids, SNAPSHOT.asks)
+    expect(book.canChecksum()).toBe(false)
+
+    book.setPrecision({ priceDecimals: 1, qtyDecimals: 8 })
+    expect(book.canChecksum()).toBe(true)
+    expect(book.verify(SNAPSHOT.checksum)).toBe(true)
+  })
+
+  it('keeps levels by price whatever the precision, so updates replace and remove them', () => {
+    const book = new OrderBook({ pair: 'BTC/USD', depth: 10 })
+    book.applySnapshot(SNAPSHOT.bids, SNAPSHOT.asks)
+    book.applyUpdate([level(45283.5, 0), level(45283.45, 2)], [level(45285.2, 0.5)])
+
+    expect(book.getBids(2)).toEqual([level(45283.45, 2), level(45283.4, 1.54582015)])
+    expect(book.getAsks(1)).toEqual([level(45285.2, 0.5)])
+    expect(book.getBids()).toHaveLength(10)
+  })
+})
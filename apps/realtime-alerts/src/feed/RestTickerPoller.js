@@ -0,0 +1,128 @@
+/**
+ * REST Ticker poller
+ * Degraded-mode price source while the WebSocket is down: one request to Kraken's
+ * public Ticker endpoint for every watched pair, at a cadence well inside the REST
+ * rate limit. Results are normalized to the same shape as WebSocket tickers.
+ *
+ * Kraken rejects the whole request when any one pair is unknown or delisted, so after
+ * such an error the pairs are asked for one at a time and the rejected ones are left out
+ * of later polls.
+ */
+
+import { krakenPairsCache } from './krakenPairsCache.js'
+import { fromV1Symbol } from './pairs.js'
+
+const KRAKEN_TICKER_URL = 'https://api.kraken.com/0/public/Ticker'
+export const POLL_MS = 10000  // one request for all pairs every 10s (public limit is ~1 req/s)
+
+export class RestTickerPoller {
+  constructor({ intervalMs = POLL_MS } = {}) {
+    this.intervalMs = intervalMs
+    this.timer = null
+    this.active = false
+    this.lastPollAt = 0
+    this.rejected = new Set()  // REST names Kraken does not know
+  }
+
+  /**
+   * Poll immediately and then on every interval until stopped.
+   * `getPairIds` is read on each poll so watchlist changes are picked up.
+   */
+  start(getPairIds, onTicker, onError) {
+    if (this.active) return
+    this.active = true
+
+    const tick = async () => {
+      try {
+        const tickers = await this.poll(getPairIds())
+        if (this.active) tickers.forEach(onTicker)
+      } catch (error) {
+        if (this.active) onError?.(error)
+      }
+      if (this.active) this.timer = setTimeout(tick, this.intervalMs)
+    }
+    tick()
+  }
+
+  stop() {
+    this.active = false
+    clearTimeout(this.timer)
+    this.timer = null
+  }
+
+  async poll(pairIds) {
+    const byRestName = new Map(pairIds
+      .map(pairId => [krakenPairsCache.getRestName(pairId), pairId])
+      .filter(([name]) => !this.rejected.has(name)))
+    const names = Array.from(byRestName.keys())
+    if (names.length === 0) return []
+
+    try {
+      return await this.request(names, byRestName)
+    } catch (error) {
+      if (!isUnknownPair(error) || names.length === 1) {
+        if (isUnknownPair(error)) this.reject(names[0], error)
+        throw error
+      }
+    }
+
+    const tickers = []
+    for (const name of names) {
+      try {
+        tickers.push(...await this.request([name], byRestName))
+      } catch (error) {
+        if (!isUnknownPair(error)) throw error
+        this.reject(name, error)
+      }
+    }
+    return tickers
+  }
+
+  reject(name, error) {
+    this.rejected.add(name)
+    console.warn(`REST Ticker: leaving out ${name} (${error.message})`)
+  }
+
+  async request(names, byRestName) {
+    const response = await fetch(`${KRAKEN_TICKER_URL}?pair=${names.join(',')}`)
+    if (!response.ok) throw new Error(`HTTP ${response.status}`)
+
+    const data = await response.json()
+    if (data.error?.length) {
+      const error = new Error(data.error.join(', '))
+      error.krakenErrors = data.error
+      throw error
+    }
+    this.lastPollAt = Date.now()
+
+    // Results are keyed by the canonical REST key (XXBTZUSD), not the name we asked for
+    return Object.entries(data.result || {}).map(([key, ticker]) => {
+      const entry = krakenPairsCache.data?.[key] || krakenPairsCache.getDefaultPairs()[key]
+      const pairId = entry ? fromV1Symbol(entry.wsname) : byRestName.get(key)
+      return pairId ? this.normalize(pairId, ticker) : null
+    }).filter(Boolean)
+  }
+
+  normalize(pair, ticker) {
+    return {
+      type: 'ticker',
+      pair,
+      last: parseFloat(ticker.c?.[0]),
+      bid: parseFloat(ticker.b?.[0]),
+      ask: parseFloat(ticker.a?.[0]),
+      volume: parseFloat(ticker.v?.[1]),
+      vwap: parseFloat(ticker.p?.[1]),
+      low: parseFloat(ticker.l?.[1]),
+      high: parseFloat(ticker.h?.[1]),
+      open: parseFloat(ticker.o),
+      source: 'rest'
+    }
+  }
+}
+
+// Kraken's answer when a requested pair does not exist (EQuery:Unknown asset pair)
+function isUnknownPair(error) {
+  return error.krakenErrors?.some(message => message.startsWith('EQuery:')) ?? false
+}
+
+export default RestTickerPoller
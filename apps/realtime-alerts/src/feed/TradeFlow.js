@@ -0,0 +1,170 @@
+/**
+ * Trade Flow
+ * Aggregates the Kraken trade channel per pair: time-and-sales tape, rolling
+ * buy/sell volume, cumulative volume delta (CVD) and volume-burst detection.
+ *
+ * Events:
+ * - 'trade'       { pair, price, qty, side, notional, sizeClass, ... } every live trade
+ * - 'largeTrade'  same shape as 'trade', for trades far above the recent average size
+ * - 'volumeBurst' { pair, volume, baseline, ratio, windowMs, timestamp }
+ * - 'flow'        { pair, ...stats }                                   after each batch of trades
+ * - 'reset'       {}                                                   all pairs cleared (data source changed)
+ */
+
+import EventEmitter from './EventEmitter.js'
+
+const TAPE_MAX = 100                  // trades kept for the time-and-sales tape
+const ROLLING_WINDOW_MS = 5 * 60000   // buy/sell volume window
+const BASELINE_WINDOW_MS = 15 * 60000 // history used as the volume baseline
+const BURST_WINDOW_MS = 60000         // recent volume compared against the baseline
+const BURST_RATIO = 3                 // recent volume vs baseline that counts as a burst
+const MEDIUM_MULTIPLE = 3             // trade notional vs average notional
+const LARGE_MULTIPLE = 10
+const MIN_SIZE_SAMPLES = 20           // trades needed before sizes are classified
+
+function emptyState() {
+  return {
+    tape: [],
+    window: [],        // trades inside the baseline window (newest last)
+    cvd: 0,
+    since: null,
+    bursting: false
+  }
+}
+
+export class TradeFlow extends EventEmitter {
+  constructor() {
+    super()
+    this.pairs = {}  // pair id -> state
+  }
+
+  /**
+   * Consume 'trades' events from a feed. Returns a detach function.
+   */
+  attach(feed) {
+    const offTrades = feed.on('trades', ({ pair, snapshot, trades }) => this.ingest(pair, trades, { snapshot }))
+    const offTransport = feed.on('transport', () => this.resetAll())
+    return () => {
+      offTrades()
+      offTransport()
+    }
+  }
+
+  getState(pairId) {
+    const state = this.pairs[pairId]
+    if (!state) return null
+    return { pair: pairId, tape: state.tape, ...this.getStats(pairId) }
+  }
+
+  reset(pairId) {
+    delete this.pairs[pairId]
+  }
+
+  resetAll() {
+    this.pairs = {}
+    this.emit('reset', {})
+  }
+
+  /**
+   * Add executed trades for a pair. Snapshot trades (history sent on subscribe)
+   * only seed an empty tape: they are not counted in volume or CVD and raise no events.
+   */
+  ingest(pairId, trades, { snapshot = false } = {}) {
+    const state = this.pairs[pairId] || (this.pairs[pairId] = emptyState())
+
+    if (snapshot) {
+      if (state.tape.length === 0) {
+        state.tape = trades.map(trade => this.enrich(pairId, trade, state)).reverse().slice(0, TAPE_MAX)
+        this.emit('flow', { pair: pairId, ...this.getStats(pairId) })
+      }
+      return
+    }
+
+    trades.forEach(trade => {
+      const enriched = this.enrich(pairId, trade, state)
+
+      state.tape.unshift(enriched)
+      if (state.tape.length > TAPE_MAX) state.tape.pop()
+
+      state.window.push(enriched)
+      state.cvd += enriched.side === 'buy' ? enriched.qty : -enriched.qty
+      if (state.since == null) state.since = enriched.timestamp
+
+      this.emit('trade', enriched)
+      if (enriched.sizeClass === 'large') this.emit('largeTrade', enriched)
+    })
+
+    const latest = trades[trades.length - 1]?.timestamp || Date.now()
+    this.prune(state, latest)
+    this.checkBurst(pairId, state, latest)
+    this.emit('flow', { pair: pairId, ...this.getStats(pairId, latest) })
+  }
+
+  // Notional value and a size class relative to recent trades on the same pair
+  enrich(pairId, trade, state) {
+    const notional = trade.price * trade.qty
+    let sizeClass = 'small'
+
+    if (state.window.length >= MIN_SIZE_SAMPLES) {
+      const average = state.window.reduce((sum, t) => sum + t.notional, 0) / state.window.length
+      if (notional >= average * LARGE_MULTIPLE) sizeClass = 'large'
+      else if (notional >= average * MEDIUM_MULTIPLE) sizeClass = 'medium'
+    }
+
+    return { ...trade, pair: pairId, notional, sizeClass, timestamp: trade.timestamp || Date.now() }
+  }
+
+  prune(state, now) {
+    while (state.window.length > 0 && now - state.window[0].timestamp > BASELINE_WINDOW_MS) {
+      state.window.shift()
+    }
+  }
+
+  // Compare the last minute's volume with the average minute over the baseline window
+  checkBurst(pairId, state, now) {
+    const oldest = state.window[0]?.timestamp
+    if (oldest == null || now - oldest < BURST_WINDOW_MS * 2) return
+
+    const recent = state.window.filter(t => now - t.timestamp <= BURST_WINDOW_MS)
+    const earlier = state.window.filter(t => now - t.timestamp > BURST_WINDOW_MS)
+    const volume = recent.reduce((sum, t) => sum + t.qty, 0)
+    const earlierMinutes = Math.max(1, (now - BURST_WINDOW_MS - oldest) / BURST_WINDOW_MS)
+    const baseline = earlier.reduce((sum, t) => sum + t.qty, 0) / earlierMinutes
+
+    state.burstRatio = baseline > 0 ? volume / baseline : null
+    const bursting = state.burstRatio != null && state.burstRatio >= BURST_RATIO
+
+    // Emit on the way into a burst only, re-arm once volume calms down
+    if (bursting && !state.bursting) {
+      this.emit('volumeBurst', { pair: pairId, volume, baseline, ratio: state.burstRatio, windowMs: BURST_WINDOW_MS, timestamp: now })
+    }
+    state.bursting = bursting
+  }
+
+  getStats(pairId, now = Date.now()) {
+    const state = this.pairs[pairId]
+    if (!state) return null
+
+    const rolling = state.window.filter(t => now - t.timestamp <= ROLLING_WINDOW_MS)
+    const buyVolume = rolling.filter(t => t.side === 'buy').reduce((sum, t) => sum + t.qty, 0)
+    const sellVolume = rolling.filter(t => t.side === 'sell').reduce((sum, t) => sum + t.qty, 0)
+
+    return {
+      buyVolume,
+      sellVolume,
+      delta: buyVolume - sellVolume,
+      buyRatio: buyVolume + sellVolume > 0 ? buyVolume / (buyVolume + sellVolume) : null,
+      tradeCount: rolling.length,
+      cvd: state.cvd,
+      since: state.since,
+      burstRatio: state.burstRatio ?? null,
+      bursting: state.bursting,
+      windowMs: ROLLING_WINDOW_MS
+    }
+  }
+}
+
+// Shared trade flow instance, attached to the shared feed by the app
+export const tradeFlow = new TradeFlow()
+
+export default TradeFlow
@@ -0,0 +1,24 @@
+// CRC32 (IEEE 802.3), as used by Kraken's order book checksums
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    }
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+// Returns the unsigned 32-bit checksum of an ASCII string
+export function crc32(str) {
+  let crc = 0xffffffff
+  for (let i = 0; i < str.length; i++) {
+    crc = CRC_TABLE[(crc ^ str.charCodeAt(i)) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+export default crc32
@@ -0,0 +1,178 @@
+import { toV1Symbol, fromV1Symbol } from './pairs.js'
+
+const SEARCH_LIMIT = 25
+
+// Lightweight Kraken pairs cache for faster loading
+export const krakenPairsCache = {
+  data: null,
+  lastUpdate: 0,
+  cacheDuration: 24 * 60 * 60 * 1000, // 24 hours
+  
+  async getPairs() {
+    // Return cached data if fresh
+    if (this.data && (Date.now() - this.lastUpdate) < this.cacheDuration) {
+      return this.data
+    }
+    
+    // Check localStorage for cached data (older caches lack altnames and order limits)
+    const cached = this.getFromStorage()
+    if (cached && this.isStorageValid() && Object.values(cached).some(p => p.altname && p.ordermin != null)) {
+      this.data = cached
+      this.lastUpdate = Date.now()
+      return cached
+    }
+    
+    // Fetch fresh data from API
+    try {
+      const response = await fetch('https://api.kraken.com/0/public/AssetPairs')
+      const result = await response.json()
+      
+      // Extract only essential data
+      this.data = this.extractEssential(result.result)
+      this.lastUpdate = Date.now()
+      
+      // Cache in localStorage (lightweight)
+      this.saveToStorage(this.data)
+      
+      return this.data
+    } catch (error) {
+      console.warn('Failed to fetch pairs from API, using cached/bundled data:', error)
+      // Return cached data if fetch fails, then the catalogue shipped with the app
+      if (this.data) return this.data
+      const bundled = await this.loadBundled()
+      if (bundled) {
+        this.data = bundled
+        this.lastUpdate = Date.now()
+        return bundled
+      }
+      return this.getDefaultPairs()
+    }
+  },
+  
+  // kraken_pairs_full.json is large, so it is only loaded (as its own chunk) when the API is unreachable
+  async loadBundled() {
+    try {
+      const module = await import('../../kraken_pairs_full.json')
+      return this.extractEssential((module.default || module).result)
+    } catch (error) {
+      console.warn('Bundled pairs catalogue unavailable:', error)
+      return null
+    }
+  },
+  
+  extractEssential(pairs) {
+    // Keep every WebSocket-tradeable pair, but only the fields the app uses.
+    // REST keys are not uniform (XXBTZUSD, XETHZUSD, SOLUSD...), so nothing is looked up by key.
+    const essential = {}
+    
+    Object.entries(pairs || {}).forEach(([key, pair]) => {
+      if (!pair.wsname) return
+      essential[key] = {
+        wsname: pair.wsname,
+        altname: pair.altname,
+        pair_decimals: pair.pair_decimals,
+        lot_decimals: pair.lot_decimals,
+        cost_decimals: pair.cost_decimals,
+        ordermin: pair.ordermin != null ? parseFloat(pair.ordermin) : null,
+        costmin: pair.costmin != null ? parseFloat(pair.costmin) : null,
+        status: pair.status
+      }
+    })
+    
+    return essential
+  },
+  
+  saveToStorage(pairs) {
+    try {
+      localStorage.setItem('kraken_pairs', JSON.stringify(pairs))
+      localStorage.setItem('kraken_pairs_time', this.lastUpdate.toString())
+    } catch (error) {
+      // Ignore storage errors, use memory only
+      console.warn('localStorage failed, using memory cache only:', error)
+    }
+  },
+  
+  getFromStorage() {
+    try {
+      return JSON.parse(localStorage.getItem('kraken_pairs'))
+    } catch {
+      return null
+    }
+  },
+  
+  isStorageValid() {
+    try {
+      const storedTime = localStorage.getItem('kraken_pairs_time')
+      return storedTime && (Date.now() - parseInt(storedTime)) < this.cacheDuration
+    } catch {
+      return false
+    }
+  },
+  
+  /**
+   * Catalogue entry for a pair id ('BTC/USD'), or null for unknown pairs.
+   * Lookups go through a wsname index rebuilt whenever the catalogue changes.
+   */
+  getPairInfo(pairId) {
+    const source = this.data || this.getDefaultPairs()
+    if (this.indexSource !== source) {
+      this.index = new Map(Object.values(source).map(p => [p.wsname, p]))
+      this.indexSource = source
+    }
+    const wsname = toV1Symbol(pairId)
+    return this.index.get(wsname) || Object.values(this.getDefaultPairs()).find(p => p.wsname === wsname) || null
+  },
+  
+  // 'BTC/USD' -> 'XBTUSD', the name the REST API accepts
+  getRestName(pairId) {
+    return this.getPairInfo(pairId)?.altname || toV1Symbol(pairId).replace('/', '')
+  },
+  
+  // Price / quantity precision for a pair id, used to format order book checksums
+  getPrecision(pairId) {
+    const entry = this.getPairInfo(pairId)
+    if (entry?.lot_decimals == null) return null
+
+    return { priceDecimals: entry.pair_decimals, qtyDecimals: entry.lot_decimals }
+  },
+  
+  /**
+   * Search the catalogue by base, quote, altname or WebSocket name.
+   * Returns pair descriptors ({ id, displayName, base, quote, altname, status }) using v2 symbols.
+   */
+  search(query, limit = SEARCH_LIMIT) {
+    const terms = query.trim().toUpperCase().split(/[\s/]+/).filter(Boolean)
+    if (terms.length === 0) return []
+
+    const results = []
+    Object.values(this.data || this.getDefaultPairs()).forEach(pair => {
+      const id = fromV1Symbol(pair.wsname)
+      const [base, quote] = id.split('/')
+      const haystack = [base, quote, pair.wsname, pair.altname || ''].join(' ')
+
+      if (!terms.every(term => haystack.includes(term))) return
+
+      // Exact base matches first, then base prefix matches, then anything else
+      const rank = terms[0] === base ? 0 : base.startsWith(terms[0]) ? 1 : 2
+      results.push({ rank, pair: { id, displayName: id, base, quote, altname: pair.altname, status: pair.status } })
+    })
+
+    return results
+      .sort((a, b) => a.rank - b.rank || a.pair.id.localeCompare(b.pair.id))
+      .slice(0, limit)
+      .map(result => result.pair)
+  },
+  
+  getDefaultPairs() {
+    // Fallback to hardcoded essential pairs (kept in sync with kraken_pairs_full.json)
+    return this.defaults || (this.defaults = {
+      'XXBTZUSD': { wsname: 'XBT/USD', altname: 'XBTUSD', pair_decimals: 1, lot_decimals: 8, cost_decimals: 5, ordermin: 0.00005, costmin: 0.5, status: 'online' },
+      'XBTUSDC': { wsname: 'XBT/USDC', altname: 'XBTUSDC', pair_decimals: 2, lot_decimals: 8, cost_decimals: 5, ordermin: 0.00005, costmin: 0.5, status: 'online' },
+      'SOLUSD': { wsname: 'SOL/USD', altname: 'SOLUSD', pair_decimals: 2, lot_decimals: 8, cost_decimals: 5, ordermin: 0.02, costmin: 0.5, status: 'online' },
+      'XETHZUSD': { wsname: 'ETH/USD', altname: 'ETHUSD', pair_decimals: 2, lot_decimals: 8, cost_decimals: 5, ordermin: 0.002, costmin: 0.5, status: 'online' },
+      'XDGUSD': { wsname: 'XDG/USD', altname: 'XDGUSD', pair_decimals: 7, lot_decimals: 8, cost_decimals: 9, ordermin: 13, costmin: 0.5, status: 'online' },
+      'SHIBUSD': { wsname: 'SHIB/USD', altname: 'SHIBUSD', pair_decimals: 8, lot_decimals: 5, cost_decimals: 5, ordermin: 160000, costmin: 0.5, status: 'online' }
+    })
+  }
+}
+
@@ -0,0 +1,83 @@
+/**
+ * Pair metadata-driven formatting and order validation
+ * Decimals, input steps and minimum order sizes come from the AssetPairs catalogue
+ * (pair_decimals, lot_decimals, cost_decimals, ordermin, costmin), so any pair
+ * added to the watchlist formats correctly without code changes.
+ */
+
+import { krakenPairsCache } from './krakenPairsCache.js'
+
+const DEFAULT_PRICE_DECIMALS = 2
+const DEFAULT_QTY_DECIMALS = 8
+const DEFAULT_COST_DECIMALS = 2
+const MAX_FRACTION_DIGITS = 20  // Intl.NumberFormat limit
+
+function toLocale(value, decimals) {
+  const digits = Math.min(decimals, MAX_FRACTION_DIGITS)
+  return value.toLocaleString('en-US', { minimumFractionDigits: digits, maximumFractionDigits: digits })
+}
+
+function stepFor(decimals) {
+  return decimals > 0 ? `0.${'0'.repeat(decimals - 1)}1` : '1'
+}
+
+export function getPriceDecimals(pairId) {
+  return krakenPairsCache.getPairInfo(pairId)?.pair_decimals ?? DEFAULT_PRICE_DECIMALS
+}
+
+export function getQtyDecimals(pairId) {
+  return krakenPairsCache.getPairInfo(pairId)?.lot_decimals ?? DEFAULT_QTY_DECIMALS
+}
+
+// Quote-currency amounts: at least cents, but never more precise than Kraken accepts
+export function getCostDecimals(pairId) {
+  const costDecimals = krakenPairsCache.getPairInfo(pairId)?.cost_decimals
+  return costDecimals != null ? Math.min(costDecimals, Math.max(DEFAULT_COST_DECIMALS, getPriceDecimals(pairId))) : DEFAULT_COST_DECIMALS
+}
+
+export function formatPrice(price, pairId = null) {
+  if (price == null || isNaN(price)) return '0.00'
+  return toLocale(price, pairId ? getPriceDecimals(pairId) : DEFAULT_PRICE_DECIMALS)
+}
+
+export function formatQty(qty, pairId) {
+  if (qty == null || isNaN(qty)) return '0'
+  return toLocale(qty, getQtyDecimals(pairId))
+}
+
+export function formatCost(amount, pairId) {
+  if (amount == null || isNaN(amount)) return '0.00'
+  return toLocale(amount, getCostDecimals(pairId))
+}
+
+// Input `step` attributes as strings ('0.1', '0.00000001') to avoid float artefacts
+export function getPriceStep(pairId) {
+  return stepFor(getPriceDecimals(pairId))
+}
+
+export function getQtyStep(pairId) {
+  return stepFor(getQtyDecimals(pairId))
+}
+
+export function getCostStep(pairId) {
+  return stepFor(getCostDecimals(pairId))
+}
+
+/**
+ * Check an order against the pair's minimum size and value.
+ * Returns a list of human-readable problems (empty when the order is valid).
+ */
+export function validateOrder(pairId, { qty, price }) {
+  const info = krakenPairsCache.getPairInfo(pairId)
+  const errors = []
+  if (!info) return errors
+
+  const [base, quote] = pairId.split('/')
+  if (Number.isFinite(qty) && info.ordermin != null && qty < info.ordermin) {
+    errors.push(`Below Kraken's minimum order of ${info.ordermin} ${base}`)
+  }
+  if (Number.isFinite(qty) && Number.isFinite(price) && info.costmin != null && qty * price < info.costmin) {
+    errors.push(`Below Kraken's minimum order value of ${info.costmin} ${quote}`)
+  }
+  return errors
+}
@@ -0,0 +1,27 @@
+// Define trading pairs using Kraken WebSocket v2 symbols (BTC/DOGE, not XBT/XDG)
+export const TRADING_PAIRS = [
+  { id: 'BTC/USD', displayName: 'BTC/USD' },
+  { id: 'BTC/USDC', displayName: 'BTC/USDC' },
+  { id: 'SOL/USD', displayName: 'SOL/USD' },
+  { id: 'ETH/USD', displayName: 'ETH/USD' },
+  { id: 'DOGE/USD', displayName: 'DOGE/USD' },
+  { id: 'SHIB/USD', displayName: 'SHIB/USD' }
+]
+
+// Legacy asset codes still used by the v1 WebSocket API and the REST AssetPairs catalogue
+const V1_ASSET_ALIASES = { BTC: 'XBT', DOGE: 'XDG' }
+const V2_ASSET_ALIASES = Object.fromEntries(Object.entries(V1_ASSET_ALIASES).map(([v2, v1]) => [v1, v2]))
+
+export function findPair(pairId) {
+  return TRADING_PAIRS.find(p => p.id === pairId) || null
+}
+
+// 'BTC/USD' -> 'XBT/USD'
+export function toV1Symbol(pairId) {
+  return pairId.split('/').map(asset => V1_ASSET_ALIASES[asset] || asset).join('/')
+}
+
+// 'XBT/USD' -> 'BTC/USD'
+export function fromV1Symbol(symbol) {
+  return symbol.split('/').map(asset => V2_ASSET_ALIASES[asset] || asset).join('/')
+}
@@ -0,0 +1,147 @@
+/**
+ * Kraken WebSocket API v1 (legacy) adapter
+ * Positional arrays `[channelID, data, channelName, pair]` routed by channel ID,
+ * XBT/XDG asset codes translated to the same BTC/DOGE pair ids the v2 adapter uses
+ */
+
+import { toV1Symbol, fromV1Symbol } from '../pairs.js'
+
+export const KRAKEN_WS_V1 = 'wss://ws.kraken.com'
+
+export class KrakenV1Protocol {
+  constructor() {
+    this.name = 'v1'
+    this.url = KRAKEN_WS_V1
+    this.channelIds = new Map()  // channelID -> { pair, channel }
+  }
+
+  // Channel IDs are only valid for the connection that assigned them
+  reset() {
+    this.channelIds.clear()
+  }
+
+  buildSubscribe(pairIds, channel, reqId, options = {}) {
+    return { event: 'subscribe', reqid: reqId, pair: pairIds.map(toV1Symbol), subscription: { name: channel, ...options } }
+  }
+
+  buildUnsubscribe(pairIds, channel, reqId, options = {}) {
+    return { event: 'unsubscribe', reqid: reqId, pair: pairIds.map(toV1Symbol), subscription: { name: channel, ...options } }
+  }
+
+  buildPing(reqId) {
+    return { event: 'ping', reqid: reqId }
+  }
+
+  /**
+   * Translate one parsed frame into normalized feed events
+   */
+  parse(data) {
+    if (Array.isArray(data)) {
+      return data.length >= 4 ? this.parseChannelMessage(data) : [{ type: 'unknown', raw: data }]
+    }
+
+    switch (data.event) {
+      case 'pong':
+        return [{ type: 'pong', reqId: data.reqid }]
+      case 'heartbeat':
+        return [{ type: 'heartbeat' }]
+      case 'systemStatus':
+        return [{ type: 'status', status: data.status, version: data.version, connectionId: data.connectionID }]
+      case 'subscriptionStatus':
+        return [this.parseSubscriptionStatus(data)]
+      default:
+        return [{ type: 'unknown', raw: data }]
+    }
+  }
+
+  parseSubscriptionStatus(data) {
+    const pair = data.pair ? fromV1Symbol(data.pair) : null
+    const channel = data.subscription?.name || data.channelName
+
+    if (data.status === 'subscribed') {
+      this.channelIds.set(data.channelID, { pair, channel })
+      return { type: 'subscribed', reqId: data.reqid, pair, channel, channelId: data.channelID }
+    }
+    if (data.status === 'unsubscribed') {
+      this.channelIds.delete(data.channelID)
+      return { type: 'unsubscribed', reqId: data.reqid, pair, channel, channelId: data.channelID }
+    }
+    if (data.status === 'error') {
+      return { type: 'subscriptionError', reqId: data.reqid, pair, channel, error: data.errorMessage || 'Unknown subscription error' }
+    }
+    return { type: 'unknown', raw: data }
+  }
+
+  parseChannelMessage(data) {
+    const channelID = data[0]
+    const channelName = data[data.length - 2]
+    const symbol = data[data.length - 1]
+
+    // Match by channel ID first, then fall back to the pair name
+    const route = this.channelIds.get(channelID) || { pair: fromV1Symbol(symbol), channel: channelName }
+
+    if (String(channelName).startsWith('ticker')) {
+      return [this.normalizeTicker(route.pair, data[1])]
+    }
+    if (String(channelName).startsWith('book')) {
+      // Bid and ask updates may arrive as two separate objects in the same frame
+      return [this.normalizeBook(route.pair, data.slice(1, -2))]
+    }
+    if (channelName === 'trade') {
+      return [this.normalizeTrades(route.pair, data[1])]
+    }
+    return [{ type: 'unknown', raw: data }]
+  }
+
+  // v1 sends strings, which are kept as-is for the checksum
+  normalizeBook(pair, payloads) {
+    const toLevel = ([price, qty]) => ({ price: parseFloat(price), qty: parseFloat(qty), priceText: price, qtyText: qty })
+    const merged = Object.assign({}, ...payloads)
+    const snapshot = Boolean(merged.as || merged.bs)
+    const times = [...(merged.as || merged.a || []), ...(merged.bs || merged.b || [])].map(level => parseFloat(level[2]))
+
+    return {
+      type: 'book',
+      pair,
+      snapshot,
+      bids: ((snapshot ? merged.bs : merged.b) || []).map(toLevel),
+      asks: ((snapshot ? merged.as : merged.a) || []).map(toLevel),
+      checksum: merged.c != null ? Number(merged.c) : null,
+      timestamp: times.length ? Math.max(...times) * 1000 : null
+    }
+  }
+
+  // v1 has no trade snapshot: every frame is new trades
+  normalizeTrades(pair, trades) {
+    return {
+      type: 'trades',
+      pair,
+      snapshot: false,
+      trades: (trades || []).map(([price, volume, time, side, orderType, , tradeId]) => ({
+        price: parseFloat(price),
+        qty: parseFloat(volume),
+        side: side === 'b' ? 'buy' : 'sell',
+        orderType: orderType === 'l' ? 'limit' : 'market',
+        tradeId: tradeId ?? null,
+        timestamp: parseFloat(time) * 1000
+      }))
+    }
+  }
+
+  normalizeTicker(pair, ticker) {
+    return {
+      type: 'ticker',
+      pair,
+      last: parseFloat(ticker?.c?.[0]),
+      bid: parseFloat(ticker?.b?.[0]),
+      ask: parseFloat(ticker?.a?.[0]),
+      volume: parseFloat(ticker?.v?.[1]),
+      vwap: parseFloat(ticker?.p?.[1]),
+      low: parseFloat(ticker?.l?.[1]),
+      high: parseFloat(ticker?.h?.[1]),
+      open: parseFloat(ticker?.o?.[1])
+    }
+  }
+}
+
+export default KrakenV1Protocol
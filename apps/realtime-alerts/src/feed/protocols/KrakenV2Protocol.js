@@ -0,0 +1,135 @@
+/**
+ * Kraken WebSocket API v2 adapter
+ * JSON objects with `method` / `channel` fields, `req_id` correlation and BTC/DOGE symbols
+ * https://docs.kraken.com/api/docs/websocket-v2/ticker
+ */
+
+export const KRAKEN_WS_V2 = 'wss://ws.kraken.com/v2'
+
+export class KrakenV2Protocol {
+  constructor() {
+    this.name = 'v2'
+    this.url = KRAKEN_WS_V2
+  }
+
+  // Nothing to reset: v2 messages carry their symbol and channel
+  reset() {}
+
+  buildSubscribe(pairIds, channel, reqId, options = {}) {
+    return { method: 'subscribe', params: { channel, symbol: pairIds, ...options }, req_id: reqId }
+  }
+
+  buildUnsubscribe(pairIds, channel, reqId, options = {}) {
+    return { method: 'unsubscribe', params: { channel, symbol: pairIds, ...options }, req_id: reqId }
+  }
+
+  buildPing(reqId) {
+    return { method: 'ping', req_id: reqId }
+  }
+
+  /**
+   * Translate one parsed frame into normalized feed events
+   */
+  parse(data) {
+    if (data.method) {
+      return this.parseMethodResponse(data)
+    }
+
+    switch (data.channel) {
+      case 'heartbeat':
+        return [{ type: 'heartbeat' }]
+      case 'status':
+        return (data.data || []).map(status => ({
+          type: 'status',
+          status: status.system,
+          version: status.version,
+          connectionId: status.connection_id
+        }))
+      case 'ticker':
+        return (data.data || []).map(ticker => this.normalizeTicker(ticker))
+      case 'book':
+        return (data.data || []).map(book => this.normalizeBook(book, data.type === 'snapshot'))
+      case 'trade':
+        return this.normalizeTrades(data.data || [], data.type === 'snapshot')
+      default:
+        return [{ type: 'unknown', raw: data }]
+    }
+  }
+
+  parseMethodResponse(data) {
+    const reqId = data.req_id
+
+    if (data.method === 'pong') {
+      return [{ type: 'pong', reqId }]
+    }
+
+    if (data.method === 'subscribe' || data.method === 'unsubscribe') {
+      if (data.success === false) {
+        return [{
+          type: 'subscriptionError',
+          reqId,
+          pair: data.symbol || data.result?.symbol || null,
+          channel: data.result?.channel || null,
+          error: data.error || 'Unknown subscription error'
+        }]
+      }
+      return [{
+        type: data.method === 'subscribe' ? 'subscribed' : 'unsubscribed',
+        reqId,
+        pair: data.result?.symbol,
+        channel: data.result?.channel
+      }]
+    }
+
+    return [{ type: 'unknown', raw: data }]
+  }
+
+  normalizeTicker(ticker) {
+    return {
+      type: 'ticker',
+      pair: ticker.symbol,
+      last: ticker.last,
+      bid: ticker.bid,
+      ask: ticker.ask,
+      volume: ticker.volume,
+      vwap: ticker.vwap,
+      low: ticker.low,
+      high: ticker.high,
+      open: ticker.last - ticker.change
+    }
+  }
+
+  // v2 sends numbers, so checksum text is rebuilt from the pair's precision downstream
+  normalizeBook(book, snapshot) {
+    const toLevel = level => ({ price: level.price, qty: level.qty })
+    return {
+      type: 'book',
+      pair: book.symbol,
+      snapshot,
+      bids: (book.bids || []).map(toLevel),
+      asks: (book.asks || []).map(toLevel),
+      checksum: book.checksum ?? null,
+      timestamp: book.timestamp ? Date.parse(book.timestamp) : null
+    }
+  }
+
+  // One event per symbol, trades in the order they were executed
+  normalizeTrades(trades, snapshot) {
+    const bySymbol = new Map()
+    trades.forEach(trade => {
+      const list = bySymbol.get(trade.symbol) || []
+      list.push({
+        price: trade.price,
+        qty: trade.qty,
+        side: trade.side,
+        orderType: trade.ord_type,
+        tradeId: trade.trade_id,
+        timestamp: Date.parse(trade.timestamp)
+      })
+      bySymbol.set(trade.symbol, list)
+    })
+    return Array.from(bySymbol, ([pair, list]) => ({ type: 'trades', pair, snapshot, trades: list }))
+  }
+}
+
+export default KrakenV2Protocol
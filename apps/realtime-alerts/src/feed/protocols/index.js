@@ -0,0 +1,41 @@
+/**
+ * Kraken WebSocket protocol adapters
+ * Both adapters turn raw frames into the same normalized events, so the feed
+ * (and everything downstream of it) does not care which API version is on the wire.
+ */
+
+import KrakenV1Protocol from './KrakenV1Protocol.js'
+import KrakenV2Protocol from './KrakenV2Protocol.js'
+
+export const PROTOCOLS = {
+  v2: { label: 'WebSocket v2', create: () => new KrakenV2Protocol() },
+  v1: { label: 'WebSocket v1 (legacy)', create: () => new KrakenV1Protocol() }
+}
+
+export const DEFAULT_PROTOCOL = 'v2'
+
+const PROTOCOL_KEY = 'kraken_ws_protocol'
+
+export function createProtocol(name = DEFAULT_PROTOCOL) {
+  return (PROTOCOLS[name] || PROTOCOLS[DEFAULT_PROTOCOL]).create()
+}
+
+// Persisted protocol setting (main thread only - workers have no localStorage)
+export function loadProtocolSetting() {
+  try {
+    const stored = localStorage.getItem(PROTOCOL_KEY)
+    return PROTOCOLS[stored] ? stored : DEFAULT_PROTOCOL
+  } catch {
+    return DEFAULT_PROTOCOL
+  }
+}
+
+export function saveProtocolSetting(name) {
+  try {
+    localStorage.setItem(PROTOCOL_KEY, name)
+  } catch (error) {
+    console.warn('localStorage failed, protocol setting not persisted:', error)
+  }
+}
+
+export { KrakenV1Protocol, KrakenV2Protocol }
@@ -0,0 +1,153 @@
+/**
+ * Replay of recorded sessions
+ * ReplayController plays the inbound frames of a recording through a WebSocket-like
+ * object, so KrakenFeed parses them with exactly the same onmessage path as live data.
+ * Supports 1x / 5x / 50x playback and step-by-step mode.
+ */
+
+import EventEmitter from '../EventEmitter.js'
+
+export const REPLAY_SPEEDS = [1, 5, 50]
+
+const OPEN = 1
+const CLOSED = 3
+
+// Minimal WebSocket stand-in driven by a ReplayController
+class ReplaySocket {
+  constructor(controller) {
+    this.controller = controller
+    this.readyState = 0
+    this.onopen = null
+    this.onmessage = null
+    this.onclose = null
+    this.onerror = null
+
+    setTimeout(() => {
+      if (this.readyState !== 0) return
+      this.readyState = OPEN
+      this.onopen?.({})
+      controller.attachSocket(this)
+    }, 0)
+  }
+
+  // Outbound messages (subscriptions, pings) have nowhere to go during a replay
+  send() {}
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === CLOSED) return
+    this.readyState = CLOSED
+    this.controller.detachSocket(this)
+    setTimeout(() => this.onclose?.({ code, reason }), 0)
+  }
+
+  deliver(data) {
+    if (this.readyState === OPEN) this.onmessage?.({ data })
+  }
+}
+
+/**
+ * Plays one recorded session. Events:
+ * - 'progress' { index, total, time, speed, paused, finished }
+ */
+export class ReplayController extends EventEmitter {
+  constructor(session, { speed = 1, paused = false } = {}) {
+    super()
+    // Only what the server sent is replayed
+    this.frames = session.frames.filter(frame => frame.direction !== 'out')
+    this.session = session
+    this.speed = speed
+    this.paused = paused
+    this.index = 0
+    this.socket = null
+    this.timer = null
+
+    // Hand this to KrakenFeed as its socketFactory; a reconnect resumes where we left off
+    this.createSocket = () => new ReplaySocket(this)
+  }
+
+  attachSocket(socket) {
+    this.socket = socket
+    this.schedule()
+  }
+
+  detachSocket(socket) {
+    if (this.socket !== socket) return
+    clearTimeout(this.timer)
+    this.socket = null
+  }
+
+  play(speed = this.speed) {
+    this.speed = speed
+    this.paused = false
+    this.schedule()
+    this.report()
+  }
+
+  pause() {
+    this.paused = true
+    clearTimeout(this.timer)
+    this.report()
+  }
+
+  setSpeed(speed) {
+    this.speed = speed
+    if (!this.paused) this.schedule()
+    this.report()
+  }
+
+  // Deliver exactly one frame (pauses playback first)
+  step() {
+    if (!this.paused) this.pause()
+    this.deliverNext()
+  }
+
+  stop() {
+    clearTimeout(this.timer)
+    this.socket?.close(1000, 'replay stopped')
+  }
+
+  schedule() {
+    clearTimeout(this.timer)
+    if (this.paused || !this.socket || this.index >= this.frames.length) return
+
+    const previous = this.frames[this.index - 1]
+    const next = this.frames[this.index]
+    const delay = previous ? Math.max(0, (next.t - previous.t) / this.speed) : 0
+
+    this.timer = setTimeout(() => {
+      this.deliverNext()
+      this.schedule()
+    }, delay)
+  }
+
+  deliverNext() {
+    if (!this.socket || this.index >= this.frames.length) return
+
+    this.socket.deliver(this.frames[this.index].data)
+    this.index++
+    this.report()
+
+    if (this.index >= this.frames.length) {
+      // Clean close: the feed will not try to reconnect
+      this.socket.close(1000, 'replay finished')
+    }
+  }
+
+  getProgress() {
+    return {
+      index: this.index,
+      total: this.frames.length,
+      time: this.frames[Math.max(0, this.index - 1)]?.t || 0,
+      duration: this.frames[this.frames.length - 1]?.t || 0,
+      speed: this.speed,
+      paused: this.paused,
+      finished: this.index >= this.frames.length
+    }
+  }
+
+  report() {
+    this.emit('progress', this.getProgress())
+  }
+}
+
+export default ReplayController
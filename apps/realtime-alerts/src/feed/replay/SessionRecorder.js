@@ -0,0 +1,140 @@
+/**
+ * Session recorder
+ * Captures the raw WebSocket frames of a feed ('frame' events) with their timing,
+ * so a session can be saved, downloaded as NDJSON and replayed later through the
+ * same KrakenFeed parsing path (see ReplaySocket.js).
+ *
+ * A recording is { id, name, protocol, url, subscriptions, startedAt, endedAt, frameCount, frames },
+ * where frames are { t, direction: 'in' | 'out', data } and t is ms since startedAt.
+ *
+ * NDJSON layout: a header line { type: 'recording', version, ...metadata }
+ * followed by one line per frame.
+ */
+
+import EventEmitter from '../EventEmitter.js'
+
+export const MAX_FRAMES = 200000        // ~ a few hours of a small watchlist; keeps memory bounded
+const PROGRESS_THROTTLE_MS = 500
+const NDJSON_VERSION = 1
+
+function generateRecordingId() {
+  return `rec_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 6)}`
+}
+
+/**
+ * Events:
+ * - 'progress' { frameCount, duration }
+ * - 'limit'    { frameCount }            MAX_FRAMES reached, recording stopped
+ */
+export class SessionRecorder extends EventEmitter {
+  constructor({ maxFrames = MAX_FRAMES } = {}) {
+    super()
+    this.maxFrames = maxFrames
+    this.recording = null
+    this.detach = null
+    this.lastProgressAt = 0
+  }
+
+  isRecording() {
+    return !!this.recording
+  }
+
+  /**
+   * Start capturing frames from `feed`. The caller is responsible for asking the
+   * hub to forward frames (FeedClient.setFrameCapture).
+   */
+  start(feed, { name, protocol, url } = {}) {
+    if (this.recording) return this.recording
+
+    const startedAt = Date.now()
+    const state = feed.getState()
+    this.recording = {
+      id: generateRecordingId(),
+      name: name || `Session ${new Date(startedAt).toLocaleString()}`,
+      protocol: protocol || state.protocol,
+      url: url || null,
+      subscriptions: state.subscriptions || {},  // channel -> pair ids, to tell what the frames contain
+      startedAt,
+      endedAt: null,
+      frameCount: 0,
+      frames: []
+    }
+    this.detach = feed.on('frame', frame => this.capture(frame))
+    return this.recording
+  }
+
+  /**
+   * Stop capturing and return the finished recording (null if none was running)
+   */
+  stop() {
+    const recording = this.recording
+    if (!recording) return null
+
+    this.detach?.()
+    this.detach = null
+    this.recording = null
+    recording.endedAt = Date.now()
+    recording.frameCount = recording.frames.length
+    this.emit('progress', this.getProgress(recording))
+    return recording
+  }
+
+  capture({ direction, data, timestamp }) {
+    const recording = this.recording
+    recording.frames.push({ t: timestamp - recording.startedAt, direction, data })
+
+    if (recording.frames.length >= this.maxFrames) {
+      this.emit('limit', { frameCount: recording.frames.length })
+      this.stop()
+      return
+    }
+
+    const now = Date.now()
+    if (now - this.lastProgressAt >= PROGRESS_THROTTLE_MS) {
+      this.lastProgressAt = now
+      this.emit('progress', this.getProgress(recording))
+    }
+  }
+
+  getProgress(recording = this.recording) {
+    if (!recording) return { frameCount: 0, duration: 0 }
+    const frames = recording.frames
+    return { frameCount: frames.length, duration: frames[frames.length - 1]?.t || 0 }
+  }
+}
+
+export function toNDJSON(recording) {
+  const { frames, ...metadata } = recording
+  const header = JSON.stringify({ type: 'recording', version: NDJSON_VERSION, ...metadata })
+  return [header, ...frames.map(frame => JSON.stringify(frame))].join('\n') + '\n'
+}
+
+/**
+ * Parse an NDJSON recording (e.g. a downloaded file). Throws on malformed input.
+ */
+export function fromNDJSON(text) {
+  const lines = text.split('\n').filter(line => line.trim())
+  if (lines.length === 0) throw new Error('Recording file is empty')
+
+  const header = JSON.parse(lines[0])
+  if (header.type !== 'recording') throw new Error('Not a recording file (missing header line)')
+  if (header.version > NDJSON_VERSION) throw new Error(`Unsupported recording version ${header.version}`)
+
+  const frames = lines.slice(1).map((line, index) => {
+    const frame = JSON.parse(line)
+    if (!Number.isFinite(frame.t) || typeof frame.data !== 'string') {
+      throw new Error(`Invalid frame on line ${index + 2}`)
+    }
+    return { t: frame.t, direction: frame.direction || 'in', data: frame.data }
+  })
+
+  const { type, version, ...metadata } = header
+  return { ...metadata, id: metadata.id || generateRecordingId(), frameCount: frames.length, frames }
+}
+
+export function recordingFileName(recording) {
+  const stamp = new Date(recording.startedAt).toISOString().replace(/[:.]/g, '-').slice(0, 19)
+  return `kraken-${recording.protocol || 'feed'}-${stamp}.ndjson`
+}
+
+export default SessionRecorder
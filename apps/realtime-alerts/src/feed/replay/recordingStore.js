@@ -0,0 +1,81 @@
+/**
+ * IndexedDB storage for recorded sessions
+ * Metadata and frames live in separate stores so listing recordings does not
+ * load every frame into memory.
+ */
+
+const DB_NAME = 'kraken_recordings'
+const DB_VERSION = 1
+const META_STORE = 'recordings'
+const FRAME_STORE = 'frames'
+
+let dbPromise = null
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result)
+    request.onerror = () => reject(request.error)
+  })
+}
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') {
+    return Promise.reject(new Error('IndexedDB is not available in this browser'))
+  }
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION)
+    request.onupgradeneeded = () => {
+      const db = request.result
+      if (!db.objectStoreNames.contains(META_STORE)) db.createObjectStore(META_STORE, { keyPath: 'id' })
+      if (!db.objectStoreNames.contains(FRAME_STORE)) db.createObjectStore(FRAME_STORE, { keyPath: 'id' })
+    }
+    dbPromise = promisify(request).catch(error => {
+      dbPromise = null
+      throw error
+    })
+  }
+  return dbPromise
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve()
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'))
+  })
+}
+
+export async function saveRecording(recording) {
+  const db = await openDatabase()
+  const { frames, ...metadata } = recording
+  const tx = db.transaction([META_STORE, FRAME_STORE], 'readwrite')
+  tx.objectStore(META_STORE).put({ ...metadata, frameCount: frames.length })
+  tx.objectStore(FRAME_STORE).put({ id: recording.id, frames })
+  await transactionDone(tx)
+}
+
+// Metadata only, newest first
+export async function listRecordings() {
+  const db = await openDatabase()
+  const recordings = await promisify(db.transaction(META_STORE).objectStore(META_STORE).getAll())
+  return recordings.sort((a, b) => b.startedAt - a.startedAt)
+}
+
+export async function loadRecording(id) {
+  const db = await openDatabase()
+  const tx = db.transaction([META_STORE, FRAME_STORE])
+  const [metadata, entry] = await Promise.all([
+    promisify(tx.objectStore(META_STORE).get(id)),
+    promisify(tx.objectStore(FRAME_STORE).get(id))
+  ])
+  if (!metadata) throw new Error(`Recording ${id} not found`)
+  return { ...metadata, frames: entry?.frames || [] }
+}
+
+export async function deleteRecording(id) {
+  const db = await openDatabase()
+  const tx = db.transaction([META_STORE, FRAME_STORE], 'readwrite')
+  tx.objectStore(META_STORE).delete(id)
+  tx.objectStore(FRAME_STORE).delete(id)
+  await transactionDone(tx)
+}
@@ -0,0 +1,263 @@
+/**
+ * Feed Client
+ * Tab-side stand-in for KrakenFeed: same public API and events, but the
+ * connection itself lives in a FeedHub reached through a transport.
+ * Keeps a local mirror of state, tickers and books so reads stay synchronous,
+ * and remembers its own subscriptions so it can replay them to a new hub.
+ * The transport can be swapped at runtime (e.g. to a local replay hub) with useTransport().
+ *
+ * Besides the KrakenFeed events it emits:
+ * - 'primary' { primary }          this tab became (or stopped being) the hub's primary tab
+ * - 'shared'  { topic, payload }   results another tab published with share()
+ */
+
+import EventEmitter from '../EventEmitter.js'
+import { MAX_RECONNECT_ATTEMPTS } from '../KrakenFeed.js'
+
+const HEARTBEAT_MS = 20000
+
+// Per-pair events and the channel that produces them
+const PAIR_EVENT_CHANNELS = {
+  ticker: 'ticker',
+  trades: 'trade',
+  book: 'book',
+  bookChecksumMismatch: 'book'
+}
+
+function generateClientId() {
+  return `tab_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`
+}
+
+export class FeedClient extends EventEmitter {
+  /**
+   * @param {{ mode: string, send: Function, onMessage: Function }} transport
+   */
+  constructor(transport) {
+    super()
+    this.id = generateClientId()
+    this.transport = transport
+    this.attached = false
+    this.captureFrames = false
+    this.subscriptions = new Map()  // channel -> { pairIds: Set, options }
+    this.tickers = {}
+    this.books = new Map()
+    this.shared = new Map()  // `${topic}|${pair}` -> latest result shared by another tab
+    this.state = {
+      status: 'disconnected',
+      systemStatus: null,
+      protocol: null,
+      connecting: false,
+      polling: false,
+      quality: 'unknown',
+      latency: null,
+      reconnectAttempts: 0,
+      maxReconnectAttempts: MAX_RECONNECT_ATTEMPTS,
+      backoff: 0,
+      errorCount: 0,
+      messageCount: 0,
+      lastActivity: 0,
+      subscriptions: {},
+      subscriptionErrors: [],
+      clients: 0,
+      primaryClient: null
+    }
+    this.heartbeat = null
+
+    this.listen(transport)
+  }
+
+  // ---- KrakenFeed-compatible API ----
+
+  connect() {
+    if (this.attached) return
+    this.attached = true
+    this.replay()
+    this.heartbeat = setInterval(() => this.send({ type: 'ping' }), HEARTBEAT_MS)
+  }
+
+  /**
+   * Detach this tab only; the shared connection stays up while other tabs use it
+   */
+  disconnect() {
+    if (!this.attached) return
+    this.attached = false
+    clearInterval(this.heartbeat)
+    this.send({ type: 'detach' })
+  }
+
+  reconnect() {
+    this.send({ type: 'command', command: 'reconnect' })
+  }
+
+  resume() {
+    this.send({ type: 'command', command: 'resume' })
+  }
+
+  setProtocol(name) {
+    this.send({ type: 'command', command: 'setProtocol', args: [name] })
+  }
+
+  subscribe(pairIds, channel = 'ticker', options = null) {
+    const entry = this.subscriptions.get(channel) || { pairIds: new Set(), options: null }
+    pairIds.forEach(id => entry.pairIds.add(id))
+    if (options) entry.options = options
+    this.subscriptions.set(channel, entry)
+
+    if (this.attached) this.send({ type: 'subscribe', pairIds, channel, options })
+  }
+
+  unsubscribe(pairIds, channel = 'ticker') {
+    const entry = this.subscriptions.get(channel)
+    if (!entry) return
+
+    pairIds.forEach(id => {
+      entry.pairIds.delete(id)
+      if (channel === 'book') this.books.delete(id)
+    })
+    if (entry.pairIds.size === 0) this.subscriptions.delete(channel)
+
+    if (this.attached) this.send({ type: 'unsubscribe', pairIds, channel })
+  }
+
+  /**
+   * Ask the hub for raw socket frames ('frame' events), e.g. while recording
+   */
+  setFrameCapture(enabled) {
+    this.captureFrames = enabled
+    if (this.attached) this.send({ type: 'frames', enabled })
+  }
+
+  /**
+   * Move this tab to another hub, carrying its subscriptions over.
+   * Returns the previous transport so the caller can switch back.
+   */
+  useTransport(transport) {
+    const previous = this.transport
+    if (transport === previous) return previous
+
+    const wasAttached = this.attached
+    this.disconnect()
+    this.transport = transport
+    this.listen(transport)
+    this.tickers = {}
+    this.books.clear()
+    this.shared.clear()
+    if (wasAttached) this.connect()
+    // Per-source state (tickers, tapes, alert samples) must not mix live and offline data
+    this.emit('transport', { mode: transport.mode })
+    return previous
+  }
+
+  getTickers() {
+    return this.tickers
+  }
+
+  getBook(pairId) {
+    return this.books.get(pairId) || null
+  }
+
+  getState() {
+    return { ...this.state, mode: this.transport.mode }
+  }
+
+  /**
+   * Whether this tab is the one that should persist shared connection events
+   */
+  isPrimary() {
+    return this.state.primaryClient === this.id
+  }
+
+  /**
+   * Hand a result to every other tab on the hub (they get a 'shared' event)
+   */
+  share(topic, payload) {
+    if (this.attached) this.send({ type: 'share', topic, payload })
+  }
+
+  /**
+   * The latest results other tabs shared on a topic, one per pair
+   */
+  getShared(topic) {
+    return Array.from(this.shared.entries())
+      .filter(([key]) => key.startsWith(`${topic}|`))
+      .map(([, payload]) => payload)
+  }
+
+  destroy() {
+    this.disconnect()
+    this.removeAllListeners()
+  }
+
+  // ---- Internals ----
+
+  send(message) {
+    this.transport.send({ ...message, from: this.id })
+  }
+
+  listen(transport) {
+    // A transport we have switched away from may still deliver broadcasts: ignore them
+    transport.onMessage(message => {
+      if (transport === this.transport) this.handleMessage(message)
+    })
+  }
+
+  // Attach and re-send everything this tab wants (first connect, or a new hub took over)
+  replay() {
+    this.send({ type: 'attach' })
+    if (this.captureFrames) this.send({ type: 'frames', enabled: true })
+    this.subscriptions.forEach(({ pairIds, options }, channel) => {
+      this.send({ type: 'subscribe', pairIds: Array.from(pairIds), channel, options })
+    })
+  }
+
+  handleMessage(message) {
+    if (!message || (message.to && message.to !== this.id)) return
+
+    switch (message.type) {
+      case 'snapshot':
+        this.setState(message.state)
+        this.tickers = { ...message.tickers }
+        this.books = new Map(Object.entries(message.books || {}))
+        this.emit('status', { status: this.state.status, previous: null })
+        break
+      case 'state':
+        this.setState(message.state)
+        break
+      case 'reattach':
+      case 'leader':
+        if (this.attached) this.replay()
+        break
+      case 'event':
+        this.handleEvent(message.event, message.payload)
+        break
+      case 'shared':
+        if (message.from === this.id) break
+        this.shared.set(`${message.topic}|${message.payload?.pair ?? ''}`, message.payload)
+        this.emit('shared', { topic: message.topic, payload: message.payload })
+        break
+      default:
+        break
+    }
+  }
+
+  setState(state) {
+    const wasPrimary = this.isPrimary()
+    this.state = state
+    if (this.isPrimary() !== wasPrimary) this.emit('primary', { primary: !wasPrimary })
+  }
+
+  handleEvent(event, payload) {
+    // Other tabs may follow pairs this one does not: only pass on what we subscribed to
+    const channel = PAIR_EVENT_CHANNELS[event]
+    if (channel && !this.subscriptions.get(channel)?.pairIds.has(payload.pair)) return
+
+    if (event === 'ticker') this.tickers[payload.pair] = payload
+    if (event === 'book') this.books.set(payload.pair, payload)
+    if (event === 'bookChecksumMismatch') this.books.delete(payload.pair)
+    if (event === 'status') this.state = { ...this.state, status: payload.status }
+    if (event === 'systemStatus') this.state = { ...this.state, systemStatus: payload.status }
+    this.emit(event, payload)
+  }
+}
+
+export default FeedClient
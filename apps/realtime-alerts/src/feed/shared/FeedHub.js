@@ -0,0 +1,223 @@
+/**
+ * Feed Hub
+ * Owns the single upstream KrakenFeed on behalf of every attached tab.
+ * Subscriptions are reference-counted per client, so a pair stays subscribed
+ * upstream until the last tab that wants it lets go, and feed events are
+ * fanned out to all clients.
+ *
+ * Runs wherever the upstream connection lives: inside the SharedWorker, or in
+ * the leader tab when falling back to BroadcastChannel (see transports.js).
+ *
+ * Raw socket frames are high-volume, so they only go to clients that asked for them
+ * (a tab that is recording the session).
+ *
+ * Tabs can also hand results to each other ('share' -> 'shared'), so work such as the
+ * REST-polling monitors runs in the primary tab only. The latest result per topic and
+ * pair is kept and sent to tabs as they attach.
+ *
+ * Client -> hub messages: { from, type: 'attach' | 'detach' | 'ping' | 'subscribe' | 'unsubscribe' | 'frames' | 'share' | 'command', ... }
+ * Hub -> client messages: { type: 'event' | 'state' | 'snapshot' | 'shared' | 'reattach', to?, ... }
+ */
+
+export const FORWARDED_EVENTS = ['ticker', 'book', 'bookChecksumMismatch', 'trades', 'open', 'close', 'log', 'status', 'quality', 'polling', 'systemStatus', 'subscriptionStatus']
+
+const STATE_PUSH_MS = 1000            // counters / last activity for the connection card
+const CLIENT_TIMEOUT_MS = 150000      // background tabs may only tick once a minute
+const SWEEP_MS = 30000
+const IDLE_DISCONNECT_MS = 5000       // grace period so a reload does not drop the socket
+
+const COMMANDS = ['reconnect', 'resume', 'setProtocol']
+
+export class FeedHub {
+  constructor(feed) {
+    this.feed = feed
+    this.clients = new Map()  // client id -> { send, subscriptions: Map channel -> Set pair ids, wantsFrames, lastSeen }
+    this.refs = new Map()     // channel -> Map pair id -> Set client ids
+    this.shared = new Map()   // `${topic}|${pair}` -> latest 'shared' message
+    this.timers = {}
+
+    FORWARDED_EVENTS.forEach(event => {
+      feed.on(event, payload => this.broadcast({ type: 'event', event, payload }))
+    })
+    feed.on('status', () => this.pushState())
+    feed.on('quality', () => this.pushState())
+    feed.on('polling', () => this.pushState())
+    feed.on('systemStatus', () => this.pushState())
+    feed.on('subscriptionStatus', () => this.pushState())
+    feed.on('frame', payload => this.broadcast({ type: 'event', event: 'frame', payload }, client => client.wantsFrames))
+  }
+
+  /**
+   * Handle one message from a client. `send` is the reply path to that client
+   * (several clients may share one, e.g. a BroadcastChannel).
+   */
+  handle(message, send) {
+    const { from: clientId, type } = message || {}
+    if (!clientId) return
+
+    if (type === 'attach') {
+      this.attach(clientId, send)
+      return
+    }
+
+    // Connection commands apply to the shared socket, whether or not the tab is attached yet
+    if (type === 'command') {
+      if (COMMANDS.includes(message.command)) this.feed[message.command](...(message.args || []))
+      return
+    }
+
+    const client = this.clients.get(clientId)
+    if (!client) {
+      // Swept or attached to a previous hub: ask the tab to replay its subscriptions
+      if (type !== 'detach') send({ type: 'reattach', to: clientId })
+      return
+    }
+    client.lastSeen = Date.now()
+
+    switch (type) {
+      case 'detach':
+        this.detach(clientId)
+        break
+      case 'ping':
+        break
+      case 'subscribe':
+        this.subscribe(clientId, message.pairIds || [], message.channel, message.options)
+        break
+      case 'unsubscribe':
+        this.unsubscribe(clientId, message.pairIds || [], message.channel)
+        break
+      case 'frames':
+        client.wantsFrames = !!message.enabled
+        break
+      case 'share':
+        this.share(clientId, message.topic, message.payload)
+        break
+      default:
+        break
+    }
+  }
+
+  attach(clientId, send) {
+    if (!this.clients.has(clientId)) {
+      this.clients.set(clientId, { send, subscriptions: new Map(), wantsFrames: false, lastSeen: Date.now() })
+    }
+    this.startTimers()
+
+    send({
+      type: 'snapshot',
+      to: clientId,
+      state: this.getState(),
+      tickers: this.feed.getTickers(),
+      books: Object.fromEntries(Array.from(this.feed.books.keys(), pairId => [pairId, this.feed.getBook(pairId)]))
+    })
+    this.shared.forEach(message => send({ ...message, to: clientId }))
+
+    // First tab in (or back after idling): bring the upstream connection up
+    const { status, connecting } = this.feed.getState()
+    if (status !== 'open' && !connecting && status !== 'failed' && status !== 'maintenance') this.feed.connect()
+  }
+
+  detach(clientId) {
+    const client = this.clients.get(clientId)
+    if (!client) return
+
+    client.subscriptions.forEach((pairIds, channel) => this.unsubscribe(clientId, Array.from(pairIds), channel))
+    this.clients.delete(clientId)
+
+    if (this.clients.size === 0) {
+      clearTimeout(this.timers.idle)
+      this.timers.idle = setTimeout(() => {
+        if (this.clients.size > 0) return
+        this.stopTimers()
+        this.shared.clear()
+        this.feed.disconnect('no clients')
+      }, IDLE_DISCONNECT_MS)
+    } else {
+      this.pushState()
+    }
+  }
+
+  subscribe(clientId, pairIds, channel, options) {
+    const client = this.clients.get(clientId)
+    const wanted = client.subscriptions.get(channel) || new Set()
+    const refs = this.refs.get(channel) || new Map()
+    const firstRefs = []
+
+    pairIds.forEach(pairId => {
+      wanted.add(pairId)
+      const holders = refs.get(pairId) || new Set()
+      if (holders.size === 0) firstRefs.push(pairId)
+      holders.add(clientId)
+      refs.set(pairId, holders)
+    })
+    client.subscriptions.set(channel, wanted)
+    this.refs.set(channel, refs)
+
+    // Channel options (e.g. book depth) are shared: the latest request wins
+    if (firstRefs.length > 0 || options) {
+      this.feed.subscribe(firstRefs, channel, options || null)
+    }
+  }
+
+  unsubscribe(clientId, pairIds, channel) {
+    const client = this.clients.get(clientId)
+    const refs = this.refs.get(channel)
+    const lastRefs = []
+
+    pairIds.forEach(pairId => {
+      client?.subscriptions.get(channel)?.delete(pairId)
+      const holders = refs?.get(pairId)
+      if (!holders?.delete(clientId)) return
+      if (holders.size === 0) {
+        refs.delete(pairId)
+        lastRefs.push(pairId)
+      }
+    })
+
+    if (lastRefs.length > 0) this.feed.unsubscribe(lastRefs, channel)
+  }
+
+  share(clientId, topic, payload) {
+    const message = { type: 'shared', from: clientId, topic, payload }
+    this.shared.set(`${topic}|${payload?.pair ?? ''}`, message)
+    this.broadcast(message)
+  }
+
+  // The longest-attached client is primary: it alone persists connection logs and runs the monitors
+  getState() {
+    return { ...this.feed.getState(), clients: this.clients.size, primaryClient: this.clients.keys().next().value || null }
+  }
+
+  broadcast(message, filter = null) {
+    const clients = Array.from(this.clients.values()).filter(client => !filter || filter(client))
+    // Clients sharing a reply path (BroadcastChannel) only need the message once
+    new Set(clients.map(client => client.send)).forEach(send => send(message))
+  }
+
+  pushState() {
+    this.broadcast({ type: 'state', state: this.getState() })
+  }
+
+  // Drop tabs that went away without saying goodbye (crash, killed process)
+  sweep() {
+    const now = Date.now()
+    this.clients.forEach((client, clientId) => {
+      if (now - client.lastSeen > CLIENT_TIMEOUT_MS) this.detach(clientId)
+    })
+  }
+
+  startTimers() {
+    clearTimeout(this.timers.idle)
+    if (!this.timers.state) this.timers.state = setInterval(() => this.pushState(), STATE_PUSH_MS)
+    if (!this.timers.sweep) this.timers.sweep = setInterval(() => this.sweep(), SWEEP_MS)
+  }
+
+  stopTimers() {
+    clearInterval(this.timers.state)
+    clearInterval(this.timers.sweep)
+    clearTimeout(this.timers.idle)
+    this.timers = {}
+  }
+}
+
+export default FeedHub
@@ -0,0 +1,22 @@
+/**
+ * SharedWorker entry point
+ * One KrakenFeed for every tab of this origin; each tab connects with its own port.
+ * Workers have no localStorage or DOM: settings arrive from the tabs as commands.
+ */
+
+import { KrakenFeed } from '../KrakenFeed.js'
+import { krakenPairsCache } from '../krakenPairsCache.js'
+import { FeedHub } from './FeedHub.js'
+
+const hub = new FeedHub(new KrakenFeed())
+
+// Pair precision is needed to verify order book checksums
+krakenPairsCache.getPairs().catch(error => console.warn('Pairs catalogue unavailable in feed worker:', error))
+
+self.onconnect = (event) => {
+  const port = event.ports[0]
+  const send = (message) => port.postMessage(message)
+
+  port.onmessage = (e) => hub.handle(e.data, send)
+  port.start()
+}
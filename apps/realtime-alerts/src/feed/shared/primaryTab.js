@@ -0,0 +1,48 @@
+/**
+ * Primary-tab monitors
+ * The confluence, risk and correlation monitors poll Kraken REST for every watched pair.
+ * Run in every open tab they would multiply those requests, so only the feed's primary
+ * tab runs them: it shares each result over the hub, and the other tabs hand the results
+ * they receive to their own (stopped) monitor, which emits them as if it had computed them.
+ * When the primary tab goes away the next one takes over.
+ *
+ * A monitor needs stop(), receive(result) and its result event.
+ */
+
+/**
+ * Run `start()` while this tab is primary on `feed`, and otherwise take the monitor's
+ * `event` results from the tab that is. Returns a stop function.
+ */
+export function runInPrimaryTab(feed, monitor, event, start) {
+  let running = false
+  const update = () => {
+    if (feed.isPrimary() && !running) {
+      running = true
+      start()
+    } else if (!feed.isPrimary() && running) {
+      running = false
+      monitor.stop()
+    }
+  }
+
+  const offPrimary = feed.on('primary', update)
+  const offResult = monitor.on(event, result => {
+    if (running) feed.share(event, result)
+  })
+  const offShared = feed.on('shared', ({ topic, payload }) => {
+    if (topic === event && !running) monitor.receive(payload)
+  })
+  update()
+  // Results that arrived before this was set up (e.g. when the tab attached)
+  if (!running) feed.getShared(event).forEach(result => monitor.receive(result))
+
+  return () => {
+    offPrimary()
+    offResult()
+    offShared()
+    if (running) monitor.stop()
+    running = false
+  }
+}
+
+export default runInPrimaryTab
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import EventEmitter from '../EventEmitter.js'
+import { FeedHub } from './FeedHub.js'
+import { FeedClient } from './FeedClient.js'
+import { runInPrimaryTab } from './primaryTab.js'
+
+// The upstream connection as far as the hub needs it
+function upstreamFeed() {
+  const feed = new EventEmitter()
+  Object.assign(feed, {
+    books: new Map(),
+    getState: () => ({ status: 'open', connecting: false }),
+    getTickers: () => ({}),
+    getBook: () => null,
+    connect: vi.fn(),
+    disconnect: vi.fn(),
+    subscribe: vi.fn(),
+    unsubscribe: vi.fn()
+  })
+  return feed
+}
+
+// One tab: its feed client on the hub and a monitor that records how it is driven
+function openTab(hub) {
+  let handler = () => {}
+  const feed = new FeedClient({
+    mode: 'test',
+    send: message => hub.handle(message, reply => handler(reply)),
+    onMessage: h => { handler = h }
+  })
+  const monitor = new EventEmitter()
+  monitor.results = {}
+  monitor.stop = vi.fn()
+  monitor.receive = vi.fn(result => {
+    monitor.results[result.pair] = result
+    monitor.emit('confluence', result)
+  })
+  const start = vi.fn()
+
+  feed.connect()
+  const stop = runInPrimaryTab(feed, monitor, 'confluence', start)
+  return { feed, monitor, start, stop }
+}
+
+let hub
+
+beforeEach(() => {
+  vi.useFakeTimers()
+  hub = new FeedHub(upstreamFeed())
+})
+
+afterEach(() => {
+  hub.stopTimers()
+  vi.useRealTimers()
+})
+
+describe('runInPrimaryTab', () => {
+  it('runs the monitor in the first tab only and hands its results to the others', () => {
+    const first = openTab(hub)
+    const second = openTab(hub)
+    expect(first.feed.isPrimary()).toBe(true)
+    expect(first.start).toHaveBeenCalledTimes(1)
+    expect(second.start).not.toHaveBeenCalled()
+
+    const result = { pair: 'ETH/USD', metrics: { volatility: 0.4 }, updatedAt: 1 }
+    first.monitor.emit('confluence', result)
+    expect(second.monitor.receive).toHaveBeenCalledWith(result)
+    expect(first.monitor.receive).not.toHaveBeenCalled()
+  })
+
+  it('gives a tab that opens later the latest result per pair', () => {
+    const first = openTab(hub)
+    first.monitor.emit('confluence', { pair: 'ETH/USD', updatedAt: 1 })
+    first.monitor.emit('confluence', { pair: 'ETH/USD', updatedAt: 2 })
+    first.monitor.emit('confluence', { pair: 'SOL/USD', updatedAt: 2 })
+
+    const later = openTab(hub)
+    expect(later.monitor.results).toEqual({
+      'ETH/USD': { pair: 'ETH/USD', updatedAt: 2 },
+      'SOL/USD': { pair: 'SOL/USD', updatedAt: 2 }
+    })
+  })
+
+  it('moves the monitor to the next tab when the primary one goes away', () => {
+    const first = openTab(hub)
+    const second = openTab(hub)
+
+    first.feed.disconnect()
+    expect(second.feed.isPrimary()).toBe(true)
+    expect(second.start).toHaveBeenCalledTimes(1)
+
+    // The tab that left was never told; its own cleanup stops its monitor
+    first.stop()
+    expect(first.monitor.stop).toHaveBeenCalledTimes(1)
+  })
+
+  it('stops the monitor when this tab stops being primary', () => {
+    const tab = openTab(hub)
+    tab.feed.handleMessage({ type: 'state', state: { ...tab.feed.state, primaryClient: 'tab_elsewhere' } })
+    expect(tab.monitor.stop).toHaveBeenCalledTimes(1)
+
+    tab.monitor.emit('confluence', { pair: 'ETH/USD', updatedAt: 3 })
+    expect(hub.shared.size).toBe(0)
+  })
+})
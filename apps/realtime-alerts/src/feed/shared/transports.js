@@ -0,0 +1,100 @@
+/**
+ * Feed transports
+ * How a tab reaches the FeedHub that owns the single Kraken connection:
+ *
+ * 1. SharedWorker: the hub lives in a worker shared by every tab of this origin.
+ * 2. BroadcastChannel + Web Locks: where SharedWorker is missing (e.g. Chrome on Android),
+ *    the tab holding the leader lock runs the hub and the others talk to it over a channel.
+ *    When the leader closes, the lock passes to another tab, which starts a new hub and
+ *    announces itself so every tab replays its subscriptions. (A ServiceWorker cannot be
+ *    used for this: browsers stop idle service workers, taking the socket with them.)
+ * 3. Local: no cross-tab support at all, so this tab keeps its own connection.
+ *
+ * Every transport has the same shape: { mode, send(message), onMessage(handler) }.
+ */
+
+import { KrakenFeed } from '../KrakenFeed.js'
+import { FeedHub } from './FeedHub.js'
+
+const CHANNEL_NAME = 'kraken-feed'
+const LEADER_LOCK = 'kraken-feed-leader'
+
+export function createSharedWorkerTransport() {
+  const worker = new SharedWorker(new URL('./feedWorker.js', import.meta.url), { type: 'module', name: 'kraken-feed' })
+  let handler = () => {}
+
+  worker.onerror = (error) => console.warn('Kraken feed worker error:', error)
+  worker.port.onmessage = (event) => handler(event.data)
+  worker.port.start()
+
+  return {
+    mode: 'shared-worker',
+    send: (message) => worker.port.postMessage(message),
+    onMessage: (h) => { handler = h }
+  }
+}
+
+export function createBroadcastTransport() {
+  const channel = new BroadcastChannel(CHANNEL_NAME)
+  let handler = () => {}
+  let hub = null
+
+  // Hub output goes to every tab: the others over the channel, this one directly
+  const down = (message) => {
+    channel.postMessage({ direction: 'down', message })
+    handler(message)
+  }
+
+  const transport = {
+    mode: 'broadcast',
+    send: (message) => {
+      if (hub) hub.handle(message, down)
+      else channel.postMessage({ direction: 'up', message })
+    },
+    onMessage: (h) => { handler = h }
+  }
+
+  channel.onmessage = ({ data }) => {
+    if (data?.direction === 'up' && hub) hub.handle(data.message, down)
+    if (data?.direction === 'down') handler(data.message)
+  }
+
+  navigator.locks.request(LEADER_LOCK, () => {
+    hub = new FeedHub(new KrakenFeed())
+    transport.mode = 'broadcast-leader'
+    down({ type: 'leader' })
+
+    // Hold the lock for as long as this tab lives
+    return new Promise(() => {})
+  })
+
+  return transport
+}
+
+// Also used for replays and simulations, with a feed reading from a stand-in socket
+export function createLocalTransport(feed = new KrakenFeed(), mode = 'local') {
+  const hub = new FeedHub(feed)
+  let handler = () => {}
+
+  return {
+    mode,
+    feed,
+    send: (message) => hub.handle(message, (reply) => handler(reply)),
+    onMessage: (h) => { handler = h }
+  }
+}
+
+// Best transport this browser supports
+export function createFeedTransport() {
+  if (typeof SharedWorker !== 'undefined') {
+    try {
+      return createSharedWorkerTransport()
+    } catch (error) {
+      console.warn('SharedWorker unavailable, falling back to BroadcastChannel:', error)
+    }
+  }
+  if (typeof BroadcastChannel !== 'undefined' && typeof navigator !== 'undefined' && navigator.locks) {
+    return createBroadcastTransport()
+  }
+  return createLocalTransport()
+}
@@ -0,0 +1,79 @@
+/**
+ * Shared Kraken feed for this tab
+ * A FeedClient attached to the one upstream connection shared by all tabs
+ * (see shared/transports.js). Import `krakenFeed` from here, not from KrakenFeed.js.
+ *
+ * During a replay or simulation this tab alone switches to a private hub whose
+ * KrakenFeed reads from the recording or the simulator; other tabs keep their live data.
+ */
+
+import { KrakenFeed } from './KrakenFeed.js'
+import { FeedClient } from './shared/FeedClient.js'
+import { createFeedTransport, createLocalTransport } from './shared/transports.js'
+import { ReplayController } from './replay/ReplaySocket.js'
+import { MarketSimulator } from './simulator/MarketSimulator.js'
+import { SimulatorSocket } from './simulator/SimulatorSocket.js'
+
+export const krakenFeed = new FeedClient(createFeedTransport())
+
+let liveTransport = null  // set while this tab is on a replay or simulation
+
+// Let the hub release this tab's subscriptions right away instead of waiting for the sweep
+if (typeof window !== 'undefined') {
+  window.addEventListener('pagehide', () => krakenFeed.disconnect())
+  window.addEventListener('pageshow', (event) => {
+    if (event.persisted) krakenFeed.connect()
+  })
+}
+
+/**
+ * False while this tab shows replayed or simulated data (nothing should be persisted as real prices)
+ */
+export function isLiveFeed() {
+  return liveTransport === null
+}
+
+/**
+ * Replay a recording in this tab. Returns the ReplayController for play / pause / step.
+ */
+export function startReplay(recording, options = {}) {
+  const controller = new ReplayController(recording, options)
+  switchToOfflineFeed(new KrakenFeed({
+    protocol: recording.protocol || undefined,
+    socketFactory: controller.createSocket,
+    monitor: false
+  }), 'replay')
+  return controller
+}
+
+/**
+ * Run this tab on the market simulator (see simulator/MarketSimulator.js for options).
+ * The simulator speaks v2 only. Returns the MarketSimulator.
+ */
+export function startSimulation(options = {}) {
+  const simulator = new MarketSimulator(options)
+  switchToOfflineFeed(new KrakenFeed({
+    protocol: 'v2',
+    socketFactory: () => new SimulatorSocket(simulator),
+    now: () => simulator.time
+  }), 'simulated')
+  return simulator
+}
+
+function switchToOfflineFeed(feed, mode) {
+  returnToLive()
+  liveTransport = krakenFeed.useTransport(createLocalTransport(feed, mode))
+}
+
+/**
+ * Leave replay / simulation and reattach this tab to the live connection
+ */
+export function returnToLive() {
+  if (!liveTransport) return
+
+  const offlineTransport = krakenFeed.useTransport(liveTransport)
+  liveTransport = null
+  offlineTransport.feed.destroy()
+}
+
+export default krakenFeed
@@ -0,0 +1,346 @@
+/**
+ * Market Simulator
+ * Deterministic synthetic market for any set of pairs: a price model plus an
+ * optional scripted scenario drive the mid price, and trades, a Level-2 book and
+ * 24h ticker statistics are derived from it. The same seed always gives the same
+ * prices, trades and books, independent of wall-clock time.
+ *
+ * Each pair draws from its own random streams (price, trades, book), so adding a
+ * pair or subscribing to its book does not change the path of the others.
+ * SimulatorSocket.js turns the output into Kraken v2 frames.
+ *
+ * Events:
+ * - 'tick' { time, elapsed, phase, updates: [{ pair, ticker, trades, book }] }
+ */
+
+import EventEmitter from '../EventEmitter.js'
+import { OrderBook } from '../OrderBook.js'
+import { krakenPairsCache } from '../krakenPairsCache.js'
+import { createRandom } from './random.js'
+import { createPriceModel, createScenario } from './models.js'
+
+export const SIMULATOR_SPEEDS = [1, 10, 60]
+
+const DEFAULT_TICK_MS = 1000
+const DEFAULT_PRECISION = { priceDecimals: 2, qtyDecimals: 8 }
+const TRADES_PER_SECOND = 1.5       // average market activity, scaled by how much the price moved
+const TRADE_NOTIONAL = 500          // typical trade size in quote currency
+const WHALE_PROBABILITY = 0.02      // occasional large prints for the large-trade alerts
+const WHALE_MULTIPLIER = 25
+const LEVEL_NOTIONAL = 8000         // typical resting size per book level
+const LEVEL_CHURN = 0.15            // share of book levels whose size changes each tick
+const SPREAD_BPS = 0.0001           // level spacing as a fraction of the price (1 bp)
+const RECENT_TRADES = 50            // Kraken's trade snapshot size
+
+// Reasonable starting points when no live price is known
+const DEFAULT_PRICES = { BTC: 65000, ETH: 3200, SOL: 150, DOGE: 0.15, SHIB: 0.000015, XRP: 0.5, ADA: 0.4, LTC: 80, DOT: 6 }
+
+function roundTo(value, decimals) {
+  return Number(value.toFixed(decimals))
+}
+
+export class MarketSimulator extends EventEmitter {
+  /**
+   * @param {{ seed, model, modelParams, scenario (segments), initialPrices, tickMs, speed, startTime }} options
+   */
+  constructor(options = {}) {
+    super()
+    this.seed = options.seed ?? 1
+    this.model = createPriceModel(options.model || 'gbm', options.modelParams)
+    this.scenario = createScenario(options.scenario || [])
+    this.initialPrices = options.initialPrices || {}
+    this.tickMs = options.tickMs || DEFAULT_TICK_MS
+    this.speed = options.speed || 1
+    this.startTime = options.startTime ?? Date.now()
+    this.time = this.startTime  // virtual clock, ms
+    this.pairs = new Map()
+    this.consumers = 0
+    this.timer = null
+  }
+
+  // ---- Lifecycle (ticks only run while a socket is attached) ----
+
+  attach() {
+    this.consumers++
+    if (!this.timer) this.timer = setInterval(() => this.tick(), this.tickMs)
+  }
+
+  detach() {
+    this.consumers = Math.max(0, this.consumers - 1)
+    if (this.consumers === 0) this.stop()
+  }
+
+  stop() {
+    clearInterval(this.timer)
+    this.timer = null
+  }
+
+  setSpeed(speed) {
+    this.speed = speed
+  }
+
+  getElapsed() {
+    return (this.time - this.startTime) / 1000
+  }
+
+  getStatus() {
+    const elapsed = this.getElapsed()
+    return {
+      seed: this.seed,
+      model: this.model.name,
+      speed: this.speed,
+      time: this.time,
+      elapsed,
+      phase: this.scenario.phase(elapsed),
+      scenarioDuration: this.scenario.duration,
+      prices: Object.fromEntries(Array.from(this.pairs.values(), state => [state.pair, state.last]))
+    }
+  }
+
+  // ---- Pairs ----
+
+  ensurePair(pairId) {
+    let state = this.pairs.get(pairId)
+    if (state) return state
+
+    const { priceDecimals, qtyDecimals } = krakenPairsCache.getPrecision(pairId) || DEFAULT_PRECISION
+    const base = pairId.split('/')[0]
+    const price = roundTo(this.initialPrices[pairId] || DEFAULT_PRICES[base] || 100, priceDecimals)
+
+    state = {
+      pair: pairId,
+      priceRandom: createRandom(`${this.seed}:${pairId}:price`),
+      tradeRandom: createRandom(`${this.seed}:${pairId}:trades`),
+      bookRandom: createRandom(`${this.seed}:${pairId}:book`),
+      priceDecimals,
+      qtyDecimals,
+      mid: price,
+      last: price,
+      open: price,
+      high: price,
+      low: price,
+      volume: 0,
+      notional: 0,
+      nextTradeId: 1,
+      recentTrades: [],
+      book: null  // { depth, levels: { bids, asks } Map tick -> qty, orderBook } while subscribed
+    }
+    this.pairs.set(pairId, state)
+    return state
+  }
+
+  /**
+   * Start (or restart at a new depth) the simulated book for a pair; returns a snapshot
+   */
+  openBook(pairId, depth = 10) {
+    const state = this.ensurePair(pairId)
+    state.book = {
+      depth,
+      levels: { bids: new Map(), asks: new Map() },
+      orderBook: new OrderBook({ pair: pairId, depth, priceDecimals: state.priceDecimals, qtyDecimals: state.qtyDecimals })
+    }
+    this.updateBook(state)
+    const { orderBook } = state.book
+    return { bids: orderBook.getBids(), asks: orderBook.getAsks(), checksum: orderBook.checksum() }
+  }
+
+  closeBook(pairId) {
+    const state = this.pairs.get(pairId)
+    if (state) state.book = null
+  }
+
+  getTicker(pairId) {
+    const state = this.ensurePair(pairId)
+    const spread = this.getSpread(state)
+    const change = state.last - state.open
+    return {
+      symbol: pairId,
+      bid: spread.bid,
+      bid_qty: spread.bidQty,
+      ask: spread.ask,
+      ask_qty: spread.askQty,
+      last: state.last,
+      volume: roundTo(state.volume, state.qtyDecimals),
+      vwap: state.volume > 0 ? roundTo(state.notional / state.volume, state.priceDecimals) : state.last,
+      low: state.low,
+      high: state.high,
+      change: roundTo(change, state.priceDecimals),
+      change_pct: roundTo((change / state.open) * 100, 2)
+    }
+  }
+
+  getRecentTrades(pairId) {
+    return this.ensurePair(pairId).recentTrades.slice()
+  }
+
+  // ---- Simulation ----
+
+  /**
+   * Advance the virtual clock by one tick for every pair. Called by the timer,
+   * or directly for headless runs (scripts, tests) without any timers.
+   */
+  tick() {
+    const dt = (this.tickMs * this.speed) / 1000
+    const elapsed = this.getElapsed()
+    const volMultiplier = this.scenario.volatility(elapsed)
+    const scripted = this.scenario.drift(elapsed, dt)
+    this.time += dt * 1000
+
+    const updates = Array.from(this.pairs.values(), state => {
+      const logReturn = this.model.step(dt, state.priceRandom, volMultiplier) + scripted
+      state.mid = Math.max(Math.pow(10, -state.priceDecimals), state.mid * Math.exp(logReturn))
+
+      const trades = this.generateTrades(state, logReturn, dt, volMultiplier)
+      const book = state.book ? this.updateBook(state) : null
+      return { pair: state.pair, ticker: this.getTicker(state.pair), trades, book }
+    })
+
+    const event = { time: this.time, elapsed: this.getElapsed(), phase: this.scenario.phase(this.getElapsed()), updates }
+    this.emit('tick', event)
+    return event
+  }
+
+  generateTrades(state, logReturn, dt, volMultiplier) {
+    const random = state.tradeRandom
+    const expected = this.model.params.volatility * volMultiplier * Math.sqrt(dt / (365 * 24 * 3600)) || 1e-9
+    const surprise = Math.abs(logReturn) / expected
+    const count = random.poisson(TRADES_PER_SECOND * dt * (0.5 + surprise) * volMultiplier)
+
+    // Trades lean towards the side that moved the price
+    const buyBias = Math.max(-0.35, Math.min(0.35, (logReturn / expected) * 0.15))
+    const spread = this.getSpread(state)
+    const minQty = Math.pow(10, -state.qtyDecimals)
+    const trades = []
+
+    for (let i = 0; i < count; i++) {
+      const side = random.next() < 0.5 + buyBias ? 'buy' : 'sell'
+      const whale = random.next() < WHALE_PROBABILITY ? WHALE_MULTIPLIER : 1
+      const notional = TRADE_NOTIONAL * whale * Math.exp(random.normal() * 0.9)
+      const price = side === 'buy' ? spread.ask : spread.bid
+      const qty = Math.max(minQty, roundTo(notional / price, state.qtyDecimals))
+      const timestamp = this.time - dt * 1000 * (1 - (i + 1) / (count + 1))
+
+      trades.push({
+        symbol: state.pair,
+        side,
+        price,
+        qty,
+        ord_type: random.next() < 0.85 ? 'market' : 'limit',
+        trade_id: state.nextTradeId++,
+        timestamp: new Date(timestamp).toISOString()
+      })
+
+      state.last = price
+      state.high = Math.max(state.high, price)
+      state.low = Math.min(state.low, price)
+      state.volume += qty
+      state.notional += qty * price
+    }
+
+    state.recentTrades = [...state.recentTrades, ...trades].slice(-RECENT_TRADES)
+    return trades
+  }
+
+  // Best bid / ask around the mid, on the pair's price grid
+  getSpread(state) {
+    const unit = Math.pow(10, -state.priceDecimals)
+    const spacing = Math.max(1, Math.round((state.mid * SPREAD_BPS) / unit))
+    const bidTicks = Math.floor(state.mid / unit / spacing) * spacing
+    const sizeQty = (ticks) => state.book?.levels.bids.get(ticks) ?? state.book?.levels.asks.get(ticks) ?? 0
+    return {
+      unit,
+      spacing,
+      bidTicks,
+      askTicks: bidTicks + spacing,
+      bid: roundTo(bidTicks * unit, state.priceDecimals),
+      ask: roundTo((bidTicks + spacing) * unit, state.priceDecimals),
+      bidQty: sizeQty(bidTicks),
+      askQty: sizeQty(bidTicks + spacing)
+    }
+  }
+
+  /**
+   * Re-centre the book on the current mid. Returns the levels that changed
+   * (qty 0 = removed) and the checksum of the resulting top of book.
+   */
+  updateBook(state) {
+    const { depth, levels, orderBook } = state.book
+    const random = state.bookRandom
+    const spread = this.getSpread(state)
+    const minQty = Math.pow(10, -state.qtyDecimals)
+    const changes = { bids: [], asks: [] }
+
+    const rebuild = (side, firstTicks, direction) => {
+      const previous = levels[side]
+      const next = new Map()
+      for (let i = 0; i < depth; i++) {
+        const ticks = firstTicks + direction * i * spread.spacing
+        if (ticks <= 0) break
+        const existing = previous.get(ticks)
+        const qty = existing != null && random.next() > LEVEL_CHURN
+          ? existing
+          : Math.max(minQty, roundTo((LEVEL_NOTIONAL / state.mid) * Math.exp(random.normal() * 0.8), state.qtyDecimals))
+        next.set(ticks, qty)
+        if (qty !== existing) changes[side].push({ price: roundTo(ticks * spread.unit, state.priceDecimals), qty })
+      }
+      previous.forEach((qty, ticks) => {
+        if (!next.has(ticks)) changes[side].push({ price: roundTo(ticks * spread.unit, state.priceDecimals), qty: 0 })
+      })
+      levels[side] = next
+    }
+
+    rebuild('bids', spread.bidTicks, -1)
+    rebuild('asks', spread.askTicks, 1)
+
+    orderBook.applyUpdate(changes.bids, changes.asks)
+    return { ...changes, checksum: orderBook.checksum() }
+  }
+
+  /**
+   * Kraken REST-shaped OHLC history ending at the pair's current price:
+   * rows of [time (s), open, high, low, close, vwap, volume, count] as strings.
+   * Uses its own random stream, so it never disturbs the live simulation.
+   */
+  generateOHLC(pairId, { interval = 60, count = 720 } = {}) {
+    const state = this.ensurePair(pairId)
+    const random = createRandom(`${this.seed}:${pairId}:ohlc:${interval}`)
+    const subSteps = 12
+    const dt = (interval * 60) / subSteps
+
+    // Build the log-price path from zero, then shift it so the last close is the current price
+    const candles = []
+    let logPrice = 0
+    for (let i = 0; i < count; i++) {
+      const open = logPrice
+      let high = open
+      let low = open
+      for (let s = 0; s < subSteps; s++) {
+        logPrice += this.model.step(dt, random)
+        high = Math.max(high, logPrice)
+        low = Math.min(low, logPrice)
+      }
+      candles.push({ open, high, low, close: logPrice, trades: 1 + random.poisson(TRADES_PER_SECOND * interval * 60 / 10) })
+    }
+
+    const shift = Math.log(state.last) - logPrice
+    const lastOpenTime = Math.floor(this.time / 1000 / (interval * 60)) * interval * 60
+    const price = (value) => Math.exp(value + shift).toFixed(state.priceDecimals)
+
+    return candles.map((candle, i) => {
+      const close = Math.exp(candle.close + shift)
+      const volume = (candle.trades * TRADE_NOTIONAL) / close
+      return [
+        lastOpenTime - (count - 1 - i) * interval * 60,
+        price(candle.open),
+        price(candle.high),
+        price(candle.low),
+        price(candle.close),
+        price((candle.open + candle.high + candle.low + candle.close) / 4),
+        volume.toFixed(state.qtyDecimals),
+        candle.trades
+      ]
+    })
+  }
+}
+
+export default MarketSimulator
@@ -0,0 +1,115 @@
+/**
+ * Simulator socket
+ * WebSocket stand-in that speaks the Kraken v2 protocol on top of a MarketSimulator:
+ * it answers subscribe / unsubscribe / ping requests and streams ticker, book and
+ * trade frames for what was subscribed. KrakenFeed creates one per connection via
+ * its socketFactory option (see sharedFeed.js); the simulator outlives reconnects.
+ */
+
+const OPEN = 1
+const CLOSED = 3
+const DEFAULT_BOOK_DEPTH = 10
+
+let nextConnectionId = 1
+
+export class SimulatorSocket {
+  constructor(simulator) {
+    this.simulator = simulator
+    this.readyState = 0
+    this.onopen = null
+    this.onmessage = null
+    this.onclose = null
+    this.onerror = null
+    this.subscriptions = { ticker: new Set(), book: new Set(), trade: new Set() }
+    this.offTick = null
+
+    setTimeout(() => {
+      if (this.readyState !== 0) return
+      this.readyState = OPEN
+      this.onopen?.({})
+      this.deliver({
+        channel: 'status',
+        type: 'update',
+        data: [{ api_version: 'v2', connection_id: nextConnectionId++, system: 'online', version: 'simulator' }]
+      })
+      this.offTick = simulator.on('tick', tick => this.handleTick(tick))
+      simulator.attach()
+    }, 0)
+  }
+
+  send(text) {
+    if (this.readyState !== OPEN) throw new Error('Simulator socket is not open')
+    const message = JSON.parse(text)
+    const now = new Date(this.simulator.time).toISOString()
+
+    if (message.method === 'ping') {
+      this.deliver({ method: 'pong', req_id: message.req_id, time_in: now, time_out: now })
+      return
+    }
+
+    if (message.method === 'subscribe' || message.method === 'unsubscribe') {
+      const { channel, symbol = [], ...options } = message.params || {}
+      const wanted = this.subscriptions[channel]
+
+      symbol.forEach(pairId => {
+        if (!wanted) {
+          this.deliver({ method: message.method, req_id: message.req_id, success: false, error: `Channel ${channel} is not simulated`, symbol: pairId, time_in: now, time_out: now })
+          return
+        }
+        this.deliver({ method: message.method, req_id: message.req_id, success: true, result: { channel, symbol: pairId, ...options }, time_in: now, time_out: now })
+
+        if (message.method === 'subscribe') {
+          wanted.add(pairId)
+          this.sendSnapshot(channel, pairId, options)
+        } else {
+          wanted.delete(pairId)
+          if (channel === 'book') this.simulator.closeBook(pairId)
+        }
+      })
+    }
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState === CLOSED) return
+    this.readyState = CLOSED
+    this.offTick?.()
+    if (this.offTick) this.simulator.detach()
+    setTimeout(() => this.onclose?.({ code, reason }), 0)
+  }
+
+  deliver(frame) {
+    if (this.readyState === OPEN) this.onmessage?.({ data: JSON.stringify(frame) })
+  }
+
+  sendSnapshot(channel, pairId, options) {
+    const timestamp = new Date(this.simulator.time).toISOString()
+
+    if (channel === 'ticker') {
+      this.deliver({ channel: 'ticker', type: 'snapshot', data: [this.simulator.getTicker(pairId)] })
+    } else if (channel === 'book') {
+      const { bids, asks, checksum } = this.simulator.openBook(pairId, options.depth || DEFAULT_BOOK_DEPTH)
+      const levels = list => list.map(({ price, qty }) => ({ price, qty }))
+      this.deliver({ channel: 'book', type: 'snapshot', data: [{ symbol: pairId, bids: levels(bids), asks: levels(asks), checksum, timestamp }] })
+    } else if (channel === 'trade' && options.snapshot !== false) {
+      this.deliver({ channel: 'trade', type: 'snapshot', data: this.simulator.getRecentTrades(pairId) })
+    }
+  }
+
+  handleTick({ time, updates }) {
+    const timestamp = new Date(time).toISOString()
+
+    updates.forEach(({ pair, ticker, trades, book }) => {
+      if (trades.length > 0 && this.subscriptions.trade.has(pair)) {
+        this.deliver({ channel: 'trade', type: 'update', data: trades })
+      }
+      if (book && this.subscriptions.book.has(pair) && (book.bids.length > 0 || book.asks.length > 0)) {
+        this.deliver({ channel: 'book', type: 'update', data: [{ symbol: pair, bids: book.bids, asks: book.asks, checksum: book.checksum, timestamp }] })
+      }
+      if (this.subscriptions.ticker.has(pair)) {
+        this.deliver({ channel: 'ticker', type: 'update', data: [ticker] })
+      }
+    })
+  }
+}
+
+export default SimulatorSocket
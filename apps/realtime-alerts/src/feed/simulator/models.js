@@ -0,0 +1,151 @@
+/**
+ * Price models and scripted scenarios for the market simulator
+ * Models produce the random part of each log-return; a scenario layers a
+ * deterministic path on top ("-15% over 2 minutes") and scales volatility per phase.
+ */
+
+const SECONDS_PER_YEAR = 365 * 24 * 3600
+const SECONDS_PER_DAY = 24 * 3600
+
+// Annualized drift / volatility, as crypto desks quote them
+export const PRICE_MODELS = {
+  gbm: {
+    label: 'Geometric Brownian motion',
+    defaults: { drift: 0, volatility: 0.6 }
+  },
+  jump: {
+    label: 'Jump-diffusion (Merton)',
+    defaults: { drift: 0, volatility: 0.5, jumpsPerDay: 6, jumpMean: -0.002, jumpStd: 0.015 }
+  }
+}
+
+/**
+ * Returns { name, params, step(dtSeconds, random, volMultiplier) -> log-return }
+ */
+export function createPriceModel(name = 'gbm', params = {}) {
+  const definition = PRICE_MODELS[name]
+  if (!definition) throw new Error(`Unknown price model "${name}"`)
+  const p = { ...definition.defaults, ...params }
+
+  // Merton compensator keeps the expected return equal to the drift despite the jumps
+  const jumpCompensation = name === 'jump'
+    ? (p.jumpsPerDay * 365) * (Math.exp(p.jumpMean + p.jumpStd ** 2 / 2) - 1)
+    : 0
+
+  const step = (dtSeconds, random, volMultiplier = 1) => {
+    const dt = dtSeconds / SECONDS_PER_YEAR
+    const sigma = p.volatility * volMultiplier
+    let logReturn = (p.drift - jumpCompensation - sigma ** 2 / 2) * dt + sigma * Math.sqrt(dt) * random.normal()
+
+    if (name === 'jump') {
+      const jumps = random.poisson(p.jumpsPerDay * volMultiplier * dtSeconds / SECONDS_PER_DAY)
+      for (let i = 0; i < jumps; i++) logReturn += p.jumpMean + p.jumpStd * random.normal()
+    }
+    return logReturn
+  }
+
+  return { name, params: p, step }
+}
+
+// Segments: { label, duration (s), move (fraction over the segment), volatility (multiplier) }
+export const SCENARIOS = {
+  none: { label: 'None (model only)', segments: [] },
+  'flash-crash': {
+    label: 'Flash crash -15% in 2 minutes',
+    segments: [
+      { label: 'calm', duration: 60 },
+      { label: 'crash', duration: 120, move: -0.15, volatility: 4 },
+      { label: 'dead cat bounce', duration: 300, move: 0.06, volatility: 2 },
+      { label: 'settle', duration: 600, volatility: 1.2 }
+    ]
+  },
+  pump: {
+    label: 'Pump +25% then distribution',
+    segments: [
+      { label: 'calm', duration: 60 },
+      { label: 'pump', duration: 600, move: 0.25, volatility: 2 },
+      { label: 'distribution', duration: 900, move: -0.08, volatility: 1.5 }
+    ]
+  },
+  breakout: {
+    label: 'Tight range then breakout',
+    segments: [
+      { label: 'range', duration: 900, volatility: 0.3 },
+      { label: 'breakout', duration: 120, move: 0.05, volatility: 3 },
+      { label: 'follow-through', duration: 600, move: 0.03, volatility: 1.5 }
+    ]
+  },
+  chop: {
+    label: 'Volatile chop',
+    segments: [{ label: 'chop', duration: 1800, volatility: 3 }]
+  }
+}
+
+const UNIT_SECONDS = { s: 1, m: 60, h: 3600 }
+const MOVE_STEP = /^([+-]?\d+(?:\.\d+)?)%\s*(?:in|over)\s*(\d+(?:\.\d+)?)\s*([smh])(?:\s+vol\s*(\d+(?:\.\d+)?)x?)?$/i
+const HOLD_STEP = /^(?:hold|wait|calm)\s*(\d+(?:\.\d+)?)\s*([smh])(?:\s+vol\s*(\d+(?:\.\d+)?)x?)?$/i
+
+/**
+ * Parse a scripted scenario such as "hold 1m, -15% in 2m vol 4, +5% in 10m".
+ * Throws with the offending step when something cannot be understood.
+ */
+export function parseScenario(text) {
+  return text.split(/[,;\n]|\bthen\b/i).map(step => step.trim()).filter(Boolean).map(step => {
+    const move = step.match(MOVE_STEP)
+    if (move) {
+      return {
+        label: step,
+        duration: parseFloat(move[2]) * UNIT_SECONDS[move[3].toLowerCase()],
+        move: parseFloat(move[1]) / 100,
+        volatility: move[4] ? parseFloat(move[4]) : 1
+      }
+    }
+    const hold = step.match(HOLD_STEP)
+    if (hold) {
+      return {
+        label: step,
+        duration: parseFloat(hold[1]) * UNIT_SECONDS[hold[2].toLowerCase()],
+        volatility: hold[3] ? parseFloat(hold[3]) : 1
+      }
+    }
+    throw new Error(`Cannot parse scenario step "${step}" (try "-15% in 2m" or "hold 30s")`)
+  })
+}
+
+/**
+ * Deterministic overlay for a list of segments. Once the script ends the model runs on its own.
+ */
+export function createScenario(segments = []) {
+  const bounds = []
+  let start = 0
+  segments.forEach(segment => {
+    bounds.push({ ...segment, start, end: start + segment.duration })
+    start += segment.duration
+  })
+
+  const segmentAt = (elapsed) => bounds.find(segment => elapsed >= segment.start && elapsed < segment.end) || null
+
+  return {
+    duration: start,
+
+    // Scripted log-return between elapsed and elapsed + dt, spread evenly over each segment
+    drift(elapsed, dt) {
+      let total = 0
+      bounds.forEach(segment => {
+        if (!segment.move) return
+        const overlap = Math.min(elapsed + dt, segment.end) - Math.max(elapsed, segment.start)
+        if (overlap > 0) total += Math.log(1 + segment.move) * overlap / segment.duration
+      })
+      return total
+    },
+
+    volatility(elapsed) {
+      return segmentAt(elapsed)?.volatility ?? 1
+    },
+
+    phase(elapsed) {
+      if (bounds.length === 0) return null
+      return segmentAt(elapsed)?.label || 'finished'
+    }
+  }
+}
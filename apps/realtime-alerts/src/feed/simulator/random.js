@@ -0,0 +1,61 @@
+/**
+ * Seeded random numbers for the market simulator
+ * mulberry32 is tiny, fast and good enough for synthetic markets; the same seed
+ * always produces the same sequence, on any machine.
+ */
+
+// String or number seed -> 32-bit integer (FNV-1a)
+export function hashSeed(seed) {
+  const text = String(seed)
+  let hash = 0x811c9dc5
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i)
+    hash = Math.imul(hash, 0x01000193)
+  }
+  return hash >>> 0
+}
+
+export function createRandom(seed) {
+  let state = hashSeed(seed)
+  let spareNormal = null
+
+  // Uniform in [0, 1)
+  const next = () => {
+    state = (state + 0x6d2b79f5) >>> 0
+    let t = state
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+
+  // Standard normal (Box-Muller, caching the second value)
+  const normal = () => {
+    if (spareNormal !== null) {
+      const value = spareNormal
+      spareNormal = null
+      return value
+    }
+    const u = 1 - next()  // (0, 1] so log() stays finite
+    const v = next()
+    const radius = Math.sqrt(-2 * Math.log(u))
+    spareNormal = radius * Math.sin(2 * Math.PI * v)
+    return radius * Math.cos(2 * Math.PI * v)
+  }
+
+  // Number of events in an interval with expected count `lambda`
+  // (Knuth for small lambda, normal approximation once it is large)
+  const poisson = (lambda) => {
+    if (lambda <= 0) return 0
+    if (lambda > 30) return Math.max(0, Math.round(lambda + Math.sqrt(lambda) * normal()))
+    const limit = Math.exp(-lambda)
+    let count = 0
+    let product = next()
+    while (product > limit) {
+      count++
+      product *= next()
+    }
+    return count
+  }
+
+  return { next, normal, poisson }
+}
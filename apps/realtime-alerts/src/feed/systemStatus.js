@@ -0,0 +1,34 @@
+/**
+ * Kraken system status
+ * Both WebSocket APIs announce the exchange state on connect and whenever it changes
+ * (v1 `systemStatus` event, v2 `status` channel); the REST SystemStatus endpoint lets
+ * us check whether maintenance is over without opening a socket.
+ */
+
+const KRAKEN_SYSTEM_STATUS_URL = 'https://api.kraken.com/0/public/SystemStatus'
+
+export const SYSTEM_STATUSES = {
+  online: { level: 'ok', description: 'Kraken is operating normally' },
+  maintenance: { level: 'error', description: 'Kraken is offline for maintenance; reconnects are slowed until it is back' },
+  cancel_only: { level: 'warn', description: 'Kraken only accepts order cancellations; market data keeps flowing' },
+  post_only: { level: 'warn', description: 'Kraken only accepts post-only limit orders; market data keeps flowing' },
+  limit_only: { level: 'warn', description: 'Kraken only accepts limit orders; market data keeps flowing' }
+}
+
+export function describeSystemStatus(status) {
+  return SYSTEM_STATUSES[status] || { level: 'warn', description: status ? `Kraken reports "${status}"` : 'Kraken status not reported yet' }
+}
+
+/**
+ * Current status from the REST API ('online', 'maintenance', ...), or null if it cannot be reached
+ */
+export async function fetchSystemStatus() {
+  try {
+    const response = await fetch(KRAKEN_SYSTEM_STATUS_URL)
+    if (!response.ok) return null
+    const data = await response.json()
+    return data.result?.status || null
+  } catch {
+    return null
+  }
+}
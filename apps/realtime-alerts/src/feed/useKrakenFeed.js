@@ -0,0 +1,252 @@
+/**
+ * React bindings for the shared Kraken feed
+ * Components read live data from here instead of receiving it through props
+ */
+
+import { useEffect, useState } from 'react'
+import { krakenFeed } from './sharedFeed.js'
+import { tradeFlow } from './TradeFlow.js'
+import { liveIndicators as sharedLiveIndicators } from '../analysis/LiveIndicators.js'
+import { confluenceAnalyzer } from '../analysis/Confluence.js'
+import { riskMonitor } from '../analysis/RiskMonitor.js'
+import { correlationMonitor } from '../analysis/CorrelationMonitor.js'
+import { watchlist as sharedWatchlist } from './watchlist.js'
+import { scoringProfiles as sharedScoringProfiles } from '../analysis/scoringProfiles.js'
+
+const STATE_REFRESH_MS = 1000  // refresh counters / last-activity display once a second
+
+// Connection state (status, quality, backoff, counters)
+export function useKrakenFeed(feed = krakenFeed) {
+  const [state, setState] = useState(() => feed.getState())
+
+  useEffect(() => {
+    const refresh = () => setState(feed.getState())
+    const offStatus = feed.on('status', refresh)
+    const offQuality = feed.on('quality', refresh)
+    const offPolling = feed.on('polling', refresh)
+    const offTransport = feed.on('transport', refresh)
+    const iv = setInterval(refresh, STATE_REFRESH_MS)
+    refresh()
+
+    return () => {
+      offStatus()
+      offQuality()
+      offPolling()
+      offTransport()
+      clearInterval(iv)
+    }
+  }, [feed])
+
+  return state
+}
+
+// Latest normalized ticker per pair id
+export function useTickers(feed = krakenFeed) {
+  const [tickers, setTickers] = useState(() => ({ ...feed.getTickers() }))
+
+  useEffect(() => {
+    setTickers({ ...feed.getTickers() })
+    const offTicker = feed.on('ticker', ticker => {
+      setTickers(prev => ({ ...prev, [ticker.pair]: ticker }))
+    })
+    const offTransport = feed.on('transport', () => setTickers({ ...feed.getTickers() }))
+    return () => {
+      offTicker()
+      offTransport()
+    }
+  }, [feed])
+
+  return tickers
+}
+
+// Latest prices keyed by pair id, e.g. { 'BTC/USD': 108342.4 }
+export function usePrices(feed = krakenFeed) {
+  const tickers = useTickers(feed)
+  const prices = {}
+  Object.values(tickers).forEach(ticker => {
+    prices[ticker.pair] = ticker.last
+  })
+  return prices
+}
+
+// Latest price for a single pair
+export function usePrice(pairId, feed = krakenFeed) {
+  const [price, setPrice] = useState(() => feed.getTickers()[pairId]?.last ?? null)
+
+  useEffect(() => {
+    setPrice(feed.getTickers()[pairId]?.last ?? null)
+    const offTicker = feed.on('ticker', ticker => {
+      if (ticker.pair === pairId) setPrice(ticker.last)
+    })
+    const offTransport = feed.on('transport', () => setPrice(feed.getTickers()[pairId]?.last ?? null))
+    return () => {
+      offTicker()
+      offTransport()
+    }
+  }, [feed, pairId])
+
+  return price
+}
+
+// Live order book for one pair, re-rendering at most once per throttle window
+export function useOrderBook(pairId, throttleMs = 250, feed = krakenFeed) {
+  const [book, setBook] = useState(() => feed.getBook(pairId))
+
+  useEffect(() => {
+    let pending = null
+    let timer = null
+    setBook(feed.getBook(pairId))
+
+    const flush = () => {
+      timer = null
+      setBook(pending)
+    }
+    const offBook = feed.on('book', update => {
+      if (update.pair !== pairId) return
+      pending = update
+      if (!timer) timer = setTimeout(flush, throttleMs)
+    })
+    // The book is rebuilt from a fresh snapshot after a mismatch or a change of data source
+    const clear = () => {
+      clearTimeout(timer)
+      timer = null
+      setBook(null)
+    }
+    const offMismatch = feed.on('bookChecksumMismatch', ({ pair }) => {
+      if (pair === pairId) clear()
+    })
+    const offTransport = feed.on('transport', clear)
+
+    return () => {
+      offBook()
+      offMismatch()
+      offTransport()
+      clearTimeout(timer)
+    }
+  }, [feed, pairId, throttleMs])
+
+  return book
+}
+
+// Trade tape and volume stats for one pair, re-rendering at most once per throttle window
+export function useTradeFlow(pairId, throttleMs = 250, flow = tradeFlow) {
+  const [state, setState] = useState(() => flow.getState(pairId))
+
+  useEffect(() => {
+    let timer = null
+    setState(flow.getState(pairId))
+
+    const offFlow = flow.on('flow', ({ pair }) => {
+      if (pair !== pairId || timer) return
+      timer = setTimeout(() => {
+        timer = null
+        const current = flow.getState(pairId)
+        setState(current && { ...current, tape: [...current.tape] })
+      }, throttleMs)
+    })
+    const offReset = flow.on('reset', () => {
+      clearTimeout(timer)
+      timer = null
+      setState(flow.getState(pairId))
+    })
+
+    return () => {
+      offFlow()
+      offReset()
+      clearTimeout(timer)
+    }
+  }, [flow, pairId, throttleMs])
+
+  return state
+}
+
+// Live indicator values and rating for one pair, re-rendering at most once per throttle window
+export function useLiveIndicators(pairId, throttleMs = 500, engine = sharedLiveIndicators) {
+  const [state, setState] = useState(() => engine.getState(pairId))
+
+  useEffect(() => {
+    let timer = null
+    setState(engine.getState(pairId))
+
+    const offUpdate = engine.on('update', ({ pair }) => {
+      if (pair !== pairId || timer) return
+      timer = setTimeout(() => {
+        timer = null
+        setState(engine.getState(pairId))
+      }, throttleMs)
+    })
+    const offReset = engine.on('reset', () => {
+      clearTimeout(timer)
+      timer = null
+      setState(null)
+    })
+
+    return () => {
+      offUpdate()
+      offReset()
+      clearTimeout(timer)
+    }
+  }, [engine, pairId, throttleMs])
+
+  return state
+}
+
+// Latest multi-timeframe confluence per pair id
+export function useConfluence(analyzer = confluenceAnalyzer) {
+  const [results, setResults] = useState(() => ({ ...analyzer.getResults() }))
+
+  useEffect(() => {
+    setResults({ ...analyzer.getResults() })
+    return analyzer.on('confluence', result => setResults(prev => ({ ...prev, [result.pair]: result })))
+  }, [analyzer])
+
+  return results
+}
+
+// Latest risk metrics per pair id (hourly candles, see analysis/RiskMonitor.js)
+export function useRiskMetrics(monitor = riskMonitor) {
+  const [results, setResults] = useState(() => ({ ...monitor.getResults() }))
+
+  useEffect(() => {
+    setResults({ ...monitor.getResults() })
+    return monitor.on('risk', result => setResults(prev => ({ ...prev, [result.pair]: result })))
+  }, [monitor])
+
+  return results
+}
+
+// Latest correlation analysis of the watched pairs (see analysis/CorrelationMonitor.js)
+export function useCorrelation(monitor = correlationMonitor) {
+  const [result, setResult] = useState(() => monitor.getResult())
+
+  useEffect(() => {
+    setResult(monitor.getResult())
+    return monitor.on('correlation', setResult)
+  }, [monitor])
+
+  return result
+}
+
+// Current watchlist pairs, updated as pairs are added or removed
+export function useWatchlist(list = sharedWatchlist) {
+  const [pairs, setPairs] = useState(() => list.getPairs())
+
+  useEffect(() => {
+    setPairs(list.getPairs())
+    return list.on('change', ({ pairs }) => setPairs(pairs))
+  }, [list])
+
+  return pairs
+}
+
+// Saved scoring profiles and the active one, updated as profiles are saved or switched
+export function useScoringProfiles(store = sharedScoringProfiles) {
+  const [state, setState] = useState(() => ({ profiles: store.getProfiles(), active: store.getActive() }))
+
+  useEffect(() => {
+    setState({ profiles: store.getProfiles(), active: store.getActive() })
+    return store.on('change', setState)
+  }, [store])
+
+  return state
+}
@@ -0,0 +1,104 @@
+/**
+ * Watchlist
+ * The pairs the app follows, editable at runtime and persisted in localStorage.
+ * Attached feeds are subscribed / unsubscribed live as pairs are added or removed,
+ * including changes made in other tabs (picked up from the `storage` event).
+ *
+ * Events:
+ * - 'change' { pairs, added, removed }
+ */
+
+import EventEmitter from './EventEmitter.js'
+import { TRADING_PAIRS } from './pairs.js'
+
+const WATCHLIST_KEY = 'watchlist_pairs'
+export const WATCHLIST_MAX = 20  // keep well inside Kraken's subscription limits
+
+export class Watchlist extends EventEmitter {
+  constructor() {
+    super()
+    this.pairs = this.loadFromStorage()
+    this.listenToStorage()
+  }
+
+  // Every tab follows one list, so the tab running the shared monitors covers them all
+  listenToStorage() {
+    if (typeof window === 'undefined') return
+    window.addEventListener('storage', event => {
+      // A null key means the whole storage was cleared
+      if (event.key !== WATCHLIST_KEY && event.key !== null) return
+      const previous = new Set(this.pairs.map(p => p.id))
+      this.pairs = this.loadFromStorage()
+      const current = new Set(this.pairs.map(p => p.id))
+      const added = Array.from(current).filter(id => !previous.has(id))
+      const removed = Array.from(previous).filter(id => !current.has(id))
+      if (added.length > 0 || removed.length > 0) this.emit('change', { pairs: this.pairs, added, removed })
+    })
+  }
+
+  getPairs() {
+    return this.pairs
+  }
+
+  has(pairId) {
+    return this.pairs.some(p => p.id === pairId)
+  }
+
+  add(pair) {
+    if (this.has(pair.id)) return
+    if (this.pairs.length >= WATCHLIST_MAX) {
+      throw new Error(`Watchlist is limited to ${WATCHLIST_MAX} pairs`)
+    }
+
+    const entry = { id: pair.id, displayName: pair.displayName || pair.id }
+    this.pairs = [...this.pairs, entry]
+    this.save({ added: [entry.id], removed: [] })
+  }
+
+  remove(pairId) {
+    if (!this.has(pairId)) return
+    if (this.pairs.length === 1) throw new Error('Watchlist needs at least one pair')
+
+    this.pairs = this.pairs.filter(p => p.id !== pairId)
+    this.save({ added: [], removed: [pairId] })
+  }
+
+  /**
+   * Keep a feed subscribed to every watchlist pair on the given channels. Returns a detach function.
+   */
+  attach(feed, channels = ['ticker']) {
+    const ids = this.pairs.map(p => p.id)
+    channels.forEach(channel => feed.subscribe(ids, channel))
+
+    return this.on('change', ({ added, removed }) => {
+      channels.forEach(channel => {
+        if (added.length > 0) feed.subscribe(added, channel)
+        if (removed.length > 0) feed.unsubscribe(removed, channel)
+      })
+    })
+  }
+
+  save(change) {
+    try {
+      localStorage.setItem(WATCHLIST_KEY, JSON.stringify(this.pairs))
+    } catch (error) {
+      console.warn('localStorage failed, watchlist not persisted:', error)
+    }
+    this.emit('change', { pairs: this.pairs, ...change })
+  }
+
+  loadFromStorage() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(WATCHLIST_KEY))
+      if (Array.isArray(stored) && stored.length > 0 && stored.every(p => p?.id)) return stored
+    } catch {
+      // Fall through to the defaults
+    }
+    return [...TRADING_PAIRS]
+  }
+}
+
+// Shared watchlist instance
+export const watchlist = new Watchlist()
+
+export default Watchlist
@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest'
+import { Watchlist } from './watchlist.js'
+import { TRADING_PAIRS } from './pairs.js'
+
+function memoryStorage() {
+  const items = new Map()
+  return {
+    getItem: key => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value))
+  }
+}
+
+// A watchlist as one browser tab has it; `storageEvent` delivers what another tab wrote
+function openTab() {
+  const handlers = []
+  vi.stubGlobal('window', { addEventListener: (type, handler) => handlers.push(handler) })
+  const list = new Watchlist()
+  return { list, storageEvent: key => handlers.forEach(handler => handler({ key })) }
+}
+
+beforeEach(() => {
+  vi.stubGlobal('localStorage', memoryStorage())
+})
+
+afterEach(() => {
+  vi.unstubAllGlobals()
+})
+
+describe('Watchlist across tabs', () => {
+  it('follows pairs added and removed in another tab and keeps its feed subscribed to them', () => {
+    const first = openTab()
+    const second = openTab()
+    const feed = { subscribe: vi.fn(), unsubscribe: vi.fn() }
+    second.list.attach(feed)
+    const changes = vi.fn()
+    second.list.on('change', changes)
+
+    first.list.add({ id: 'XRP/USD', displayName: 'XRP/USD' })
+    first.list.remove('SHIB/USD')
+    second.storageEvent('watchlist_pairs')
+
+    expect(second.list.getPairs().map(p => p.id)).toEqual([...TRADING_PAIRS.map(p => p.id).filter(id => id !== 'SHIB/USD'), 'XRP/USD'])
+    expect(changes).toHaveBeenCalledWith(expect.objectContaining({ added: ['XRP/USD'], removed: ['SHIB/USD'] }))
+    expect(feed.subscribe).toHaveBeenLastCalledWith(['XRP/USD'], 'ticker')
+    expect(feed.unsubscribe).toHaveBeenCalledWith(['SHIB/USD'], 'ticker')
+  })
+
+  it('ignores other keys and unchanged lists', () => {
+    const { list, storageEvent } = openTab()
+    const changes = vi.fn()
+    list.on('change', changes)
+
+    storageEvent('alert_rules')
+    storageEvent('watchlist_pairs')
+    expect(changes).not.toHaveBeenCalled()
+  })
+})
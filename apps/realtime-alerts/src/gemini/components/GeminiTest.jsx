@@ -1,4 +1,10 @@
-import React, { useState, useEffect } from 'react'
+import React, { useState, useEffect, useRef } from 'react'
+import GeminiService from '../services/GeminiService.js'
+import { toChronological } from '../../analysis/ohlc.js'
+import { findZones, describeZones } from '../../analysis/supportResistance.js'
+
+// All Gemini calls go through the `gemini` Netlify Function; the key never reaches the browser
+const gemini = new GeminiService()
 
 const GeminiTest = ({ realTimePrices, historicalData }) => {
   const [status, setStatus] = useState('idle')
@@ -6,34 +12,31 @@ const GeminiTest = ({ realTimePrices, historicalData }) => {
   const [analysis, setAnalysis] = useState(null)
   const [cacheStats, setCacheStats] = useState(null)
   const [configValidation, setConfigValidation] = useState(null)
+  const [serverStatus, setServerStatus] = useState(null)
+  const streamAbort = useRef(null)
 
   useEffect(() => {
-    // Validate configuration on mount
-    const validation = validateGeminiConfig()
-    setConfigValidation(validation)
-    
-    if (validation.isValid) {
-      setCacheStats({
-        size: 0,
-        maxSize: 100,
-        totalRequests: 0,
-        lastRequest: null
+    // Ask the function whether GEMINI_API_KEY is set
+    gemini.getStatus()
+      .then(serverInfo => {
+        setServerStatus(serverInfo)
+        setConfigValidation({
+          isValid: serverInfo.configured,
+          errors: serverInfo.configured ? [] : ['GEMINI_API_KEY is not set for the gemini function']
+        })
+        if (serverInfo.configured) {
+          setCacheStats({
+            size: 0,
+            maxSize: 100,
+            totalRequests: 0,
+            lastRequest: null
+          })
+        }
       })
-    }
-  }, [])
+      .catch(err => setConfigValidation({ isValid: false, errors: [`Gemini function unavailable: ${err.message}`] }))
 
-  const validateGeminiConfig = () => {
-    const errors = []
-    
-    if (!import.meta.env.VITE_GEMINI_API_KEY || import.meta.env.VITE_GEMINI_API_KEY === 'YOUR_API_KEY_HERE') {
-      errors.push('Gemini API key not configured')
-    }
-    
-    return {
-      isValid: errors.length === 0,
-      errors
-    }
-  }
+    return () => streamAbort.current?.abort()
+  }, [])
 
   const testConnection = async () => {
     try {
@@ -42,38 +45,11 @@ const GeminiTest = ({ realTimePrices, historicalData }) => {
 
       console.log('🔮 Testing Gemini API connection...')
       
-      // Real API call to Gemini
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${import.meta.env.VITE_GEMINI_API_KEY}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: 'Hello! Please respond with "Gemini API is working correctly" and nothing else.'
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.1,
-            maxOutputTokens: 50
-          }
-        })
-      })
-
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.status} ${response.statusText}`)
-      }
-
-      const data = await response.json()
-      console.log('🔮 Gemini API response:', data)
-
-      const result = {
-        text: data.candidates[0].content.parts[0].text,
-        timestamp: new Date().toISOString(),
-        model: 'gemini-2.0-flash-exp',
-        usage: data.usageMetadata || { totalTokenCount: 'N/A' }
-      }
+      const result = await gemini.generateContent(
+        'Hello! Please respond with "Gemini API is working correctly" and nothing else.',
+        undefined,
+        { temperature: 0.1, maxOutputTokens: 50 }
+      )
       
       console.log('🔮 Test result:', result)
       
@@ -121,6 +97,7 @@ const GeminiTest = ({ realTimePrices, historicalData }) => {
       const currentPrice = btcPrice
       
       let priceChange, high, low, volume
+      let zones = []
       
       if (historicalData && historicalData.length > 0) {
         // Calculate real market data from historical OHLC data
@@ -144,12 +121,16 @@ const GeminiTest = ({ realTimePrices, historicalData }) => {
         // Calculate real volume
         const volumes = historicalData.map(d => d.volume)
         volume = volumes.reduce((sum, vol) => sum + vol, 0).toFixed(2)
+
+        // Support / resistance zones detected from the same candles
+        zones = findZones(toChronological(historicalData), { price: currentPrice })
         
         console.log('🔮 Using REAL historical data for Gemini analysis:')
         console.log('  - Price change:', priceChange + '%')
         console.log('  - High:', high)
         console.log('  - Low:', low)
         console.log('  - Volume:', volume, 'BTC')
+        console.log('  - Support / resistance zones:', zones.length)
         console.log('  - Calculation details:')
         console.log('    * Newest close:', newestData.close)
         console.log('    * Oldest open:', oldestData.open)
@@ -172,71 +153,48 @@ Current BTC Price: $${currentPrice.toLocaleString()}
 24h High: $${high.toLocaleString()}
 24h Low: $${low.toLocaleString()}
 Volume: ${volume} BTC
-
+${zones.length > 0 ? `
+Detected support / resistance zones (strength 0-100 from swing points, touches and volume at price):
+${describeZones(zones).map(line => `- ${line}`).join('\n')}
+` : ''}
 Please provide:
 1. Market sentiment analysis (bullish/bearish/neutral)
-2. Key support and resistance levels
+2. Key support and resistance levels${zones.length > 0 ? ', taking the detected zones into account' : ''}
 3. Short-term price outlook (next 24-48 hours)
 4. Risk assessment and key factors to monitor
 5. Trading recommendations (if any)
 
 Keep the analysis concise, professional, and actionable for traders.`
 
-      // Real API call to Gemini
-      const response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash-exp:generateContent?key=${import.meta.env.VITE_GEMINI_API_KEY}`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          contents: [{
-            parts: [{
-              text: prompt
-            }]
-          }],
-          generationConfig: {
-            temperature: 0.3,
-            maxOutputTokens: 500
-          }
-        })
-      })
-
-      if (!response.ok) {
-        throw new Error(`API Error: ${response.status} ${response.statusText}`)
+      const marketData = {
+        currentPrice: currentPrice,
+        priceChange: priceChange,
+        high: high,
+        low: low,
+        volume: volume,
+        zones
       }
 
-      const data = await response.json()
-      console.log('🔮 Market analysis API response:', data)
+      // Stream the answer so it renders while Gemini is still writing
+      streamAbort.current?.abort()
+      streamAbort.current = new AbortController()
+      setAnalysis({ prompt: 'Market Data Analysis', response: '', timestamp: new Date().toISOString(), marketData })
 
-      const result = {
-        text: data.candidates[0].content.parts[0].text,
-        timestamp: new Date().toISOString(),
-        model: 'gemini-2.0-flash-exp',
-        usage: data.usageMetadata || { totalTokenCount: 'N/A' }
-      }
+      const result = await gemini.streamContent(prompt, {
+        generationConfig: { temperature: 0.3, maxOutputTokens: 500 },
+        signal: streamAbort.current.signal,
+        onToken: text => setAnalysis(current => current && { ...current, response: current.response + text })
+      })
       
       console.log('🔮 Market analysis result:', result)
       
-      const analysisData = {
-        prompt: 'Market Data Analysis',
+      setAnalysis(current => ({
+        ...current,
         response: result.text,
         timestamp: result.timestamp,
         model: result.model,
-        usage: result.usage,
-        marketData: {
-          currentPrice: currentPrice,
-          priceChange: priceChange,
-          high: high,
-          low: low,
-          volume: volume
-        }
-      }
-      
-      console.log('🔮 Setting analysis state with data:')
-      console.log('  - Analysis data object:', analysisData)
-      console.log('  - Market data values:', analysisData.marketData)
-      
-      setAnalysis(analysisData)
+        usage: result.usage || { totalTokenCount: 'N/A' }
+      }))
       
       setStatus('success')
       setCacheStats(prev => ({
@@ -246,6 +204,7 @@ Keep the analysis concise, professional, and actionable for traders.`
       }))
       
     } catch (err) {
+      if (err.name === 'AbortError') return
       console.error('🔮 Market analysis error:', err)
       setError(err.message)
       setStatus('error')
@@ -309,15 +268,20 @@ Keep the analysis concise, professional, and actionable for traders.`
         )}
       </div>
 
-      {/* API Key Status */}
+      {/* API Key Status (held by the gemini function) */}
       <div className="api-key-status">
         <h3>API Key Status</h3>
-        <div className={`status-badge ${import.meta.env.VITE_GEMINI_API_KEY ? 'valid' : 'invalid'}`}>
-          {import.meta.env.VITE_GEMINI_API_KEY ? '✅ Configured' : '❌ Missing'}
+        <div className={`status-badge ${serverStatus?.configured ? 'valid' : 'invalid'}`}>
+          {serverStatus?.configured ? '✅ Configured on server' : '❌ Missing'}
         </div>
-        {!import.meta.env.VITE_GEMINI_API_KEY && (
+        {serverStatus && !serverStatus.configured && (
+          <p className="help-text">
+            Set <code>GEMINI_API_KEY</code> in the Netlify environment (or <code>.env</code> for <code>netlify dev</code>)
+          </p>
+        )}
+        {serverStatus?.configured && (
           <p className="help-text">
-            Add <code>VITE_GEMINI_API_KEY=your_api_key</code> to your .env file
+            {serverStatus.model} • {serverStatus.quota.minuteRemaining}/{serverStatus.limits.requestsPerMinute} requests left this minute • {serverStatus.quota.dayRemaining}/{serverStatus.limits.requestsPerDay} today
           </p>
         )}
       </div>
@@ -0,0 +1,29 @@
+/**
+ * Gemini configuration
+ * Shared by the browser (GeminiService) and the `gemini` Netlify Function, which
+ * enforces the limits below. The API key is not here: it only exists on the server
+ * as GEMINI_API_KEY.
+ */
+
+export const GEMINI_CONFIG = {
+  functionName: 'gemini',
+  baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+
+  // Model Configuration
+  model: 'gemini-2.0-flash',
+  allowedModels: ['gemini-2.0-flash', 'gemini-2.0-flash-lite', 'gemini-1.5-flash'],
+  maxTokens: 8192,
+  temperature: 0.1, // Low temperature for consistent analysis
+  topP: 0.8,
+  topK: 40,
+  maxPromptLength: 30000, // characters
+
+  // Rate Limiting (Free Tier), enforced per function instance
+  requestsPerMinute: 15,
+  requestsPerDay: 1500,
+
+  // Request Timeout
+  timeout: 30000 // 30 seconds
+}
+
+export default GEMINI_CONFIG
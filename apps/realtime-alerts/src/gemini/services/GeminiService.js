@@ -4,38 +4,90 @@
  */
 
 import NetlifyClient from '../../api/NetlifyClient.js'
+import { GEMINI_CONFIG } from '../config.js'
+import { describeZones } from '../../analysis/supportResistance.js'
 
 export class GeminiService {
   constructor() {
     this.client = new NetlifyClient()
-    this.defaultModel = 'gemini-1.5-flash'
+    this.defaultModel = GEMINI_CONFIG.model
   }
 
   /**
    * Generate content using Gemini AI
    * @param {string} prompt - The prompt to send to Gemini
-   * @param {string} model - The model to use (default: gemini-1.5-flash)
-   * @returns {Promise<Object>} - The generated content response
+   * @param {string} model - The model to use (default: GEMINI_CONFIG.model)
+   * @param {Object} generationConfig - Optional temperature / topP / topK / maxOutputTokens
+   * @returns {Promise<Object>} - { text, usage, model, finishReason, timestamp }
    */
-  async generateContent(prompt, model = this.defaultModel) {
+  async generateContent(prompt, model = this.defaultModel, generationConfig = {}) {
     try {
       if (!prompt || typeof prompt !== 'string') {
         throw new Error('Prompt must be a non-empty string')
       }
 
-      const response = await this.client.generateContent(prompt, model)
+      const response = await this.client.generateContent(prompt, model, generationConfig)
       
       if (response.error) {
         throw new Error(response.error)
       }
 
-      return response
+      return response.data
     } catch (error) {
       console.error('Gemini content generation failed:', error)
       throw error
     }
   }
 
+  /**
+   * Generate content and receive it progressively
+   * @param {string} prompt - The prompt to send to Gemini
+   * @param {Object} options - { onToken(text), model, generationConfig, signal }
+   * @returns {Promise<Object>} - The complete response once the stream ends (same shape as generateContent)
+   */
+  async streamContent(prompt, options = {}) {
+    try {
+      if (!prompt || typeof prompt !== 'string') {
+        throw new Error('Prompt must be a non-empty string')
+      }
+
+      return await this.client.streamContent(prompt, { model: this.defaultModel, ...options })
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        console.error('Gemini streaming failed:', error)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Streaming variant of generateTradingAnalysis
+   * @param {Object} marketData - Market data to analyze
+   * @param {string} analysisType - Type of analysis to perform
+   * @param {Object} options - Passed to streamContent (onToken, signal, ...)
+   * @returns {Promise<Object>} - The analysis response
+   */
+  async streamTradingAnalysis(marketData, analysisType = 'general', options = {}) {
+    const prompt = this.buildTradingAnalysisPrompt(marketData, analysisType)
+    const response = await this.streamContent(prompt, options)
+
+    return {
+      type: analysisType,
+      marketData,
+      analysis: response,
+      timestamp: new Date().toISOString()
+    }
+  }
+
+  /**
+   * Server-side status: key configured, allowed models, remaining quota
+   * @returns {Promise<Object>}
+   */
+  async getStatus() {
+    const response = await this.client.getGeminiStatus()
+    return response.data
+  }
+
   /**
    * Generate trading analysis using Gemini AI
    * @param {Object} marketData - Market data to analyze
@@ -83,7 +135,7 @@ export class GeminiService {
 
   /**
    * Build prompt for trading analysis
-   * @param {Object} marketData - Market data
+   * @param {Object} marketData - Market data (optional `zones` from findZones)
    * @param {string} analysisType - Analysis type
    * @returns {string} - Formatted prompt
    */
@@ -100,6 +152,12 @@ Market Data:
 - Technical Indicators: ${JSON.stringify(marketData.indicators || {}, null, 2)}
 `
 
+    // Zones from analysis/supportResistance.js, when the caller detected any
+    const zonesSection = marketData.zones?.length > 0 ? `
+Support / Resistance Zones (strength 0-100):
+${describeZones(marketData.zones).map(line => `- ${line}`).join('\n')}
+` : ''
+
     const instructionSection = `
 Please provide:
 1. Overall market sentiment
@@ -110,7 +168,7 @@ Please provide:
 
 Keep the analysis concise and actionable.`
     
-    return `${basePrompt}\n${dataSection}\n${instructionSection}`
+    return `${basePrompt}\n${dataSection}${zonesSection}\n${instructionSection}`
   }
 
   /**
@@ -3,6 +3,10 @@ import react from '@vitejs/plugin-react'
 
 export default defineConfig({
   plugins: [react()],
+  worker: {
+    // The feed worker code-splits (lazy pairs catalogue), which needs ES module workers
+    format: 'es'
+  },
   build: {
     target: 'es2019',
     sourcemap: false,
@@ -160,14 +160,10 @@ const GeminiTest = () => {
       {/* API Key Status */}
       <div className="api-key-status">
         <h3>API Key Status</h3>
-        <div className={`status-badge ${import.meta.env.VITE_GEMINI_API_KEY ? 'valid' : 'invalid'}`}>
-          {import.meta.env.VITE_GEMINI_API_KEY ? '✅ Configured' : '❌ Missing'}
-        </div>
-        {!import.meta.env.VITE_GEMINI_API_KEY && (
-          <p className="help-text">
-            Add <code>VITE_GEMINI_API_KEY=your_api_key</code> to your .env file
-          </p>
-        )}
+        <p className="help-text">
+          The key is held by the <code>gemini</code> Netlify Function: set <code>GEMINI_API_KEY</code> in the
+          Netlify environment (or <code>.env</code> for <code>netlify dev</code>). Test Connection confirms it works.
+        </p>
       </div>
 
       {/* Test Controls */}
@@ -1,10 +1,11 @@
 export const GEMINI_CONFIG = {
   // API Configuration
-  apiKey: import.meta.env.VITE_GEMINI_API_KEY || 'YOUR_API_KEY_HERE',
-  baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  // Requests go through the `gemini` Netlify Function, which holds GEMINI_API_KEY;
+  // never put the key in a VITE_ variable, Vite would bundle it into the client
+  functionUrl: '/.netlify/functions/gemini',
   
   // Model Configuration
-  model: 'gemini-2.0-flash-exp', // Free tier model
+  model: 'gemini-2.0-flash', // Free tier model (must be allowed by the gemini function)
   maxTokens: 8192,
   temperature: 0.1, // Low temperature for consistent analysis
   topP: 0.8,
@@ -36,10 +37,6 @@ export const GEMINI_CONFIG = {
 export const validateGeminiConfig = () => {
   const errors = []
   
-  if (!GEMINI_CONFIG.apiKey || GEMINI_CONFIG.apiKey === 'YOUR_API_KEY_HERE') {
-    errors.push('Gemini API key not configured')
-  }
-  
   if (GEMINI_CONFIG.requestsPerMinute > 15) {
     errors.push('Free tier limit: 15 requests per minute')
   }
@@ -1,9 +1,8 @@
 import { GEMINI_CONFIG } from '../config.js'
 
 class GeminiClient {
-  constructor(apiKey = null) {
-    this.apiKey = apiKey || GEMINI_CONFIG.apiKey
-    this.baseUrl = GEMINI_CONFIG.baseUrl
+  constructor() {
+    this.functionUrl = GEMINI_CONFIG.functionUrl
     this.model = GEMINI_CONFIG.model
     this.cache = new Map()
     this.requestQueue = []
@@ -123,16 +122,11 @@ class GeminiClient {
     }
   }
 
-  // Actual API request
+  // Actual API request (through the gemini function, which adds the API key)
   async makeApiRequest(prompt, options = {}) {
-    const url = `${this.baseUrl}/models/${this.model}:generateContent?key=${this.apiKey}`
-    
     const requestBody = {
-      contents: [{
-        parts: [{
-          text: prompt
-        }]
-      }],
+      prompt,
+      model: options.model || this.model,
       generationConfig: {
         temperature: options.temperature || GEMINI_CONFIG.temperature,
         topP: options.topP || GEMINI_CONFIG.topP,
@@ -145,7 +139,7 @@ class GeminiClient {
     const timeoutId = setTimeout(() => controller.abort(), GEMINI_CONFIG.timeout)
 
     try {
-      const response = await fetch(url, {
+      const response = await fetch(this.functionUrl, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json'
@@ -158,7 +152,7 @@ class GeminiClient {
 
       if (!response.ok) {
         const errorData = await response.json().catch(() => ({}))
-        throw new Error(`Gemini API error: ${response.status} - ${errorData.error?.message || response.statusText}`)
+        throw new Error(`Gemini API error: ${response.status} - ${errorData.message || errorData.error || response.statusText}`)
       }
 
       const data = await response.json()
@@ -178,24 +172,19 @@ class GeminiClient {
     }
   }
 
-  // Parse Gemini response
-  parseResponse(data) {
+  // Parse the function's { success, data: { text, usage, model, timestamp } } response
+  parseResponse(result) {
     try {
-      const content = data.candidates?.[0]?.content
-      if (!content) {
-        throw new Error('No content in response')
-      }
-
-      const text = content.parts?.[0]?.text
+      const text = result.data?.text
       if (!text) {
         throw new Error('No text in response')
       }
 
       return {
         text,
-        usage: data.usageMetadata,
-        timestamp: new Date().toISOString(),
-        model: this.model
+        usage: result.data.usage,
+        timestamp: result.data.timestamp,
+        model: result.data.model
       }
       
     } catch (error) {